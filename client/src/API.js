@@ -1,7 +1,47 @@
 // client/src/API.js
 // --- FINAL CORRECTED VERSION ---
 
-const BASE_URL = 'http://localhost:3001/api';
+const SERVER_URL = 'http://localhost:3001';
+const BASE_URL = SERVER_URL + '/api';
+
+// Uploaded card images are served by the API server, bundled ones by the client.
+function getImageUrl(image) {
+    return image && image.startsWith('/uploads/') ? SERVER_URL + image : image;
+}
+
+// What to tell the user for each error code of the API (see server/api-errors.mjs).
+// Codes not listed here keep the server's message, which is specific to the case: which field is
+// invalid (VALIDATION_FAILED), which card clashes (CARD_CONFLICT), how long to wait (LOGIN_THROTTLED)...
+const ERROR_MESSAGES = {
+    NOT_AUTHENTICATED: 'Your session has expired. Please log in again.',
+    ADMIN_REQUIRED: 'Only administrators can do this.',
+    USERNAME_TAKEN: 'That username is already taken. Please choose another one.',
+    INVALID_JSON: 'The request could not be read by the server. Please try again.',
+    NOT_FOUND: 'This feature is not available on the server.',
+    GAME_NOT_FOUND: 'This game does not exist or belongs to another player.',
+    NO_GAME_IN_PROGRESS: 'No game data found. Please start a new game from the home page.',
+    GAME_NOT_FINISHED: 'Only finished games can be replayed.',
+    CARD_NOT_DEALT: 'This card is no longer in play. Please continue with the next round.',
+    NO_CARDS_LEFT: 'Game cannot continue: no more unique cards are available for this game.',
+    NOT_ENOUGH_CARDS: 'This deck does not have enough cards to play right now.',
+    THEME_NOT_FOUND: 'This deck is no longer available. Please pick another one.',
+    CHALLENGE_ALREADY_PLAYED: "You have already played today's challenge. Come back tomorrow!",
+    NO_PRACTICE_SESSION: 'Your practice session has ended. Please start a new one.'
+};
+const DEFAULT_ERROR_MESSAGE = 'Something went wrong on the server. Please try again.';
+
+// Turns an error response into what the functions below throw: the response fields, with `code`
+// to act on and `error` set to the message to show.
+async function toApiError(response) {
+    let details = {};
+    try {
+        details = await response.json();
+    } catch {
+        // Not a JSON error (e.g. a proxy error page)
+    }
+    const code = details.code ?? 'INTERNAL_ERROR';
+    return { ...details, code, error: ERROR_MESSAGES[code] ?? details.error ?? DEFAULT_ERROR_MESSAGE };
+}
 
 // This function does NOT need credentials.
 async function logIn(credentials) {
@@ -16,8 +56,25 @@ async function logIn(credentials) {
         const user = await response.json();
         return user;
     } else {
-        const errDetails = await response.json();
-        throw errDetails;
+        throw await toApiError(response);
+    }
+}
+
+// Registration logs the new user in, so the session cookie must be accepted.
+async function register(credentials) {
+    let response = await fetch(BASE_URL + '/register', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(credentials),
+        credentials: 'include'
+    });
+    if (response.ok) {
+        const user = await response.json();
+        return user;
+    } else {
+        throw await toApiError(response);
     }
 }
 
@@ -37,19 +94,93 @@ async function getCurrentUser() {
     }
 }
 
+async function changePassword(oldPassword, newPassword) {
+    const response = await fetch(BASE_URL + '/current-user/password', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ oldPassword, newPassword }),
+        credentials: 'include'
+    });
+    if (response.ok) {
+        return response.json();
+    } else {
+        throw await toApiError(response);
+    }
+}
+
+async function deleteAccount(password) {
+    const response = await fetch(BASE_URL + '/current-user', {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password }),
+        credentials: 'include'
+    });
+    if (response.ok) {
+        return response.json();
+    } else {
+        throw await toApiError(response);
+    }
+}
+
 // --- Game API Calls ---
 
-async function startGame() {
+async function getRuleSets() {
+    const response = await fetch(BASE_URL + '/rule-sets');
+    if (response.ok) {
+        return response.json();
+    } else {
+        throw await toApiError(response);
+    }
+}
+
+async function getThemes() {
+    const response = await fetch(BASE_URL + '/themes');
+    if (response.ok) {
+        return response.json();
+    } else {
+        throw await toApiError(response);
+    }
+}
+
+async function startGame(ruleSetId, theme, difficulty) {
     // This is the function that was failing. It now includes credentials.
     const response = await fetch(BASE_URL + '/games/start', { 
         method: 'POST', 
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ruleSetId, theme, difficulty }),
         credentials: 'include' 
     });
     if (response.ok) {
         return response.json();
     } else {
-        const errDetails = await response.json();
-        throw errDetails;
+        throw await toApiError(response);
+    }
+}
+
+async function getCurrentGame() {
+    const response = await fetch(BASE_URL + '/games/current', { credentials: 'include' });
+    if (response.ok) {
+        return response.json();
+    } else {
+        throw await toApiError(response);
+    }
+}
+
+async function getGameState(gameId) {
+    const response = await fetch(`${BASE_URL}/games/${gameId}`, { credentials: 'include' });
+    if (response.ok) {
+        return response.json();
+    } else {
+        throw await toApiError(response);
+    }
+}
+
+async function getGameReplay(gameId) {
+    const response = await fetch(`${BASE_URL}/games/${gameId}/replay`, { credentials: 'include' });
+    if (response.ok) {
+        return response.json();
+    } else {
+        throw await toApiError(response);
     }
 }
 
@@ -58,60 +189,178 @@ async function getNextRoundCard(gameId) {
     if (response.ok) {
         return response.json();
     } else {
-        const errDetails = await response.json();
-        throw errDetails;
+        throw await toApiError(response);
     }
 }
 
-async function submitGuess(gameId, cardId, playerHand, placementIndex, roundNumber) {
+async function submitGuess(gameId, cardId, placementIndex) {
     const response = await fetch(`${BASE_URL}/games/${gameId}/guess`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ cardId, playerHand, placementIndex, roundNumber }),
+        body: JSON.stringify({ cardId, placementIndex }),
         credentials: 'include'
     });
     if (response.ok) {
         return response.json();
     } else {
-        const errDetails = await response.json();
-        throw errDetails;
+        throw await toApiError(response);
     }
 }
 
-async function loseRound(gameId, cardId, roundNumber) {
+async function loseRound(gameId, cardId) {
     const response = await fetch(`${BASE_URL}/games/${gameId}/lose-round`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ cardId, roundNumber }),
+        body: JSON.stringify({ cardId }),
+        credentials: 'include'
+    });
+    if (response.ok) {
+        return response.json();
+    } else {
+        throw await toApiError(response);
+    }
+}
+
+async function getGameHistory(page = 1, pageSize = 10) {
+    const response = await fetch(`${BASE_URL}/history?page=${page}&pageSize=${pageSize}`, { credentials: 'include' });
+    if (response.ok) {
+        return response.json();
+    } else {
+        throw await toApiError(response);
+    }
+}
+
+// --- Leaderboard and Statistics API Calls ---
+
+async function getLeaderboard(period = 'all', sortBy = 'wins') {
+    const response = await fetch(`${BASE_URL}/leaderboard?period=${period}&sortBy=${sortBy}`);
+    if (response.ok) {
+        return response.json();
+    } else {
+        throw await toApiError(response);
+    }
+}
+
+// Today's challenge; includes the logged-in user's own game, if any, so credentials are sent
+async function getDailyChallenge() {
+    const response = await fetch(BASE_URL + '/daily-challenge', { credentials: 'include' });
+    if (response.ok) {
+        return response.json();
+    } else {
+        throw await toApiError(response);
+    }
+}
+
+async function startDailyChallenge() {
+    const response = await fetch(BASE_URL + '/daily-challenge/start', {
+        method: 'POST',
+        credentials: 'include'
+    });
+    if (response.ok) {
+        return response.json();
+    } else {
+        throw await toApiError(response);
+    }
+}
+
+async function getDailyLeaderboard(date) {
+    const response = await fetch(BASE_URL + '/daily-challenge/leaderboard' + (date ? `?date=${date}` : ''));
+    if (response.ok) {
+        return response.json();
+    } else {
+        throw await toApiError(response);
+    }
+}
+
+async function getUserStats(userId) {
+    const response = await fetch(`${BASE_URL}/users/${userId}/stats`, { credentials: 'include' });
+    if (response.ok) {
+        return response.json();
+    } else {
+        throw await toApiError(response);
+    }
+}
+
+// --- Admin Card Management API Calls ---
+
+async function getAdminCards() {
+    const response = await fetch(BASE_URL + '/admin/cards', { credentials: 'include' });
+    if (response.ok) {
+        return response.json();
+    } else {
+        throw await toApiError(response);
+    }
+}
+
+async function createCard(card) {
+    const response = await fetch(BASE_URL + '/admin/cards', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(card),
+        credentials: 'include'
+    });
+    if (response.ok) {
+        return response.json();
+    } else {
+        throw await toApiError(response);
+    }
+}
+
+async function updateCard(cardId, card) {
+    const response = await fetch(`${BASE_URL}/admin/cards/${cardId}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(card),
         credentials: 'include'
     });
     if (response.ok) {
         return response.json();
     } else {
-        const errDetails = await response.json();
-        throw errDetails;
+        throw await toApiError(response);
     }
 }
 
-async function getGameHistory() {
-    const response = await fetch(BASE_URL + '/history', { credentials: 'include' });
+async function setCardRetired(cardId, retired) {
+    const response = await fetch(`${BASE_URL}/admin/cards/${cardId}/retired`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ retired }),
+        credentials: 'include'
+    });
     if (response.ok) {
         return response.json();
     } else {
-        const errDetails = await response.json();
-        throw errDetails;
+        throw await toApiError(response);
+    }
+}
+
+async function uploadCardImage(cardId, file) {
+    const formData = new FormData();
+    formData.append('image', file);
+    const response = await fetch(`${BASE_URL}/admin/cards/${cardId}/image`, {
+        method: 'POST',
+        body: formData, // The browser sets the multipart Content-Type with its boundary
+        credentials: 'include'
+    });
+    if (response.ok) {
+        return response.json();
+    } else {
+        throw await toApiError(response);
     }
 }
 
 // --- Demo Game API Calls (do not need credentials) ---
 
-async function startDemoGame() {
-    const response = await fetch(BASE_URL + '/demo-game/start', { method: 'POST' });
+async function startDemoGame(theme) {
+    const response = await fetch(BASE_URL + '/demo-game/start', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ theme }),
+    });
     if (response.ok) {
         return response.json();
     } else {
-        const errDetails = await response.json();
-        throw errDetails;
+        throw await toApiError(response);
     }
 }
 
@@ -124,22 +373,89 @@ async function submitDemoGuess(initialCards, newCardId, placementIndex) {
     if (response.ok) {
         return response.json();
     } else {
-        const errDetails = await response.json();
-        throw errDetails;
+        throw await toApiError(response);
     }
 }
 
+// --- Practice API Calls (guests and users; the practice session lives in the session cookie) ---
+
+async function startPractice(theme) {
+    const response = await fetch(BASE_URL + '/practice/start', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ theme }),
+        credentials: 'include'
+    });
+    if (response.ok) {
+        return response.json();
+    } else {
+        throw await toApiError(response);
+    }
+}
+
+async function getPracticeRound() {
+    const response = await fetch(BASE_URL + '/practice/next-round', { credentials: 'include' });
+    if (response.ok) {
+        return response.json();
+    } else {
+        throw await toApiError(response);
+    }
+}
+
+async function submitPracticeGuess(cardId, placementIndex) {
+    const response = await fetch(BASE_URL + '/practice/guess', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ cardId, placementIndex }),
+        credentials: 'include'
+    });
+    if (response.ok) {
+        return response.json();
+    } else {
+        throw await toApiError(response);
+    }
+}
+
+// Opens the real-time multiplayer connection. The browser sends the session cookie with the
+// upgrade request, so the socket is authenticated as the logged-in user.
+function openMultiplayerSocket() {
+    return new WebSocket(SERVER_URL.replace(/^http/, 'ws') + '/ws/multiplayer');
+}
+
 const API = {
     logIn,
     logOut,
+    register,
     getCurrentUser,
+    changePassword,
+    deleteAccount,
+    getRuleSets,
+    getThemes,
     startGame,
+    getCurrentGame,
+    getGameState,
+    getGameReplay,
     getNextRoundCard,
     submitGuess,
     loseRound,
     getGameHistory,
+    getLeaderboard,
+    getUserStats,
+    getDailyChallenge,
+    startDailyChallenge,
+    getDailyLeaderboard,
+    getAdminCards,
+    createCard,
+    updateCard,
+    setCardRetired,
+    uploadCardImage,
+    getImageUrl,
+    openMultiplayerSocket,
     startDemoGame,
-    submitDemoGuess
+    submitDemoGuess,
+    startPractice,
+    getPracticeRound,
+    submitPracticeGuess
 };
 
 export default API;
\ No newline at end of file
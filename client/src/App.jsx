@@ -6,9 +6,16 @@ import Container from 'react-bootstrap/Container';
 // Import components (will create these files shortly)
 import HomePage from './components/HomePage';
 import LoginPage from './components/LoginPage'; // Corrected path to LoginPage
+import RegisterPage from './components/RegisterPage';
+import AccountPage from './components/AccountPage';
 import PlayGamePage from './components/PlayGamePage';
 import UserHistoryPage from './components/UserHistoryPage';
 import InstructionsPage from './components/InstructionsPage';
+import LeaderboardPage from './components/LeaderboardPage';
+import AdminCardsPage from './components/AdminCardsPage';
+import MultiplayerPage from './components/MultiplayerPage';
+import PracticePage from './components/PracticePage';
+import ReplayPage from './components/ReplayPage';
 import Header from './components/Header'; // Our custom Header component
 
 // Context for authentication (will create this)
@@ -55,6 +62,20 @@ function App() {
     }
   };
 
+  const doRegister = async (credentials) => {
+    const user = await API.register(credentials); // Errors are handled by the form
+    setLoggedInUser(user);
+    setLoggedIn(true);
+    navigate('/');
+  };
+
+  const doDeleteAccount = async (password) => {
+    await API.deleteAccount(password); // Errors are handled by the form
+    setLoggedInUser(null);
+    setLoggedIn(false);
+    navigate('/');
+  };
+
   const doLogout = async () => {
     try {
       await API.logOut();
@@ -72,7 +93,9 @@ function App() {
     loggedIn,
     loadingUser,
     doLogin,
-    doLogout
+    doLogout,
+    doRegister,
+    doDeleteAccount
   };
 
 
@@ -83,9 +106,17 @@ function App() {
         <Routes>
           <Route path="/" element={<HomePage />} />
           <Route path="/login" element={<LoginPage />} />
+          <Route path="/register" element={<RegisterPage />} />
+          <Route path="/account" element={<AccountPage />} />
           <Route path="/play" element={<PlayGamePage />} />
+          <Route path="/play/:gameId" element={<PlayGamePage />} />
           <Route path="/history" element={<UserHistoryPage />} />
+          <Route path="/history/:gameId/replay" element={<ReplayPage />} />
           <Route path="/instructions" element={<InstructionsPage />} />
+          <Route path="/leaderboard" element={<LeaderboardPage />} />
+          <Route path="/multiplayer" element={<MultiplayerPage />} />
+          <Route path="/practice" element={<PracticePage />} />
+          <Route path="/admin/cards" element={<AdminCardsPage />} />
           <Route path="*" element={<h1>404 Not Found</h1>} /> {/* Catch-all route */}
         </Routes>
       </Container>
@@ -0,0 +1,120 @@
+// client/src/components/AccountPage.jsx
+import React, { useState, useContext, useEffect } from 'react';
+import { Form, Button, Alert, Row, Col, Card } from 'react-bootstrap';
+import { useNavigate } from 'react-router-dom';
+import { AuthContext } from '../contexts/AuthContext';
+import API from '../API';
+
+function AccountPage() {
+  const navigate = useNavigate();
+  const { loggedIn, loggedInUser, loadingUser, doDeleteAccount } = useContext(AuthContext);
+
+  // Change password form
+  const [oldPassword, setOldPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [passwordMessage, setPasswordMessage] = useState(null); // { variant, text }
+
+  // Delete account form
+  const [deletePassword, setDeletePassword] = useState('');
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const [deleteError, setDeleteError] = useState('');
+
+  // Only logged-in users have an account to manage
+  useEffect(() => {
+    if (!loadingUser && !loggedIn) {
+      navigate('/login');
+    }
+  }, [loggedIn, loadingUser, navigate]);
+
+  const handleChangePassword = async (event) => {
+    event.preventDefault();
+    setPasswordMessage(null);
+
+    if (newPassword.length < 8) {
+      setPasswordMessage({ variant: 'danger', text: 'New password must be at least 8 characters.' });
+      return;
+    }
+    if (newPassword !== confirmPassword) {
+      setPasswordMessage({ variant: 'danger', text: 'New passwords do not match.' });
+      return;
+    }
+
+    try {
+      await API.changePassword(oldPassword, newPassword);
+      setPasswordMessage({ variant: 'success', text: 'Password changed successfully.' });
+      setOldPassword('');
+      setNewPassword('');
+      setConfirmPassword('');
+    } catch (err) {
+      setPasswordMessage({ variant: 'danger', text: err.error || 'Failed to change password.' });
+    }
+  };
+
+  const handleDeleteAccount = async (event) => {
+    event.preventDefault();
+    setDeleteError('');
+
+    try {
+      await doDeleteAccount(deletePassword);
+    } catch (err) {
+      setDeleteError(err.error || 'Failed to delete account.');
+    }
+  };
+
+  if (!loggedInUser) return null;
+
+  return (
+    <Row className="justify-content-center mt-5">
+      <Col md={8} lg={6}>
+        <h2 className="mb-4">Account: {loggedInUser.username}</h2>
+
+        <Card className="mb-4">
+          <Card.Body>
+            <Card.Title>Change Password</Card.Title>
+            {passwordMessage && <Alert variant={passwordMessage.variant}>{passwordMessage.text}</Alert>}
+            <Form onSubmit={handleChangePassword}>
+              <Form.Group className="mb-3" controlId="formOldPassword">
+                <Form.Label>Current Password</Form.Label>
+                <Form.Control type="password" value={oldPassword} onChange={(e) => setOldPassword(e.target.value)} required />
+              </Form.Group>
+              <Form.Group className="mb-3" controlId="formNewPassword">
+                <Form.Label>New Password</Form.Label>
+                <Form.Control type="password" value={newPassword} onChange={(e) => setNewPassword(e.target.value)} required />
+              </Form.Group>
+              <Form.Group className="mb-3" controlId="formConfirmNewPassword">
+                <Form.Label>Confirm New Password</Form.Label>
+                <Form.Control type="password" value={confirmPassword} onChange={(e) => setConfirmPassword(e.target.value)} required />
+              </Form.Group>
+              <Button variant="primary" type="submit">Change Password</Button>
+            </Form>
+          </Card.Body>
+        </Card>
+
+        <Card border="danger">
+          <Card.Body>
+            <Card.Title className="text-danger">Delete Account</Card.Title>
+            <Card.Text>This permanently deletes your account and your whole game history.</Card.Text>
+            {deleteError && <Alert variant="danger">{deleteError}</Alert>}
+            <Form onSubmit={handleDeleteAccount}>
+              <Form.Group className="mb-3" controlId="formDeletePassword">
+                <Form.Label>Password</Form.Label>
+                <Form.Control type="password" value={deletePassword} onChange={(e) => setDeletePassword(e.target.value)} required />
+              </Form.Group>
+              <Form.Check
+                className="mb-3"
+                id="formConfirmDelete"
+                label="I understand this cannot be undone."
+                checked={confirmDelete}
+                onChange={(e) => setConfirmDelete(e.target.checked)}
+              />
+              <Button variant="danger" type="submit" disabled={!confirmDelete}>Delete My Account</Button>
+            </Form>
+          </Card.Body>
+        </Card>
+      </Col>
+    </Row>
+  );
+}
+
+export default AccountPage;
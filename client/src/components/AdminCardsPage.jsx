@@ -0,0 +1,231 @@
+// client/src/components/AdminCardsPage.jsx
+import React, { useState, useEffect, useContext } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Container, Table, Button, Alert, Form, Modal, Badge, Row, Col } from 'react-bootstrap';
+import { AuthContext } from '../contexts/AuthContext';
+import API from '../API';
+import CardDisplay from './CardDisplay';
+
+const EMPTY_CARD = { name: '', image: '', bad_luck_index: '', theme: '' };
+
+// Modal form used both to create a new card and to edit an existing one
+function CardFormModal({ show, initialCard, themes, onSave, onUploadImage, onHide }) {
+  const [card, setCard] = useState(EMPTY_CARD);
+  const [error, setError] = useState('');
+  const [imageFile, setImageFile] = useState(null);
+  const [uploading, setUploading] = useState(false);
+
+  // Reset the form whenever it is opened for a different card
+  useEffect(() => {
+    setCard(initialCard ? { ...initialCard } : EMPTY_CARD);
+    setError('');
+    setImageFile(null);
+  }, [initialCard, show]);
+
+  // Uploads replace the stored image straight away; the server resizes it to the card size
+  const handleUpload = async () => {
+    setError('');
+    setUploading(true);
+    try {
+      const { image } = await onUploadImage(initialCard.id, imageFile);
+      setCard(prev => ({ ...prev, image }));
+      setImageFile(null);
+    } catch (err) {
+      setError(err.error || 'Failed to upload image.');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleChange = (field) => (e) => setCard(prev => ({ ...prev, [field]: e.target.value }));
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError('');
+    try {
+      await onSave({
+        name: card.name,
+        image: card.image,
+        bad_luck_index: Number(card.bad_luck_index),
+        theme: card.theme
+      });
+    } catch (err) {
+      setError(err.error || 'Failed to save card.'); // e.g. a duplicate bad luck index
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={onHide}>
+      <Form onSubmit={handleSubmit}>
+        <Modal.Header closeButton>
+          <Modal.Title>{initialCard?.id ? 'Edit Card' : 'New Card'}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {error && <Alert variant="danger">{error}</Alert>}
+          <Form.Group className="mb-3" controlId="cardName">
+            <Form.Label>Name</Form.Label>
+            <Form.Control value={card.name} onChange={handleChange('name')} required maxLength={200} />
+          </Form.Group>
+          <Form.Group className="mb-3" controlId="cardImage">
+            <Form.Label>Image path</Form.Label>
+            <Form.Control value={card.image} onChange={handleChange('image')} placeholder="/images/example.png" required />
+          </Form.Group>
+          {initialCard?.id && (
+            <Form.Group className="mb-3" controlId="cardImageUpload">
+              <Form.Label>Upload a new image (PNG, JPEG, WebP or GIF, max 5 MB)</Form.Label>
+              <div className="d-flex gap-2">
+                <Form.Control type="file" accept="image/png,image/jpeg,image/webp,image/gif" onChange={(e) => setImageFile(e.target.files[0] ?? null)} />
+                <Button variant="outline-primary" onClick={handleUpload} disabled={!imageFile || uploading}>
+                  {uploading ? 'Uploading...' : 'Upload'}
+                </Button>
+              </div>
+              <div className="d-flex justify-content-center">
+                <CardDisplay card={card} showIndex={false} />
+              </div>
+            </Form.Group>
+          )}
+          <Form.Group className="mb-3" controlId="cardBadLuckIndex">
+            <Form.Label>Bad Luck Index (1-100, unique)</Form.Label>
+            <Form.Control type="number" step="0.01" min="1" max="100" value={card.bad_luck_index} onChange={handleChange('bad_luck_index')} required />
+          </Form.Group>
+          <Form.Group className="mb-3" controlId="cardTheme">
+            <Form.Label>Theme</Form.Label>
+            <Form.Control value={card.theme} onChange={handleChange('theme')} list="cardThemes" required />
+            <datalist id="cardThemes">
+              {themes.map(theme => <option key={theme} value={theme} />)}
+            </datalist>
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={onHide}>Cancel</Button>
+          <Button variant="primary" type="submit">Save</Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+}
+
+function AdminCardsPage() {
+  const navigate = useNavigate();
+  const { loggedInUser, loadingUser } = useContext(AuthContext);
+
+  const [cards, setCards] = useState([]);
+  const [themeFilter, setThemeFilter] = useState('');
+  const [showRetired, setShowRetired] = useState(true);
+  const [error, setError] = useState('');
+  const [editingCard, setEditingCard] = useState(null); // Card being edited, or EMPTY_CARD for a new one
+
+  // Only administrators may manage the deck
+  useEffect(() => {
+    if (!loadingUser && !loggedInUser?.isAdmin) {
+      navigate('/');
+    }
+  }, [loggedInUser, loadingUser, navigate]);
+
+  const loadCards = async () => {
+    try {
+      setCards(await API.getAdminCards());
+    } catch (err) {
+      console.error('Error loading cards:', err);
+      setError(err.error || 'Failed to load cards.');
+    }
+  };
+
+  useEffect(() => {
+    if (loggedInUser?.isAdmin) loadCards();
+  }, [loggedInUser]);
+
+  const themes = [...new Set(cards.map(card => card.theme))].sort();
+  const visibleCards = cards
+    .filter(card => !themeFilter || card.theme === themeFilter)
+    .filter(card => showRetired || !card.retired);
+
+  const handleSave = async (card) => {
+    if (editingCard.id) {
+      await API.updateCard(editingCard.id, card);
+    } else {
+      await API.createCard(card);
+    }
+    setEditingCard(null);
+    await loadCards();
+  };
+
+  const handleUploadImage = async (cardId, file) => {
+    const result = await API.uploadCardImage(cardId, file);
+    await loadCards();
+    return result;
+  };
+
+  const handleToggleRetired = async (card) => {
+    setError('');
+    try {
+      await API.setCardRetired(card.id, !card.retired);
+      await loadCards();
+    } catch (err) {
+      setError(err.error || 'Failed to update card.');
+    }
+  };
+
+  return (
+    <Container className="mt-4">
+      <h1>Manage Cards</h1>
+      {error && <Alert variant="danger">{error}</Alert>}
+
+      <Row className="align-items-center mb-3">
+        <Col md={4}>
+          <Form.Select value={themeFilter} onChange={(e) => setThemeFilter(e.target.value)} aria-label="Filter by theme">
+            <option value="">All themes</option>
+            {themes.map(theme => <option key={theme} value={theme}>{theme}</option>)}
+          </Form.Select>
+        </Col>
+        <Col md={4}>
+          <Form.Check id="showRetired" label="Show retired cards" checked={showRetired} onChange={(e) => setShowRetired(e.target.checked)} />
+        </Col>
+        <Col md={4} className="text-end">
+          <Button variant="success" onClick={() => setEditingCard(EMPTY_CARD)}>Add Card</Button>
+        </Col>
+      </Row>
+
+      <Table striped hover responsive size="sm">
+        <thead>
+          <tr>
+            <th>Bad Luck Index</th>
+            <th>Name</th>
+            <th>Theme</th>
+            <th>Image</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {visibleCards.map(card => (
+            <tr key={card.id} className={card.retired ? 'text-muted' : ''}>
+              <td>{card.bad_luck_index}</td>
+              <td>
+                {card.name} {card.retired ? <Badge bg="secondary">Retired</Badge> : null}
+              </td>
+              <td>{card.theme}</td>
+              <td><code>{card.image}</code></td>
+              <td className="text-nowrap">
+                <Button variant="outline-primary" size="sm" className="me-2" onClick={() => setEditingCard(card)}>Edit</Button>
+                <Button variant={card.retired ? 'outline-success' : 'outline-danger'} size="sm" onClick={() => handleToggleRetired(card)}>
+                  {card.retired ? 'Restore' : 'Retire'}
+                </Button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </Table>
+
+      <CardFormModal
+        show={editingCard !== null}
+        initialCard={editingCard}
+        themes={themes}
+        onSave={handleSave}
+        onUploadImage={handleUploadImage}
+        onHide={() => setEditingCard(null)}
+      />
+    </Container>
+  );
+}
+
+export default AdminCardsPage;
@@ -1,11 +1,37 @@
 // client/src/components/CardDisplay.jsx
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import Card from 'react-bootstrap/Card'; // Don't forget this import
+import API from '../API';
+
+// Builds an SVG placeholder (as a data URL) for cards whose image is missing or broken.
+// The background colour is derived from the card name so each card keeps a stable look.
+function placeholderImage(name = '') {
+  let hash = 0;
+  for (const ch of name) {
+    hash = (hash * 31 + ch.codePointAt(0)) | 0;
+  }
+  const hue = Math.abs(hash) % 360;
+  const initials = name.split(/\s+/).filter(Boolean).slice(0, 2).map(word => word[0].toUpperCase()).join('');
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="480" height="360" viewBox="0 0 480 360">
+    <rect width="480" height="360" fill="hsl(${hue}, 55%, 45%)"/>
+    <text x="50%" y="50%" dominant-baseline="central" text-anchor="middle" font-family="sans-serif" font-size="140" fill="white">${initials || '?'}</text>
+  </svg>`;
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+}
 
 function CardDisplay({ card, showIndex = false }) {
+  const [imageFailed, setImageFailed] = useState(false);
+
+  // A different card (or a newly uploaded image) gets a fresh chance to load
+  useEffect(() => {
+    setImageFailed(false);
+  }, [card.image]);
+
+  const src = !card.image || imageFailed ? placeholderImage(card.name) : API.getImageUrl(card.image);
+
   return (
     <Card style={{ width: '12rem', margin: '0.5rem' }}>
-      <Card.Img variant="top" src={card.image} alt={card.name} />
+      <Card.Img variant="top" src={src} alt={card.name} onError={() => setImageFailed(true)} />
       <Card.Body>
         <Card.Title style={{ fontSize: '1rem' }}>{card.name}</Card.Title>
         {showIndex && <Card.Text>Bad Luck Index: {card.bad_luck_index}</Card.Text>}
@@ -13,4 +39,4 @@ function CardDisplay({ card, showIndex = false }) {
     </Card>
   );
 }
-export default CardDisplay;
\ No newline at end of file
+export default CardDisplay;
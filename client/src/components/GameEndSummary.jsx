@@ -3,10 +3,12 @@ import React from 'react';
 import CardDisplay from './CardDisplay'; // Assuming it's in the same directory
 import { Row, Col } from 'react-bootstrap'; // Don't forget these imports
 
-function GameEndSummary({ wonCards, outcome }) {
+// score is null for demo games, which are not scored
+function GameEndSummary({ wonCards, outcome, score = null }) {
   return (
     <div>
       <h2>Game Over! Outcome: {outcome}</h2>
+      {score !== null && <p className="lead">Final score: <strong>{score}</strong> points</p>}
       {wonCards.length > 0 ? (
         <>
           <h3>Cards You Won:</h3>
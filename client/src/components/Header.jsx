@@ -17,17 +17,25 @@ function Header() {
           <Nav className="me-auto">
             <Nav.Link as={Link} to="/">Home</Nav.Link>
             <Nav.Link as={Link} to="/play">Play Game</Nav.Link>
+            <Nav.Link as={Link} to="/practice">Practice</Nav.Link>
             <Nav.Link as={Link} to="/instructions">Instructions</Nav.Link>
+            <Nav.Link as={Link} to="/leaderboard">Leaderboard</Nav.Link>
+            {loggedIn && <Nav.Link as={Link} to="/multiplayer">Multiplayer</Nav.Link>}
             {loggedIn && <Nav.Link as={Link} to="/history">History</Nav.Link>}
+            {loggedInUser?.isAdmin && <Nav.Link as={Link} to="/admin/cards">Manage Cards</Nav.Link>}
           </Nav>
           <Nav>
             {!loggedIn ? (
-              <Nav.Link as={Link} to="/login">Login</Nav.Link>
+              <>
+                <Nav.Link as={Link} to="/login">Login</Nav.Link>
+                <Nav.Link as={Link} to="/register">Register</Nav.Link>
+              </>
             ) : (
               <>
                 <Navbar.Text className="me-2">
                   Welcome, {loggedInUser ? loggedInUser.username : 'Guest'}!
                 </Navbar.Text>
+                <Nav.Link as={Link} to="/account">Account</Nav.Link>
                 <Nav.Link onClick={doLogout}>Logout</Nav.Link>
               </>
             )}
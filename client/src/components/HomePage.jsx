@@ -1,34 +1,88 @@
 // client/src/components/HomePage.jsx
-import React, { useContext, useState } from 'react';
+import React, { useContext, useState, useEffect } from 'react';
 import { AuthContext } from '../contexts/AuthContext';
-import { Container, Button, Row, Col, Alert } from 'react-bootstrap';
+import { Container, Button, Row, Col, Alert, Form, Card } from 'react-bootstrap';
 import { useNavigate } from 'react-router-dom';
 import API from '../API'; // Import the API service
 
+// How the cards of each round are picked; the server records the level on the game
+const DIFFICULTIES = [
+  { value: 'easy', label: 'Easy', description: 'Cards tend to fall in wide gaps between your cards.' },
+  { value: 'normal', label: 'Normal', description: 'Cards come in shuffled order.' },
+  { value: 'hard', label: 'Hard', description: 'Cards tend to fall in narrow gaps between your cards.' },
+  { value: 'adaptive', label: 'Adaptive', description: 'Starts easy and gets harder with every card you win.' }
+];
+
 function HomePage() {
   const { loggedIn, loggedInUser, loadingUser } = useContext(AuthContext);
   const navigate = useNavigate();
   const [error, setError] = useState('');
+  const [ruleSets, setRuleSets] = useState([]); // Rule presets offered by the server
+  const [selectedRuleSetId, setSelectedRuleSetId] = useState(null);
+  const [themes, setThemes] = useState([]); // Card decks offered by the server
+  const [selectedTheme, setSelectedTheme] = useState('');
+  const [selectedDifficulty, setSelectedDifficulty] = useState('normal');
+  const [dailyChallenge, setDailyChallenge] = useState(null); // Today's challenge and the user's result
+
+  // Load today's challenge; reloaded on login/logout since it includes the user's own game
+  useEffect(() => {
+    API.getDailyChallenge()
+      .then(setDailyChallenge)
+      .catch(err => console.error("Failed to load daily challenge:", err));
+  }, [loggedIn]);
+
+  // Load the available decks, for guests and logged-in players alike
+  useEffect(() => {
+    API.getThemes()
+      .then(setThemes)
+      .catch(err => console.error("Failed to load themes:", err));
+  }, []);
+
+  // Load the available rule sets for logged-in players
+  useEffect(() => {
+    if (!loggedIn) return;
+    API.getRuleSets()
+      .then(sets => {
+        setRuleSets(sets);
+        setSelectedRuleSetId(sets.length > 0 ? sets[0].id : null);
+      })
+      .catch(err => console.error("Failed to load rule sets:", err));
+  }, [loggedIn]);
+
+  const selectedRuleSet = ruleSets.find(rs => rs.id === selectedRuleSetId);
+  const difficulty = DIFFICULTIES.find(d => d.value === selectedDifficulty);
 
   // Function to start a new full game (for registered users)
   const handleStartGame = async () => {
     setError(''); // Clear previous errors
     try {
-      const gameData = await API.startGame(); // Call the API to start a game
-      // Store initial cards and gameId in session or context if needed later,
-      // but for now, we just pass them via navigation state
-      navigate('/play', { state: { gameData, isDemo: false } }); // Navigate to play page with game data
+      const gameData = await API.startGame(selectedRuleSetId ?? undefined, selectedTheme || undefined, selectedDifficulty); // Call the API to start a game
+      // Pass the initial cards via navigation state; the gameId in the URL lets the
+      // play page restore the game from the server after a refresh
+      navigate(`/play/${gameData.gameId}`, { state: { gameData, isDemo: false } });
     } catch (err) {
       console.error("Failed to start full game:", err);
       setError(err.error || 'Failed to start game. Please try again.');
     }
   };
 
+  // Function to start today's challenge; the same cards are dealt to every player
+  const handleStartDailyChallenge = async () => {
+    setError('');
+    try {
+      const gameData = await API.startDailyChallenge();
+      navigate(`/play/${gameData.gameId}`, { state: { gameData, isDemo: false } });
+    } catch (err) {
+      console.error("Failed to start daily challenge:", err);
+      setError(err.error || "Failed to start today's challenge. Please try again.");
+    }
+  };
+
   // Function to start a demo game (for anonymous users)
   const handleStartDemoGame = async () => {
     setError(''); // Clear previous errors
     try {
-      const demoGameData = await API.startDemoGame(); // Call the API to start a demo game
+      const demoGameData = await API.startDemoGame(selectedTheme || undefined); // Call the API to start a demo game
       navigate('/play', { state: { gameData: demoGameData, isDemo: true } }); // Navigate to play page with demo game data
     } catch (err) {
       console.error("Failed to start demo game:", err);
@@ -56,6 +110,45 @@ function HomePage() {
 
       <Row className="justify-content-center mt-4">
         <Col xs={12} md={8} lg={6}>
+          {dailyChallenge && (
+            <Card className="mb-4">
+              <Card.Body>
+                <Card.Title>Today's Challenge ({dailyChallenge.date})</Card.Title>
+                <Card.Text>
+                  Everyone gets the same cards today, with the {dailyChallenge.rules.name} rules.
+                  {' '}{dailyChallenge.playerCount} player(s) have finished it so far.
+                </Card.Text>
+                {!loggedIn ? (
+                  <Card.Text className="text-muted">Log in to take part.</Card.Text>
+                ) : !dailyChallenge.myGame ? (
+                  <Button variant="warning" onClick={handleStartDailyChallenge}>Play Today's Challenge</Button>
+                ) : !dailyChallenge.myGame.outcome ? (
+                  <Button variant="warning" onClick={() => navigate(`/play/${dailyChallenge.myGame.gameId}`)}>
+                    Resume Today's Challenge
+                  </Button>
+                ) : (
+                  <Card.Text>
+                    You {dailyChallenge.myGame.outcome === 'Won' ? 'won' : 'lost'} with {dailyChallenge.myGame.cardsCollected} cards,
+                    ranked #{dailyChallenge.myGame.rank} of {dailyChallenge.playerCount}.
+                    {' '}<Button variant="link" className="p-0 align-baseline" onClick={() => navigate('/leaderboard?view=daily')}>
+                      See the daily leaderboard
+                    </Button>
+                  </Card.Text>
+                )}
+              </Card.Body>
+            </Card>
+          )}
+          {themes.length > 0 && (
+            <Form.Group className="mb-3 text-start" controlId="themeSelect">
+              <Form.Label>Deck</Form.Label>
+              <Form.Select value={selectedTheme} onChange={(e) => setSelectedTheme(e.target.value)}>
+                <option value="">Default deck</option>
+                {themes.map(theme => (
+                  <option key={theme.name} value={theme.name}>{theme.name} ({theme.cardCount} cards)</option>
+                ))}
+              </Form.Select>
+            </Form.Group>
+          )}
           {!loggedIn ? (
             // Options for anonymous users
             <>
@@ -71,16 +164,45 @@ function HomePage() {
             // Options for logged-in users
             <>
               <p>Welcome back, {loggedInUser.username}!</p>
+              {ruleSets.length > 0 && (
+                <Form.Group className="mb-3 text-start" controlId="ruleSetSelect">
+                  <Form.Label>Rules</Form.Label>
+                  <Form.Select
+                    value={selectedRuleSetId ?? ''}
+                    onChange={(e) => setSelectedRuleSetId(Number(e.target.value))}
+                  >
+                    {ruleSets.map(rs => (
+                      <option key={rs.id} value={rs.id}>{rs.name}</option>
+                    ))}
+                  </Form.Select>
+                  {selectedRuleSet && <Form.Text muted>{selectedRuleSet.description}</Form.Text>}
+                </Form.Group>
+              )}
+              <Form.Group className="mb-3 text-start" controlId="difficultySelect">
+                <Form.Label>Difficulty</Form.Label>
+                <Form.Select value={selectedDifficulty} onChange={(e) => setSelectedDifficulty(e.target.value)}>
+                  {DIFFICULTIES.map(d => (
+                    <option key={d.value} value={d.value}>{d.label}</option>
+                  ))}
+                </Form.Select>
+                <Form.Text muted>{difficulty.description}</Form.Text>
+              </Form.Group>
               <Button variant="success" size="lg" className="m-2" onClick={handleStartGame}>
                 Start New Full Game
               </Button>
+              <Button variant="warning" size="lg" className="m-2" onClick={() => navigate('/multiplayer')}>
+                Play Multiplayer
+              </Button>
               <Button variant="info" size="lg" className="m-2" onClick={() => navigate('/history')}>
                 View Game History
               </Button>
             </>
           )}
           <div className="mt-4">
-            <Button variant="secondary" size="lg" onClick={() => navigate('/instructions')}>
+            <Button variant="outline-success" size="lg" className="m-2" onClick={() => navigate('/practice')}>
+              Practice (No Timer)
+            </Button>
+            <Button variant="secondary" size="lg" className="m-2" onClick={() => navigate('/instructions')}>
               How to Play (Instructions)
             </Button>
           </div>
@@ -0,0 +1,213 @@
+// client/src/components/LeaderboardPage.jsx
+import React, { useState, useEffect, useContext } from 'react';
+import { Container, Row, Col, Table, Alert, Form, Card, Button, Badge } from 'react-bootstrap';
+import { useSearchParams } from 'react-router-dom';
+import { AuthContext } from '../contexts/AuthContext';
+import API from '../API';
+
+const PERIODS = [
+  { value: 'week', label: 'This Week' },
+  { value: 'month', label: 'This Month' },
+  { value: 'all', label: 'All Time' },
+  { value: 'daily', label: "Today's Challenge" } // Ranked by result rather than by the sort orders below
+];
+
+const SORTS = [
+  { value: 'wins', label: 'Wins' },
+  { value: 'winRate', label: 'Win Rate' },
+  { value: 'fastestWin', label: 'Fastest Win' },
+  { value: 'longestStreak', label: 'Longest Streak' }
+];
+
+const formatPercent = (rate) => `${Math.round(rate * 100)}%`;
+const formatSeconds = (seconds) => seconds === null ? '-' : `${seconds}s`;
+
+// How a player's placement bias (see GET /api/users/:id/stats) is described
+const TENDENCIES = {
+  tooLow: 'Consistently rates cards too low: misplaced cards were usually worse luck than guessed.',
+  tooHigh: 'Consistently rates cards too high: misplaced cards were usually less bad than guessed.',
+  balanced: 'Misses are spread evenly between rating cards too low and too high.'
+};
+
+// Lifetime statistics of a single player
+function UserStatsCard({ stats, onClose }) {
+  return (
+    <Card className="mb-4">
+      <Card.Body>
+        <Card.Title className="d-flex justify-content-between">
+          <span>Statistics for {stats.username}</span>
+          {onClose && <Button variant="outline-secondary" size="sm" onClick={onClose}>Close</Button>}
+        </Card.Title>
+        <Row xs={2} md={4} className="g-3 text-center">
+          <Col><strong>{stats.gamesPlayed}</strong><div className="text-muted">Games played</div></Col>
+          <Col><strong>{formatPercent(stats.winRate)}</strong><div className="text-muted">Win rate</div></Col>
+          <Col><strong>{stats.averageCardsCollected ?? '-'}</strong><div className="text-muted">Avg. cards collected</div></Col>
+          <Col><strong>{formatSeconds(stats.averageResponseSeconds)}</strong><div className="text-muted">Avg. response time</div></Col>
+          <Col><strong>{stats.wins} / {stats.losses}</strong><div className="text-muted">Wins / Losses</div></Col>
+          <Col><strong>{formatSeconds(stats.fastestWinSeconds)}</strong><div className="text-muted">Fastest win</div></Col>
+          <Col><strong>{stats.longestStreak}</strong><div className="text-muted">Longest streak</div></Col>
+          <Col><strong>{stats.placement.averageMiss ?? '-'}</strong><div className="text-muted">Avg. positions off when wrong</div></Col>
+        </Row>
+        {stats.placement.tendency && (
+          <Card.Text className="mt-3 text-center">
+            {TENDENCIES[stats.placement.tendency]} ({stats.placement.tooLow} too low, {stats.placement.tooHigh} too high)
+          </Card.Text>
+        )}
+      </Card.Body>
+    </Card>
+  );
+}
+
+// Results of today's challenge: wins first, then most cards collected, then fastest
+function DailyLeaderboardTable({ players, loggedInUser }) {
+  return (
+    <Table striped hover responsive>
+      <thead>
+        <tr>
+          <th>#</th>
+          <th>Player</th>
+          <th>Result</th>
+          <th>Cards Collected</th>
+          <th>Time</th>
+        </tr>
+      </thead>
+      <tbody>
+        {players.map(player => (
+          <tr key={player.gameId} className={player.userId === loggedInUser?.id ? 'table-primary' : ''}>
+            <td>{player.rank}</td>
+            <td>{player.username}</td>
+            <td><Badge bg={player.outcome === 'Won' ? 'success' : 'danger'}>{player.outcome}</Badge></td>
+            <td>{player.cardsCollected}</td>
+            <td>{formatSeconds(player.durationSeconds)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </Table>
+  );
+}
+
+function LeaderboardPage() {
+  const { loggedIn, loggedInUser } = useContext(AuthContext);
+  const [searchParams] = useSearchParams();
+
+  const [period, setPeriod] = useState(searchParams.get('view') === 'daily' ? 'daily' : 'all');
+  const [sortBy, setSortBy] = useState('wins');
+  const [players, setPlayers] = useState([]);
+  const [dailyPlayers, setDailyPlayers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const [selectedUserId, setSelectedUserId] = useState(null); // Player whose stats are shown
+  const [stats, setStats] = useState(null);
+
+  // Reload the ranking whenever the window or the sort order changes
+  useEffect(() => {
+    const loadLeaderboard = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        if (period === 'daily') {
+          const leaderboard = await API.getDailyLeaderboard();
+          setDailyPlayers(leaderboard.players);
+        } else {
+          const leaderboard = await API.getLeaderboard(period, sortBy);
+          setPlayers(leaderboard.players);
+        }
+      } catch (err) {
+        console.error('Error loading leaderboard:', err);
+        setError(err.error || 'Failed to load leaderboard.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadLeaderboard();
+  }, [period, sortBy]);
+
+  // Show the logged-in player's own statistics by default
+  useEffect(() => {
+    setSelectedUserId(loggedIn ? loggedInUser.id : null);
+  }, [loggedIn, loggedInUser]);
+
+  useEffect(() => {
+    if (selectedUserId === null) {
+      setStats(null);
+      return;
+    }
+    API.getUserStats(selectedUserId)
+      .then(setStats)
+      .catch(err => console.error('Error loading user statistics:', err));
+  }, [selectedUserId]);
+
+  return (
+    <Container className="mt-4">
+      <h1>Leaderboard</h1>
+
+      {stats && (
+        <UserStatsCard
+          stats={stats}
+          onClose={selectedUserId !== loggedInUser?.id ? () => setSelectedUserId(loggedInUser?.id ?? null) : null}
+        />
+      )}
+
+      <Row className="mb-3">
+        <Col md={4}>
+          <Form.Select value={period} onChange={(e) => setPeriod(e.target.value)} aria-label="Time window">
+            {PERIODS.map(p => <option key={p.value} value={p.value}>{p.label}</option>)}
+          </Form.Select>
+        </Col>
+        {period !== 'daily' && <Col md={4}>
+          <Form.Select value={sortBy} onChange={(e) => setSortBy(e.target.value)} aria-label="Rank by">
+            {SORTS.map(s => <option key={s.value} value={s.value}>Rank by {s.label}</option>)}
+          </Form.Select>
+        </Col>}
+      </Row>
+
+      {error && <Alert variant="danger">{error}</Alert>}
+
+      {loading ? (
+        <p>Loading leaderboard...</p>
+      ) : period === 'daily' ? (
+        dailyPlayers.length === 0
+          ? <p>Nobody has finished today's challenge yet.</p>
+          : <DailyLeaderboardTable players={dailyPlayers} loggedInUser={loggedInUser} />
+      ) : players.length === 0 ? (
+        <p>No games have been played in this period yet.</p>
+      ) : (
+        <Table striped hover responsive>
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Player</th>
+              <th>Games</th>
+              <th>Wins</th>
+              <th>Win Rate</th>
+              <th>Fastest Win</th>
+              <th>Longest Streak</th>
+            </tr>
+          </thead>
+          <tbody>
+            {players.map(player => (
+              <tr key={player.userId} className={player.userId === loggedInUser?.id ? 'table-primary' : ''}>
+                <td>{player.rank}</td>
+                <td>
+                  {loggedIn ? (
+                    <Button variant="link" className="p-0" onClick={() => setSelectedUserId(player.userId)}>
+                      {player.username}
+                    </Button>
+                  ) : player.username}
+                </td>
+                <td>{player.gamesPlayed}</td>
+                <td>{player.wins}</td>
+                <td>{formatPercent(player.winRate)}</td>
+                <td>{formatSeconds(player.fastestWinSeconds)}</td>
+                <td>{player.longestStreak}</td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      )}
+    </Container>
+  );
+}
+
+export default LeaderboardPage;
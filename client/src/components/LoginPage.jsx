@@ -1,16 +1,39 @@
 // client/src/components/LoginPage.jsx
-import React, { useState, useContext } from 'react';
+import React, { useState, useContext, useEffect } from 'react';
 import { Form, Button, Alert, Row, Col } from 'react-bootstrap';
 import { AuthContext } from '../contexts/AuthContext'; // Import AuthContext
 import { Link } from 'react-router-dom'; // For the back to home link
 
+// Formats a wait in seconds as m:ss
+function formatCountdown(seconds) {
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
 function LoginPage() {
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
+  const [retryUntil, setRetryUntil] = useState(null); // When the server will accept another attempt, after too many failures
+  const [secondsLeft, setSecondsLeft] = useState(0);
 
   const { doLogin } = useContext(AuthContext); // Get the doLogin function from AuthContext
 
+  // Counts down to retryUntil, once per second
+  useEffect(() => {
+    if (!retryUntil) return;
+    const tick = () => {
+      const left = Math.max(0, Math.ceil((retryUntil - Date.now()) / 1000));
+      setSecondsLeft(left);
+      if (left === 0) {
+        setRetryUntil(null);
+        setError('');
+      }
+    };
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [retryUntil]);
+
   const handleSubmit = async (event) => {
     event.preventDefault(); // Prevent default form submission
     setError(''); // Clear previous errors
@@ -27,6 +50,9 @@ function LoginPage() {
       await doLogin(credentials); // Call the doLogin function from context
     } catch (err) {
       setError(err.error || 'Login failed. Please check your credentials.'); // Display error from server
+      if (err.retryAfter) {
+        setRetryUntil(Date.now() + err.retryAfter * 1000);
+      }
     }
   };
 
@@ -34,7 +60,12 @@ function LoginPage() {
     <Row className="justify-content-center mt-5">
       <Col md={6} lg={4}>
         <h2 className="text-center mb-4">Login</h2>
-        {error && <Alert variant="danger">{error}</Alert>}
+        {error && (
+          <Alert variant="danger">
+            {error}
+            {secondsLeft > 0 && <> You can try again in {formatCountdown(secondsLeft)}.</>}
+          </Alert>
+        )}
         <Form onSubmit={handleSubmit}>
           <Form.Group className="mb-3" controlId="formBasicUsername">
             <Form.Label>Username</Form.Label>
@@ -59,9 +90,12 @@ function LoginPage() {
           </Form.Group>
 
           <div className="d-grid gap-2 mt-4">
-            <Button variant="primary" type="submit">
-              Login
+            <Button variant="primary" type="submit" disabled={secondsLeft > 0}>
+              {secondsLeft > 0 ? `Wait ${formatCountdown(secondsLeft)}` : 'Login'}
             </Button>
+            <Link to="/register" className="btn btn-outline-primary mt-2">
+              Create an Account
+            </Link>
             <Link to="/" className="btn btn-secondary mt-2">
               Back to Home
             </Link>
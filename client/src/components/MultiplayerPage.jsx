@@ -0,0 +1,333 @@
+// client/src/components/MultiplayerPage.jsx
+import React, { useState, useEffect, useContext, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { AuthContext } from '../contexts/AuthContext';
+import API from '../API';
+import CardDisplay from './CardDisplay';
+import { Container, Row, Col, Button, Alert, ProgressBar, Form, Table, ListGroup, Badge } from 'react-bootstrap';
+
+// Table of every player's progress in a match; hands are private, only their size is shown
+function StandingsTable({ players, me }) {
+  return (
+    <Table striped bordered size="sm" className="my-3">
+      <thead>
+        <tr>
+          <th>Player</th>
+          <th>Cards</th>
+          <th>Won</th>
+          <th>Lost</th>
+          <th>This round</th>
+        </tr>
+      </thead>
+      <tbody>
+        {players.map(p => (
+          <tr key={p.id} className={p.id === me?.id ? 'fw-bold' : ''}>
+            <td>{p.username}</td>
+            <td>{p.handSize}</td>
+            <td>{p.cardsWon}</td>
+            <td>{p.cardsLost}</td>
+            <td>
+              {p.eliminated ? <Badge bg="secondary">Out</Badge>
+                : p.answered ? <Badge bg="success">Placed</Badge>
+                : <Badge bg="warning" text="dark">Thinking...</Badge>}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </Table>
+  );
+}
+
+// Lobby list, waiting room and live match for the multiplayer mode
+function MultiplayerPage() {
+  const navigate = useNavigate();
+  const { loggedIn, loadingUser } = useContext(AuthContext);
+  const socketRef = useRef(null);
+
+  const [connected, setConnected] = useState(false);
+  const [me, setMe] = useState(null); // { id, username } as seen by the server
+  const [playerLimits, setPlayerLimits] = useState({ min: 2, max: 6 }); // Lobby size, as announced by the server
+  const [lobbies, setLobbies] = useState([]); // Lobbies waiting for players
+  const [lobby, setLobby] = useState(null); // The lobby we are in, if any
+  const [standings, setStandings] = useState([]); // Progress of every player in the match
+  const [hand, setHand] = useState([]); // Our own cards, sorted by bad luck index
+  const [round, setRound] = useState(null); // { round, card, deadline } for the card being placed
+  const [clockOffset, setClockOffset] = useState(0); // Server time minus local time (ms)
+  const [timeLeft, setTimeLeft] = useState(0);
+  const [answered, setAnswered] = useState(false);
+  const [roundMessage, setRoundMessage] = useState('');
+  const [matchResult, setMatchResult] = useState(null); // { winners, players } once the match ends
+  const [error, setError] = useState('');
+
+  // Lobby creation options
+  const [themes, setThemes] = useState([]);
+  const [ruleSets, setRuleSets] = useState([]);
+  const [selectedTheme, setSelectedTheme] = useState('');
+  const [selectedRuleSetId, setSelectedRuleSetId] = useState('');
+
+  useEffect(() => {
+    if (!loadingUser && !loggedIn) {
+      navigate('/login');
+    }
+  }, [loadingUser, loggedIn, navigate]);
+
+  useEffect(() => {
+    if (!loggedIn) return;
+    API.getThemes().then(setThemes).catch(err => console.error("Failed to load themes:", err));
+    API.getRuleSets().then(setRuleSets).catch(err => console.error("Failed to load rule sets:", err));
+  }, [loggedIn]);
+
+  // Open the socket once logged in and translate server messages into state
+  useEffect(() => {
+    if (!loggedIn) return;
+    const socket = API.openMultiplayerSocket();
+    socketRef.current = socket;
+
+    socket.onopen = () => setConnected(true);
+    socket.onclose = (event) => {
+      setConnected(false);
+      if (event.code === 4000) setError(event.reason); // Taken over by another window
+    };
+    socket.onmessage = (event) => {
+      const message = JSON.parse(event.data);
+      switch (message.type) {
+        case 'welcome':
+          setMe(message.user);
+          setPlayerLimits({ min: message.minPlayers, max: message.maxPlayers });
+          break;
+        case 'lobbies':
+          setLobbies(message.lobbies);
+          setLobby(null);
+          break;
+        case 'lobby':
+          setLobby(message.lobby);
+          setMatchResult(null);
+          break;
+        case 'match-start':
+          setLobby(message.lobby);
+          setStandings(message.players);
+          setRoundMessage('');
+          break;
+        case 'hand':
+          setHand(message.cards);
+          break;
+        case 'round':
+          setClockOffset(message.serverTime - Date.now());
+          setRound({ round: message.round, card: message.card, deadline: message.deadline });
+          setAnswered(false);
+          setRoundMessage('');
+          break;
+        case 'guess-result':
+          setAnswered(true);
+          setHand(message.currentCards);
+          setRoundMessage(message.isCorrect
+            ? `Correct! The bad luck index was ${message.badLuckIndex}.`
+            : message.timedOut
+              ? `Time's up! The bad luck index was ${message.badLuckIndex}.`
+              : `Wrong placement. The bad luck index was ${message.badLuckIndex}.`);
+          break;
+        case 'progress':
+          setStandings(message.players);
+          break;
+        case 'round-end':
+          setStandings(message.players);
+          setRound(null);
+          break;
+        case 'match-end':
+          setMatchResult({ winners: message.winners, players: message.players });
+          setRound(null);
+          setLobby(null);
+          break;
+        case 'error':
+          setError(message.error);
+          break;
+        default:
+          console.warn('Unknown multiplayer message:', message);
+      }
+    };
+
+    return () => socket.close();
+  }, [loggedIn]);
+
+  // Countdown to the shared deadline, corrected for the difference between our clock and the server's
+  useEffect(() => {
+    if (!round || answered) return;
+    const tick = () => setTimeLeft(Math.max(0, Math.ceil((round.deadline - (Date.now() + clockOffset)) / 1000)));
+    tick();
+    const interval = setInterval(tick, 250);
+    return () => clearInterval(interval);
+  }, [round, answered, clockOffset]);
+
+  const sendMessage = (message) => {
+    setError('');
+    socketRef.current?.send(JSON.stringify(message));
+  };
+
+  const handleCreateLobby = () => {
+    sendMessage({
+      type: 'create-lobby',
+      theme: selectedTheme || undefined,
+      ruleSetId: selectedRuleSetId ? Number(selectedRuleSetId) : undefined
+    });
+  };
+
+  const handleGuess = (placementIndex) => {
+    sendMessage({ type: 'guess', cardId: round.card.id, placementIndex });
+  };
+
+  if (loadingUser || !connected) {
+    return (
+      <Container className="text-center mt-5">
+        {error ? <Alert variant="warning">{error}</Alert> : <h2>Connecting...</h2>}
+      </Container>
+    );
+  }
+
+  if (matchResult) {
+    const iWon = matchResult.winners.some(w => w.id === me?.id);
+    return (
+      <Container className="text-center mt-5">
+        <h2>{iWon ? 'You won the match!' : 'Match over'}</h2>
+        <p className="lead">
+          {matchResult.winners.length > 0
+            ? `Winner${matchResult.winners.length > 1 ? 's' : ''}: ${matchResult.winners.map(w => w.username).join(', ')}`
+            : 'Nobody reached the target.'}
+        </p>
+        <StandingsTable players={matchResult.players} me={me} />
+        <Button variant="primary" onClick={() => setMatchResult(null)}>Back to Lobbies</Button>
+      </Container>
+    );
+  }
+
+  // Live match
+  if (lobby && lobby.status === 'playing') {
+    const rules = lobby.rules;
+    const myStanding = standings.find(p => p.id === me?.id);
+    return (
+      <Container className="text-center mt-3">
+        <h2>Round {round?.round ?? '-'}</h2>
+        <p className="text-muted">
+          First to {rules.hand_size + rules.cards_to_win} cards wins; {rules.rounds_to_lose} wrong placement(s) and you are out.
+        </p>
+        {error && <Alert variant="danger">{error}</Alert>}
+
+        {round && !answered && (
+          <ProgressBar now={(timeLeft / rules.round_time_limit) * 100} label={`${timeLeft}s`} className="my-3" />
+        )}
+        {roundMessage && <Alert variant="info">{roundMessage}</Alert>}
+        {myStanding?.eliminated && <Alert variant="secondary">You are out of this match. You can keep watching.</Alert>}
+        {!round && !myStanding?.eliminated && <p>Get ready for the next card...</p>}
+
+        <StandingsTable players={standings} me={me} />
+
+        <h3>Your Cards:</h3>
+        <Row className="justify-content-center mb-4">
+          {hand.map(card => (
+            <Col key={card.id} xs="auto">
+              <CardDisplay card={card} showIndex={true} />
+            </Col>
+          ))}
+        </Row>
+
+        {round && (
+          <Row className="justify-content-center my-4">
+            <Col xs={12}>
+              <h4>Place this card:</h4>
+              <CardDisplay card={round.card} showIndex={false} />
+            </Col>
+          </Row>
+        )}
+
+        {round && !answered && !myStanding?.eliminated && (
+          <Row className="justify-content-center my-3">
+            <Col xs={12} className="text-center">
+              {Array.from({ length: hand.length + 1 }, (_, i) => (
+                <Button key={i} variant="outline-dark" size="sm" onClick={() => handleGuess(i)} className="mx-1">
+                  Place Here
+                </Button>
+              ))}
+            </Col>
+          </Row>
+        )}
+
+        <Button variant="outline-danger" className="mt-3" onClick={() => sendMessage({ type: 'leave-lobby' })}>
+          Forfeit Match
+        </Button>
+      </Container>
+    );
+  }
+
+  // Waiting room
+  if (lobby) {
+    const isHost = lobby.hostId === me?.id;
+    return (
+      <Container className="mt-5">
+        <h2>Lobby #{lobby.id}</h2>
+        <p className="text-muted">{lobby.theme} deck, {lobby.rules.name} rules</p>
+        {error && <Alert variant="danger">{error}</Alert>}
+        <ListGroup className="mb-3">
+          {lobby.players.map(p => (
+            <ListGroup.Item key={p.id}>
+              {p.username} {p.id === lobby.hostId && <Badge bg="primary">Host</Badge>}
+            </ListGroup.Item>
+          ))}
+        </ListGroup>
+        {isHost ? (
+          <Button variant="success" className="me-2" onClick={() => sendMessage({ type: 'start-match' })}
+            disabled={lobby.players.length < playerLimits.min || lobby.status !== 'waiting'}>
+            {lobby.players.length < playerLimits.min ? 'Waiting for players...' : 'Start Match'}
+          </Button>
+        ) : (
+          <span className="me-2">Waiting for the host to start the match...</span>
+        )}
+        <Button variant="outline-secondary" onClick={() => sendMessage({ type: 'leave-lobby' })}>Leave</Button>
+      </Container>
+    );
+  }
+
+  // Lobby list
+  return (
+    <Container className="mt-5">
+      <h2>Multiplayer</h2>
+      <p className="lead">Play against {playerLimits.min - 1} to {playerLimits.max - 1} other players: everyone gets the same card each round.</p>
+      {error && <Alert variant="danger">{error}</Alert>}
+
+      <Row className="mb-4">
+        <Col md={5}>
+          <Form.Select value={selectedTheme} onChange={(e) => setSelectedTheme(e.target.value)} aria-label="Deck">
+            <option value="">Default deck</option>
+            {themes.map(theme => <option key={theme.name} value={theme.name}>{theme.name}</option>)}
+          </Form.Select>
+        </Col>
+        <Col md={4}>
+          <Form.Select value={selectedRuleSetId} onChange={(e) => setSelectedRuleSetId(e.target.value)} aria-label="Rules">
+            <option value="">Default rules</option>
+            {ruleSets.map(rs => <option key={rs.id} value={rs.id}>{rs.name}</option>)}
+          </Form.Select>
+        </Col>
+        <Col md={3}>
+          <Button variant="success" className="w-100" onClick={handleCreateLobby}>Create Lobby</Button>
+        </Col>
+      </Row>
+
+      {lobbies.length === 0 ? (
+        <p>No open lobbies. Create one and invite your friends!</p>
+      ) : (
+        <ListGroup>
+          {lobbies.map(l => (
+            <ListGroup.Item key={l.id} className="d-flex justify-content-between align-items-center">
+              <span>
+                Lobby #{l.id} - {l.theme}, {l.rules.name} rules - {l.players.map(p => p.username).join(', ')} ({l.players.length}/{playerLimits.max})
+              </span>
+              <Button size="sm" onClick={() => sendMessage({ type: 'join-lobby', lobbyId: l.id })} disabled={l.players.length >= playerLimits.max}>
+                Join
+              </Button>
+            </ListGroup.Item>
+          ))}
+        </ListGroup>
+      )}
+    </Container>
+  );
+}
+
+export default MultiplayerPage;
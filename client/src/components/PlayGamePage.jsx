@@ -1,17 +1,26 @@
 // client/src/components/PlayGamePage.jsx
 import React, { useState, useEffect, useContext, useRef } from 'react';
-import { useLocation, useNavigate } from 'react-router-dom';
+import { useLocation, useNavigate, useParams } from 'react-router-dom';
 import { AuthContext } from '../contexts/AuthContext';
 import API from '../API';
 import CardDisplay from './CardDisplay';
 import GameEndSummary from './GameEndSummary';
 import { Container, Row, Col, Button, Alert, ProgressBar, Card } from 'react-bootstrap';
-import dayjs from 'dayjs'; // For date/time manipulation (needed for 30s timer visualization)
+import dayjs from 'dayjs'; // For date/time manipulation (needed for timer visualization)
+
+// Breakdown of the points scored for a correct placement, e.g. "+130 points (90 for speed, +20 streak, +20 narrow gap)."
+function describePoints({ total, timePoints, streakBonus, gapBonus }) {
+  const parts = [`${timePoints} for speed`];
+  if (streakBonus > 0) parts.push(`+${streakBonus} streak`);
+  if (gapBonus > 0) parts.push(`+${gapBonus} narrow gap`);
+  return `+${total} points (${parts.join(', ')}).`;
+}
 
 // Component for the game playing interface
 function PlayGamePage() {
   const location = useLocation(); // To get state passed from HomePage
   const navigate = useNavigate(); // To navigate back to home/history
+  const { gameId: routeGameId } = useParams(); // Set when visiting /play/:gameId
   const { loggedIn, loadingUser } = useContext(AuthContext);
 
   // Game State
@@ -24,11 +33,15 @@ function PlayGamePage() {
   const [roundNumber, setRoundNumber] = useState(1); // Current round number (starts at 1)
   const [wonCardsCount, setWonCardsCount] = useState(0); // Tracks cards won in current game
   const [lostRoundsCount, setLostRoundsCount] = useState(0); // Tracks rounds lost in current game
+  const [score, setScore] = useState(0); // Points scored so far, computed by the server (full games only)
+  const [rules, setRules] = useState(null); // Rule set chosen at game start (hand size, thresholds, timer)
+  const [difficulty, setDifficulty] = useState(null); // How round cards are picked (full games only)
   const [loading, setLoading] = useState(true); // Initial loading state
   const [error, setError] = useState(''); // General error messages
 
   // Timer State
-  const [timeLeft, setTimeLeft] = useState(30); // 30 seconds for each round
+  const [timeLeft, setTimeLeft] = useState(0); // Seconds left in the current round
+  const [timeLimit, setTimeLimit] = useState(0); // Round length, as set by the game's rule set
   const [timerActive, setTimerActive] = useState(false);
   const timerRef = useRef(null); // Ref to store the timer interval ID
 
@@ -47,10 +60,42 @@ function PlayGamePage() {
     const { gameData, isDemo: demoFlag } = location.state || {};
 
     if (!gameData || !gameData.initialCards) {
-      // If no game data, probably a direct URL access or refresh, redirect to home
-      setError('No game data found. Please start a new game from the home page.');
-      setLoading(false);
-      // navigate('/'); // Could redirect immediately if preferred
+      // No navigation state: a direct URL access or refresh, so restore the game from the server
+      if (loadingUser) return; // Wait until we know who is logged in
+
+      const restoreGame = async () => {
+        try {
+          const state = routeGameId ? await API.getGameState(routeGameId) : await API.getCurrentGame();
+          setGameId(state.gameId);
+          setIsDemo(false);
+          setRules(state.rules);
+          setDifficulty(state.difficulty);
+          setTimeLimit(state.rules.round_time_limit);
+          setPlayerCards(state.playerCards);
+          setRoundNumber(state.roundNumber);
+          setWonCardsCount(state.playerCards.length);
+          setLostRoundsCount(state.cardsLostCount);
+          setScore(state.score);
+
+          if (state.gameOutcome) {
+            setGameOutcome(state.gameOutcome);
+          } else if (state.pendingCard) {
+            // A card was already dealt: resume its round with the time the server has left
+            setCurrentRoundCard(state.pendingCard);
+            setTimeLimit(state.pendingCard.timeLimit);
+            setTimeLeft(state.pendingCard.secondsLeft);
+            setTimerActive(true);
+          } else if (state.roundNumber > 0) {
+            setRoundOutcomeMessage('Welcome back! Your game has been restored.');
+          }
+        } catch (err) {
+          console.error('Error restoring game:', err);
+          setError(err.error || 'Failed to restore game.'); // NO_GAME_IN_PROGRESS asks to start a new game
+        } finally {
+          setLoading(false);
+        }
+      };
+      restoreGame();
       return;
     }
 
@@ -59,15 +104,18 @@ function PlayGamePage() {
     setCurrentRoundCard(demoFlag ? gameData.newCard : null); // For demo, initial newCard is provided immediately
     setGameId(gameData.gameId || null);
     setIsDemo(demoFlag);
-    setWonCardsCount(gameData.initialCards.length); // Start with 3 cards won
+    setRules(gameData.rules);
+    setDifficulty(gameData.difficulty ?? null);
+    setTimeLimit(gameData.rules.round_time_limit);
+    setWonCardsCount(gameData.initialCards.length); // Start with the initial hand
 
     // Start timer for demo game immediately if newCard is provided
     if (demoFlag && gameData.newCard) {
         setTimerActive(true);
-        setTimeLeft(30);
+        setTimeLeft(gameData.rules.round_time_limit);
     }
     setLoading(false); // Initial loading complete
-  }, [location.state, loggedIn, loadingUser, navigate]);
+  }, [location.state, loggedIn, loadingUser, navigate, routeGameId]);
 
 
   // --- Round Timer Effect ---
@@ -103,15 +151,22 @@ function PlayGamePage() {
         // For demo game, send initialCards to server for evaluation
         result = await API.submitDemoGuess(playerCards, currentRoundCard.id, index);
       } else {
-        // For full game, server manages state
-        result = await API.submitGuess(gameId, currentRoundCard.id, playerCards, index, roundNumber);
+        // For full game, server manages state and rebuilds the hand itself
+        result = await API.submitGuess(gameId, currentRoundCard.id, index);
       }
 
-      setRoundOutcomeMessage(
-        result.isCorrect
-          ? `Correct! The bad luck index was ${result.badLuckIndex}.`
-          : `Incorrect. The bad luck index was ${result.badLuckIndex}.`
-      );
+      if (result.timedOut) {
+        setRoundOutcomeMessage('Time ran out before your guess reached the server! You did not get the card.');
+      } else {
+        setRoundOutcomeMessage(
+          result.isCorrect
+            ? `Correct! The bad luck index was ${result.badLuckIndex}.${result.points ? ` ${describePoints(result.points)}` : ''}`
+            : `Incorrect. The bad luck index was ${result.badLuckIndex}.`
+        );
+      }
+      if (result.score !== undefined) {
+        setScore(result.score);
+      }
 
       if (result.isCorrect) {
         // Add the won card to player's hand and re-sort
@@ -119,13 +174,13 @@ function PlayGamePage() {
         setPlayerCards(newCards);
         setWonCardsCount(prev => prev + 1);
 
-        if (newCards.length >= 6 && !isDemo) { // Win condition for full game (3 initial + 3 won)
+        if (newCards.length >= rules.hand_size + rules.cards_to_win && !isDemo) { // Win condition for full game
           setGameOutcome('Won');
         }
       } else {
         // Card is lost/discarded for the round
         setLostRoundsCount(prev => prev + 1);
-        if (lostRoundsCount + 1 >= 3 && !isDemo) { // Lose condition for full game
+        if (lostRoundsCount + 1 >= rules.rounds_to_lose && !isDemo) { // Lose condition for full game
           setGameOutcome('Lost');
         }
       }
@@ -156,7 +211,7 @@ function PlayGamePage() {
     // If not a demo game, inform the server that the round was lost
     if (!isDemo) {
       try {
-        const result = await API.loseRound(gameId, currentRoundCard.id, roundNumber);
+        const result = await API.loseRound(gameId, currentRoundCard.id);
         if (result.gameOutcome === 'Lost') {
             setGameOutcome('Lost');
         }
@@ -166,13 +221,13 @@ function PlayGamePage() {
       }
     } else {
          // For demo, just check client-side
-        if (lostRoundsCount + 1 >= 3) { // Although demo is 1 round, keeping consistent logic
+        if (lostRoundsCount + 1 >= rules.rounds_to_lose) { // Although demo is 1 round, keeping consistent logic
             setGameOutcome('Lost');
         }
     }
     // Move to next round
     // setCurrentRoundCard(null); // Clear the current card to prompt next round
-    // setTimeLeft(30);
+    // setTimeLeft(timeLimit);
     // setProposedPlacementIndex(null);
   };
 
@@ -195,19 +250,19 @@ function PlayGamePage() {
     try {
       const nextCard = await API.getNextRoundCard(gameId); // Get next card from server
       setCurrentRoundCard(nextCard);
-      setRoundNumber(prev => prev + 1); // Increment round number
-      setTimeLeft(30); // Reset timer
+      setRoundNumber(nextCard.round); // The server keeps count of the rounds
+      setTimeLimit(nextCard.timeLimit);
+      setTimeLeft(nextCard.secondsLeft); // The server started the clock when it dealt the card
       setTimerActive(true); // Start timer for new round
     } catch (err) {
       console.error('Error getting next round card:', err);
-      if (err.error === 'No more unique cards available for this game.') {
-          // This means player won all possible cards or server exhausted them
-          // Or the game should have ended by now but didn't, implies a bug
-          setError('Game cannot continue: No more unique cards available. This game should have ended, please check game state.');
-          setGameOutcome('Lost'); // Consider this a forced loss if no more cards
-          // Forcing game end here, as it implies an unexpected state
-          const currentCardsCount = playerCards.length;
-          await API.endGame(gameId, 'Lost', currentCardsCount);
+      if (err.code === 'NO_CARDS_LEFT') {
+          // The deck ran out before the game was decided: the server ended it as lost
+          setError(err.error);
+          setGameOutcome(err.gameOutcome);
+      } else if (err.gameOutcome) {
+          // A previous round timed out on the server and ended the game
+          setGameOutcome(err.gameOutcome);
       } else {
           setError(err.error || 'Failed to start next round.');
           // Allow user to try again or go home
@@ -266,7 +321,7 @@ function PlayGamePage() {
   if (gameOutcome) {
       return (
           <Container className="text-center mt-5">
-              <GameEndSummary wonCards={playerCards} outcome={gameOutcome} />
+              <GameEndSummary wonCards={playerCards} outcome={gameOutcome} score={isDemo ? null : score} />
               <Button variant="primary" onClick={() => navigate('/')} className="mt-4">
                   Start New Game
               </Button>
@@ -280,11 +335,16 @@ function PlayGamePage() {
   return (
     <Container className="text-center mt-3">
       <h2>
-        {isDemo ? 'Demo Game' : `Round ${roundNumber} - Cards Won: ${wonCardsCount} / Rounds Lost: ${lostRoundsCount}`}
+        {isDemo ? 'Demo Game' : `Round ${roundNumber} - Cards Won: ${wonCardsCount} / Rounds Lost: ${lostRoundsCount} / Score: ${score}`}
       </h2>
+      {!isDemo && rules && (
+        <p className="text-muted">
+          {rules.name} rules{difficulty && `, ${difficulty} difficulty`}: reach {rules.hand_size + rules.cards_to_win} cards before losing {rules.rounds_to_lose} round(s).
+        </p>
+      )}
 
       {currentRoundCard && !gameOutcome && ( // Show timer if a card is being guessed and game is not over
-      <ProgressBar now={(timeLeft / 30) * 100} label={`${timeLeft}s`} variant="primary" className="my-3" />
+      <ProgressBar now={(timeLeft / timeLimit) * 100} label={`${timeLeft}s`} variant="primary" className="my-3" />
       )}
 
       {roundOutcomeMessage && <Alert variant="info" className="my-3">{roundOutcomeMessage}</Alert>}
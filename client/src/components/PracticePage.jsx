@@ -0,0 +1,182 @@
+// client/src/components/PracticePage.jsx
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Container, Row, Col, Button, Alert, Badge, Form } from 'react-bootstrap';
+import API from '../API';
+import CardDisplay from './CardDisplay';
+
+// The hand as it was when the card was placed, with markers on the slot chosen and the slot the card belonged to
+function PracticeHand({ hand, placementIndex, correctIndex }) {
+  const columns = hand.map(card => (
+    <Col key={card.id} xs="auto">
+      <CardDisplay card={card} showIndex={true} />
+    </Col>
+  ));
+  // Insert from the right so the first insertion does not shift the second slot
+  const markers = [{ index: correctIndex, marker: <Badge bg="success" className="fs-6">Belongs here</Badge> }];
+  if (placementIndex !== correctIndex) {
+    markers.push({ index: placementIndex, marker: <Badge bg="danger" className="fs-6">You placed it here</Badge> });
+  }
+  markers.sort((a, b) => b.index - a.index).forEach(({ index, marker }) => {
+    columns.splice(index, 0, (
+      <Col key={`marker-${index}`} xs="auto" className="d-flex align-items-center">{marker}</Col>
+    ));
+  });
+  return <Row className="justify-content-center mb-3">{columns}</Row>;
+}
+
+// Explains where the card belonged, using the bad luck indexes of the cards around the right slot
+function explainPlacement({ isCorrect, badLuckIndex, lowerCard, higherCard }) {
+  const start = isCorrect ? `Correct! Its bad luck index is ${badLuckIndex}` : `Not quite: its bad luck index is ${badLuckIndex}`;
+  if (lowerCard && higherCard) {
+    return `${start}, between "${lowerCard.name}" (${lowerCard.bad_luck_index}) and "${higherCard.name}" (${higherCard.bad_luck_index}).`;
+  }
+  if (lowerCard) {
+    return `${start}, higher than every card in your hand; the highest was "${lowerCard.name}" (${lowerCard.bad_luck_index}).`;
+  }
+  return `${start}, lower than every card in your hand; the lowest was "${higherCard.name}" (${higherCard.bad_luck_index}).`;
+}
+
+// Untimed practice with unlimited rounds, for guests and users; nothing is recorded
+function PracticePage() {
+  const navigate = useNavigate();
+  const [themes, setThemes] = useState([]);
+  const [selectedTheme, setSelectedTheme] = useState('');
+  const [practice, setPractice] = useState(null); // { theme, hand, round, correct, wrong }
+  const [card, setCard] = useState(null); // The card to place this round
+  const [newHand, setNewHand] = useState(false); // A fresh hand was dealt for this round
+  const [result, setResult] = useState(null); // Outcome of the last guess, with the hand it was placed into
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    API.getThemes().then(setThemes).catch(err => console.error("Failed to load themes:", err));
+  }, []);
+
+  const dealNextCard = async () => {
+    setError('');
+    try {
+      const round = await API.getPracticeRound();
+      const { card: dealtCard, newHand: handReplaced, ...summary } = round;
+      setPractice(summary);
+      setCard(dealtCard);
+      setNewHand(handReplaced);
+      setResult(null);
+    } catch (err) {
+      console.error("Failed to deal practice card:", err);
+      setError(err.error || 'Failed to deal the next card.');
+    }
+  };
+
+  const handleStart = async () => {
+    setError('');
+    try {
+      await API.startPractice(selectedTheme || undefined);
+      await dealNextCard();
+    } catch (err) {
+      console.error("Failed to start practice:", err);
+      setError(err.error || 'Failed to start practice.');
+    }
+  };
+
+  const handleGuess = async (placementIndex) => {
+    setError('');
+    try {
+      const handBefore = practice.hand;
+      const { hand, round, correct, wrong, theme, ...outcome } = await API.submitPracticeGuess(card.id, placementIndex);
+      setResult({ ...outcome, handBefore });
+      setPractice({ hand, round, correct, wrong, theme });
+      setCard(null);
+    } catch (err) {
+      console.error("Failed to submit practice guess:", err);
+      setError(err.error || 'Failed to submit your guess.');
+    }
+  };
+
+  if (!practice) {
+    return (
+      <Container className="mt-5">
+        <h2>Practice</h2>
+        <p className="lead">
+          Place as many cards as you like, with no timer. After each card you see where it belonged.
+          Practice rounds are never recorded in your history or the leaderboards.
+        </p>
+        {error && <Alert variant="danger">{error}</Alert>}
+        <Row className="mb-4">
+          <Col md={8}>
+            <Form.Select value={selectedTheme} onChange={(e) => setSelectedTheme(e.target.value)} aria-label="Deck">
+              <option value="">Default deck</option>
+              {themes.map(theme => <option key={theme.name} value={theme.name}>{theme.name}</option>)}
+            </Form.Select>
+          </Col>
+          <Col md={4}>
+            <Button variant="success" className="w-100" onClick={handleStart}>Start Practice</Button>
+          </Col>
+        </Row>
+      </Container>
+    );
+  }
+
+  return (
+    <Container className="text-center mt-3">
+      <h2>Practice - Round {practice.round}</h2>
+      <p className="text-muted">
+        {practice.theme} deck - {practice.correct} correct, {practice.wrong} wrong. No timer, nothing is recorded.
+      </p>
+      {error && <Alert variant="danger">{error}</Alert>}
+
+      {result ? (
+        <>
+          <Alert variant={result.isCorrect ? 'success' : 'warning'}>{explainPlacement(result)}</Alert>
+          <Row className="justify-content-center">
+            <Col xs="auto">
+              <CardDisplay card={result.card} showIndex={true} />
+            </Col>
+          </Row>
+          <h5 className="mt-3">Your hand when you placed it</h5>
+          <PracticeHand hand={result.handBefore} placementIndex={result.placementIndex} correctIndex={result.correctIndex} />
+          <Button variant="primary" className="m-2" onClick={dealNextCard}>Next Card</Button>
+        </>
+      ) : (
+        <>
+          {newHand && <Alert variant="info">Your hand was full or the deck ran out, so a fresh hand was dealt.</Alert>}
+          <h3>Your Cards (Sorted by Bad Luck Index):</h3>
+          <Row className="justify-content-center mb-4">
+            {practice.hand.map(c => (
+              <Col key={c.id} xs="auto">
+                <CardDisplay card={c} showIndex={true} />
+              </Col>
+            ))}
+          </Row>
+          {card && (
+            <>
+              <Row className="justify-content-center my-4">
+                <Col xs={12}>
+                  <h4>Place this card:</h4>
+                  <CardDisplay card={card} showIndex={false} />
+                </Col>
+              </Row>
+              <Row className="justify-content-center my-3">
+                <Col xs={12} className="text-center">
+                  {Array.from({ length: practice.hand.length + 1 }, (_, i) => (
+                    <Button key={i} variant="outline-dark" size="sm" onClick={() => handleGuess(i)} className="mx-1">
+                      Place Here
+                    </Button>
+                  ))}
+                </Col>
+              </Row>
+            </>
+          )}
+        </>
+      )}
+
+      <div className="mt-3">
+        <Button variant="outline-secondary" className="m-2" onClick={() => { setPractice(null); setResult(null); setCard(null); }}>
+          Change Deck
+        </Button>
+        <Button variant="secondary" className="m-2" onClick={() => navigate('/')}>Back to Home</Button>
+      </div>
+    </Container>
+  );
+}
+
+export default PracticePage;
@@ -0,0 +1,93 @@
+// client/src/components/RegisterPage.jsx
+import React, { useState, useContext } from 'react';
+import { Form, Button, Alert, Row, Col } from 'react-bootstrap';
+import { AuthContext } from '../contexts/AuthContext';
+import { Link } from 'react-router-dom';
+
+function RegisterPage() {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+
+  const { doRegister } = useContext(AuthContext);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError('');
+
+    // Basic client-side validation, the server checks the same rules
+    if (!/^[A-Za-z0-9_]{3,30}$/.test(username)) {
+      setError('Username must be 3 to 30 letters, digits or underscores.');
+      return;
+    }
+    if (password.length < 8) {
+      setError('Password must be at least 8 characters.');
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError('Passwords do not match.');
+      return;
+    }
+
+    try {
+      await doRegister({ username, password });
+    } catch (err) {
+      setError(err.error || 'Registration failed. Please try again.');
+    }
+  };
+
+  return (
+    <Row className="justify-content-center mt-5">
+      <Col md={6} lg={4}>
+        <h2 className="text-center mb-4">Create an Account</h2>
+        {error && <Alert variant="danger">{error}</Alert>}
+        <Form onSubmit={handleSubmit}>
+          <Form.Group className="mb-3" controlId="formRegisterUsername">
+            <Form.Label>Username</Form.Label>
+            <Form.Control
+              type="text"
+              placeholder="Choose a username"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              required
+            />
+          </Form.Group>
+
+          <Form.Group className="mb-3" controlId="formRegisterPassword">
+            <Form.Label>Password</Form.Label>
+            <Form.Control
+              type="password"
+              placeholder="At least 8 characters"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+            />
+          </Form.Group>
+
+          <Form.Group className="mb-3" controlId="formRegisterConfirmPassword">
+            <Form.Label>Confirm Password</Form.Label>
+            <Form.Control
+              type="password"
+              placeholder="Repeat the password"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              required
+            />
+          </Form.Group>
+
+          <div className="d-grid gap-2 mt-4">
+            <Button variant="primary" type="submit">
+              Register
+            </Button>
+            <Link to="/login" className="btn btn-outline-primary mt-2">
+              Already have an account? Login
+            </Link>
+          </div>
+        </Form>
+      </Col>
+    </Row>
+  );
+}
+
+export default RegisterPage;
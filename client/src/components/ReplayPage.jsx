@@ -0,0 +1,163 @@
+// client/src/components/ReplayPage.jsx
+import React, { useState, useEffect, useContext } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { Container, Row, Col, Button, ButtonGroup, Alert, Badge, ProgressBar } from 'react-bootstrap';
+import dayjs from 'dayjs';
+import { AuthContext } from '../contexts/AuthContext';
+import API from '../API';
+import CardDisplay from './CardDisplay';
+
+const REPLAY_STEP_MS = 2500; // Time each event stays on screen while playing
+
+// How the result of each round is announced
+const ROUND_RESULTS = {
+  won: { variant: 'success', text: 'Placed correctly, the card was won.' },
+  lost: { variant: 'danger', text: 'Wrong placement, the card was lost.' },
+  discarded: { variant: 'warning', text: 'Time ran out, the card was discarded.' }
+};
+
+// A hand of cards; when placementIndex is given, a marker shows where the new card was put
+function ReplayHand({ hand, placementIndex = null }) {
+  const marker = (
+    <Col key="marker" xs="auto" className="d-flex align-items-center">
+      <Badge bg="dark" className="fs-6">Placed here</Badge>
+    </Col>
+  );
+  const columns = hand.map(card => (
+    <Col key={card.id} xs="auto">
+      <CardDisplay card={card} showIndex={true} />
+    </Col>
+  ));
+  if (placementIndex !== null) {
+    columns.splice(placementIndex, 0, marker);
+  }
+  return <Row className="justify-content-center mb-3">{columns}</Row>;
+}
+
+// Steps through a finished game round by round, with play/pause controls
+function ReplayPage() {
+  const navigate = useNavigate();
+  const { gameId } = useParams();
+  const { loggedIn, loadingUser } = useContext(AuthContext);
+
+  const [replay, setReplay] = useState(null); // { gameId, theme, rules, challengeDate, events }
+  const [step, setStep] = useState(0); // Index of the event on screen
+  const [playing, setPlaying] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!loadingUser && !loggedIn) {
+      navigate('/login');
+    }
+  }, [loggedIn, loadingUser, navigate]);
+
+  useEffect(() => {
+    if (!loggedIn) return;
+    API.getGameReplay(gameId)
+      .then(data => {
+        setReplay(data);
+        setStep(0);
+      })
+      .catch(err => {
+        console.error('Error loading replay:', err);
+        setError(err.error || 'Failed to load replay.');
+      });
+  }, [gameId, loggedIn]);
+
+  // Advance automatically while playing, and stop on the last event
+  useEffect(() => {
+    if (!playing || !replay) return;
+    if (step >= replay.events.length - 1) {
+      setPlaying(false);
+      return;
+    }
+    const timeout = setTimeout(() => setStep(s => s + 1), REPLAY_STEP_MS);
+    return () => clearTimeout(timeout);
+  }, [playing, step, replay]);
+
+  if (error) {
+    return (
+      <Container className="text-center mt-5">
+        <Alert variant="danger">{error}</Alert>
+        <Button variant="primary" onClick={() => navigate('/history')}>Back to History</Button>
+      </Container>
+    );
+  }
+
+  if (!replay) {
+    return (
+      <Container className="text-center mt-5">
+        <h2>Loading replay...</h2>
+      </Container>
+    );
+  }
+
+  const lastStep = replay.events.length - 1;
+  const event = replay.events[step];
+
+  const handlePlayPause = () => {
+    if (!playing && step >= lastStep) setStep(0); // Playing a finished replay starts it over
+    setPlaying(!playing);
+  };
+
+  return (
+    <Container className="text-center mt-3">
+      <h2>Replay of game #{replay.gameId}</h2>
+      <p className="text-muted">
+        {replay.theme} deck, {replay.rules.name} rules, {replay.difficulty} difficulty
+        {replay.challengeDate && ` - daily challenge of ${replay.challengeDate}`}
+      </p>
+
+      <ProgressBar now={lastStep > 0 ? (step / lastStep) * 100 : 100} className="my-3" />
+      <ButtonGroup className="mb-4">
+        <Button variant="outline-secondary" onClick={() => { setPlaying(false); setStep(0); }} disabled={step === 0}>Restart</Button>
+        <Button variant="outline-secondary" onClick={() => { setPlaying(false); setStep(step - 1); }} disabled={step === 0}>Previous</Button>
+        <Button variant="primary" onClick={handlePlayPause}>{playing ? 'Pause' : 'Play'}</Button>
+        <Button variant="outline-secondary" onClick={() => { setPlaying(false); setStep(step + 1); }} disabled={step === lastStep}>Next</Button>
+      </ButtonGroup>
+
+      {event.type === 'deal' && (
+        <>
+          <h3>Initial hand</h3>
+          <p className="text-muted">Dealt {dayjs(event.time).format('YYYY-MM-DD HH:mm:ss')}</p>
+          <ReplayHand hand={event.hand} />
+        </>
+      )}
+
+      {event.type === 'round' && (
+        <>
+          <h3>Round {event.round}</h3>
+          <Row className="justify-content-center">
+            <Col xs="auto">
+              <h5>Card dealt</h5>
+              <CardDisplay card={event.card} showIndex={true} />
+            </Col>
+          </Row>
+          <Alert variant={ROUND_RESULTS[event.result]?.variant ?? 'secondary'} className="my-3">
+            {ROUND_RESULTS[event.result]?.text ?? event.result}
+            {event.dealTime && event.guessTime && ` (${dayjs(event.guessTime).diff(dayjs(event.dealTime), 'second')}s)`}
+            {event.result === 'lost' && event.placementIndex !== null && event.placementIndex !== event.correctIndex &&
+              ` It belonged at position ${event.correctIndex + 1}.`}
+            {event.points > 0 && ` +${event.points} points.`}
+          </Alert>
+          <h5>Hand at the time</h5>
+          <ReplayHand hand={event.hand} placementIndex={event.placementIndex} />
+        </>
+      )}
+
+      {event.type === 'end' && (
+        <>
+          <h3>Game over: {event.outcome}</h3>
+          <p className="text-muted">
+            {event.cardsCollected} cards collected, {event.score} points, ended {dayjs(event.time).format('YYYY-MM-DD HH:mm:ss')}
+          </p>
+          <ReplayHand hand={event.hand} />
+        </>
+      )}
+
+      <Button variant="secondary" className="mt-3" onClick={() => navigate('/history')}>Back to History</Button>
+    </Container>
+  );
+}
+
+export default ReplayPage;
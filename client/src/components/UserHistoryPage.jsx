@@ -1,4 +1,143 @@
 // client/src/components/UserHistoryPage.jsx
-import React from 'react';
-function UserHistoryPage() { return (<h1>Your Game History</h1>); }
-export default UserHistoryPage;
\ No newline at end of file
+import React, { useState, useEffect, useContext } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Container, Alert, Accordion, Badge, ListGroup, Pagination, Button } from 'react-bootstrap';
+import dayjs from 'dayjs';
+import { AuthContext } from '../contexts/AuthContext';
+import API from '../API';
+
+const PAGE_SIZE = 10; // Games shown per page
+
+// How each game_cards status is shown in the round timeline
+const STATUS_BADGES = {
+  initial: { bg: 'secondary', label: 'Initial card' },
+  won: { bg: 'success', label: 'Won' },
+  lost: { bg: 'danger', label: 'Lost' },
+  discarded: { bg: 'warning', label: 'Timed out' }
+};
+
+// Per-round timeline for a single game: the initial hand first, then every dealt card by round
+function GameTimeline({ gameCards }) {
+  const initialCards = gameCards.filter(c => c.status === 'initial');
+  const rounds = gameCards.filter(c => c.status !== 'initial').sort((a, b) => a.round - b.round);
+
+  return (
+    <ListGroup variant="flush">
+      {initialCards.map(card => (
+        <ListGroup.Item key={card.id} className="d-flex justify-content-between align-items-center">
+          <span><strong>Start</strong> - {card.name} ({card.bad_luck_index})</span>
+          <Badge bg={STATUS_BADGES.initial.bg}>{STATUS_BADGES.initial.label}</Badge>
+        </ListGroup.Item>
+      ))}
+      {rounds.map(card => {
+        const badge = STATUS_BADGES[card.status] || { bg: 'light', label: card.status };
+        return (
+          <ListGroup.Item key={card.id} className="d-flex justify-content-between align-items-center">
+            <span>
+              <strong>Round {card.round}</strong> - {card.name} ({card.bad_luck_index})
+              {card.placement_index !== null && card.correct_index !== null && !card.is_correct_guess && (
+                <span className="text-muted ms-2">
+                  placed at position {card.placement_index + 1} of {card.hand_snapshot.length + 1}, belonged at {card.correct_index + 1}
+                  {card.placement_index < card.correct_index ? ' (rated too low)' : ' (rated too high)'}
+                </span>
+              )}
+            </span>
+            <Badge bg={badge.bg}>{badge.label}</Badge>
+          </ListGroup.Item>
+        );
+      })}
+    </ListGroup>
+  );
+}
+
+function UserHistoryPage() {
+  const navigate = useNavigate();
+  const { loggedIn, loadingUser } = useContext(AuthContext);
+
+  const [games, setGames] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalGames, setTotalGames] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // Redirect anonymous users, history is only kept for registered players
+  useEffect(() => {
+    if (!loadingUser && !loggedIn) {
+      navigate('/login');
+    }
+  }, [loggedIn, loadingUser, navigate]);
+
+  // Load the requested page of history
+  useEffect(() => {
+    if (!loggedIn) return;
+
+    const loadHistory = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const history = await API.getGameHistory(page, PAGE_SIZE);
+        setGames(history.games);
+        setTotalGames(history.totalGames);
+      } catch (err) {
+        console.error('Error loading game history:', err);
+        setError(err.error || 'Failed to load game history.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadHistory();
+  }, [loggedIn, page]);
+
+  const totalPages = Math.max(Math.ceil(totalGames / PAGE_SIZE), 1);
+
+  return (
+    <Container className="mt-4">
+      <h1>Your Game History</h1>
+
+      {error && <Alert variant="danger">{error}</Alert>}
+
+      {loading ? (
+        <p>Loading history...</p>
+      ) : games.length === 0 ? (
+        <p>You have not finished any games yet.</p>
+      ) : (
+        <Accordion alwaysOpen>
+          {games.map(game => (
+            <Accordion.Item key={game.id} eventKey={String(game.id)}>
+              <Accordion.Header>
+                <Badge bg={game.outcome === 'Won' ? 'success' : 'danger'} className="me-3">{game.outcome}</Badge>
+                <span className="me-3">{dayjs(game.start_time).format('YYYY-MM-DD HH:mm')}</span>
+                <span className="me-3">Cards collected: {game.cards_collected}</span>
+                <span className="me-3">Score: {game.score}</span>
+                {game.rule_set_name && <span className="text-muted me-3">{game.rule_set_name}</span>}
+                {game.theme && <span className="text-muted me-3">{game.theme}</span>}
+                {game.difficulty && <span className="text-muted me-3">{game.difficulty} difficulty</span>}
+                {game.challenge_date && <Badge bg="warning" text="dark">Daily challenge {game.challenge_date}</Badge>}
+              </Accordion.Header>
+              <Accordion.Body>
+                <GameTimeline gameCards={game.gameCards} />
+                <Button variant="outline-primary" size="sm" className="mt-3" onClick={() => navigate(`/history/${game.id}/replay`)}>
+                  Watch Replay
+                </Button>
+              </Accordion.Body>
+            </Accordion.Item>
+          ))}
+        </Accordion>
+      )}
+
+      {totalPages > 1 && (
+        <Pagination className="justify-content-center mt-3">
+          <Pagination.Prev disabled={page === 1} onClick={() => setPage(page - 1)} />
+          {Array.from({ length: totalPages }, (_, i) => i + 1).map(p => (
+            <Pagination.Item key={p} active={p === page} onClick={() => setPage(p)}>
+              {p}
+            </Pagination.Item>
+          ))}
+          <Pagination.Next disabled={page === totalPages} onClick={() => setPage(page + 1)} />
+        </Pagination>
+      )}
+    </Container>
+  );
+}
+
+export default UserHistoryPage;
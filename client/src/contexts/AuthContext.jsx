@@ -7,5 +7,7 @@ export const AuthContext = React.createContext({
   loggedIn: false,
   loadingUser: true,
   doLogin: async () => {},
-  doLogout: async () => {}
+  doLogout: async () => {},
+  doRegister: async () => {},
+  doDeleteAccount: async () => {}
 });
\ No newline at end of file
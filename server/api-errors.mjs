@@ -0,0 +1,54 @@
+// server/api-errors.mjs
+// Every error the API answers with. Error responses all have the same shape:
+//   { error: string, code: string, ...details }
+// `error` is a human-readable message (it may be more specific than the default below);
+// `code` is stable and is what clients should act on (see client/src/API.js).
+
+export const API_ERRORS = {
+    // Requests
+    VALIDATION_FAILED: { status: 400, message: 'Invalid request.' }, // With details: [{ in, field, code, message }]
+    INVALID_JSON: { status: 400, message: 'The request body is not valid JSON.' },
+    NOT_FOUND: { status: 404, message: 'No such API endpoint.' },
+    INTERNAL_ERROR: { status: 500, message: 'Something went wrong on the server.' },
+
+    // Accounts
+    NOT_AUTHENTICATED: { status: 401, message: 'Not authenticated' },
+    INVALID_CREDENTIALS: { status: 401, message: 'Incorrect username or password.' },
+    WRONG_PASSWORD: { status: 401, message: 'Password is incorrect.' },
+    LOGIN_THROTTLED: { status: 429, message: 'Too many failed login attempts. Please wait before trying again.' }, // With retryAfter, locked
+    ADMIN_REQUIRED: { status: 403, message: 'Administrator access required.' },
+    USERNAME_TAKEN: { status: 409, message: 'Username is already taken.' },
+    USER_NOT_FOUND: { status: 404, message: 'User not found.' },
+
+    // Games
+    RULE_SET_NOT_FOUND: { status: 404, message: 'Rule set not found.' },
+    THEME_NOT_FOUND: { status: 404, message: 'Theme not found.' },
+    GAME_NOT_FOUND: { status: 404, message: 'Game not found.' },
+    NO_GAME_IN_PROGRESS: { status: 404, message: 'No game in progress.' },
+    GAME_ENDED: { status: 409, message: 'This game has already ended.' }, // With gameOutcome when a timeout just ended it
+    GAME_NOT_FINISHED: { status: 409, message: 'Only finished games can be replayed.' },
+    CARD_NOT_DEALT: { status: 409, message: 'This card was not dealt for the current round.' },
+    NO_CARDS_LEFT: { status: 404, message: 'No more unique cards available for this game.' }, // With gameOutcome when it ended a game
+    NOT_ENOUGH_CARDS: { status: 500, message: 'Not enough cards to start a game.' },
+    CHALLENGE_ALREADY_PLAYED: { status: 409, message: "You have already played today's challenge." },
+    NO_PRACTICE_SESSION: { status: 409, message: 'No practice session in progress.' },
+
+    // Card management
+    CARD_NOT_FOUND: { status: 404, message: 'Card not found.' },
+    CARD_CONFLICT: { status: 409, message: 'Another card already uses this name or bad luck index.' },
+    NO_IMAGE: { status: 400, message: 'No image uploaded.' },
+    INVALID_IMAGE: { status: 400, message: 'The uploaded file is not a valid image.' },
+    IMAGE_TOO_LARGE: { status: 413, message: 'The image is too large.' }
+};
+
+/**
+ * Sends an error response.
+ * @param {object} res - The Express response.
+ * @param {string} code - One of API_ERRORS.
+ * @param {object} [extra] - An optional more specific `message`, and any other fields to include (e.g. details).
+ * @returns {object} The response, so handlers can `return sendError(...)`.
+ */
+export function sendError(res, code, { message, ...extra } = {}) {
+    const { status, message: defaultMessage } = API_ERRORS[code];
+    return res.status(status).json({ error: message ?? defaultMessage, code, ...extra });
+}
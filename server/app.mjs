@@ -0,0 +1,95 @@
+// server/app.mjs
+// Builds the Express application without starting it, so index.mjs can listen on a port
+// and the tests can drive the same app in-process.
+
+import express from 'express';
+import cors from 'cors';
+import session from 'express-session';
+import passport from 'passport';
+import { getDb } from './db.mjs';
+import { configurePassport } from './auth.mjs';
+import configureRoutes from './routes.mjs';
+import { UPLOAD_ROOT } from './images.mjs';
+import { SqliteSessionStore } from './session-store.mjs';
+import { sendError } from './api-errors.mjs';
+import { configureApiDocs } from './openapi.mjs';
+
+const SESSION_MAX_AGE = 1000 * 60 * 60 * 24;
+
+/**
+ * Creates the Express application with its middleware and routes.
+ * The database must have been initialized with initializeDatabase beforehand.
+ * @param {object} config - The server settings (see loadConfig).
+ * @returns {{ app: object, sessionMiddleware: Function, sessionStore: SqliteSessionStore }} The app, the session
+ * middleware (needed to authenticate WebSocket upgrades with the same session) and the store behind it.
+ */
+export function createApp(config) {
+    const app = express();
+
+    // Behind a reverse proxy, req.ip (used to throttle logins) and secure cookies rely on X-Forwarded-* headers
+    app.set('trust proxy', config.trustProxy);
+
+    // CORS Configuration
+    app.use(cors({
+        origin: config.allowedOrigins, // Allow requests from the React app
+        credentials: true // Allow cookies to be sent
+    }));
+
+    // Middleware to parse JSON bodies
+    app.use(express.json());
+
+    // Serve uploaded card images (e.g. /uploads/cards/card-12-1700000000000.png)
+    app.use('/uploads', express.static(UPLOAD_ROOT));
+
+    // Session Configuration (kept in a variable so WebSocket upgrades can read the same session)
+    // Sessions are stored in the database, so a restart does not log everyone out.
+    const sessionStore = new SqliteSessionStore(getDb);
+    const sessionMiddleware = session({
+        secret: config.sessionSecret,
+        store: sessionStore,
+        resave: false,
+        saveUninitialized: false,
+        cookie: {
+            secure: config.cookieSecure,
+            httpOnly: true,
+            sameSite: 'lax', // Add this line
+            maxAge: SESSION_MAX_AGE
+        }
+    });
+    app.use(sessionMiddleware);
+
+    // Initialize Passport
+    app.use(passport.initialize());
+    app.use(passport.session());
+
+    // Configure Passport strategies (needs to be done after session middleware)
+    configurePassport(passport, getDb); // Pass passport instance and getDb function
+
+    // Configure Routes (needs to be done after passport and session)
+    // We'll pass the getDb function to the routes so they can access the database
+    configureRoutes(app, getDb);
+
+    // The OpenAPI document and the page that browses it (/api/openapi.json, /api/docs)
+    configureApiDocs(app);
+
+    // Basic test route
+    app.get('/', (req, res) => {
+        res.send('Stuff Happens API is running!');
+    });
+
+    // Unknown API endpoints get the same JSON errors as the routes
+    app.use('/api', (req, res) => {
+        sendError(res, 'NOT_FOUND');
+    });
+
+    // Error handling middleware (optional but good practice)
+    app.use((err, req, res, next) => {
+        if (err.type === 'entity.parse.failed') {
+            return sendError(res, 'INVALID_JSON'); // Raised by express.json()
+        }
+        console.error(err.stack);
+        sendError(res, 'INTERNAL_ERROR');
+    });
+
+    return { app, sessionMiddleware, sessionStore };
+}
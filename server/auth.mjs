@@ -1,6 +1,7 @@
 import { Strategy as LocalStrategy } from 'passport-local';
 import bcrypt from 'bcrypt';
 import { getUserByUsername, getUserById } from './dao-users.mjs'; // Will create this DAO next
+import { sendError } from './api-errors.mjs';
 
 export function configurePassport(passport, getDb) {
     // Local Strategy for username/password authentication
@@ -62,5 +63,14 @@ export function isLoggedIn(req, res, next) {
         return next();
     }
     console.log('User not authenticated for route.');
-    return res.status(401).json({ error: 'Not authenticated' });
+    return sendError(res, 'NOT_AUTHENTICATED');
+}
+
+// Middleware to check if the authenticated user is an administrator. Must run after isLoggedIn.
+export function isAdmin(req, res, next) {
+    if (req.user && req.user.is_admin) {
+        return next();
+    }
+    console.log('User is not an administrator:', req.user?.username);
+    return sendError(res, 'ADMIN_REQUIRED');
 }
\ No newline at end of file
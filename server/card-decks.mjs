@@ -0,0 +1,250 @@
+// server/card-decks.mjs
+// Reading, validating and comparing deck files: the JSON or CSV lists of cards imported by deck.mjs.
+// A deck file holds { name, image, bad_luck_index } for each card, plus an optional theme.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { UPLOAD_ROOT } from './images.mjs';
+
+export const MIN_BAD_LUCK_INDEX = 1;
+export const MAX_BAD_LUCK_INDEX = 100;
+const MAX_NAME_LENGTH = 200;
+
+// Shipped images live in the client's public folder; uploaded ones under the server's upload root.
+const CLIENT_PUBLIC_DIR = '../client/public';
+const UPLOAD_URL_PREFIX = '/uploads/';
+
+export const DECK_COLUMNS = ['name', 'image', 'bad_luck_index', 'theme'];
+
+/**
+ * Tells whether the image a card points to exists on disk.
+ * @param {string} image - The image path as served, e.g. '/images/no_id.png' or '/uploads/cards/card-3.jpg'.
+ * @returns {boolean} True if the file exists.
+ */
+export function cardImageExists(image) {
+    const file = image.startsWith(UPLOAD_URL_PREFIX)
+        ? path.join(UPLOAD_ROOT, image.slice(UPLOAD_URL_PREFIX.length))
+        : path.join(CLIENT_PUBLIC_DIR, image);
+    return fs.existsSync(file);
+}
+
+/**
+ * Cleans up the cards read from a deck file, so JSON and CSV decks look the same.
+ * @param {Array<object>} rawCards - The cards as read from the file.
+ * @param {string} [defaultTheme] - Theme for the cards that do not name one.
+ * @returns {Array<object>} { name, image, bad_luck_index, theme } for each card; invalid values are kept for validateDeck to report.
+ */
+export function normalizeDeck(rawCards, defaultTheme) {
+    return rawCards.map(card => ({
+        name: typeof card.name === 'string' ? card.name.trim() : card.name,
+        image: typeof card.image === 'string' ? card.image.trim() : card.image,
+        bad_luck_index: typeof card.bad_luck_index === 'string' && card.bad_luck_index.trim() !== ''
+            ? Number(card.bad_luck_index)
+            : card.bad_luck_index,
+        theme: (typeof card.theme === 'string' && card.theme.trim() !== '') ? card.theme.trim() : defaultTheme
+    }));
+}
+
+/**
+ * Checks a deck before it is imported.
+ * @param {Array<object>} cards - The normalized cards of the deck.
+ * @param {object} [options]
+ * @param {Array<object>} [options.existingCards=[]] - The cards already in the database; the deck's indexes must not clash
+ *   with those of other cards (cards with the same name are the ones being updated).
+ * @param {function(string): boolean} [options.imageExists=cardImageExists] - Checks that an image path exists.
+ * @returns {Array<string>} One message per problem found; empty if the deck is valid.
+ */
+export function validateDeck(cards, { existingCards = [], imageExists = cardImageExists } = {}) {
+    if (!Array.isArray(cards) || cards.length === 0) {
+        return ['The deck must be a non-empty list of cards.'];
+    }
+
+    const errors = [];
+    const seenNames = new Map();
+    const seenIndexes = new Map();
+    const deckNames = new Set(cards.map(c => c.name));
+    const otherCards = existingCards.filter(c => !deckNames.has(c.name));
+
+    cards.forEach((card, i) => {
+        const label = `Card ${i + 1}${typeof card.name === 'string' && card.name ? ` ("${card.name}")` : ''}`;
+
+        if (typeof card.name !== 'string' || card.name === '' || card.name.length > MAX_NAME_LENGTH) {
+            errors.push(`${label}: name must be between 1 and ${MAX_NAME_LENGTH} characters.`);
+        } else if (seenNames.has(card.name)) {
+            errors.push(`${label}: name already used by card ${seenNames.get(card.name) + 1}.`);
+        } else {
+            seenNames.set(card.name, i);
+        }
+
+        if (typeof card.bad_luck_index !== 'number' || !Number.isFinite(card.bad_luck_index)
+            || card.bad_luck_index < MIN_BAD_LUCK_INDEX || card.bad_luck_index > MAX_BAD_LUCK_INDEX) {
+            errors.push(`${label}: bad_luck_index must be a number between ${MIN_BAD_LUCK_INDEX} and ${MAX_BAD_LUCK_INDEX}.`);
+        } else if (seenIndexes.has(card.bad_luck_index)) {
+            errors.push(`${label}: bad_luck_index ${card.bad_luck_index} already used by card ${seenIndexes.get(card.bad_luck_index) + 1}.`);
+        } else {
+            seenIndexes.set(card.bad_luck_index, i);
+            const clash = otherCards.find(c => c.bad_luck_index === card.bad_luck_index);
+            if (clash) {
+                errors.push(`${label}: bad_luck_index ${card.bad_luck_index} already used by "${clash.name}" (${clash.theme}).`);
+            }
+        }
+
+        if (typeof card.image !== 'string' || card.image === '') {
+            errors.push(`${label}: image path is required.`);
+        } else if (!imageExists(card.image)) {
+            errors.push(`${label}: image ${card.image} does not exist.`);
+        }
+    });
+
+    const withoutTheme = cards.filter(c => typeof c.theme !== 'string' || c.theme === '').length;
+    if (withoutTheme > 0) {
+        errors.push(`${withoutTheme} card(s) have no theme: set it in the file or with --theme.`);
+    }
+    return errors;
+}
+
+/**
+ * Compares a deck with the cards in the database, matching cards by name.
+ * @param {Array<object>} existingCards - The cards in the database.
+ * @param {Array<object>} cards - The normalized cards of the deck.
+ * @returns {object} { added, updated: [{ card, changes: { field: { from, to } } }], unchanged, untouched };
+ *   untouched lists the database cards of the deck's themes that the deck does not mention (import leaves them as they are).
+ */
+export function diffDeck(existingCards, cards) {
+    const existingByName = new Map(existingCards.map(c => [c.name, c]));
+    const deckNames = new Set(cards.map(c => c.name));
+    const deckThemes = new Set(cards.map(c => c.theme));
+    const diff = { added: [], updated: [], unchanged: [], untouched: [] };
+
+    for (const card of cards) {
+        const existing = existingByName.get(card.name);
+        if (!existing) {
+            diff.added.push(card);
+            continue;
+        }
+        const changes = {};
+        for (const field of ['image', 'bad_luck_index', 'theme']) {
+            if (existing[field] !== card[field]) {
+                changes[field] = { from: existing[field], to: card[field] };
+            }
+        }
+        if (Object.keys(changes).length > 0) {
+            diff.updated.push({ card, changes });
+        } else {
+            diff.unchanged.push(card);
+        }
+    }
+    diff.untouched = existingCards.filter(c => deckThemes.has(c.theme) && !deckNames.has(c.name));
+    return diff;
+}
+
+/**
+ * Describes a diff for the command line.
+ * @param {object} diff - The result of diffDeck.
+ * @returns {string} A line per change, followed by a summary.
+ */
+export function formatDiff(diff) {
+    const lines = [];
+    for (const card of diff.added) {
+        lines.push(`+ ${card.name} [${card.theme}] index ${card.bad_luck_index}, image ${card.image}`);
+    }
+    for (const { card, changes } of diff.updated) {
+        const details = Object.entries(changes).map(([field, { from, to }]) => `${field} ${from} -> ${to}`).join(', ');
+        lines.push(`~ ${card.name}: ${details}`);
+    }
+    for (const card of diff.untouched) {
+        lines.push(`  ${card.name} [${card.theme}] is not in the file and stays as it is`);
+    }
+    lines.push(`${diff.added.length} to add, ${diff.updated.length} to update, ${diff.unchanged.length} unchanged.`);
+    return lines.join('\n');
+}
+
+/**
+ * Quotes a CSV field when it contains a separator, a quote or a line break.
+ * @param {*} value - The field value.
+ * @returns {string} The CSV field.
+ */
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes cards as CSV, with a header row.
+ * @param {Array<object>} cards - The cards.
+ * @param {Array<string>} [columns=DECK_COLUMNS] - The fields to write, in order.
+ * @returns {string} The CSV text.
+ */
+export function toCsv(cards, columns = DECK_COLUMNS) {
+    const rows = [columns.join(',')];
+    for (const card of cards) {
+        rows.push(columns.map(col => csvField(card[col])).join(','));
+    }
+    return rows.join('\n') + '\n';
+}
+
+/**
+ * Reads CSV text with a header row into objects keyed by the header names.
+ * Fields may be quoted, with "" standing for a quote inside a quoted field.
+ * @param {string} text - The CSV text.
+ * @returns {Array<object>} One object per data row; blank lines are skipped.
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header, ...data] = rows.filter(r => r.some(f => f.trim() !== ''));
+    if (!header) return [];
+    const columns = header.map(h => h.trim());
+    return data.map(r => Object.fromEntries(columns.map((col, i) => [col, r[i] ?? ''])));
+}
+
+/**
+ * Reads a deck file; the format follows the extension (.csv, anything else is read as JSON).
+ * @param {string} file - Path to the deck file.
+ * @returns {Array<object>} The raw cards, to be passed to normalizeDeck.
+ * @throws {Error} If the file cannot be read or parsed.
+ */
+export function readDeckFile(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    if (path.extname(file).toLowerCase() === '.csv') {
+        return parseCsv(text);
+    }
+    const cards = JSON.parse(text);
+    if (!Array.isArray(cards)) {
+        throw new Error('A JSON deck must be an array of cards.');
+    }
+    return cards;
+}
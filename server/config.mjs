@@ -0,0 +1,167 @@
+// server/config.mjs
+// Server settings, read once at startup. Each setting comes from, in order of precedence:
+// an environment variable, the JSON config file, or the development default below.
+// The config file is CONFIG_FILE, or ./config.json when it exists (see config.example.json).
+//
+//   SESSION_SECRET    sessionSecret    Secret signing the session cookie; required in production
+//   PORT              port             Port the API and the multiplayer sockets listen on
+//   DB_FILE           dbFile           SQLite database file
+//   COOKIE_SECURE     cookieSecure     Only send the session cookie over HTTPS (true/false)
+//   ALLOWED_ORIGINS   allowedOrigins   Origins of the React app allowed to call the API (comma-separated)
+//   TRUST_PROXY       trustProxy       Behind a reverse proxy: take the client address from X-Forwarded-For (true/false)
+//
+// The command line tools (migrate.mjs, deck.mjs) use the same dbFile unless given --db.
+
+import fs from 'node:fs';
+import { DEFAULT_DB_FILE } from './db.mjs';
+
+const DEFAULT_CONFIG_FILE = './config.json';
+export const DEV_SESSION_SECRET = 'a super secret key for sessions, change this in production!';
+const MIN_SECRET_LENGTH = 32;
+
+const DEFAULTS = {
+    sessionSecret: DEV_SESSION_SECRET,
+    port: 3001, // React runs on 5173 by default, so we'll use 3001 for the backend.
+    dbFile: DEFAULT_DB_FILE,
+    cookieSecure: false,
+    allowedOrigins: ['http://localhost:5173'],
+    trustProxy: false
+};
+
+const ENV_VARIABLES = {
+    sessionSecret: 'SESSION_SECRET',
+    port: 'PORT',
+    dbFile: 'DB_FILE',
+    cookieSecure: 'COOKIE_SECURE',
+    allowedOrigins: 'ALLOWED_ORIGINS',
+    trustProxy: 'TRUST_PROXY'
+};
+
+/**
+ * Thrown when the settings are invalid; the message lists every problem.
+ */
+export class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n  ${problems.join('\n  ')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Reads the JSON config file.
+ * @param {string|null} file - Path to the file; null for none.
+ * @returns {object} The settings in the file, empty if there is no file.
+ * @throws {ConfigError} If the file cannot be read or is not a JSON object.
+ */
+function readConfigFile(file) {
+    if (!file) {
+        return {};
+    }
+    let settings;
+    try {
+        settings = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        throw new ConfigError([`Cannot read config file ${file}: ${err.message}`]);
+    }
+    if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) {
+        throw new ConfigError([`Config file ${file} must hold a JSON object.`]);
+    }
+    const unknown = Object.keys(settings).filter(key => !(key in DEFAULTS));
+    if (unknown.length > 0) {
+        throw new ConfigError([`Config file ${file} has unknown settings: ${unknown.join(', ')}.`]);
+    }
+    return settings;
+}
+
+/**
+ * Converts a setting given as a string (always the case for environment variables) to its type.
+ * @param {string} key - The setting.
+ * @param {*} value - The value as given.
+ * @returns {*} The converted value; invalid values are kept for validateConfig to report.
+ */
+function parseSetting(key, value) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    if (key === 'port') {
+        return value.trim() === '' ? value : Number(value);
+    }
+    if (key === 'cookieSecure' || key === 'trustProxy') {
+        return { true: true, false: false }[value.trim().toLowerCase()] ?? value;
+    }
+    if (key === 'allowedOrigins') {
+        return value.split(',').map(origin => origin.trim()).filter(origin => origin !== '');
+    }
+    return value;
+}
+
+/**
+ * Checks the settings.
+ * @param {object} config - The merged settings.
+ * @param {boolean} production - Whether the server runs in production (NODE_ENV=production).
+ * @returns {Array<string>} One message per problem found; empty if the settings are valid.
+ */
+export function validateConfig(config, production) {
+    const problems = [];
+    if (typeof config.sessionSecret !== 'string' || config.sessionSecret.length < MIN_SECRET_LENGTH) {
+        problems.push(`sessionSecret (SESSION_SECRET) must be at least ${MIN_SECRET_LENGTH} characters long.`);
+    } else if (production && config.sessionSecret === DEV_SESSION_SECRET) {
+        problems.push('sessionSecret (SESSION_SECRET) must be set in production.');
+    }
+    if (!Number.isInteger(config.port) || config.port < 1 || config.port > 65535) {
+        problems.push('port (PORT) must be an integer between 1 and 65535.');
+    }
+    if (typeof config.dbFile !== 'string' || config.dbFile.trim() === '') {
+        problems.push('dbFile (DB_FILE) must be a file path.');
+    }
+    for (const key of ['cookieSecure', 'trustProxy']) {
+        if (typeof config[key] !== 'boolean') {
+            problems.push(`${key} (${ENV_VARIABLES[key]}) must be true or false.`);
+        }
+    }
+    if (!Array.isArray(config.allowedOrigins) || config.allowedOrigins.length === 0) {
+        problems.push('allowedOrigins (ALLOWED_ORIGINS) must list at least one origin.');
+    } else {
+        for (const origin of config.allowedOrigins) {
+            let url = null;
+            try {
+                url = new URL(origin);
+            } catch {
+                // Reported below
+            }
+            if (!url || !['http:', 'https:'].includes(url.protocol) || url.origin !== origin) {
+                problems.push(`allowedOrigins (ALLOWED_ORIGINS): "${origin}" is not an origin like https://example.com.`);
+            }
+        }
+    }
+    return problems;
+}
+
+/**
+ * Reads and validates the server settings.
+ * @param {object} [options]
+ * @param {object} [options.env=process.env] - The environment variables.
+ * @param {string|null} [options.file] - The config file; defaults to CONFIG_FILE, or ./config.json when it exists.
+ * @returns {object} { sessionSecret, port, dbFile, cookieSecure, allowedOrigins, trustProxy }
+ * @throws {ConfigError} If a setting is invalid.
+ */
+export function loadConfig({ env = process.env, file } = {}) {
+    if (file === undefined) {
+        file = env.CONFIG_FILE ?? (fs.existsSync(DEFAULT_CONFIG_FILE) ? DEFAULT_CONFIG_FILE : null);
+    }
+    const fromFile = readConfigFile(file);
+
+    const config = {};
+    for (const key of Object.keys(DEFAULTS)) {
+        const value = env[ENV_VARIABLES[key]] ?? fromFile[key] ?? DEFAULTS[key];
+        config[key] = parseSetting(key, value);
+    }
+
+    const production = env.NODE_ENV === 'production';
+    const problems = validateConfig(config, production);
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+    return config;
+}
@@ -0,0 +1,27 @@
+// server/daily-challenge.mjs
+
+import dayjs from 'dayjs';
+import { DEFAULT_THEME } from './db.mjs';
+import { hashSeed } from './seeded-random.mjs';
+
+export const DAILY_CHALLENGE_THEME = DEFAULT_THEME; // Everyone plays the original deck with the Classic rules
+export const CHALLENGE_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * The date identifying the daily challenge, in the server's time zone.
+ * @param {dayjs.Dayjs} [now=dayjs()] - The time to get the challenge date for.
+ * @returns {string} The date as YYYY-MM-DD.
+ */
+export function getChallengeDate(now = dayjs()) {
+    return now.format('YYYY-MM-DD');
+}
+
+/**
+ * The dealing seed of a daily challenge. Every game of the day uses it, so all players
+ * get the same initial cards and the same card in each round.
+ * @param {string} challengeDate - The challenge date (YYYY-MM-DD).
+ * @returns {number} The seed.
+ */
+export function getChallengeSeed(challengeDate) {
+    return hashSeed(`daily:${challengeDate}`);
+}
@@ -1,28 +1,51 @@
 // server/dao-cards.mjs
 
 /**
- * Retrieves a random set of cards.
+ * Retrieves every active (not retired) card of a themed deck, in a stable order.
  * @param {object} db - The database instance.
- * @param {number} limit - The number of random cards to retrieve.
- * @param {string[]} [excludeCardIds=[]] - An optional array of card IDs to exclude from the random selection.
- * @returns {Promise<Array<object>>} A promise that resolves to an array of card objects.
+ * @param {string} theme - The deck to list.
+ * @returns {Promise<Array<object>>} A promise that resolves to an array of card objects sorted by ID.
  */
-export async function getRandomCards(db, limit, excludeCardIds = []) {
+export async function getActiveCardsByTheme(db, theme) {
     try {
-        let sql = `SELECT id, name, image, bad_luck_index FROM cards ORDER BY RANDOM() LIMIT ?`;
-        let params = [limit];
-
-        if (excludeCardIds.length > 0) {
-            // Create placeholders for the IN clause (e.g., ?, ?, ?)
-            const placeholders = excludeCardIds.map(() => '?').join(',');
-            sql = `SELECT id, name, image, bad_luck_index FROM cards WHERE id NOT IN (${placeholders}) ORDER BY RANDOM() LIMIT ?`;
-            params = [...excludeCardIds, limit];
-        }
+        const sql = `SELECT id, name, image, bad_luck_index FROM cards WHERE theme = ? AND retired = 0 ORDER BY id`;
+        const cards = await db.all(sql, [theme]);
+        return cards;
+    } catch (err) {
+        console.error('Error in getActiveCardsByTheme:', err);
+        throw err;
+    }
+}
 
-        const cards = await db.all(sql, params);
+/**
+ * Retrieves the cards with the given IDs, retired ones included, in a stable order.
+ * @param {object} db - The database instance.
+ * @param {number[]} cardIds - The IDs of the cards.
+ * @returns {Promise<Array<object>>} A promise that resolves to an array of card objects sorted by ID; IDs without a card are skipped.
+ */
+export async function getCardsByIds(db, cardIds) {
+    try {
+        const sql = `SELECT id, name, image, bad_luck_index FROM cards WHERE id IN (SELECT value FROM json_each(?)) ORDER BY id`;
+        const cards = await db.all(sql, [JSON.stringify(cardIds)]);
         return cards;
     } catch (err) {
-        console.error('Error in getRandomCards:', err);
+        console.error('Error in getCardsByIds:', err);
+        throw err;
+    }
+}
+
+/**
+ * Lists every card theme (deck) with the number of active cards it contains.
+ * @param {object} db - The database instance.
+ * @returns {Promise<Array<object>>} A promise that resolves to an array of { name, cardCount } objects.
+ */
+export async function getThemes(db) {
+    try {
+        const sql = `SELECT theme AS name, COUNT(*) AS cardCount FROM cards WHERE retired = 0 GROUP BY theme ORDER BY theme`;
+        const themes = await db.all(sql);
+        return themes;
+    } catch (err) {
+        console.error('Error in getThemes:', err);
         throw err;
     }
 }
@@ -42,4 +65,149 @@ export async function getCardById(db, cardId) {
         console.error('Error in getCardById:', err);
         throw err;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Retrieves every card, including retired ones, for deck management.
+ * @param {object} db - The database instance.
+ * @returns {Promise<Array<object>>} A promise that resolves to an array of card objects with theme and retired flag.
+ */
+export async function getAllCards(db) {
+    try {
+        const sql = `SELECT id, name, image, bad_luck_index, theme, retired FROM cards ORDER BY theme, bad_luck_index`;
+        const cards = await db.all(sql);
+        return cards;
+    } catch (err) {
+        console.error('Error in getAllCards:', err);
+        throw err;
+    }
+}
+
+/**
+ * Finds a card, other than the given one, that already uses a name or bad_luck_index.
+ * Used to report UNIQUE conflicts before they reach the database.
+ * @param {object} db - The database instance.
+ * @param {string} name - The card name to check.
+ * @param {number} badLuckIndex - The bad_luck_index to check.
+ * @param {number} [excludeCardId=null] - A card to ignore (the one being edited).
+ * @returns {Promise<object|undefined>} The conflicting card, or undefined if there is none.
+ */
+export async function findConflictingCard(db, name, badLuckIndex, excludeCardId = null) {
+    try {
+        const sql = `SELECT id, name, bad_luck_index FROM cards WHERE (name = ? OR bad_luck_index = ?) AND id IS NOT ?`;
+        const card = await db.get(sql, [name, badLuckIndex, excludeCardId]);
+        return card;
+    } catch (err) {
+        console.error('Error in findConflictingCard:', err);
+        throw err;
+    }
+}
+
+/**
+ * Creates a new card.
+ * @param {object} db - The database instance.
+ * @param {object} card - { name, image, bad_luck_index, theme }.
+ * @returns {Promise<number>} A promise that resolves to the new card's ID.
+ */
+export async function createCard(db, card) {
+    try {
+        const sql = `INSERT INTO cards (name, image, bad_luck_index, theme) VALUES (?, ?, ?, ?)`;
+        const result = await db.run(sql, [card.name, card.image, card.bad_luck_index, card.theme]);
+        return result.lastID;
+    } catch (err) {
+        console.error('Error in createCard:', err);
+        throw err;
+    }
+}
+
+/**
+ * Updates the editable fields of a card.
+ * @param {object} db - The database instance.
+ * @param {number} cardId - The ID of the card to update.
+ * @param {object} card - { name, image, bad_luck_index, theme }.
+ * @returns {Promise<boolean>} True if a card was updated, false if it does not exist.
+ */
+export async function updateCard(db, cardId, card) {
+    try {
+        const sql = `UPDATE cards SET name = ?, image = ?, bad_luck_index = ?, theme = ? WHERE id = ?`;
+        const result = await db.run(sql, [card.name, card.image, card.bad_luck_index, card.theme, cardId]);
+        return result.changes > 0;
+    } catch (err) {
+        console.error('Error in updateCard:', err);
+        throw err;
+    }
+}
+
+/**
+ * Retires or restores a card. Retired cards are not dealt in new games but stay in past games' history,
+ * and games already dealing from a deck that held them (see getDeck in dealing.mjs) keep them.
+ * @param {object} db - The database instance.
+ * @param {number} cardId - The ID of the card.
+ * @param {boolean} retired - True to retire the card, false to put it back in the deck.
+ * @returns {Promise<boolean>} True if a card was updated, false if it does not exist.
+ */
+export async function setCardRetired(db, cardId, retired) {
+    try {
+        const sql = `UPDATE cards SET retired = ? WHERE id = ?`;
+        const result = await db.run(sql, [retired ? 1 : 0, cardId]);
+        return result.changes > 0;
+    } catch (err) {
+        console.error('Error in setCardRetired:', err);
+        throw err;
+    }
+}
+
+/**
+ * Replaces the image path of a card.
+ * @param {object} db - The database instance.
+ * @param {number} cardId - The ID of the card.
+ * @param {string} image - The new image path.
+ * @returns {Promise<boolean>} True if a card was updated, false if it does not exist.
+ */
+export async function updateCardImage(db, cardId, image) {
+    try {
+        const sql = `UPDATE cards SET image = ? WHERE id = ?`;
+        const result = await db.run(sql, [image, cardId]);
+        return result.changes > 0;
+    } catch (err) {
+        console.error('Error in updateCardImage:', err);
+        throw err;
+    }
+}
+
+/**
+ * Inserts or updates a batch of cards, matching existing cards by name, in one transaction.
+ * Updated cards keep their ID (so past games still point at them) and their retired flag.
+ * @param {object} db - The database instance.
+ * @param {Array<object>} cards - { name, image, bad_luck_index, theme } for each card.
+ * @returns {Promise<{ inserted: number, updated: number }>} How many cards were inserted and updated.
+ */
+export async function upsertCardsByName(db, cards) {
+    await db.exec('BEGIN');
+    try {
+        const existing = await db.all(`SELECT id, name FROM cards`);
+        const idsByName = new Map(existing.map(c => [c.name, c.id]));
+        const toUpdate = cards.filter(c => idsByName.has(c.name));
+        const toInsert = cards.filter(c => !idsByName.has(c.name));
+
+        // Park the updated cards on placeholder indexes first, so cards can swap indexes
+        // without tripping the UNIQUE constraint halfway through.
+        for (const card of toUpdate) {
+            await db.run(`UPDATE cards SET bad_luck_index = ? WHERE id = ?`, [-idsByName.get(card.name), idsByName.get(card.name)]);
+        }
+        for (const card of toUpdate) {
+            await db.run(`UPDATE cards SET image = ?, bad_luck_index = ?, theme = ? WHERE id = ?`,
+                [card.image, card.bad_luck_index, card.theme, idsByName.get(card.name)]);
+        }
+        for (const card of toInsert) {
+            await db.run(`INSERT INTO cards (name, image, bad_luck_index, theme) VALUES (?, ?, ?, ?)`,
+                [card.name, card.image, card.bad_luck_index, card.theme]);
+        }
+        await db.exec('COMMIT');
+        return { inserted: toInsert.length, updated: toUpdate.length };
+    } catch (err) {
+        await db.exec('ROLLBACK');
+        console.error('Error in upsertCardsByName:', err);
+        throw err;
+    }
+}
@@ -7,10 +7,16 @@ import dayjs from 'dayjs'; // For easy date/time formatting
  * Starts a new game for a given user, inserting initial cards.
  * @param {object} db - The database instance.
  * @param {number} userId - The ID of the user starting the game.
- * @param {Array<object>} initialCards - An array of the 3 initial card objects (full details).
+ * @param {Array<object>} initialCards - An array of the initial card objects (full details).
+ * @param {number} ruleSetId - The ID of the rule set the game is played with.
+ * @param {string} theme - The deck the game's cards are dealt from.
+ * @param {number} seed - The seed that fixes the game's deal order (see dealing.mjs).
+ * @param {number[]} deckCardIds - The card IDs the game is dealt from (see getDeck in dealing.mjs).
+ * @param {string|null} [challengeDate=null] - The daily challenge date (YYYY-MM-DD) the game is played for, null for a regular game.
+ * @param {string} [difficulty='normal'] - How the round cards are picked (see DIFFICULTY_LEVELS in dealing.mjs).
  * @returns {Promise<number>} A promise that resolves to the new game's ID.
  */
-export async function startGame(db, userId, initialCards) {
+export async function startGame(db, userId, initialCards, ruleSetId, theme, seed, deckCardIds, challengeDate = null, difficulty = 'normal') {
     let gameId;
     try {
         // Start a transaction for atomicity
@@ -20,8 +26,8 @@ export async function startGame(db, userId, initialCards) {
 
         // 1. Insert new game record (placeholder end_time and outcome)
         const result = await db.run(
-            `INSERT INTO games (user_id, start_time, end_time, outcome, cards_collected) VALUES (?, ?, ?, ?, ?)`,
-            [userId, startTime, '', '', 0] // Placeholder for outcome and collected cards
+            `INSERT INTO games (user_id, start_time, end_time, outcome, cards_collected, rule_set_id, theme, seed, deck_card_ids, challenge_date, difficulty) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [userId, startTime, '', '', 0, ruleSetId, theme, seed, JSON.stringify(deckCardIds), challengeDate, difficulty] // Placeholder for outcome and collected cards
         );
         gameId = result.lastID;
 
@@ -45,23 +51,103 @@ export async function startGame(db, userId, initialCards) {
 }
 
 /**
- * Records the outcome of a round (card won or lost).
+ * Deals a card for a new round, storing it as 'pending' together with its deal time.
+ * The round number is derived from the rounds already played in this game.
+ * @param {object} db - The database instance.
+ * @param {number} gameId - The ID of the current game.
+ * @param {number} cardId - The ID of the card being dealt.
+ * @returns {Promise<object>} A promise that resolves to { round, deal_time } of the new round.
+ */
+export async function dealRoundCard(db, gameId, cardId) {
+    try {
+        const { count } = await db.get(
+            `SELECT COUNT(*) as count FROM game_cards WHERE game_id = ? AND round IS NOT NULL`,
+            [gameId]
+        );
+        const round = count + 1;
+        const dealTime = dayjs().toISOString();
+        await db.run(
+            `INSERT INTO game_cards (game_id, card_id, status, round, deal_time) VALUES (?, ?, 'pending', ?, ?)`,
+            [gameId, cardId, round, dealTime]
+        );
+        console.log(`Game ${gameId}: Card ${cardId} dealt for round ${round}.`);
+        return { round, deal_time: dealTime };
+    } catch (err) {
+        console.error('Error in dealRoundCard:', err);
+        throw err;
+    }
+}
+
+/**
+ * Retrieves the round currently waiting for a guess in a game, if any.
+ * @param {object} db - The database instance.
+ * @param {number} gameId - The ID of the game.
+ * @returns {Promise<object|undefined>} The pending card with its round and deal_time, or undefined.
+ */
+export async function getPendingRound(db, gameId) {
+    try {
+        const pending = await db.get(
+            `SELECT c.id, c.name, c.image, c.bad_luck_index, gc.round, gc.deal_time
+             FROM game_cards gc
+             JOIN cards c ON gc.card_id = c.id
+             WHERE gc.game_id = ? AND gc.status = 'pending'`,
+            [gameId]
+        );
+        return pending;
+    } catch (err) {
+        console.error('Error in getPendingRound:', err);
+        throw err;
+    }
+}
+
+/**
+ * Retrieves every round waiting for a guess, across all games.
+ * @param {object} db - The database instance.
+ * @returns {Promise<Array<object>>} An array of { game_id, card_id, deal_time } rows.
+ */
+export async function getPendingRounds(db) {
+    try {
+        const rows = await db.all(
+            `SELECT game_id, card_id, deal_time FROM game_cards WHERE status = 'pending'`
+        );
+        return rows;
+    } catch (err) {
+        console.error('Error in getPendingRounds:', err);
+        throw err;
+    }
+}
+
+/**
+ * Records the outcome of a pending round (card won, lost or discarded on timeout).
  * @param {object} db - The database instance.
  * @param {number} gameId - The ID of the current game.
  * @param {number} cardId - The ID of the card involved in the round.
  * @param {string} status - 'won' or 'lost' or 'discarded'.
- * @param {number} roundNumber - The current round number.
- * @param {boolean} [isCorrectGuess=null] - True if guessed correctly, false if not. Null for 'discarded' or initial.
- * @returns {Promise<void>}
+ * @param {boolean} isCorrectGuess - True if guessed correctly, false if not.
+ * @param {object} [placement={}] - What the player answered; omitted if they never answered.
+ * @param {number} [placement.placementIndex] - Where the player placed the card in their hand.
+ * @param {number} [placement.correctIndex] - Where the card actually belonged in that hand.
+ * @param {number[]} [placement.handCardIds] - The hand at guess time, sorted by bad_luck_index.
+ * @param {number} [points=0] - Points earned by the round, added to the game's score.
+ * @returns {Promise<number>} 1 if the round was recorded, 0 if the card was no longer pending
+ * (another request settled the round first).
  */
-export async function recordRoundOutcome(db, gameId, cardId, status, roundNumber, isCorrectGuess = null) {
+export async function recordRoundOutcome(db, gameId, cardId, status, isCorrectGuess, placement = {}, points = 0) {
     try {
         const guessTime = dayjs().toISOString();
-        await db.run(
-            `INSERT INTO game_cards (game_id, card_id, status, round, guess_time, is_correct_guess) VALUES (?, ?, ?, ?, ?, ?)`,
-            [gameId, cardId, status, roundNumber, guessTime, isCorrectGuess === true ? 1 : (isCorrectGuess === false ? 0 : null)]
+        const { placementIndex = null, correctIndex = null, handCardIds = null } = placement;
+        const result = await db.run(
+            `UPDATE game_cards SET status = ?, guess_time = ?, is_correct_guess = ?, placement_index = ?, correct_index = ?, hand_snapshot = ?, points = ?
+             WHERE game_id = ? AND card_id = ? AND status = 'pending'`,
+            [status, guessTime, isCorrectGuess ? 1 : 0, placementIndex, correctIndex, handCardIds && JSON.stringify(handCardIds), points, gameId, cardId]
         );
-        console.log(`Game ${gameId}: Card ${cardId} status updated to ${status} in round ${roundNumber}.`);
+        if (result.changes > 0 && points > 0) {
+            await db.run(`UPDATE games SET score = score + ? WHERE id = ?`, [points, gameId]);
+        }
+        if (result.changes > 0) {
+            console.log(`Game ${gameId}: Card ${cardId} status updated to ${status}.`);
+        }
+        return result.changes;
     } catch (err) {
         console.error('Error in recordRoundOutcome:', err);
         throw err;
@@ -108,14 +194,19 @@ export async function getGameCards(db, gameId) {
                 gc.status,
                 gc.round,
                 gc.guess_time,
-                gc.is_correct_guess
+                gc.is_correct_guess,
+                gc.deal_time,
+                gc.placement_index,
+                gc.correct_index,
+                gc.hand_snapshot,
+                gc.points
             FROM game_cards gc
             JOIN cards c ON gc.card_id = c.id
             WHERE gc.game_id = ?
             ORDER BY c.bad_luck_index ASC;
         `;
         const cards = await db.all(sql, [gameId]);
-        return cards;
+        return cards.map(card => ({ ...card, hand_snapshot: card.hand_snapshot && JSON.parse(card.hand_snapshot) }));
     } catch (err) {
         console.error('Error in getGameCards:', err);
         throw err;
@@ -123,16 +214,22 @@ export async function getGameCards(db, gameId) {
 }
 
 /**
- * Retrieves the history of all completed games for a specific user.
+ * Retrieves one page of the history of completed games for a specific user, newest first.
  * @param {object} db - The database instance.
  * @param {number} userId - The ID of the user.
+ * @param {number} [limit=-1] - Maximum number of games to return (-1 for all).
+ * @param {number} [offset=0] - Number of games to skip.
  * @returns {Promise<Array<object>>} A promise that resolves to an array of game history objects.
  */
-export async function getGameHistory(db, userId) {
+export async function getGameHistory(db, userId, limit = -1, offset = 0) {
     try {
         const games = await db.all(
-            `SELECT id, start_time, end_time, outcome, cards_collected FROM games WHERE user_id = ? ORDER BY start_time DESC`,
-            [userId]
+            `SELECT g.id, g.start_time, g.end_time, g.outcome, g.cards_collected, g.rule_set_id, rs.name AS rule_set_name, g.theme, g.seed, g.challenge_date, g.score, g.difficulty
+             FROM games g
+             LEFT JOIN rule_sets rs ON g.rule_set_id = rs.id
+             WHERE g.user_id = ? AND g.outcome != ''
+             ORDER BY g.start_time DESC LIMIT ? OFFSET ?`,
+            [userId, limit, offset]
         );
 
         // For each game, fetch its associated cards
@@ -148,6 +245,25 @@ export async function getGameHistory(db, userId) {
     }
 }
 
+/**
+ * Counts the completed games of a specific user.
+ * @param {object} db - The database instance.
+ * @param {number} userId - The ID of the user.
+ * @returns {Promise<number>} Number of completed games.
+ */
+export async function getCompletedGamesCount(db, userId) {
+    try {
+        const result = await db.get(
+            `SELECT COUNT(*) as count FROM games WHERE user_id = ? AND outcome != ''`,
+            [userId]
+        );
+        return result.count;
+    } catch (err) {
+        console.error('Error in getCompletedGamesCount:', err);
+        throw err;
+    }
+}
+
 /**
  * Gets the current number of cards a player has won in a game.
  * @param {object} db - The database instance.
@@ -168,7 +284,7 @@ export async function getWonCardsCount(db, gameId) {
 }
 
 /**
- * Gets the number of rounds a player has lost in a game (where they didn't guess correctly).
+ * Gets the number of rounds a player has lost in a game (wrong guesses and timeouts).
  * @param {object} db - The database instance.
  * @param {number} gameId - The ID of the game.
  * @returns {Promise<number>} Number of rounds lost.
@@ -176,7 +292,7 @@ export async function getWonCardsCount(db, gameId) {
 export async function getLostRoundsCount(db, gameId) {
     try {
         const result = await db.get(
-            `SELECT COUNT(*) as count FROM game_cards WHERE game_id = ? AND (status = 'lost' OR (status = 'proposed' AND is_correct_guess = 0))`,
+            `SELECT COUNT(*) as count FROM game_cards WHERE game_id = ? AND status IN ('lost', 'discarded')`,
             [gameId]
         );
         return result.count;
@@ -187,7 +303,7 @@ export async function getLostRoundsCount(db, gameId) {
 }
 
 /**
- * Gets all card IDs that have been involved in a specific game (initial, won, lost, discarded).
+ * Gets all card IDs that have been involved in a specific game (initial, pending, won, lost, discarded).
  * Used to prevent presenting the same card twice in a game.
  * @param {object} db - The database instance.
  * @param {number} gameId - The ID of the game.
@@ -204,4 +320,89 @@ export async function getInvolvedCardIds(db, gameId) {
         console.error('Error in getInvolvedCardIds:', err);
         throw err;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Retrieves a single game record by its ID, with the card IDs it is dealt from.
+ * @param {object} db - The database instance.
+ * @param {number} gameId - The ID of the game.
+ * @returns {Promise<object|undefined>} A promise that resolves to the game object or undefined if not found.
+ */
+export async function getGameById(db, gameId) {
+    try {
+        const game = await db.get(
+            `SELECT id, user_id, start_time, end_time, outcome, cards_collected, rule_set_id, theme, seed, deck_card_ids, challenge_date, score, difficulty FROM games WHERE id = ?`,
+            [gameId]
+        );
+        return game && { ...game, deck_card_ids: JSON.parse(game.deck_card_ids) };
+    } catch (err) {
+        console.error('Error in getGameById:', err);
+        throw err;
+    }
+}
+
+
+/**
+ * Retrieves the most recently started unfinished game of a user, if any.
+ * @param {object} db - The database instance.
+ * @param {number} userId - The ID of the user.
+ * @returns {Promise<object|undefined>} A promise that resolves to the game object or undefined if none.
+ */
+export async function getActiveGame(db, userId) {
+    try {
+        const game = await db.get(
+            `SELECT id, user_id, start_time, end_time, outcome, cards_collected, rule_set_id, theme, seed, challenge_date, score, difficulty FROM games
+             WHERE user_id = ? AND outcome = '' ORDER BY start_time DESC LIMIT 1`,
+            [userId]
+        );
+        return game;
+    } catch (err) {
+        console.error('Error in getActiveGame:', err);
+        throw err;
+    }
+}
+
+
+/**
+ * Retrieves the game a user played (or is playing) for a daily challenge, if any.
+ * @param {object} db - The database instance.
+ * @param {number} userId - The ID of the user.
+ * @param {string} challengeDate - The challenge date (YYYY-MM-DD).
+ * @returns {Promise<object|undefined>} A promise that resolves to the game object or undefined if not played.
+ */
+export async function getChallengeGame(db, userId, challengeDate) {
+    try {
+        const game = await db.get(
+            `SELECT id, user_id, start_time, end_time, outcome, cards_collected, rule_set_id, theme, seed, challenge_date, score, difficulty FROM games
+             WHERE user_id = ? AND challenge_date = ?`,
+            [userId, challengeDate]
+        );
+        return game;
+    } catch (err) {
+        console.error('Error in getChallengeGame:', err);
+        throw err;
+    }
+}
+
+
+/**
+ * Fixes the cards a daily challenge is dealt from. The first start of the day stores the deck it was
+ * given; every later start gets that same deck back, whatever changed in the cards since.
+ * @param {object} db - The database instance.
+ * @param {string} challengeDate - The challenge date (YYYY-MM-DD).
+ * @param {number[]} deckCardIds - The deck to store if the day has none yet (see getDeck in dealing.mjs).
+ * @returns {Promise<number[]>} A promise that resolves to the day's card IDs.
+ */
+export async function getOrCreateChallengeDeck(db, challengeDate, deckCardIds) {
+    try {
+        await db.run(
+            `INSERT OR IGNORE INTO daily_challenges (challenge_date, deck_card_ids) VALUES (?, ?)`,
+            [challengeDate, JSON.stringify(deckCardIds)]
+        );
+        const { deck_card_ids } = await db.get(`SELECT deck_card_ids FROM daily_challenges WHERE challenge_date = ?`, [challengeDate]);
+        return JSON.parse(deck_card_ids);
+    } catch (err) {
+        console.error('Error in getOrCreateChallengeDeck:', err);
+        throw err;
+    }
+}
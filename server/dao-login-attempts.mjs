@@ -0,0 +1,85 @@
+// server/dao-login-attempts.mjs
+
+import dayjs from 'dayjs';
+
+/**
+ * Records a login attempt in the audit trail as 'pending', before the password is checked.
+ * Pending attempts count as failures (see getUsernameFailures), so that parallel guesses are
+ * throttled by each other instead of all being checked before any failure is stored.
+ * @param {object} db - The database instance.
+ * @param {object} attempt
+ * @param {string} attempt.username - The username tried, whether or not such a user exists.
+ * @param {string} attempt.ip - The address the attempt came from.
+ * @returns {Promise<number>} The ID of the attempt, to settle it with settleLoginAttempt.
+ */
+export async function beginLoginAttempt(db, { username, ip }) {
+    try {
+        const sql = `INSERT INTO login_attempts (username, ip, attempted_at, succeeded, reason) VALUES (?, ?, ?, 0, 'pending')`;
+        const result = await db.run(sql, [username, ip, dayjs().toISOString()]);
+        return result.lastID;
+    } catch (err) {
+        console.error('Error in beginLoginAttempt:', err);
+        throw err;
+    }
+}
+
+/**
+ * Records the outcome of a pending login attempt.
+ * @param {object} db - The database instance.
+ * @param {number} attemptId - The ID returned by beginLoginAttempt.
+ * @param {object} outcome
+ * @param {boolean} outcome.succeeded - Whether the user was logged in.
+ * @param {string|null} [outcome.reason=null] - Why a failed attempt was refused: 'invalid-credentials', 'throttled',
+ * or 'error' when the password could not be checked (not counted as a failure).
+ * @returns {Promise<void>}
+ */
+export async function settleLoginAttempt(db, attemptId, { succeeded, reason = null }) {
+    try {
+        await db.run('UPDATE login_attempts SET succeeded = ?, reason = ? WHERE id = ?', [succeeded ? 1 : 0, reason, attemptId]);
+    } catch (err) {
+        console.error('Error in settleLoginAttempt:', err);
+        throw err;
+    }
+}
+
+/**
+ * Counts the wrong passwords given for a username since a point in time, ignoring those
+ * before the username's last successful login. Attempts still pending count as wrong.
+ * @param {object} db - The database instance.
+ * @param {string} username - The username.
+ * @param {string} since - ISO timestamp; older attempts are not counted.
+ * @param {number} beforeId - Only attempts made before this one are counted.
+ * @returns {Promise<{ count: number, lastFailureAt: string|null }>} The number of failures and when the latest happened.
+ */
+export async function getUsernameFailures(db, username, since, beforeId) {
+    try {
+        const sql = `SELECT COUNT(*) AS count, MAX(attempted_at) AS lastFailureAt FROM login_attempts
+                     WHERE username = ? AND succeeded = 0 AND reason IN ('invalid-credentials', 'pending') AND attempted_at > ? AND id < ?
+                       AND attempted_at > COALESCE((SELECT MAX(attempted_at) FROM login_attempts WHERE username = ? AND succeeded = 1), '')`;
+        return await db.get(sql, [username, since, beforeId, username]);
+    } catch (err) {
+        console.error('Error in getUsernameFailures:', err);
+        throw err;
+    }
+}
+
+/**
+ * Counts the wrong passwords given from an address since a point in time, for any username.
+ * Successful logins do not reset this count, so logging into one account does not allow more guesses on others.
+ * Attempts still pending count as wrong.
+ * @param {object} db - The database instance.
+ * @param {string} ip - The address.
+ * @param {string} since - ISO timestamp; older attempts are not counted.
+ * @param {number} beforeId - Only attempts made before this one are counted.
+ * @returns {Promise<{ count: number, lastFailureAt: string|null }>} The number of failures and when the latest happened.
+ */
+export async function getIpFailures(db, ip, since, beforeId) {
+    try {
+        const sql = `SELECT COUNT(*) AS count, MAX(attempted_at) AS lastFailureAt FROM login_attempts
+                     WHERE ip = ? AND succeeded = 0 AND reason IN ('invalid-credentials', 'pending') AND attempted_at > ? AND id < ?`;
+        return await db.get(sql, [ip, since, beforeId]);
+    } catch (err) {
+        console.error('Error in getIpFailures:', err);
+        throw err;
+    }
+}
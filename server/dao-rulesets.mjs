@@ -0,0 +1,72 @@
+// server/dao-rulesets.mjs
+
+/**
+ * Retrieves all available rule sets.
+ * @param {object} db - The database instance.
+ * @returns {Promise<Array<object>>} A promise that resolves to an array of rule set objects.
+ */
+export async function getRuleSets(db) {
+    try {
+        const sql = `SELECT id, name, description, hand_size, cards_to_win, rounds_to_lose, round_time_limit FROM rule_sets ORDER BY id`;
+        const ruleSets = await db.all(sql);
+        return ruleSets;
+    } catch (err) {
+        console.error('Error in getRuleSets:', err);
+        throw err;
+    }
+}
+
+/**
+ * Retrieves a single rule set by its ID.
+ * @param {object} db - The database instance.
+ * @param {number} ruleSetId - The ID of the rule set.
+ * @returns {Promise<object|undefined>} A promise that resolves to the rule set object or undefined if not found.
+ */
+export async function getRuleSetById(db, ruleSetId) {
+    try {
+        const sql = `SELECT id, name, description, hand_size, cards_to_win, rounds_to_lose, round_time_limit FROM rule_sets WHERE id = ?`;
+        const ruleSet = await db.get(sql, [ruleSetId]);
+        return ruleSet;
+    } catch (err) {
+        console.error('Error in getRuleSetById:', err);
+        throw err;
+    }
+}
+
+/**
+ * Retrieves the default rule set (Classic), used when a game does not choose one.
+ * @param {object} db - The database instance.
+ * @returns {Promise<object|undefined>} A promise that resolves to the rule set object.
+ */
+export async function getDefaultRuleSet(db) {
+    try {
+        const sql = `SELECT id, name, description, hand_size, cards_to_win, rounds_to_lose, round_time_limit FROM rule_sets WHERE name = 'Classic'`;
+        const ruleSet = await db.get(sql);
+        return ruleSet;
+    } catch (err) {
+        console.error('Error in getDefaultRuleSet:', err);
+        throw err;
+    }
+}
+
+/**
+ * Retrieves the rule set a game was started with.
+ * @param {object} db - The database instance.
+ * @param {number} gameId - The ID of the game.
+ * @returns {Promise<object|undefined>} A promise that resolves to the rule set object or undefined if the game does not exist.
+ */
+export async function getRuleSetForGame(db, gameId) {
+    try {
+        const sql = `
+            SELECT rs.id, rs.name, rs.description, rs.hand_size, rs.cards_to_win, rs.rounds_to_lose, rs.round_time_limit
+            FROM games g
+            JOIN rule_sets rs ON g.rule_set_id = rs.id
+            WHERE g.id = ?
+        `;
+        const ruleSet = await db.get(sql, [gameId]);
+        return ruleSet;
+    } catch (err) {
+        console.error('Error in getRuleSetForGame:', err);
+        throw err;
+    }
+}
@@ -0,0 +1,105 @@
+// server/dao-sessions.mjs
+
+/**
+ * Retrieves a session that has not expired.
+ * @param {object} db - The database instance.
+ * @param {string} sid - The session ID.
+ * @param {string} now - ISO timestamp; sessions expiring before it are ignored.
+ * @returns {Promise<object|undefined>} The session data, or undefined if there is none.
+ */
+export async function getSession(db, sid, now) {
+    try {
+        const row = await db.get('SELECT sess FROM sessions WHERE sid = ? AND expires_at > ?', [sid, now]);
+        return row ? JSON.parse(row.sess) : undefined;
+    } catch (err) {
+        console.error('Error in getSession:', err);
+        throw err;
+    }
+}
+
+/**
+ * Creates or replaces a session.
+ * @param {object} db - The database instance.
+ * @param {string} sid - The session ID.
+ * @param {object} sess - The session data.
+ * @param {string} expiresAt - ISO timestamp after which the session is gone.
+ * @returns {Promise<void>}
+ */
+export async function saveSession(db, sid, sess, expiresAt) {
+    try {
+        const sql = `INSERT INTO sessions (sid, sess, expires_at) VALUES (?, ?, ?)
+                     ON CONFLICT (sid) DO UPDATE SET sess = excluded.sess, expires_at = excluded.expires_at`;
+        await db.run(sql, [sid, JSON.stringify(sess), expiresAt]);
+    } catch (err) {
+        console.error('Error in saveSession:', err);
+        throw err;
+    }
+}
+
+/**
+ * Pushes back the expiry of a session, leaving its data as it is.
+ * @param {object} db - The database instance.
+ * @param {string} sid - The session ID.
+ * @param {string} expiresAt - The new expiry, as an ISO timestamp.
+ * @returns {Promise<void>}
+ */
+export async function touchSession(db, sid, expiresAt) {
+    try {
+        await db.run('UPDATE sessions SET expires_at = ? WHERE sid = ?', [expiresAt, sid]);
+    } catch (err) {
+        console.error('Error in touchSession:', err);
+        throw err;
+    }
+}
+
+/**
+ * Deletes a session (on logout).
+ * @param {object} db - The database instance.
+ * @param {string} sid - The session ID.
+ * @returns {Promise<void>}
+ */
+export async function deleteSession(db, sid) {
+    try {
+        await db.run('DELETE FROM sessions WHERE sid = ?', [sid]);
+    } catch (err) {
+        console.error('Error in deleteSession:', err);
+        throw err;
+    }
+}
+
+/**
+ * Deletes every session a user is logged in with, so a changed password or a deleted account
+ * logs them out everywhere.
+ * @param {object} db - The database instance.
+ * @param {number} userId - The ID of the user (the one passport keeps in the session).
+ * @param {string|null} [exceptSid=null] - A session to keep, e.g. the one the password was changed from.
+ * @returns {Promise<number>} The number of sessions deleted.
+ */
+export async function deleteUserSessions(db, userId, exceptSid = null) {
+    try {
+        const result = await db.run(
+            `DELETE FROM sessions WHERE json_extract(sess, '$.passport.user') = ? AND sid IS NOT ?`,
+            [userId, exceptSid]
+        );
+        return result.changes;
+    } catch (err) {
+        console.error('Error in deleteUserSessions:', err);
+        throw err;
+    }
+}
+
+/**
+ * Deletes the sessions that have expired.
+ * @param {object} db - The database instance.
+ * @param {string} now - ISO timestamp; sessions expiring before it are deleted.
+ * @returns {Promise<number>} The number of sessions deleted.
+ */
+export async function deleteExpiredSessions(db, now) {
+    try {
+        const result = await db.run('DELETE FROM sessions WHERE expires_at <= ?', [now]);
+        return result.changes;
+    } catch (err) {
+        console.error('Error in deleteExpiredSessions:', err);
+        throw err;
+    }
+}
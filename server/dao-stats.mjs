@@ -0,0 +1,195 @@
+// server/dao-stats.mjs
+
+/**
+ * Computes the longest run of consecutive 'Won' outcomes.
+ * @param {Array<string>} outcomes - Game outcomes in chronological order.
+ * @returns {number} Length of the longest winning streak.
+ */
+function longestWinStreak(outcomes) {
+    let longest = 0;
+    let current = 0;
+    for (const outcome of outcomes) {
+        current = outcome === 'Won' ? current + 1 : 0;
+        longest = Math.max(longest, current);
+    }
+    return longest;
+}
+
+const MIN_MISSES_FOR_TENDENCY = 3; // Wrong placements needed before a bias is reported
+const TENDENCY_SHARE = 0.7; // Share of misses on one side that counts as a consistent bias
+
+/**
+ * Summarizes where a player puts cards compared to where they belong.
+ * @param {Array<object>} rounds - Rows of { placement_index, correct_index, is_correct_guess }.
+ * @returns {object} { guesses, tooLow, tooHigh, averageMiss, tendency }; tendency is 'tooLow', 'tooHigh',
+ * 'balanced', or null while there are too few misses to tell.
+ */
+function placementTendency(rounds) {
+    const misses = rounds
+        .filter(r => !r.is_correct_guess)
+        .map(r => r.placement_index - r.correct_index)
+        .filter(offset => offset !== 0);
+    const tooLow = misses.filter(offset => offset < 0).length; // Placed below its slot: rated less unlucky than it is
+    const tooHigh = misses.length - tooLow;
+
+    let tendency = null;
+    if (misses.length >= MIN_MISSES_FOR_TENDENCY) {
+        tendency = tooLow / misses.length >= TENDENCY_SHARE ? 'tooLow'
+            : tooHigh / misses.length >= TENDENCY_SHARE ? 'tooHigh'
+            : 'balanced';
+    }
+    const averageMiss = misses.length > 0
+        ? Math.round(misses.reduce((sum, offset) => sum + Math.abs(offset), 0) / misses.length * 10) / 10
+        : null;
+
+    return { guesses: rounds.length, tooLow, tooHigh, averageMiss, tendency };
+}
+
+/**
+ * Builds the leaderboard from the completed games started since a given time.
+ * @param {object} db - The database instance.
+ * @param {string} since - ISO 8601 timestamp; only games started at or after it count ('' for all time).
+ * @param {string} sortBy - 'wins', 'winRate', 'fastestWin' or 'longestStreak'.
+ * @param {number} limit - Maximum number of players to return.
+ * @returns {Promise<Array<object>>} Ranked rows of { rank, userId, username, gamesPlayed, wins, winRate, fastestWinSeconds, longestStreak }.
+ */
+export async function getLeaderboard(db, since, sortBy, limit) {
+    try {
+        const rows = await db.all(
+            `SELECT
+                u.id AS userId,
+                u.username,
+                COUNT(g.id) AS gamesPlayed,
+                SUM(CASE WHEN g.outcome = 'Won' THEN 1 ELSE 0 END) AS wins,
+                MIN(CASE WHEN g.outcome = 'Won' THEN (julianday(g.end_time) - julianday(g.start_time)) * 86400 END) AS fastestWinSeconds
+            FROM games g
+            JOIN users u ON g.user_id = u.id
+            WHERE g.outcome != '' AND g.start_time >= ?
+            GROUP BY u.id`,
+            [since]
+        );
+
+        // Streaks depend on the order of games, so they are computed from the raw outcomes
+        const outcomes = await db.all(
+            `SELECT user_id, outcome FROM games WHERE outcome != '' AND start_time >= ? ORDER BY user_id, start_time`,
+            [since]
+        );
+        const outcomesByUser = new Map();
+        for (const { user_id, outcome } of outcomes) {
+            if (!outcomesByUser.has(user_id)) outcomesByUser.set(user_id, []);
+            outcomesByUser.get(user_id).push(outcome);
+        }
+
+        let players = rows.map(row => ({
+            ...row,
+            winRate: row.wins / row.gamesPlayed,
+            fastestWinSeconds: row.fastestWinSeconds === null ? null : Math.round(row.fastestWinSeconds),
+            longestStreak: longestWinStreak(outcomesByUser.get(row.userId) ?? [])
+        }));
+
+        const comparators = {
+            wins: (a, b) => b.wins - a.wins,
+            winRate: (a, b) => b.winRate - a.winRate || b.gamesPlayed - a.gamesPlayed,
+            fastestWin: (a, b) => a.fastestWinSeconds - b.fastestWinSeconds,
+            longestStreak: (a, b) => b.longestStreak - a.longestStreak
+        };
+        if (sortBy === 'fastestWin') {
+            players = players.filter(p => p.fastestWinSeconds !== null); // Only players with a win have a fastest win
+        }
+        players.sort((a, b) => comparators[sortBy](a, b) || b.wins - a.wins || a.username.localeCompare(b.username));
+
+        return players.slice(0, limit).map((player, i) => ({ rank: i + 1, ...player }));
+    } catch (err) {
+        console.error('Error in getLeaderboard:', err);
+        throw err;
+    }
+}
+
+/**
+ * Computes lifetime statistics for a single user from their completed games.
+ * @param {object} db - The database instance.
+ * @param {number} userId - The ID of the user.
+ * @returns {Promise<object>} { gamesPlayed, wins, losses, winRate, averageCardsCollected, averageResponseSeconds, fastestWinSeconds, longestStreak, placement }.
+ * placement is { guesses, tooLow, tooHigh, averageMiss, tendency } over the rounds whose placement was recorded.
+ */
+export async function getUserStats(db, userId) {
+    try {
+        const totals = await db.get(
+            `SELECT
+                COUNT(id) AS gamesPlayed,
+                COALESCE(SUM(CASE WHEN outcome = 'Won' THEN 1 ELSE 0 END), 0) AS wins,
+                AVG(cards_collected) AS averageCardsCollected,
+                MIN(CASE WHEN outcome = 'Won' THEN (julianday(end_time) - julianday(start_time)) * 86400 END) AS fastestWinSeconds
+            FROM games
+            WHERE user_id = ? AND outcome != ''`,
+            [userId]
+        );
+
+        // Response time is measured from the deal to the guess; timeouts are not answers, so they are left out
+        const responses = await db.get(
+            `SELECT AVG((julianday(gc.guess_time) - julianday(gc.deal_time)) * 86400) AS averageResponseSeconds
+            FROM game_cards gc
+            JOIN games g ON gc.game_id = g.id
+            WHERE g.user_id = ? AND gc.status IN ('won', 'lost') AND gc.deal_time IS NOT NULL AND gc.guess_time IS NOT NULL`,
+            [userId]
+        );
+
+        const outcomes = await db.all(
+            `SELECT outcome FROM games WHERE user_id = ? AND outcome != '' ORDER BY start_time`,
+            [userId]
+        );
+
+        const placements = await db.all(
+            `SELECT gc.placement_index, gc.correct_index, gc.is_correct_guess
+            FROM game_cards gc
+            JOIN games g ON gc.game_id = g.id
+            WHERE g.user_id = ? AND gc.placement_index IS NOT NULL AND gc.correct_index IS NOT NULL`,
+            [userId]
+        );
+
+        const round1 = value => value === null ? null : Math.round(value * 10) / 10;
+        return {
+            gamesPlayed: totals.gamesPlayed,
+            wins: totals.wins,
+            losses: totals.gamesPlayed - totals.wins,
+            winRate: totals.gamesPlayed > 0 ? totals.wins / totals.gamesPlayed : 0,
+            averageCardsCollected: round1(totals.averageCardsCollected),
+            averageResponseSeconds: round1(responses.averageResponseSeconds),
+            fastestWinSeconds: totals.fastestWinSeconds === null ? null : Math.round(totals.fastestWinSeconds),
+            longestStreak: longestWinStreak(outcomes.map(row => row.outcome)),
+            placement: placementTendency(placements)
+        };
+    } catch (err) {
+        console.error('Error in getUserStats:', err);
+        throw err;
+    }
+}
+
+/**
+ * Ranks the completed games of a daily challenge: wins first, then most cards collected, then fastest.
+ * @param {object} db - The database instance.
+ * @param {string} challengeDate - The challenge date (YYYY-MM-DD).
+ * @returns {Promise<Array<object>>} Ranked rows of { rank, gameId, userId, username, outcome, cardsCollected, durationSeconds }.
+ */
+export async function getDailyLeaderboard(db, challengeDate) {
+    try {
+        const rows = await db.all(
+            `SELECT
+                g.id AS gameId,
+                u.id AS userId,
+                u.username,
+                g.outcome,
+                g.cards_collected AS cardsCollected,
+                ROUND((julianday(g.end_time) - julianday(g.start_time)) * 86400) AS durationSeconds
+            FROM games g
+            JOIN users u ON g.user_id = u.id
+            WHERE g.challenge_date = ? AND g.outcome != ''
+            ORDER BY g.outcome = 'Won' DESC, g.cards_collected DESC, durationSeconds ASC, u.username`,
+            [challengeDate]
+        );
+        return rows.map((row, i) => ({ rank: i + 1, ...row }));
+    } catch (err) {
+        console.error('Error in getDailyLeaderboard:', err);
+        throw err;
+    }
+}
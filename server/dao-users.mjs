@@ -1,3 +1,5 @@
+import bcrypt from 'bcrypt';
+
 // Function to get a user by username
 export async function getUserByUsername(db, username) {
     try {
@@ -20,4 +22,42 @@ export async function getUserById(db, id) {
         console.error('Error in getUserById:', err);
         throw err;
     }
-}
\ No newline at end of file
+}
+
+// Function to create a new user, hashing the password the same way the preloaded users are
+export async function createUser(db, username, password) {
+    try {
+        const salt = await bcrypt.genSalt(10);
+        const hashedPassword = await bcrypt.hash(password, salt);
+        const sql = 'INSERT INTO users (username, password, salt) VALUES (?, ?, ?)';
+        const result = await db.run(sql, [username, hashedPassword, salt]);
+        return { id: result.lastID, username }; // Never hand the hash back to callers
+    } catch (err) {
+        console.error('Error in createUser:', err);
+        throw err;
+    }
+}
+
+// Function to replace a user's password with a new one
+export async function updateUserPassword(db, id, newPassword) {
+    try {
+        const salt = await bcrypt.genSalt(10);
+        const hashedPassword = await bcrypt.hash(newPassword, salt);
+        const sql = 'UPDATE users SET password = ?, salt = ? WHERE id = ?';
+        await db.run(sql, [hashedPassword, salt, id]);
+    } catch (err) {
+        console.error('Error in updateUserPassword:', err);
+        throw err;
+    }
+}
+
+// Function to delete a user; their games and game cards go with them (ON DELETE CASCADE)
+export async function deleteUser(db, id) {
+    try {
+        const sql = 'DELETE FROM users WHERE id = ?';
+        await db.run(sql, [id]);
+    } catch (err) {
+        console.error('Error in deleteUser:', err);
+        throw err;
+    }
+}
@@ -5,108 +5,99 @@ import sqlite3 from 'sqlite3';
 import { open } from 'sqlite';
 import bcrypt from 'bcrypt';
 import cardData from './card-data.json' with { type: 'json' };
+import officeCardData from './card-data-office.json' with { type: 'json' };
+import travelCardData from './card-data-travel.json' with { type: 'json' };
+import { migrate, getSchemaVersion, LATEST_VERSION } from './migrator.mjs';
 
-const DB_FILE = './stuffhappens.db';
+export const DEFAULT_DB_FILE = './stuffhappens.db';
+
+// The theme used when a game does not ask for one; it is the original deck.
+export const DEFAULT_THEME = 'University Life';
+
+// Every deck shipped with the game. bad_luck_index values must be unique across all decks.
+const DECKS = [
+    { theme: DEFAULT_THEME, cards: cardData },
+    { theme: 'Office Life', cards: officeCardData },
+    { theme: 'Travel Mishaps', cards: travelCardData }
+];
 
 // This promise is created once and represents the connection to the database.
 // All parts of the app will share this single connection promise.
-const dbPromise = open({
-    filename: DB_FILE,
-    driver: sqlite3.Database
-});
+let dbPromise = null;
 
 /**
- * Initializes the database tables and preloads data if necessary.
- * This function should be called ONCE when the server starts.
- * It uses the shared dbPromise and does NOT close the connection.
+ * Opens the shared database connection, unless it is already open.
+ * @param {string} [filename=DEFAULT_DB_FILE] - The SQLite file to use; ':memory:' for a throwaway database (tests).
+ * @returns {Promise<object>} A promise that resolves to the database instance.
  */
-export async function initializeDatabase() {
-    const db = await dbPromise; // Get the connection from the shared promise
+function openDatabase(filename = DEFAULT_DB_FILE) {
+    if (!dbPromise) {
+        dbPromise = open({
+            filename,
+            driver: sqlite3.Database
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Checks the schema version and preloads data if necessary.
+ * This function should be called ONCE when the server starts, before any request is served.
+ * It opens the shared connection and does NOT close it.
+ * @param {string} [filename=DEFAULT_DB_FILE] - The SQLite file to use; ':memory:' for a throwaway database (tests).
+ * @param {object} [options]
+ * @param {boolean} [options.migrate=false] - Apply pending migrations instead of refusing to start (tests).
+ * @throws {Error} If the schema is not at the latest version and options.migrate is not set.
+ */
+export async function initializeDatabase(filename = DEFAULT_DB_FILE, options = {}) {
+    const db = await openDatabase(filename); // Get the connection from the shared promise
 
     // Enable foreign key support
     await db.run('PRAGMA foreign_keys = ON;');
 
-    await db.exec(`
-        CREATE TABLE IF NOT EXISTS users (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            username TEXT UNIQUE NOT NULL,
-            password TEXT NOT NULL,
-            salt TEXT NOT NULL
-        );
-    `);
-    console.log('Table "users" ensured.');
-
-    await db.exec(`
-        CREATE TABLE IF NOT EXISTS cards (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            name TEXT UNIQUE NOT NULL,
-            image TEXT NOT NULL,
-            bad_luck_index REAL UNIQUE NOT NULL,
-            theme TEXT NOT NULL
-        );
-    `);
-    console.log('Table "cards" ensured.');
-
-    await db.exec(`
-        CREATE TABLE IF NOT EXISTS games (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            user_id INTEGER NOT NULL,
-            start_time TEXT NOT NULL,
-            end_time TEXT NOT NULL,
-            outcome TEXT NOT NULL,
-            cards_collected INTEGER NOT NULL,
-            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-        );
-    `);
-    console.log('Table "games" ensured.');
-
-    await db.exec(`
-        CREATE TABLE IF NOT EXISTS game_cards (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            game_id INTEGER NOT NULL,
-            card_id INTEGER NOT NULL,
-            status TEXT NOT NULL,
-            round INTEGER,
-            guess_time TEXT,
-            is_correct_guess INTEGER,
-            FOREIGN KEY (game_id) REFERENCES games(id) ON DELETE CASCADE,
-            FOREIGN KEY (card_id) REFERENCES cards(id) ON DELETE CASCADE,
-            UNIQUE (game_id, card_id)
-        );
-    `);
-    console.log('Table "game_cards" ensured.');
+    // The schema itself is managed by the migrations (see migrate.mjs); never serve on an outdated one.
+    const version = await getSchemaVersion(db);
+    if (version !== LATEST_VERSION) {
+        if (!options.migrate) {
+            throw new Error(`Database schema is at version ${version}, expected ${LATEST_VERSION}. Run "npm run migrate" first.`);
+        }
+        await migrate(db);
+    }
 
     // --- Preload Data ---
 
-    const cardCount = await db.get('SELECT COUNT(*) as count FROM cards');
-    if (cardCount.count === 0) {
-        console.log('Preloading cards data...');
-        const insertCardStmt = await db.prepare(
-            'INSERT INTO cards (name, image, bad_luck_index, theme) VALUES (?, ?, ?, ?)'
-        );
-        for (const card of cardData) {
-            await insertCardStmt.run(card.name, card.image, card.bad_luck_index, "University Life");
+    // Each deck is preloaded on its own, so decks added later also reach existing databases.
+    for (const deck of DECKS) {
+        const cardCount = await db.get('SELECT COUNT(*) as count FROM cards WHERE theme = ?', [deck.theme]);
+        if (cardCount.count === 0) {
+            console.log(`Preloading "${deck.theme}" cards data...`);
+            const insertCardStmt = await db.prepare(
+                'INSERT INTO cards (name, image, bad_luck_index, theme) VALUES (?, ?, ?, ?)'
+            );
+            for (const card of deck.cards) {
+                await insertCardStmt.run(card.name, card.image, card.bad_luck_index, deck.theme);
+            }
+            await insertCardStmt.finalize();
+            console.log(`"${deck.theme}" cards preloaded successfully.`);
+        } else {
+            console.log(`"${deck.theme}" cards already exist, skipping preload.`);
         }
-        await insertCardStmt.finalize();
-        console.log('Cards preloaded successfully.');
-    } else {
-        console.log('Cards already exist, skipping preload.');
     }
 
     const userCount = await db.get('SELECT COUNT(*) as count FROM users');
     if (userCount.count === 0) {
         console.log('Preloading users data...');
         const usersToPreload = [
-            { username: 'player1', password: 'password123' },
-            { username: 'player2', password: 'securepass' }
+            { username: 'player1', password: 'password123', isAdmin: true },
+            { username: 'player2', password: 'securepass', isAdmin: false }
         ];
         const insertUserStmt = await db.prepare(
-            'INSERT INTO users (username, password, salt) VALUES (?, ?, ?)'
+            'INSERT INTO users (username, password, salt, is_admin) VALUES (?, ?, ?, ?)'
         );
         for (const user of usersToPreload) {
             const salt = await bcrypt.genSalt(10);
             const hashedPassword = await bcrypt.hash(user.password, salt);
-            await insertUserStmt.run(user.username, hashedPassword, salt);
+            await insertUserStmt.run(user.username, hashedPassword, salt, user.isAdmin ? 1 : 0);
         }
         await insertUserStmt.finalize();
         console.log('Users preloaded successfully.');
@@ -121,5 +112,17 @@ export async function initializeDatabase() {
  * All DAO functions will use this to get the database connection.
  */
 export async function getDb() {
-    return dbPromise;
+    return openDatabase();
+}
+
+/**
+ * Closes the shared connection, so the next initializeDatabase call can open another database.
+ * Used by the tests to start every suite from a fresh in-memory database.
+ */
+export async function closeDatabase() {
+    if (dbPromise) {
+        const db = await dbPromise;
+        dbPromise = null;
+        await db.close();
+    }
 }
\ No newline at end of file
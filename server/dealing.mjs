@@ -0,0 +1,117 @@
+// server/dealing.mjs
+// Every game is dealt from a seeded shuffle of its deck: the seed and the card IDs the deck held when
+// the game started fix the whole deal order, so storing both on the game is enough to reproduce
+// which cards were dealt and when, even after cards are retired, added or imported.
+// Above the normal difficulty, each round's card is picked among the next few cards of that order
+// by how narrow its slot in the hand is, so the deal also follows the player's hand.
+
+import { randomInt } from 'crypto';
+import { getActiveCardsByTheme, getCardsByIds } from './dao-cards.mjs';
+import { createRandom, shuffle } from './seeded-random.mjs';
+import { getSlotGap } from './scoring.mjs';
+
+const MAX_SEED = 2 ** 32; // Seeds are 32-bit unsigned integers
+
+export const DIFFICULTY_LEVELS = ['easy', 'normal', 'hard', 'adaptive'];
+export const DEFAULT_DIFFICULTY = 'normal';
+const CANDIDATE_WINDOW = 8; // How many upcoming cards of the deal order the dealer chooses from
+const ADAPTIVE_WINS_TO_HARD = 5; // Cards won before the adaptive mode deals like the hard level
+
+let seedSource = () => randomInt(MAX_SEED);
+
+/**
+ * Picks the seed for a new game. Random unless overridden with setSeedSource.
+ * @returns {number} A 32-bit unsigned integer seed.
+ */
+export function generateSeed() {
+    return seedSource();
+}
+
+/**
+ * Replaces the source of new game seeds, so tests can deal known cards.
+ * @param {(function(): number)|null} source - Function returning the next seed, or null to go back to random seeds.
+ */
+export function setSeedSource(source) {
+    seedSource = source ?? (() => randomInt(MAX_SEED));
+}
+
+/**
+ * The cards a new game is dealt from: the IDs of the deck's active cards. Stored with the game,
+ * so later changes to the deck do not change its deal.
+ * @param {object} db - The database instance.
+ * @param {string} theme - The deck to deal from.
+ * @returns {Promise<number[]>} The card IDs, sorted.
+ */
+export async function getDeck(db, theme) {
+    const cards = await getActiveCardsByTheme(db, theme);
+    return cards.map(card => card.id);
+}
+
+/**
+ * The full deal order of a deck for a seed. The same deck and seed always yield the same order.
+ * @param {object} db - The database instance.
+ * @param {number[]} deckCardIds - The card IDs the game is dealt from (see getDeck).
+ * @param {number} seed - The game's seed.
+ * @returns {Promise<Array<object>>} The deck's cards in dealing order.
+ */
+export async function getDealOrder(db, deckCardIds, seed) {
+    const cards = await getCardsByIds(db, deckCardIds); // Sorted by ID, so the input of the shuffle is stable
+    return shuffle(cards, createRandom(seed));
+}
+
+/**
+ * Deals the starting hand: the first cards of the deal order, sorted by bad_luck_index.
+ * @param {object} db - The database instance.
+ * @param {number[]} deckCardIds - The card IDs the game is dealt from (see getDeck).
+ * @param {number} seed - The game's seed.
+ * @param {number} handSize - Number of cards in the starting hand.
+ * @returns {Promise<Array<object>>} The initial cards; fewer than handSize if the deck is too small.
+ */
+export async function dealInitialCards(db, deckCardIds, seed, handSize) {
+    const order = await getDealOrder(db, deckCardIds, seed);
+    return order.slice(0, handSize).sort((a, b) => a.bad_luck_index - b.bad_luck_index);
+}
+
+/**
+ * How hard a round should be, from 0 (the widest slot available) to 1 (the narrowest).
+ * @param {string} difficulty - One of DIFFICULTY_LEVELS.
+ * @param {number} cardsWon - Cards the player has won so far in the game.
+ * @returns {number|null} The hardness, or null to deal in plain deal order.
+ */
+export function getHardness(difficulty, cardsWon) {
+    switch (difficulty) {
+        case 'easy': return 0;
+        case 'hard': return 1;
+        case 'adaptive': return Math.min(cardsWon / ADAPTIVE_WINS_TO_HARD, 1); // Harder with every card won
+        default: return null;
+    }
+}
+
+/**
+ * Deals the next round card. At the normal difficulty, it is the first card of the deal order not
+ * yet involved in the game. Otherwise the dealer looks at the next few uninvolved cards and picks
+ * the one whose slot in the hand is as narrow as the difficulty asks for.
+ * @param {object} db - The database instance.
+ * @param {number[]} deckCardIds - The card IDs the game is dealt from (see getDeck).
+ * @param {number} seed - The game's seed.
+ * @param {number[]} involvedCardIds - Cards already dealt in the game.
+ * @param {object} [options]
+ * @param {string} [options.difficulty=DEFAULT_DIFFICULTY] - One of DIFFICULTY_LEVELS.
+ * @param {Array<object>} [options.hand=[]] - The player's hand, sorted by bad_luck_index (not needed at the normal difficulty).
+ * @param {number} [options.cardsWon=0] - Cards won so far, for the adaptive difficulty.
+ * @returns {Promise<object|undefined>} The card, or undefined if the deck is exhausted.
+ */
+export async function dealNextCard(db, deckCardIds, seed, involvedCardIds, { difficulty = DEFAULT_DIFFICULTY, hand = [], cardsWon = 0 } = {}) {
+    const order = await getDealOrder(db, deckCardIds, seed);
+    const remaining = order.filter(card => !involvedCardIds.includes(card.id));
+    const hardness = getHardness(difficulty, cardsWon);
+    if (hardness === null || remaining.length === 0) {
+        return remaining[0];
+    }
+
+    // Widest slot first; ties keep the deal order, so the choice stays reproducible
+    const candidates = remaining.slice(0, CANDIDATE_WINDOW)
+        .map((card, position) => ({ card, position, gap: getSlotGap(hand, card) }))
+        .sort((a, b) => b.gap - a.gap || a.position - b.position);
+    return candidates[Math.round(hardness * (candidates.length - 1))].card;
+}
@@ -0,0 +1,171 @@
+// server/deck.mjs
+// Command line tool to manage the card decks in the database.
+//
+//   node deck.mjs validate <file> [--theme <theme>]        check a deck file on its own: fields, duplicates and images
+//   node deck.mjs diff <file> [--theme <theme>]            also check it against the database, and show what importing it would change
+//   node deck.mjs import <file> [--theme <theme>] [--yes]  the same as diff; with --yes, then upsert the cards by name
+//   node deck.mjs export [--theme <theme>] [--format json|csv] [--out <file>]
+//
+// Deck files are JSON (like card-data.json) or CSV with a name,image,bad_luck_index[,theme] header.
+// --theme sets the theme of the cards that do not name one. validate never opens the database, so it
+// cannot catch an index already used by a card that is only in the database: diff does. The database
+// is the server's (DB_FILE, see config.mjs); pass --db <file> to use another one. It must exist and be
+// migrated; only import --yes writes to it.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { loadConfig } from './config.mjs';
+import { getSchemaVersion, LATEST_VERSION } from './migrator.mjs';
+import { getAllCards, upsertCardsByName } from './dao-cards.mjs';
+import { readDeckFile, normalizeDeck, validateDeck, diffDeck, formatDiff, toCsv, DECK_COLUMNS } from './card-decks.mjs';
+
+const USAGE = 'Usage: node deck.mjs <validate|diff|import> <file> [--theme <theme>] [--db <file>] [--yes]\n'
+    + '       node deck.mjs export [--theme <theme>] [--format json|csv] [--out <file>] [--db <file>]';
+const FLAGS = ['yes']; // Options without a value
+
+/**
+ * Splits the command line into positional arguments and --name value options (--flag alone for FLAGS).
+ * @param {Array<string>} args - The arguments after the script name.
+ * @returns {{ positional: Array<string>, options: object }}
+ */
+function parseArgs(args) {
+    const positional = [];
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        if (!args[i].startsWith('--')) {
+            positional.push(args[i]);
+            continue;
+        }
+        const name = args[i].slice(2);
+        if (FLAGS.includes(name)) {
+            options[name] = true;
+        } else {
+            options[name] = args[i + 1];
+            i++;
+        }
+    }
+    return { positional, options };
+}
+
+/**
+ * Reads, normalizes and validates a deck file.
+ * @param {string} file - Path to the deck file.
+ * @param {string} [theme] - Theme for the cards that do not name one.
+ * @param {Array<object>} [existingCards=[]] - The cards in the database, whose indexes the deck must not reuse.
+ * @returns {Array<object>|null} The cards, or null if the deck is invalid (errors are printed).
+ */
+function loadDeck(file, theme, existingCards = []) {
+    const cards = normalizeDeck(readDeckFile(file), theme);
+    const errors = validateDeck(cards, { existingCards });
+    if (errors.length > 0) {
+        console.error(`${file} has ${errors.length} problem(s):`);
+        errors.forEach(error => console.error(`  ${error}`));
+        return null;
+    }
+    return cards;
+}
+
+/**
+ * Opens an existing database, refusing to create one or to work on an outdated schema.
+ * @param {string} filename - The database file.
+ * @param {boolean} writable - Whether the command writes to it.
+ * @returns {Promise<object>} The database instance.
+ */
+async function openDatabase(filename, writable) {
+    let db;
+    try {
+        db = await open({ filename, driver: sqlite3.Database, mode: writable ? sqlite3.OPEN_READWRITE : sqlite3.OPEN_READONLY });
+    } catch (err) {
+        throw new Error(`Cannot open the database ${filename}: ${err.message}`);
+    }
+    if (await getSchemaVersion(db) !== LATEST_VERSION) {
+        await db.close();
+        throw new Error('The database schema is not up to date. Run "npm run migrate" first.');
+    }
+    return db;
+}
+
+/**
+ * Writes the cards of the database as JSON or CSV.
+ * @param {object} db - The database instance.
+ * @param {object} options - { theme, format, out } from the command line.
+ */
+async function exportDeck(db, { theme, format, out }) {
+    format = format ?? (out && path.extname(out).toLowerCase() === '.csv' ? 'csv' : 'json');
+    if (!['json', 'csv'].includes(format)) {
+        throw new Error(`Unknown format "${format}"; use json or csv.`);
+    }
+    const cards = (await getAllCards(db))
+        .filter(c => !theme || c.theme === theme)
+        .map(c => Object.fromEntries(DECK_COLUMNS.map(col => [col, c[col]])));
+    if (theme && cards.length === 0) {
+        throw new Error(`No cards with theme "${theme}".`);
+    }
+
+    const text = format === 'csv' ? toCsv(cards) : JSON.stringify(cards, null, 2) + '\n';
+    if (out) {
+        fs.writeFileSync(out, text);
+        console.log(`Exported ${cards.length} card(s) to ${out}.`);
+    } else {
+        process.stdout.write(text);
+    }
+}
+
+async function main() {
+    const { positional: [command, file], options } = parseArgs(process.argv.slice(2));
+    const needsFile = ['validate', 'diff', 'import'].includes(command);
+    if (!(needsFile || command === 'export') || (needsFile && !file)) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    if (command === 'validate') {
+        const cards = loadDeck(file, options.theme);
+        if (cards) {
+            console.log(`${file} is valid: ${cards.length} card(s).`);
+        } else {
+            process.exitCode = 1;
+        }
+        return;
+    }
+
+    const apply = command === 'import' && options.yes === true;
+    const db = await openDatabase(options.db ?? loadConfig().dbFile, apply);
+    try {
+        if (command === 'export') {
+            await exportDeck(db, options);
+            return;
+        }
+
+        const existingCards = await getAllCards(db);
+        const cards = loadDeck(file, options.theme, existingCards);
+        if (!cards) {
+            process.exitCode = 1;
+            return;
+        }
+
+        const diff = diffDeck(existingCards, cards);
+        console.log(formatDiff(diff));
+        if (command === 'import') {
+            if (diff.added.length === 0 && diff.updated.length === 0) {
+                console.log('Nothing to import.');
+                return;
+            }
+            if (!apply) {
+                console.log('Nothing was imported. Check the changes above, then run again with --yes to apply them.');
+                return;
+            }
+            const { inserted, updated } = await upsertCardsByName(db, [...diff.added, ...diff.updated.map(u => u.card)]);
+            console.log(`Imported ${file}: ${inserted} card(s) added, ${updated} updated.`);
+        }
+    } finally {
+        await db.close();
+    }
+}
+
+main().catch(err => {
+    console.error('Deck command failed:', err.message);
+    process.exit(1);
+});
@@ -0,0 +1,187 @@
+// server/game-logic.mjs
+
+import dayjs from 'dayjs';
+import {
+    endGame, getGameCards, getWonCardsCount, getLostRoundsCount,
+    getPendingRounds, getPendingRound, recordRoundOutcome, getGameById
+} from './dao-games.mjs';
+import { getRuleSetForGame } from './dao-rulesets.mjs';
+
+export const ROUND_GRACE_PERIOD = 2; // Extra seconds tolerated for network latency
+
+/**
+ * Tells whether a round dealt at `dealTime` has run out of time.
+ * @param {string} dealTime - ISO 8601 time the card was dealt.
+ * @param {number} timeLimit - Seconds allowed per round by the game's rule set.
+ * @param {dayjs.Dayjs} [now=dayjs()] - The time to check against.
+ * @returns {boolean} True if the time limit plus grace period has passed.
+ */
+export function isRoundExpired(dealTime, timeLimit, now = dayjs()) {
+    return now.isAfter(dayjs(dealTime).add(timeLimit + ROUND_GRACE_PERIOD, 'second'));
+}
+
+/**
+ * Seconds left to answer a round dealt at `dealTime`, never negative.
+ * @param {string} dealTime - ISO 8601 time the card was dealt.
+ * @param {number} timeLimit - Seconds allowed per round by the game's rule set.
+ * @returns {number} Whole seconds remaining.
+ */
+export function getSecondsLeft(dealTime, timeLimit) {
+    const elapsed = dayjs().diff(dayjs(dealTime), 'second');
+    return Math.max(timeLimit - elapsed, 0);
+}
+
+/**
+ * Tells whether inserting `card` at `placementIndex` keeps the hand sorted by bad_luck_index.
+ * @param {Array<object>} hand - The player's cards, sorted by bad_luck_index.
+ * @param {object} card - The card being placed.
+ * @param {number} placementIndex - The index where the card was placed in the hand.
+ * @returns {boolean} True if the card fits between its neighbours.
+ */
+export function isPlacementCorrect(hand, card, placementIndex) {
+    const lower = hand[placementIndex - 1];
+    const upper = hand[placementIndex];
+    return (!lower || lower.bad_luck_index <= card.bad_luck_index)
+        && (!upper || card.bad_luck_index <= upper.bad_luck_index);
+}
+
+/**
+ * The index where `card` belongs in the hand: the number of cards with a lower bad_luck_index.
+ * Comparing it with the chosen placement tells whether the player rated the card too low or too high.
+ * @param {Array<object>} hand - The player's cards.
+ * @param {object} card - The card being placed.
+ * @returns {number} The correct placement index.
+ */
+export function getCorrectIndex(hand, card) {
+    return hand.filter(c => c.bad_luck_index < card.bad_luck_index).length;
+}
+
+/**
+ * Checks the win/lose thresholds of the game's rule set and ends the game if one was reached.
+ * @param {object} db - The database instance.
+ * @param {number} gameId - The ID of the game.
+ * @param {object} rules - The rule set the game is played with.
+ * @returns {Promise<object>} { gameOutcome, currentCards, cardsWonCount, cardsLostCount };
+ * gameOutcome is 'Won' or 'Lost' if the game just ended, otherwise null.
+ */
+export async function settleGameOutcome(db, gameId, rules) {
+    // Only cards in possession count towards the hand
+    const currentCards = (await getGameCards(db, gameId)).filter(c => ['initial', 'won'].includes(c.status));
+    const cardsWonCount = await getWonCardsCount(db, gameId);
+    const cardsLostCount = await getLostRoundsCount(db, gameId);
+
+    let gameOutcome = null;
+    if (cardsWonCount >= rules.cards_to_win) {
+        gameOutcome = 'Won';
+    } else if (cardsLostCount >= rules.rounds_to_lose) {
+        gameOutcome = 'Lost';
+    }
+    if (gameOutcome) {
+        await endGame(db, gameId, gameOutcome, currentCards.length);
+    }
+
+    return { gameOutcome, currentCards, cardsWonCount, cardsLostCount };
+}
+
+/**
+ * Converts every pending round whose time ran out into a timeout loss and
+ * ends the games that reach the loss threshold because of it.
+ * Run periodically so abandoned games are settled even if the player never returns.
+ * @param {object} db - The database instance.
+ * @returns {Promise<number>} The number of rounds that were expired.
+ */
+export async function expirePendingRounds(db) {
+    const pendingRounds = await getPendingRounds(db);
+
+    let expiredCount = 0;
+    for (const { game_id, card_id, deal_time } of pendingRounds) {
+        const rules = await getRuleSetForGame(db, game_id);
+        // Skipped if a guess arrived in the meantime and settled the round itself
+        if (isRoundExpired(deal_time, rules.round_time_limit) && await recordRoundOutcome(db, game_id, card_id, 'discarded', false)) {
+            await settleGameOutcome(db, game_id, rules);
+            expiredCount++;
+        }
+    }
+    return expiredCount;
+}
+
+/**
+ * Reconstructs the state of an unfinished game from game_cards, so a client can resume it.
+ * A pending round whose time ran out is settled first, which may end the game.
+ * @param {object} db - The database instance.
+ * @param {number} gameId - The ID of the game.
+ * @param {object} rules - The rule set the game is played with.
+ * @returns {Promise<object>} { gameId, rules, difficulty, gameOutcome, score, playerCards, roundNumber, cardsWonCount, cardsLostCount, pendingCard };
+ * pendingCard is null when no round is waiting for a guess, and never includes bad_luck_index.
+ */
+export async function getGameState(db, gameId, rules) {
+    let pending = await getPendingRound(db, gameId);
+    if (pending && isRoundExpired(pending.deal_time, rules.round_time_limit)) {
+        await recordRoundOutcome(db, gameId, pending.id, 'discarded', false);
+        pending = null;
+    }
+
+    const { gameOutcome, currentCards, cardsWonCount, cardsLostCount } = await settleGameOutcome(db, gameId, rules);
+    const gameCards = await getGameCards(db, gameId);
+    const roundNumber = Math.max(0, ...gameCards.map(c => c.round ?? 0));
+    const { score, difficulty } = await getGameById(db, gameId);
+
+    return {
+        gameId,
+        rules,
+        difficulty,
+        gameOutcome,
+        score,
+        playerCards: currentCards.map(({ id, name, image, bad_luck_index }) => ({ id, name, image, bad_luck_index })),
+        roundNumber,
+        cardsWonCount,
+        cardsLostCount,
+        pendingCard: pending ? {
+            id: pending.id,
+            name: pending.name,
+            image: pending.image,
+            round: pending.round,
+            timeLimit: rules.round_time_limit,
+            secondsLeft: getSecondsLeft(pending.deal_time, rules.round_time_limit)
+        } : null
+    };
+}
+
+/**
+ * Rebuilds a finished game as an ordered event log, for the replay viewer.
+ * Events: one 'deal' with the initial hand, one 'round' per dealt card (with the hand the card
+ * was placed into, the placement chosen and the result), and a final 'end'.
+ * @param {object} game - The game row (see getGameById).
+ * @param {Array<object>} gameCards - The game's cards (see getGameCards).
+ * @returns {Array<object>} The events in chronological order.
+ */
+export function buildGameReplay(game, gameCards) {
+    const byIndex = (a, b) => a.bad_luck_index - b.bad_luck_index;
+    const cardOf = ({ id, name, image, bad_luck_index }) => ({ id, name, image, bad_luck_index });
+
+    let hand = gameCards.filter(c => c.status === 'initial').map(cardOf).sort(byIndex);
+    const events = [{ type: 'deal', time: game.start_time, hand }];
+
+    const rounds = gameCards.filter(c => c.round !== null).sort((a, b) => a.round - b.round);
+    for (const roundCard of rounds) {
+        const card = cardOf(roundCard);
+        events.push({
+            type: 'round',
+            round: roundCard.round,
+            card,
+            hand, // The hand the card had to be placed into
+            placementIndex: roundCard.placement_index, // null for timeouts and games played before placements were recorded
+            correctIndex: getCorrectIndex(hand, card),
+            result: roundCard.status, // 'won', 'lost' or 'discarded' (timed out)
+            dealTime: roundCard.deal_time,
+            guessTime: roundCard.guess_time,
+            points: roundCard.points ?? 0
+        });
+        if (roundCard.status === 'won') {
+            hand = [...hand, card].sort(byIndex);
+        }
+    }
+
+    events.push({ type: 'end', time: game.end_time, outcome: game.outcome, hand, cardsCollected: game.cards_collected, score: game.score });
+    return events;
+}
@@ -0,0 +1,82 @@
+// server/images.mjs
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import multer from 'multer';
+import sharp from 'sharp';
+
+export const UPLOAD_ROOT = './uploads'; // Served statically under /uploads
+const CARD_IMAGE_DIR = path.join(UPLOAD_ROOT, 'cards');
+const CARD_IMAGE_URL_PREFIX = '/uploads/cards/';
+
+const MAX_UPLOAD_SIZE = 5 * 1024 * 1024; // 5 MB
+const ALLOWED_MIME_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+export const CARD_IMAGE_WIDTH = 480; // Every card image is stored at this standard size
+export const CARD_IMAGE_HEIGHT = 360;
+
+/**
+ * Multer middleware accepting a single image in the `image` field, kept in memory
+ * so it can be validated and resized before anything is written to disk.
+ */
+export const uploadCardImage = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_SIZE, files: 1 },
+    fileFilter: (req, file, cb) => {
+        if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+            return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', 'image'));
+        }
+        cb(null, true);
+    }
+}).single('image');
+
+/**
+ * Translates an upload error into a client-facing error code and message.
+ * @param {Error} err - The error raised by multer.
+ * @returns {{ code: string, message: string }} The code is one of API_ERRORS (see api-errors.mjs).
+ */
+export function describeUploadError(err) {
+    if (err instanceof multer.MulterError) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+            return { code: 'IMAGE_TOO_LARGE', message: `Image must be smaller than ${MAX_UPLOAD_SIZE / (1024 * 1024)} MB.` };
+        }
+        return { code: 'INVALID_IMAGE', message: 'Upload a single PNG, JPEG, WebP or GIF image in the "image" field.' };
+    }
+    return { code: 'INTERNAL_ERROR', message: 'Failed to upload image.' };
+}
+
+/**
+ * Resizes an uploaded image to the standard card size and stores it on disk as PNG.
+ * Throws if the buffer is not a decodable image.
+ * @param {Buffer} buffer - The uploaded file contents.
+ * @param {number} cardId - The card the image belongs to (used in the file name).
+ * @returns {Promise<string>} The public URL path of the stored image.
+ */
+export async function saveCardImage(buffer, cardId) {
+    const resized = await sharp(buffer)
+        .resize(CARD_IMAGE_WIDTH, CARD_IMAGE_HEIGHT, { fit: 'cover' })
+        .png()
+        .toBuffer();
+
+    await fs.mkdir(CARD_IMAGE_DIR, { recursive: true });
+    const fileName = `card-${cardId}-${Date.now()}.png`;
+    await fs.writeFile(path.join(CARD_IMAGE_DIR, fileName), resized);
+    return CARD_IMAGE_URL_PREFIX + fileName;
+}
+
+/**
+ * Deletes a previously uploaded card image. Images that were not uploaded
+ * (e.g. the bundled /images/*.png files) are left alone.
+ * @param {string} imageUrl - The image path stored on the card.
+ * @returns {Promise<void>}
+ */
+export async function deleteCardImage(imageUrl) {
+    if (!imageUrl?.startsWith(CARD_IMAGE_URL_PREFIX)) return;
+    const fileName = path.basename(imageUrl);
+    try {
+        await fs.unlink(path.join(CARD_IMAGE_DIR, fileName));
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            console.error(`Failed to delete card image ${fileName}:`, err);
+        }
+    }
+}
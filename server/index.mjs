@@ -1,71 +1,64 @@
-import express from 'express';
-import cors from 'cors';
-import session from 'express-session';
-import passport from 'passport';
 import { initializeDatabase, getDb } from './db.mjs'; // Import the db functions
-import { configurePassport } from './auth.mjs'; // Will create this next
-import configureRoutes from './routes.mjs'; // Will create this next
+import { createApp } from './app.mjs';
+import { loadConfig, DEV_SESSION_SECRET } from './config.mjs';
+import { expirePendingRounds } from './game-logic.mjs';
+import { configureMultiplayer } from './multiplayer.mjs';
 
-const app = express();
-const port = 3001; // React runs on 5173 by default, so we'll use 3001 for the backend.
+const ROUND_SWEEP_INTERVAL = 10 * 1000; // How often abandoned rounds are checked for timeout (ms)
+const SESSION_SWEEP_INTERVAL = 60 * 60 * 1000; // How often expired sessions are deleted (ms)
+
+// Settings come from the environment or the config file; refuse to start on invalid ones.
+let config;
+try {
+    config = loadConfig();
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
+if (config.sessionSecret === DEV_SESSION_SECRET) {
+    console.warn('Using the development session secret: set SESSION_SECRET before deploying.');
+}
 
 // Initialize Database and get DB instance
-// This will run once when the server starts
-initializeDatabase().then(() => {
+// This will run once when the server starts; nothing is served until the schema is up to date.
+initializeDatabase(config.dbFile).then(() => {
     console.log("Database initialized and ready.");
     // Now that DB is ready, we can get the instance for the app.
     // We'll pass `getDb` to our DAOs and routes.
-}).catch(err => {
-    console.error("Failed to initialize database:", err);
-    process.exit(1); // Exit if DB fails to initialize
-});
-
-// CORS Configuration
-const corsOptions = {
-    origin: 'http://localhost:5173', // Allow requests from your React app
-    credentials: true // Allow cookies to be sent
-};
-app.use(cors(corsOptions));
-
-// Middleware to parse JSON bodies
-app.use(express.json());
 
-// Session Configuration
-app.use(session({
-    secret: 'a super secret key for sessions, change this in production!',
-    resave: false,
-    saveUninitialized: false,
-    cookie: {
-        secure: false, 
-        httpOnly: true,
-        sameSite: 'lax', // Add this line
-        maxAge: 1000 * 60 * 60 * 24
-    }
-}));
+    // Periodically settle rounds whose timer ran out, even if the player closed the tab.
+    setInterval(async () => {
+        try {
+            const expiredCount = await expirePendingRounds(await getDb());
+            if (expiredCount > 0) {
+                console.log(`Expired ${expiredCount} abandoned round(s).`);
+            }
+        } catch (err) {
+            console.error("Failed to expire pending rounds:", err);
+        }
+    }, ROUND_SWEEP_INTERVAL);
 
-// Initialize Passport
-app.use(passport.initialize());
-app.use(passport.session());
+    const { app, sessionMiddleware, sessionStore } = createApp(config);
 
-// Configure Passport strategies (needs to be done after session middleware)
-configurePassport(passport, getDb); // Pass passport instance and getDb function
+    setInterval(async () => {
+        try {
+            const deletedCount = await sessionStore.prune();
+            if (deletedCount > 0) {
+                console.log(`Deleted ${deletedCount} expired session(s).`);
+            }
+        } catch (err) {
+            console.error("Failed to delete expired sessions:", err);
+        }
+    }, SESSION_SWEEP_INTERVAL);
 
-// Configure Routes (needs to be done after passport and session)
-// We'll pass the getDb function to the routes so they can access the database
-configureRoutes(app, getDb);
+    // Start the server
+    const server = app.listen(config.port, () => {
+        console.log(`Server listening on http://localhost:${config.port}`);
+    });
 
-// Basic test route
-app.get('/', (req, res) => {
-    res.send('Stuff Happens API is running!');
-});
-
-// Error handling middleware (optional but good practice)
-app.use((err, req, res, next) => {
-    console.error(err.stack);
-    res.status(500).send('Something broke!');
+    // Multiplayer matches run over WebSockets on the same port, authenticated by the session cookie
+    configureMultiplayer(server, sessionMiddleware, getDb, config.allowedOrigins);
+}).catch(err => {
+    console.error("Failed to initialize database:", err);
+    process.exit(1); // Exit if DB fails to initialize
 });
-
-// Start the server
-app.listen(port, () => {
-    console.log(`Server listening on http://localhost:${port}`);
-});
\ No newline at end of file
@@ -0,0 +1,74 @@
+// server/login-throttle.mjs
+// Slows down password guessing on /api/login. Wrong passwords are counted per username and per
+// address over a sliding window: past a few free attempts each further one doubles the wait before
+// the next try, and past a threshold logins are locked for a while. While a wait is running the
+// password is not even checked. Each attempt is stored before it is checked and only counts the
+// attempts stored before it, so parallel guesses cannot all slip through before their failures are recorded.
+
+import dayjs from 'dayjs';
+import { getUsernameFailures, getIpFailures } from './dao-login-attempts.mjs';
+
+export const FAILURE_WINDOW_MINUTES = 60; // Older failures are forgotten
+export const BASE_DELAY_SECONDS = 2; // Wait after the first failure past the free attempts
+export const MAX_DELAY_SECONDS = 300;
+export const LOCKOUT_MINUTES = 15;
+
+// An address may be shared by several players, so it gets more room than a single account
+export const USERNAME_POLICY = { freeAttempts: 3, lockoutAfter: 10 };
+export const IP_POLICY = { freeAttempts: 10, lockoutAfter: 30 };
+
+/**
+ * How long to wait before the next login attempt, given the recent failures of a username or an address.
+ * @param {object} failures - { count, lastFailureAt } as returned by getUsernameFailures or getIpFailures.
+ * @param {object} policy - { freeAttempts, lockoutAfter }: failures allowed without delay, and before a lockout.
+ * @param {dayjs.Dayjs} [now=dayjs()] - The time of the new attempt.
+ * @returns {{ retryAfter: number, locked: boolean }} Seconds left to wait (0 if none) and whether it is a lockout.
+ */
+export function getRetryDelay({ count, lastFailureAt }, policy, now = dayjs()) {
+    if (count < policy.freeAttempts) {
+        return { retryAfter: 0, locked: false };
+    }
+    const locked = count >= policy.lockoutAfter;
+    const delay = locked
+        ? LOCKOUT_MINUTES * 60
+        : Math.min(BASE_DELAY_SECONDS * 2 ** (count - policy.freeAttempts), MAX_DELAY_SECONDS);
+    const elapsed = now.diff(dayjs(lastFailureAt), 'millisecond') / 1000;
+    const retryAfter = Math.max(0, Math.ceil(delay - elapsed));
+    return { retryAfter, locked: locked && retryAfter > 0 };
+}
+
+/**
+ * Checks whether a login attempt may go ahead.
+ * @param {object} db - The database instance.
+ * @param {string} username - The username being tried.
+ * @param {string} ip - The address the attempt comes from.
+ * @param {number} attemptId - The attempt, as stored by beginLoginAttempt; only earlier attempts are counted.
+ * @param {dayjs.Dayjs} [now=dayjs()] - The time of the attempt.
+ * @returns {Promise<{ retryAfter: number, locked: boolean, scope: string|null }>} Seconds to wait (0 to go ahead),
+ * whether logins are locked, and whether the 'username' or the 'ip' is being throttled (null if neither).
+ */
+export async function checkLoginThrottle(db, username, ip, attemptId, now = dayjs()) {
+    const since = now.subtract(FAILURE_WINDOW_MINUTES, 'minute').toISOString();
+    const byUsername = getRetryDelay(await getUsernameFailures(db, username, since, attemptId), USERNAME_POLICY, now);
+    const byIp = getRetryDelay(await getIpFailures(db, ip, since, attemptId), IP_POLICY, now);
+    if (byUsername.retryAfter === 0 && byIp.retryAfter === 0) {
+        return { retryAfter: 0, locked: false, scope: null };
+    }
+    return byUsername.retryAfter >= byIp.retryAfter
+        ? { ...byUsername, scope: 'username' }
+        : { ...byIp, scope: 'ip' };
+}
+
+/**
+ * The error message for a throttled login attempt.
+ * @param {object} throttle - The result of checkLoginThrottle.
+ * @returns {string} The message; the client adds the countdown from retryAfter.
+ */
+export function describeThrottle({ locked, scope }) {
+    if (locked) {
+        return scope === 'username'
+            ? 'This account is temporarily locked after too many failed login attempts.'
+            : 'Logins from your address are temporarily blocked after too many failed attempts.';
+    }
+    return 'Too many failed login attempts. Please wait before trying again.';
+}
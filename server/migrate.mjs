@@ -0,0 +1,71 @@
+// server/migrate.mjs
+// Command line tool to migrate the database schema. The server refuses to start until it is up to date.
+//
+//   node migrate.mjs up [version]      apply pending migrations (up to the given version)
+//   node migrate.mjs down [version]    roll back the last migration (or down to the given version)
+//   node migrate.mjs status            list the migrations and which are applied
+//
+// The database file defaults to the server's (DB_FILE, see config.mjs); pass --db <file> to use another one.
+// "npm start" runs "up" first. The database is not kept in git: on a fresh checkout "up" creates it,
+// and the server fills it with the decks and the preloaded users on its first start (see db.mjs).
+
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { loadConfig } from './config.mjs';
+import { migrate, rollback, getSchemaVersion, getMigrationStatus, LATEST_VERSION } from './migrator.mjs';
+
+const USAGE = 'Usage: node migrate.mjs <up|down|status> [version] [--db <file>]';
+
+/**
+ * Parses the command line arguments.
+ * @param {Array<string>} args - The arguments after the script name.
+ * @returns {object} { command, version, filename }; version is undefined when not given.
+ */
+function parseArgs(args) {
+    const dbFlag = args.indexOf('--db');
+    let filename;
+    if (dbFlag === -1) {
+        filename = loadConfig().dbFile;
+    } else {
+        filename = args[dbFlag + 1];
+        args = args.filter((_, i) => i !== dbFlag && i !== dbFlag + 1);
+    }
+    const [command, version] = args;
+    return { command, version: version === undefined ? undefined : Number(version), filename };
+}
+
+async function main() {
+    const { command, version, filename } = parseArgs(process.argv.slice(2));
+    if (!['up', 'down', 'status'].includes(command) || !filename || Number.isNaN(version)) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    const db = await open({ filename, driver: sqlite3.Database });
+    try {
+        await db.run('PRAGMA foreign_keys = ON;');
+        if (command === 'up') {
+            const applied = await migrate(db, version);
+            if (applied.length === 0) {
+                console.log('Nothing to migrate.');
+            }
+        } else if (command === 'down') {
+            const rolledBack = await rollback(db, version);
+            if (rolledBack.length === 0) {
+                console.log('Nothing to roll back.');
+            }
+        } else {
+            for (const m of await getMigrationStatus(db)) {
+                console.log(`${String(m.version).padStart(3, '0')}  ${m.appliedAt ? `applied ${m.appliedAt}` : 'pending'}  ${m.description}`);
+            }
+        }
+        console.log(`Schema version ${await getSchemaVersion(db)} of ${LATEST_VERSION} (${filename}).`);
+    } finally {
+        await db.close();
+    }
+}
+
+main().catch(err => {
+    console.error('Migration failed:', err.message);
+    process.exit(1);
+});
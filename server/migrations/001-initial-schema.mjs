@@ -0,0 +1,52 @@
+// server/migrations/001-initial-schema.mjs
+// The schema the game started with: users, cards, games and the cards of each game.
+
+export const description = 'Create users, cards, games and game_cards';
+
+export async function up(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS users (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username TEXT UNIQUE NOT NULL,
+            password TEXT NOT NULL,
+            salt TEXT NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS cards (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT UNIQUE NOT NULL,
+            image TEXT NOT NULL,
+            bad_luck_index REAL UNIQUE NOT NULL,
+            theme TEXT NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS games (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            start_time TEXT NOT NULL,
+            end_time TEXT NOT NULL,
+            outcome TEXT NOT NULL,
+            cards_collected INTEGER NOT NULL,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+        CREATE TABLE IF NOT EXISTS game_cards (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            game_id INTEGER NOT NULL,
+            card_id INTEGER NOT NULL,
+            status TEXT NOT NULL,
+            round INTEGER,
+            guess_time TEXT,
+            is_correct_guess INTEGER,
+            FOREIGN KEY (game_id) REFERENCES games(id) ON DELETE CASCADE,
+            FOREIGN KEY (card_id) REFERENCES cards(id) ON DELETE CASCADE,
+            UNIQUE (game_id, card_id)
+        );
+    `);
+}
+
+export async function down(db) {
+    await db.exec(`
+        DROP TABLE game_cards;
+        DROP TABLE games;
+        DROP TABLE cards;
+        DROP TABLE users;
+    `);
+}
@@ -0,0 +1,14 @@
+// server/migrations/002-round-deal-time.mjs
+// Rounds are timed on the server from the moment their card is dealt.
+
+import { addColumn, dropColumn } from './helpers.mjs';
+
+export const description = 'Add game_cards.deal_time';
+
+export async function up(db) {
+    await addColumn(db, 'game_cards', 'deal_time', 'TEXT');
+}
+
+export async function down(db) {
+    await dropColumn(db, 'game_cards', 'deal_time');
+}
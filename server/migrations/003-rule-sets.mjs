@@ -0,0 +1,46 @@
+// server/migrations/003-rule-sets.mjs
+// Named rule sets chosen at game start, preloaded with the three shipped with the game.
+
+import { addColumn, dropColumn } from './helpers.mjs';
+
+export const description = 'Create rule_sets and add games.rule_set_id';
+
+const RULE_SETS = [
+    { name: 'Classic', description: 'Collect 3 more cards before missing 3 rounds. 30 seconds per round.', handSize: 3, cardsToWin: 3, roundsToLose: 3, roundTimeLimit: 30 },
+    { name: 'Sudden Death', description: 'A single mistake ends the game. 20 seconds per round.', handSize: 3, cardsToWin: 3, roundsToLose: 1, roundTimeLimit: 20 },
+    { name: 'Marathon', description: 'Collect 6 more cards, with 5 misses allowed. 45 seconds per round.', handSize: 3, cardsToWin: 6, roundsToLose: 5, roundTimeLimit: 45 }
+];
+
+export async function up(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS rule_sets (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT UNIQUE NOT NULL,
+            description TEXT NOT NULL,
+            hand_size INTEGER NOT NULL,
+            cards_to_win INTEGER NOT NULL,
+            rounds_to_lose INTEGER NOT NULL,
+            round_time_limit INTEGER NOT NULL
+        );
+    `);
+    await addColumn(db, 'games', 'rule_set_id', 'INTEGER REFERENCES rule_sets(id)');
+
+    const ruleSetCount = await db.get('SELECT COUNT(*) as count FROM rule_sets');
+    if (ruleSetCount.count === 0) {
+        const insertRuleSetStmt = await db.prepare(
+            'INSERT INTO rule_sets (name, description, hand_size, cards_to_win, rounds_to_lose, round_time_limit) VALUES (?, ?, ?, ?, ?, ?)'
+        );
+        for (const ruleSet of RULE_SETS) {
+            await insertRuleSetStmt.run(ruleSet.name, ruleSet.description, ruleSet.handSize, ruleSet.cardsToWin, ruleSet.roundsToLose, ruleSet.roundTimeLimit);
+        }
+        await insertRuleSetStmt.finalize();
+    }
+
+    // Games played before rule sets existed followed the Classic rules.
+    await db.run(`UPDATE games SET rule_set_id = (SELECT id FROM rule_sets WHERE name = 'Classic') WHERE rule_set_id IS NULL`);
+}
+
+export async function down(db) {
+    await dropColumn(db, 'games', 'rule_set_id');
+    await db.exec('DROP TABLE rule_sets;');
+}
@@ -0,0 +1,20 @@
+// server/migrations/004-game-theme.mjs
+// Each game is dealt from the deck of one theme.
+
+import { addColumn, dropColumn } from './helpers.mjs';
+
+export const description = 'Add games.theme';
+
+// The original deck; kept here rather than imported so the migration never changes meaning.
+const ORIGINAL_THEME = 'University Life';
+
+export async function up(db) {
+    await addColumn(db, 'games', 'theme', 'TEXT');
+
+    // Games played before themes existed were dealt from the original deck.
+    await db.run('UPDATE games SET theme = ? WHERE theme IS NULL', [ORIGINAL_THEME]);
+}
+
+export async function down(db) {
+    await dropColumn(db, 'games', 'theme');
+}
@@ -0,0 +1,19 @@
+// server/migrations/005-admin-role.mjs
+// Administrators manage the cards, which can be retired instead of deleted.
+
+import { addColumn, dropColumn } from './helpers.mjs';
+
+export const description = 'Add users.is_admin and cards.retired';
+
+export async function up(db) {
+    // The first preloaded player becomes the administrator.
+    if (await addColumn(db, 'users', 'is_admin', 'INTEGER NOT NULL DEFAULT 0')) {
+        await db.run(`UPDATE users SET is_admin = 1 WHERE username = 'player1'`);
+    }
+    await addColumn(db, 'cards', 'retired', 'INTEGER NOT NULL DEFAULT 0');
+}
+
+export async function down(db) {
+    await dropColumn(db, 'cards', 'retired');
+    await dropColumn(db, 'users', 'is_admin');
+}
@@ -0,0 +1,17 @@
+// server/migrations/006-daily-challenge.mjs
+// Games can be a daily challenge, which each user may play only once.
+
+import { addColumn, dropColumn } from './helpers.mjs';
+
+export const description = 'Add games.challenge_date with a unique index per user';
+
+export async function up(db) {
+    await addColumn(db, 'games', 'challenge_date', 'TEXT');
+    // NULLs, i.e. regular games, never clash
+    await db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_games_user_challenge ON games (user_id, challenge_date);');
+}
+
+export async function down(db) {
+    await db.exec('DROP INDEX idx_games_user_challenge;');
+    await dropColumn(db, 'games', 'challenge_date');
+}
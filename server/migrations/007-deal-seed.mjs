@@ -0,0 +1,17 @@
+// server/migrations/007-deal-seed.mjs
+// Every game is dealt from a seeded shuffle of its deck.
+
+import { addColumn, dropColumn } from './helpers.mjs';
+
+export const description = 'Add games.seed';
+
+export async function up(db) {
+    await addColumn(db, 'games', 'seed', 'INTEGER');
+
+    // Games dealt before seeds existed get one, so unfinished ones can keep dealing from it.
+    await db.run('UPDATE games SET seed = RANDOM() & 4294967295 WHERE seed IS NULL');
+}
+
+export async function down(db) {
+    await dropColumn(db, 'games', 'seed');
+}
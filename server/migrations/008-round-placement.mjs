@@ -0,0 +1,18 @@
+// server/migrations/008-round-placement.mjs
+// Where each card was placed, where it belonged and the hand it was placed into.
+
+import { addColumn, dropColumn } from './helpers.mjs';
+
+export const description = 'Add game_cards.placement_index, correct_index and hand_snapshot';
+
+export async function up(db) {
+    await addColumn(db, 'game_cards', 'placement_index', 'INTEGER');
+    await addColumn(db, 'game_cards', 'correct_index', 'INTEGER');
+    await addColumn(db, 'game_cards', 'hand_snapshot', 'TEXT'); // JSON array of card IDs
+}
+
+export async function down(db) {
+    await dropColumn(db, 'game_cards', 'hand_snapshot');
+    await dropColumn(db, 'game_cards', 'correct_index');
+    await dropColumn(db, 'game_cards', 'placement_index');
+}
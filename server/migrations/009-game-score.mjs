@@ -0,0 +1,17 @@
+// server/migrations/009-game-score.mjs
+// Points earned by each round and the running score of each game.
+
+import { addColumn, dropColumn } from './helpers.mjs';
+
+export const description = 'Add games.score and game_cards.points';
+
+export async function up(db) {
+    // Games finished before scoring existed keep a score of 0.
+    await addColumn(db, 'games', 'score', 'INTEGER NOT NULL DEFAULT 0');
+    await addColumn(db, 'game_cards', 'points', 'INTEGER');
+}
+
+export async function down(db) {
+    await dropColumn(db, 'game_cards', 'points');
+    await dropColumn(db, 'games', 'score');
+}
@@ -0,0 +1,15 @@
+// server/migrations/010-game-difficulty.mjs
+// The difficulty each game is dealt with.
+
+import { addColumn, dropColumn } from './helpers.mjs';
+
+export const description = 'Add games.difficulty';
+
+export async function up(db) {
+    // Games played before difficulty levels existed were dealt in plain deal order, i.e. 'normal'.
+    await addColumn(db, 'games', 'difficulty', `TEXT NOT NULL DEFAULT 'normal'`);
+}
+
+export async function down(db) {
+    await dropColumn(db, 'games', 'difficulty');
+}
@@ -0,0 +1,26 @@
+// server/migrations/011-login-attempts.mjs
+// Every login attempt, kept as an audit trail and to throttle password guessing.
+
+export const description = 'Create login_attempts';
+
+export async function up(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS login_attempts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username TEXT NOT NULL,
+            ip TEXT NOT NULL,
+            attempted_at TEXT NOT NULL,
+            succeeded INTEGER NOT NULL DEFAULT 0,
+            -- NULL once an attempt succeeded. Otherwise 'pending' (stored before the password is checked),
+            -- 'invalid-credentials', 'throttled' (refused unchecked) or 'error' (could not be checked).
+            -- Only 'pending' and 'invalid-credentials' count as failures towards throttling.
+            reason TEXT
+        );
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_login_attempts_username ON login_attempts (username, attempted_at);');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts (ip, attempted_at);');
+}
+
+export async function down(db) {
+    await db.exec('DROP TABLE login_attempts;');
+}
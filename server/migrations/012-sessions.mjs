@@ -0,0 +1,19 @@
+// server/migrations/012-sessions.mjs
+// Login sessions, kept in the database so that they survive a server restart.
+
+export const description = 'Create sessions';
+
+export async function up(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS sessions (
+            sid TEXT PRIMARY KEY,
+            sess TEXT NOT NULL, -- The express-session data, as JSON
+            expires_at TEXT NOT NULL
+        );
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions (expires_at);');
+}
+
+export async function down(db) {
+    await db.exec('DROP TABLE sessions;');
+}
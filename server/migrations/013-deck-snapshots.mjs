@@ -0,0 +1,48 @@
+// server/migrations/013-deck-snapshots.mjs
+// The cards a game is dealt from are fixed when it starts, so retiring, adding or importing cards
+// does not change the deal of a game in progress or of a day's challenge.
+
+import { addColumn, dropColumn } from './helpers.mjs';
+
+export const description = 'Add games.deck_card_ids and create daily_challenges';
+
+export async function up(db) {
+    await addColumn(db, 'games', 'deck_card_ids', 'TEXT'); // JSON array of card IDs, sorted
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS daily_challenges (
+            challenge_date TEXT PRIMARY KEY, -- YYYY-MM-DD
+            deck_card_ids TEXT NOT NULL -- JSON array of card IDs, sorted
+        );
+    `);
+
+    // Which cards earlier games started with is not known. Every card of the game's theme, retired ones
+    // included, plus the cards the game already holds, covers them all: no game is left without a deck,
+    // and a game in progress keeps the cards that were retired since it started.
+    const themeCards = new Map();
+    for (const { id, theme } of await db.all('SELECT id, theme FROM cards ORDER BY id')) {
+        themeCards.set(theme, [...(themeCards.get(theme) ?? []), id]);
+    }
+    const gameCards = new Map();
+    for (const { game_id, card_id } of await db.all('SELECT game_id, card_id FROM game_cards')) {
+        gameCards.set(game_id, [...(gameCards.get(game_id) ?? []), card_id]);
+    }
+    const deckOf = (...cardIdLists) => [...new Set(cardIdLists.flat())].sort((a, b) => a - b);
+
+    const challengeDecks = new Map();
+    for (const game of await db.all('SELECT id, theme, challenge_date FROM games WHERE deck_card_ids IS NULL')) {
+        const deck = deckOf(themeCards.get(game.theme) ?? [], gameCards.get(game.id) ?? []);
+        await db.run('UPDATE games SET deck_card_ids = ? WHERE id = ?', [JSON.stringify(deck), game.id]);
+        if (game.challenge_date !== null) {
+            challengeDecks.set(game.challenge_date, deckOf(challengeDecks.get(game.challenge_date) ?? [], deck));
+        }
+    }
+    for (const [challengeDate, deck] of challengeDecks) {
+        await db.run('INSERT OR IGNORE INTO daily_challenges (challenge_date, deck_card_ids) VALUES (?, ?)',
+            [challengeDate, JSON.stringify(deck)]);
+    }
+}
+
+export async function down(db) {
+    await db.exec('DROP TABLE daily_challenges;');
+    await dropColumn(db, 'games', 'deck_card_ids');
+}
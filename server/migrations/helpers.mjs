@@ -0,0 +1,41 @@
+// server/migrations/helpers.mjs
+// Small helpers shared by the migration scripts.
+
+/**
+ * Tells whether a table has a column.
+ * @param {object} db - The database instance.
+ * @param {string} table - The table name.
+ * @param {string} column - The column name.
+ * @returns {Promise<boolean>} True if the column exists.
+ */
+export async function hasColumn(db, table, column) {
+    const columns = await db.all(`PRAGMA table_info(${table})`);
+    return columns.some(col => col.name === column);
+}
+
+/**
+ * Adds a column unless it is already there. Databases upgraded by the startup code that
+ * predates migrations may already have some of the columns later migrations add.
+ * @param {object} db - The database instance.
+ * @param {string} table - The table name.
+ * @param {string} column - The column name.
+ * @param {string} definition - The column type and constraints, e.g. 'INTEGER NOT NULL DEFAULT 0'.
+ * @returns {Promise<boolean>} True if the column was added.
+ */
+export async function addColumn(db, table, column, definition) {
+    if (await hasColumn(db, table, column)) {
+        return false;
+    }
+    await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition};`);
+    return true;
+}
+
+/**
+ * Drops a column; the reverse of addColumn.
+ * @param {object} db - The database instance.
+ * @param {string} table - The table name.
+ * @param {string} column - The column name.
+ */
+export async function dropColumn(db, table, column) {
+    await db.exec(`ALTER TABLE ${table} DROP COLUMN ${column};`);
+}
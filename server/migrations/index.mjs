@@ -0,0 +1,34 @@
+// server/migrations/index.mjs
+// Every migration, in order. A migration's version is its position in this list (starting at 1),
+// which matches the number in its file name. Never edit or reorder a migration once shipped:
+// add a new one instead.
+
+import * as initialSchema from './001-initial-schema.mjs';
+import * as roundDealTime from './002-round-deal-time.mjs';
+import * as ruleSets from './003-rule-sets.mjs';
+import * as gameTheme from './004-game-theme.mjs';
+import * as adminRole from './005-admin-role.mjs';
+import * as dailyChallenge from './006-daily-challenge.mjs';
+import * as dealSeed from './007-deal-seed.mjs';
+import * as roundPlacement from './008-round-placement.mjs';
+import * as gameScore from './009-game-score.mjs';
+import * as gameDifficulty from './010-game-difficulty.mjs';
+import * as loginAttempts from './011-login-attempts.mjs';
+import * as sessions from './012-sessions.mjs';
+import * as deckSnapshots from './013-deck-snapshots.mjs';
+
+export const MIGRATIONS = [
+    initialSchema,
+    roundDealTime,
+    ruleSets,
+    gameTheme,
+    adminRole,
+    dailyChallenge,
+    dealSeed,
+    roundPlacement,
+    gameScore,
+    gameDifficulty,
+    loginAttempts,
+    sessions,
+    deckSnapshots
+].map((migration, i) => ({ version: i + 1, ...migration }));
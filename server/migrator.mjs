@@ -0,0 +1,134 @@
+// server/migrator.mjs
+// Applies and rolls back the numbered schema migrations in ./migrations.
+// The schema_version table records every migration applied; its highest version is the schema version.
+
+import dayjs from 'dayjs';
+import { MIGRATIONS } from './migrations/index.mjs';
+
+export const LATEST_VERSION = MIGRATIONS.length;
+
+/**
+ * Tells whether a table exists.
+ * @param {object} db - The database instance.
+ * @param {string} table - The table name.
+ * @returns {Promise<boolean>} True if the table exists.
+ */
+async function tableExists(db, table) {
+    const row = await db.get(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`, [table]);
+    return !!row;
+}
+
+/**
+ * Reads the schema version of a database.
+ * @param {object} db - The database instance.
+ * @returns {Promise<number>} The highest migration applied, 0 for an unmigrated database.
+ */
+export async function getSchemaVersion(db) {
+    if (!(await tableExists(db, 'schema_version'))) {
+        return 0;
+    }
+    const row = await db.get('SELECT MAX(version) as version FROM schema_version');
+    return row.version ?? 0;
+}
+
+/**
+ * Lists every known migration and whether it has been applied.
+ * @param {object} db - The database instance.
+ * @returns {Promise<Array<object>>} { version, description, appliedAt } for each migration; appliedAt is null if pending.
+ */
+export async function getMigrationStatus(db) {
+    const applied = (await tableExists(db, 'schema_version'))
+        ? await db.all('SELECT version, applied_at FROM schema_version')
+        : [];
+    return MIGRATIONS.map(m => ({
+        version: m.version,
+        description: m.description,
+        appliedAt: applied.find(a => a.version === m.version)?.applied_at ?? null
+    }));
+}
+
+/**
+ * Runs one migration step and updates schema_version in the same transaction.
+ * @param {object} db - The database instance.
+ * @param {object} migration - The migration.
+ * @param {'up'|'down'} direction - Whether to apply or roll back the migration.
+ */
+async function runStep(db, migration, direction) {
+    await db.exec('BEGIN');
+    try {
+        await migration[direction](db);
+        if (direction === 'up') {
+            await db.run('INSERT INTO schema_version (version, description, applied_at) VALUES (?, ?, ?)',
+                [migration.version, migration.description, dayjs().toISOString()]);
+        } else {
+            await db.run('DELETE FROM schema_version WHERE version = ?', [migration.version]);
+        }
+        await db.exec('COMMIT');
+    } catch (err) {
+        await db.exec('ROLLBACK');
+        console.error(`Error in migration ${migration.version} (${direction}):`, err);
+        throw err;
+    }
+}
+
+/**
+ * Databases created before migrations existed have the tables of the first migration but no
+ * schema_version table. They are recorded at version 1; the later migrations only add what
+ * such a database is missing.
+ * @param {object} db - The database instance.
+ */
+async function adoptUnversionedDatabase(db) {
+    const unversioned = !(await tableExists(db, 'schema_version')) && await tableExists(db, 'users');
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_version (
+            version INTEGER PRIMARY KEY,
+            description TEXT NOT NULL,
+            applied_at TEXT NOT NULL
+        );
+    `);
+    if (unversioned) {
+        await db.run('INSERT INTO schema_version (version, description, applied_at) VALUES (?, ?, ?)',
+            [MIGRATIONS[0].version, MIGRATIONS[0].description, dayjs().toISOString()]);
+        console.log('Existing unversioned database recorded at version 1.');
+    }
+}
+
+/**
+ * Applies the pending migrations, in order, up to the target version.
+ * @param {object} db - The database instance.
+ * @param {number} [target=LATEST_VERSION] - The version to migrate to.
+ * @returns {Promise<Array<object>>} The migrations applied.
+ */
+export async function migrate(db, target = LATEST_VERSION) {
+    if (!Number.isInteger(target) || target < 0 || target > LATEST_VERSION) {
+        throw new Error(`Unknown schema version ${target}; the latest is ${LATEST_VERSION}.`);
+    }
+    await adoptUnversionedDatabase(db);
+    const current = await getSchemaVersion(db);
+    const pending = MIGRATIONS.filter(m => m.version > current && m.version <= target);
+    for (const migration of pending) {
+        await runStep(db, migration, 'up');
+        console.log(`Applied migration ${migration.version}: ${migration.description}.`);
+    }
+    return pending;
+}
+
+/**
+ * Rolls back the applied migrations, newest first, down to the target version.
+ * @param {object} db - The database instance.
+ * @param {number} [target] - The version to roll back to; by default, the one before the current version.
+ * @returns {Promise<Array<object>>} The migrations rolled back.
+ */
+export async function rollback(db, target) {
+    const current = await getSchemaVersion(db);
+    target = target ?? Math.max(current - 1, 0);
+    if (!Number.isInteger(target) || target < 0 || target > current) {
+        throw new Error(`Cannot roll back to version ${target} from version ${current}.`);
+    }
+    const toRollBack = MIGRATIONS.filter(m => m.version <= current && m.version > target).reverse();
+    for (const migration of toRollBack) {
+        await runStep(db, migration, 'down');
+        console.log(`Rolled back migration ${migration.version}: ${migration.description}.`);
+    }
+    return toRollBack;
+}
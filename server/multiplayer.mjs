@@ -0,0 +1,552 @@
+// server/multiplayer.mjs
+//
+// Real-time head-to-head mode. Players connect to MULTIPLAYER_PATH with the same session cookie
+// used by the REST API, gather in a lobby and are all dealt the same card each round under a
+// single server-side clock. Matches live in memory only and are not recorded in the game history.
+//
+// Messages are JSON objects with a `type` field.
+// Client -> server: create-lobby { theme?, ruleSetId? }, join-lobby { lobbyId }, leave-lobby,
+//                   start-match, guess { cardId, placementIndex }
+// Server -> client: welcome, lobbies, lobby, match-start, hand, round, guess-result, progress,
+//                   round-end, match-end, error
+
+import { WebSocketServer } from 'ws';
+import { getUserById } from './dao-users.mjs';
+import { getThemes } from './dao-cards.mjs';
+import { getDefaultRuleSet, getRuleSetById } from './dao-rulesets.mjs';
+import { DEFAULT_THEME } from './db.mjs';
+import { ROUND_GRACE_PERIOD, isPlacementCorrect } from './game-logic.mjs';
+import { generateSeed, getDeck, getDealOrder, dealNextCard } from './dealing.mjs';
+
+export const MULTIPLAYER_PATH = '/ws/multiplayer';
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = 6;
+const ROUND_BREAK = 3 * 1000; // Pause between the reveal of a round and the next deal (ms)
+
+const clients = new Map(); // userId -> { user, socket, lobby }
+const lobbies = new Map(); // lobbyId -> lobby
+let nextLobbyId = 1;
+
+/**
+ * Sends a message to a single socket, ignoring sockets that are already closed.
+ * @param {WebSocket} socket - The recipient.
+ * @param {object} message - The message; serialized as JSON.
+ */
+function send(socket, message) {
+    if (socket.readyState === socket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * Sends a message to every player of a lobby.
+ * @param {object} lobby - The lobby.
+ * @param {object} message - The message; serialized as JSON.
+ */
+function broadcast(lobby, message) {
+    for (const player of lobby.players.values()) {
+        const client = clients.get(player.id);
+        if (client?.lobby === lobby) send(client.socket, message); // Skip players who left a running match
+    }
+}
+
+/**
+ * Public view of a lobby, as shown in the lobby list and the waiting room.
+ * @param {object} lobby - The lobby.
+ * @returns {object} { id, hostId, theme, rules, status, players }
+ */
+function describeLobby(lobby) {
+    return {
+        id: lobby.id,
+        hostId: lobby.hostId,
+        theme: lobby.theme,
+        rules: lobby.rules,
+        status: lobby.status,
+        players: [...lobby.players.values()].map(({ id, username }) => ({ id, username }))
+    };
+}
+
+/**
+ * Progress of every player in a match. Hands stay private; only their size is shared.
+ * @param {object} lobby - The lobby.
+ * @returns {Array<object>} Array of { id, username, handSize, cardsWon, cardsLost, answered, eliminated }.
+ */
+function describeStandings(lobby) {
+    return [...lobby.players.values()].map(p => ({
+        id: p.id,
+        username: p.username,
+        handSize: p.hand.length,
+        cardsWon: p.cardsWon,
+        cardsLost: p.cardsLost,
+        answered: p.answered,
+        eliminated: p.eliminated
+    }));
+}
+
+/**
+ * The message announcing the current round card and its shared deadline.
+ * @param {object} lobby - The lobby whose match is running.
+ * @returns {object} { type: 'round', round, card, timeLimit, deadline, serverTime }
+ */
+function describeRound(lobby) {
+    const { id, name, image } = lobby.pendingCard; // bad_luck_index stays on the server
+    return {
+        type: 'round',
+        round: lobby.round,
+        card: { id, name, image },
+        timeLimit: lobby.rules.round_time_limit,
+        deadline: lobby.deadline,
+        serverTime: Date.now() // Lets clients correct for clock skew
+    };
+}
+
+/**
+ * Sends the list of open lobbies to every connected user who is not in a lobby.
+ */
+function broadcastLobbyList() {
+    const open = [...lobbies.values()].filter(l => l.status === 'waiting').map(describeLobby);
+    for (const client of clients.values()) {
+        if (!client.lobby) send(client.socket, { type: 'lobbies', lobbies: open });
+    }
+}
+
+/**
+ * Creates a lobby hosted by the given client.
+ * @param {object} db - The database instance.
+ * @param {object} client - The connected user creating the lobby.
+ * @param {object} message - { theme?, ruleSetId? }
+ */
+async function createLobby(db, client, { theme = DEFAULT_THEME, ruleSetId }) {
+    if (client.lobby) {
+        return send(client.socket, { type: 'error', error: 'You are already in a lobby.' });
+    }
+    const rules = ruleSetId === undefined ? await getDefaultRuleSet(db) : await getRuleSetById(db, ruleSetId);
+    if (!rules) {
+        return send(client.socket, { type: 'error', error: 'Rule set not found.' });
+    }
+    const themes = await getThemes(db);
+    if (!themes.some(t => t.name === theme)) {
+        return send(client.socket, { type: 'error', error: 'Theme not found.' });
+    }
+    // The socket may have joined another lobby while the lookups were running
+    if (client.lobby) return;
+
+    const lobby = {
+        id: nextLobbyId++,
+        db,
+        hostId: client.user.id,
+        theme,
+        rules,
+        status: 'waiting', // 'waiting' -> 'starting' -> 'playing'; finished lobbies are removed
+        players: new Map(),
+        round: 0,
+        pendingCard: null,
+        deadline: null,
+        timer: null,
+        deck: null, // The card IDs the match is dealt from, fixed when it starts
+        seed: generateSeed(), // One deal order for the whole match: hands first, then round cards
+        usedCardIds: []
+    };
+    lobbies.set(lobby.id, lobby);
+    addPlayer(lobby, client);
+}
+
+/**
+ * Adds a connected user to a lobby and notifies everyone concerned.
+ * @param {object} lobby - The lobby to join.
+ * @param {object} client - The connected user.
+ */
+function addPlayer(lobby, client) {
+    lobby.players.set(client.user.id, {
+        id: client.user.id,
+        username: client.user.username,
+        hand: [],
+        cardsWon: 0,
+        cardsLost: 0,
+        answered: false,
+        eliminated: false
+    });
+    client.lobby = lobby;
+    broadcast(lobby, { type: 'lobby', lobby: describeLobby(lobby) });
+    broadcastLobbyList();
+}
+
+/**
+ * Adds the client to a waiting lobby.
+ * @param {object} client - The connected user.
+ * @param {object} message - { lobbyId }
+ */
+function joinLobby(client, { lobbyId }) {
+    const lobby = lobbies.get(lobbyId);
+    if (client.lobby) {
+        return send(client.socket, { type: 'error', error: 'You are already in a lobby.' });
+    }
+    if (!lobby || lobby.status !== 'waiting') {
+        return send(client.socket, { type: 'error', error: 'Lobby not found or already started.' });
+    }
+    if (lobby.players.size >= MAX_PLAYERS) {
+        return send(client.socket, { type: 'error', error: `A lobby holds at most ${MAX_PLAYERS} players.` });
+    }
+    addPlayer(lobby, client);
+}
+
+/**
+ * Removes the client from its lobby. Leaving a running match forfeits it.
+ * @param {object} client - The connected user.
+ */
+function leaveLobby(client) {
+    const lobby = client.lobby;
+    if (!lobby) return;
+    client.lobby = null;
+
+    if (lobby.status === 'playing') {
+        const player = lobby.players.get(client.user.id);
+        player.eliminated = true;
+        broadcast(lobby, { type: 'progress', round: lobby.round, players: describeStandings(lobby) });
+        const remaining = [...lobby.players.values()].filter(p => !p.eliminated);
+        if (lobby.pendingCard) {
+            if (isRoundComplete(lobby)) closeRound(lobby);
+        } else if (remaining.length <= 1) {
+            finishMatch(lobby, remaining); // Left between rounds: the match cannot go on
+        }
+    } else {
+        lobby.players.delete(client.user.id);
+        if (lobby.players.size === 0) {
+            lobbies.delete(lobby.id);
+        } else {
+            if (lobby.hostId === client.user.id) {
+                lobby.hostId = lobby.players.keys().next().value; // Hand the lobby to the longest-waiting player
+            }
+            broadcast(lobby, { type: 'lobby', lobby: describeLobby(lobby) });
+        }
+    }
+    broadcastLobbyList();
+}
+
+/**
+ * Deals a private hand to every player and starts the first round. Only the host may start.
+ * @param {object} db - The database instance.
+ * @param {object} client - The connected user starting the match.
+ */
+async function startMatch(db, client) {
+    const lobby = client.lobby;
+    if (!lobby || lobby.status !== 'waiting') {
+        return send(client.socket, { type: 'error', error: 'You are not in a lobby waiting to start.' });
+    }
+    if (lobby.hostId !== client.user.id) {
+        return send(client.socket, { type: 'error', error: 'Only the host can start the match.' });
+    }
+    if (lobby.players.size < MIN_PLAYERS) {
+        return send(client.socket, { type: 'error', error: `At least ${MIN_PLAYERS} players are needed.` });
+    }
+
+    lobby.status = 'starting';
+    broadcastLobbyList();
+    try {
+        lobby.deck = await getDeck(db, lobby.theme);
+        const order = await getDealOrder(db, lobby.deck, lobby.seed);
+        // Players may have left while the deal was being fetched, possibly dissolving the lobby
+        if (lobbies.get(lobby.id) !== lobby) return;
+        if (lobby.players.size < MIN_PLAYERS) {
+            lobby.status = 'waiting';
+            broadcast(lobby, { type: 'error', error: `A player left: at least ${MIN_PLAYERS} players are needed.` });
+            broadcast(lobby, { type: 'lobby', lobby: describeLobby(lobby) });
+            broadcastLobbyList();
+            return;
+        }
+        for (const player of lobby.players.values()) {
+            const hand = order.slice(lobby.usedCardIds.length, lobby.usedCardIds.length + lobby.rules.hand_size);
+            if (hand.length < lobby.rules.hand_size) {
+                throw new Error('Not enough cards to deal every player a hand.');
+            }
+            player.hand = hand.sort((a, b) => a.bad_luck_index - b.bad_luck_index);
+            lobby.usedCardIds.push(...hand.map(c => c.id));
+        }
+    } catch (err) {
+        console.error(`Error starting multiplayer match in lobby ${lobby.id}:`, err);
+        lobby.status = 'waiting';
+        lobby.usedCardIds = [];
+        broadcast(lobby, { type: 'error', error: 'Failed to start match.' });
+        broadcastLobbyList();
+        return;
+    }
+
+    lobby.status = 'playing';
+    broadcast(lobby, { type: 'match-start', lobby: describeLobby(lobby), players: describeStandings(lobby) });
+    for (const player of lobby.players.values()) {
+        const playerClient = clients.get(player.id);
+        if (playerClient) send(playerClient.socket, { type: 'hand', cards: player.hand });
+    }
+    await dealRound(db, lobby);
+}
+
+/**
+ * Deals the same card to every player still in the match and starts the shared round clock.
+ * The match ends in favour of the best hands if the deck runs out.
+ * @param {object} db - The database instance.
+ * @param {object} lobby - The lobby whose match is running.
+ */
+async function dealRound(db, lobby) {
+    if (lobby.status !== 'playing') return;
+
+    let card;
+    try {
+        card = await dealNextCard(db, lobby.deck, lobby.seed, lobby.usedCardIds);
+    } catch (err) {
+        console.error(`Error dealing multiplayer round in lobby ${lobby.id}:`, err);
+    }
+    if (!card) {
+        const best = Math.max(...[...lobby.players.values()].filter(p => !p.eliminated).map(p => p.cardsWon));
+        return finishMatch(lobby, [...lobby.players.values()].filter(p => !p.eliminated && p.cardsWon === best));
+    }
+
+    lobby.usedCardIds.push(card.id);
+    lobby.round++;
+    lobby.pendingCard = card;
+    lobby.deadline = Date.now() + lobby.rules.round_time_limit * 1000;
+    for (const player of lobby.players.values()) {
+        player.answered = false;
+    }
+
+    broadcast(lobby, describeRound(lobby));
+    lobby.timer = setTimeout(() => closeRound(lobby), (lobby.rules.round_time_limit + ROUND_GRACE_PERIOD) * 1000);
+}
+
+/**
+ * Records a player's placement of the current round card.
+ * @param {object} client - The connected user.
+ * @param {object} message - { cardId, placementIndex }
+ */
+function submitGuess(client, { cardId, placementIndex }) {
+    const lobby = client.lobby;
+    const player = lobby?.players.get(client.user.id);
+    if (!lobby || lobby.status !== 'playing' || !lobby.pendingCard) {
+        return send(client.socket, { type: 'error', error: 'No round is being played.' });
+    }
+    if (player.eliminated || player.answered) {
+        return send(client.socket, { type: 'error', error: 'You cannot place a card in this round.' });
+    }
+    if (cardId !== lobby.pendingCard.id) {
+        return send(client.socket, { type: 'error', error: 'This card was not dealt for the current round.' });
+    }
+    if (!Number.isInteger(placementIndex) || placementIndex < 0 || placementIndex > player.hand.length) {
+        return send(client.socket, { type: 'error', error: 'Invalid placement index.' });
+    }
+
+    const card = lobby.pendingCard;
+    const timedOut = Date.now() > lobby.deadline + ROUND_GRACE_PERIOD * 1000;
+    const isCorrect = !timedOut && isPlacementCorrect(player.hand, card, placementIndex);
+    recordAnswer(player, card, isCorrect);
+
+    send(client.socket, {
+        type: 'guess-result',
+        round: lobby.round,
+        isCorrect,
+        timedOut,
+        badLuckIndex: card.bad_luck_index,
+        currentCards: player.hand
+    });
+    broadcast(lobby, { type: 'progress', round: lobby.round, players: describeStandings(lobby) });
+    if (isRoundComplete(lobby)) closeRound(lobby);
+}
+
+/**
+ * Applies the outcome of a round to a player's hand and counters.
+ * @param {object} player - The player.
+ * @param {object} card - The round card.
+ * @param {boolean} isCorrect - Whether the player placed it correctly.
+ */
+function recordAnswer(player, card, isCorrect) {
+    player.answered = true;
+    if (isCorrect) {
+        player.hand = [...player.hand, card].sort((a, b) => a.bad_luck_index - b.bad_luck_index);
+        player.cardsWon++;
+    } else {
+        player.cardsLost++;
+    }
+}
+
+/**
+ * Tells whether every player still in the match has answered the current round.
+ * @param {object} lobby - The lobby.
+ * @returns {boolean}
+ */
+function isRoundComplete(lobby) {
+    return [...lobby.players.values()].every(p => p.eliminated || p.answered);
+}
+
+/**
+ * Ends the current round: players who did not answer lose it, the card is revealed,
+ * and the match either ends or moves on to the next deal.
+ * @param {object} lobby - The lobby.
+ */
+function closeRound(lobby) {
+    if (lobby.status !== 'playing' || !lobby.pendingCard) return;
+    clearTimeout(lobby.timer);
+    const card = lobby.pendingCard;
+    lobby.pendingCard = null;
+
+    const { cards_to_win, rounds_to_lose } = lobby.rules;
+    const players = [...lobby.players.values()];
+    for (const player of players.filter(p => !p.eliminated && !p.answered)) {
+        recordAnswer(player, card, false);
+        const client = clients.get(player.id);
+        if (client) {
+            send(client.socket, {
+                type: 'guess-result', round: lobby.round, isCorrect: false, timedOut: true,
+                badLuckIndex: card.bad_luck_index, currentCards: player.hand
+            });
+        }
+    }
+    for (const player of players.filter(p => p.cardsLost >= rounds_to_lose)) {
+        player.eliminated = true;
+    }
+
+    broadcast(lobby, { type: 'round-end', round: lobby.round, card, players: describeStandings(lobby) });
+
+    const remaining = players.filter(p => !p.eliminated);
+    const winners = remaining.filter(p => p.cardsWon >= cards_to_win);
+    if (winners.length > 0) {
+        finishMatch(lobby, winners);
+    } else if (remaining.length <= 1) {
+        finishMatch(lobby, remaining); // Last player standing wins; nobody if all were knocked out together
+    } else {
+        lobby.timer = setTimeout(() => dealRound(lobby.db, lobby), ROUND_BREAK);
+    }
+}
+
+/**
+ * Announces the result and dissolves the lobby, sending its players back to the lobby list.
+ * @param {object} lobby - The lobby.
+ * @param {Array<object>} winners - The winning players; more than one on a tie, none if everyone lost.
+ */
+function finishMatch(lobby, winners) {
+    clearTimeout(lobby.timer);
+    lobby.status = 'finished';
+    broadcast(lobby, {
+        type: 'match-end',
+        winners: winners.map(({ id, username }) => ({ id, username })),
+        players: describeStandings(lobby)
+    });
+    for (const player of lobby.players.values()) {
+        const client = clients.get(player.id);
+        if (client?.lobby === lobby) client.lobby = null;
+    }
+    lobbies.delete(lobby.id);
+    broadcastLobbyList();
+}
+
+/**
+ * Routes an incoming message to its handler.
+ * @param {object} db - The database instance.
+ * @param {object} client - The connected user who sent the message.
+ * @param {object} message - The parsed message.
+ */
+async function handleMessage(db, client, message) {
+    switch (message.type) {
+        case 'create-lobby':
+            return createLobby(db, client, message);
+        case 'join-lobby':
+            return joinLobby(client, message);
+        case 'leave-lobby':
+            return leaveLobby(client);
+        case 'start-match':
+            return startMatch(db, client);
+        case 'guess':
+            return submitGuess(client, message);
+        default:
+            send(client.socket, { type: 'error', error: 'Unknown message type.' });
+    }
+}
+
+/**
+ * Rejects a WebSocket upgrade with a plain HTTP status line.
+ * @param {import('net').Socket} socket - The raw connection.
+ * @param {string} status - e.g. '401 Unauthorized'.
+ */
+function rejectUpgrade(socket, status) {
+    socket.write(`HTTP/1.1 ${status}\r\nConnection: close\r\n\r\n`);
+    socket.destroy();
+}
+
+/**
+ * Attaches the multiplayer WebSocket endpoint to the HTTP server.
+ * Upgrades are authenticated with the express-session cookie, so only logged-in users can connect.
+ * @param {import('http').Server} server - The HTTP server Express listens on.
+ * @param {Function} sessionMiddleware - The express-session middleware used by the app.
+ * @param {Function} getDb - Function returning a promise for the database instance.
+ * @param {Array<string>} allowedOrigins - The Origins allowed to open a socket (the React app).
+ */
+export function configureMultiplayer(server, sessionMiddleware, getDb, allowedOrigins) {
+    const wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', (req, socket, head) => {
+        if (new URL(req.url, 'http://localhost').pathname !== MULTIPLAYER_PATH) {
+            return rejectUpgrade(socket, '404 Not Found');
+        }
+        // Browsers send cookies on cross-site socket requests too, so the origin must be checked
+        if (!allowedOrigins.includes(req.headers.origin)) {
+            return rejectUpgrade(socket, '403 Forbidden');
+        }
+
+        sessionMiddleware(req, {}, async () => {
+            try {
+                const userId = req.session?.passport?.user; // Set by passport.serializeUser on login
+                const db = await getDb();
+                const user = userId !== undefined ? await getUserById(db, userId) : undefined;
+                if (!user) {
+                    return rejectUpgrade(socket, '401 Unauthorized');
+                }
+                wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, user, db));
+            } catch (err) {
+                console.error('Error authenticating multiplayer connection:', err);
+                rejectUpgrade(socket, '500 Internal Server Error');
+            }
+        });
+    });
+
+    wss.on('connection', (socket, user, db) => {
+        // One connection per user: a new tab takes over from the old one
+        const previous = clients.get(user.id);
+        if (previous) {
+            previous.socket.removeAllListeners('close');
+            previous.socket.close(4000, 'Connected from another window.');
+        }
+        const client = { user: { id: user.id, username: user.username }, socket, lobby: previous?.lobby ?? null };
+        clients.set(user.id, client);
+
+        send(socket, { type: 'welcome', user: client.user, minPlayers: MIN_PLAYERS, maxPlayers: MAX_PLAYERS });
+        const lobby = client.lobby;
+        if (lobby) {
+            // Bring the new window up to date with the lobby or match it takes over
+            send(socket, { type: 'lobby', lobby: describeLobby(lobby) });
+            if (lobby.status === 'playing') {
+                send(socket, { type: 'hand', cards: lobby.players.get(user.id).hand });
+                send(socket, { type: 'progress', round: lobby.round, players: describeStandings(lobby) });
+                if (lobby.pendingCard && !lobby.players.get(user.id).answered) send(socket, describeRound(lobby));
+            }
+        } else {
+            send(socket, { type: 'lobbies', lobbies: [...lobbies.values()].filter(l => l.status === 'waiting').map(describeLobby) });
+        }
+
+        socket.on('message', async (data) => {
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch {
+                return send(socket, { type: 'error', error: 'Messages must be JSON.' });
+            }
+            try {
+                await handleMessage(db, client, message ?? {});
+            } catch (err) {
+                console.error(`Error handling multiplayer message "${message?.type}" from ${user.username}:`, err);
+                send(socket, { type: 'error', error: 'Something went wrong.' });
+            }
+        });
+
+        socket.on('close', () => {
+            leaveLobby(client);
+            clients.delete(user.id);
+        });
+    });
+}
@@ -0,0 +1,594 @@
+// server/openapi.mjs
+// The OpenAPI 3 document of the API, the docs page that browses it, and the check that the routes
+// actually served match it. Request params, query strings and bodies come from the same schemas the
+// routes validate with (schemas.mjs); responses are described by the component schemas below.
+// Adding or changing a route in routes.mjs means updating ROUTES here: the test suite runs
+// checkRoutesAgainstSpec and lists every route that drifted.
+
+import express from 'express';
+import util from 'node:util';
+import getSwaggerUiPath from 'swagger-ui-dist/absolute-path.js';
+import { isLoggedIn, isAdmin } from './auth.mjs';
+import { API_ERRORS } from './api-errors.mjs';
+import { toJsonSchema, VALIDATION_CODES } from './validation.mjs';
+import * as schemas from './schemas.mjs';
+import { DIFFICULTY_LEVELS } from './dealing.mjs';
+
+const SESSION_COOKIE = 'connect.sid'; // express-session's default cookie name
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const listOf = (items) => ({ type: 'array', items });
+const nullable = (schema) => (schema.$ref ? { allOf: [schema], nullable: true } : { ...schema, nullable: true });
+const integer = { type: 'integer' };
+const number = { type: 'number' };
+const string = { type: 'string' };
+const boolean = { type: 'boolean' };
+const dateTime = { type: 'string', format: 'date-time' };
+const gameOutcome = { type: 'string', enum: ['Won', 'Lost'], nullable: true, description: 'Set once the game has ended.' };
+
+/**
+ * An object schema where every listed property is present.
+ * @param {object} properties - The schema of each property, by name.
+ * @param {object} [extra] - Other keywords (e.g. description).
+ * @returns {object} The JSON Schema.
+ */
+function shape(properties, extra = {}) {
+    return { type: 'object', properties, required: Object.keys(properties), ...extra };
+}
+
+const card = { id: integer, name: string, image: string, bad_luck_index: number };
+const hiddenCard = { id: integer, name: string, image: string };
+const practice = { theme: string, hand: listOf(ref('Card')), round: integer, correct: integer, wrong: integer };
+
+// The shapes of successful responses, referenced by ROUTES
+const RESPONSE_SCHEMAS = {
+    Message: shape({ message: string }),
+    User: shape({ id: integer, username: string, isAdmin: boolean }),
+    Card: shape(card, { description: 'A card with its bad luck index, once it is safe to reveal.' }),
+    HiddenCard: shape(hiddenCard, { description: 'A card to be placed: its bad luck index is withheld.' }),
+    EditedCard: shape({ ...card, theme: string }),
+    AdminCard: shape({ ...card, theme: string, retired: { type: 'integer', enum: [0, 1] } }),
+    RuleSet: shape({
+        id: integer, name: string, description: string, hand_size: integer, cards_to_win: integer, rounds_to_lose: integer,
+        round_time_limit: { type: 'integer', description: 'Seconds to answer a round.' }
+    }),
+    Theme: shape({ name: string, cardCount: integer }),
+    NewGame: shape({
+        gameId: integer, initialCards: listOf(ref('Card')), rules: ref('RuleSet'), theme: string,
+        difficulty: { type: 'string', enum: DIFFICULTY_LEVELS }
+    }),
+    NewChallengeGame: {
+        allOf: [ref('NewGame'), shape({ challengeDate: { type: 'string', format: 'date' } })]
+    },
+    RoundCard: shape({ ...hiddenCard, round: integer, timeLimit: integer, secondsLeft: integer }),
+    GameState: shape({
+        gameId: integer, rules: ref('RuleSet'), difficulty: string, gameOutcome, score: integer,
+        playerCards: listOf(ref('Card')), roundNumber: integer, cardsWonCount: integer, cardsLostCount: integer,
+        pendingCard: nullable(ref('RoundCard'))
+    }),
+    RoundPoints: shape({ total: integer, timePoints: integer, streakBonus: integer, gapBonus: integer }),
+    GuessResult: shape({
+        isCorrect: boolean, timedOut: boolean, badLuckIndex: number, wonCard: nullable(ref('Card')),
+        currentCards: listOf(ref('GameCard')), gameOutcome, cardsWonCount: integer, cardsLostCount: integer,
+        points: ref('RoundPoints'), score: integer
+    }),
+    LoseRoundResult: shape({ message: string, gameOutcome, cardsLostCount: integer }),
+    ReplayEvent: {
+        type: 'object',
+        description: "One 'deal' event, one 'round' event per dealt card, then one 'end' event.",
+        properties: {
+            type: { type: 'string', enum: ['deal', 'round', 'end'] },
+            time: dateTime,
+            hand: listOf(ref('Card')),
+            round: integer,
+            card: ref('Card'),
+            placementIndex: { type: 'integer', nullable: true },
+            correctIndex: integer,
+            result: { type: 'string', enum: ['won', 'lost', 'discarded'] },
+            dealTime: dateTime,
+            guessTime: { ...dateTime, nullable: true },
+            points: integer,
+            outcome: string,
+            cardsCollected: integer,
+            score: integer
+        },
+        required: ['type', 'hand']
+    },
+    Replay: shape({
+        gameId: integer, theme: string, rules: ref('RuleSet'), challengeDate: { type: 'string', format: 'date', nullable: true },
+        difficulty: string, events: listOf(ref('ReplayEvent'))
+    }),
+    GameCard: shape({
+        ...card,
+        status: { type: 'string', enum: ['initial', 'pending', 'won', 'lost', 'discarded'] },
+        round: { type: 'integer', nullable: true },
+        guess_time: { ...dateTime, nullable: true },
+        is_correct_guess: { type: 'integer', nullable: true },
+        deal_time: { ...dateTime, nullable: true },
+        placement_index: { type: 'integer', nullable: true },
+        correct_index: { type: 'integer', nullable: true },
+        hand_snapshot: { ...listOf(integer), nullable: true, description: 'IDs of the hand the card was placed into.' },
+        points: { type: 'integer', nullable: true }
+    }),
+    HistoryPage: shape({
+        games: listOf(shape({
+            id: integer, start_time: dateTime, end_time: dateTime, outcome: string, cards_collected: integer,
+            rule_set_id: integer, rule_set_name: string, theme: string, seed: integer,
+            challenge_date: { type: 'string', format: 'date', nullable: true }, score: integer, difficulty: string,
+            gameCards: listOf(ref('GameCard'))
+        })),
+        page: integer, pageSize: integer, totalGames: integer
+    }),
+    Leaderboard: shape({
+        period: { type: 'string', enum: schemas.LEADERBOARD_PERIODS },
+        sortBy: { type: 'string', enum: schemas.LEADERBOARD_SORTS },
+        players: listOf(shape({
+            rank: integer, userId: integer, username: string, gamesPlayed: integer, wins: integer, winRate: number,
+            fastestWinSeconds: { type: 'integer', nullable: true }, longestStreak: integer
+        }))
+    }),
+    UserStats: shape({
+        userId: integer, username: string, gamesPlayed: integer, wins: integer, losses: integer, winRate: number,
+        averageCardsCollected: { type: 'number', nullable: true, description: 'null until a game is finished.' },
+        averageResponseSeconds: { type: 'number', nullable: true, description: 'null until a round is answered.' },
+        fastestWinSeconds: { type: 'integer', nullable: true }, longestStreak: integer,
+        placement: shape({
+            guesses: integer, tooLow: integer, tooHigh: integer, averageMiss: { type: 'number', nullable: true },
+            tendency: { type: 'string', enum: ['tooLow', 'tooHigh', 'balanced'], nullable: true }
+        })
+    }),
+    DailyChallenge: shape({
+        date: { type: 'string', format: 'date' }, theme: string, rules: ref('RuleSet'), playerCount: integer,
+        myGame: nullable(shape({
+            gameId: integer, outcome: string, cardsCollected: integer, rank: { type: 'integer', nullable: true }
+        }, { description: "The logged-in user's game of the day, if any; outcome is '' while it is in progress." }))
+    }),
+    DailyLeaderboard: shape({
+        date: { type: 'string', format: 'date' },
+        players: listOf(shape({
+            rank: integer, gameId: integer, userId: integer, username: string, outcome: string,
+            cardsCollected: integer, durationSeconds: integer
+        }))
+    }),
+    CardImage: shape({ id: integer, image: string }),
+    CardRetired: shape({ id: integer, retired: { type: 'integer', enum: [0, 1] } }),
+    Practice: shape(practice),
+    PracticeRound: shape({ ...practice, card: ref('HiddenCard'), newHand: boolean }),
+    PracticeGuessResult: shape({
+        ...practice, isCorrect: boolean, card: ref('Card'), badLuckIndex: number, placementIndex: integer,
+        correctIndex: integer, lowerCard: nullable(ref('Card')), higherCard: nullable(ref('Card'))
+    }),
+    DemoGame: shape({ initialCards: listOf(ref('Card')), newCard: ref('HiddenCard'), rules: ref('RuleSet'), theme: string }),
+    DemoGuessResult: shape({ isCorrect: boolean, badLuckIndex: number, wonCard: nullable(ref('Card')) }),
+    ValidationProblem: shape({
+        in: { type: 'string', enum: ['params', 'query', 'body'] },
+        field: string,
+        code: { type: 'string', enum: VALIDATION_CODES },
+        message: string
+    }),
+    Error: {
+        type: 'object',
+        properties: {
+            error: { type: 'string', description: 'A human-readable message.' },
+            code: { type: 'string', enum: Object.keys(API_ERRORS), description: 'What clients should act on.' },
+            details: { ...listOf(ref('ValidationProblem')), description: 'With VALIDATION_FAILED.' },
+            retryAfter: { type: 'integer', description: 'With LOGIN_THROTTLED: seconds to wait.' },
+            locked: { type: 'boolean', description: 'With LOGIN_THROTTLED: whether the wait is a lockout.' },
+            gameOutcome: { ...gameOutcome, description: 'With GAME_ENDED, when a timed out round just ended the game, and with NO_CARDS_LEFT, when the deck ran out.' }
+        },
+        required: ['error', 'code']
+    }
+};
+
+/*
+ * Every /api route. auth is 'none', 'optional' (the response depends on whether someone is logged in),
+ * 'user' or 'admin'. params, query and body are the schemas the route validates; responses maps the
+ * success status to its schema; errors lists the codes the route itself answers with (validation,
+ * authentication and internal errors are added from the rest of the entry).
+ */
+const ROUTES = [
+    // --- Accounts ---
+    {
+        method: 'post', path: '/api/login', tag: 'Accounts', auth: 'none', summary: 'Log in',
+        description: 'Starts a session (cookie). Repeated failures for a username or from an address are throttled: '
+            + 'the attempt is refused with 429 and a Retry-After header until the wait is over.',
+        body: schemas.loginBody, responses: { 200: ref('User') }, errors: ['INVALID_CREDENTIALS', 'LOGIN_THROTTLED']
+    },
+    {
+        method: 'get', path: '/api/logout', tag: 'Accounts', auth: 'user', summary: 'Log out',
+        responses: { 200: ref('Message') }
+    },
+    {
+        method: 'get', path: '/api/current-user', tag: 'Accounts', auth: 'user', summary: 'Get the logged-in user',
+        responses: { 200: ref('User') }
+    },
+    {
+        method: 'post', path: '/api/register', tag: 'Accounts', auth: 'none', summary: 'Create an account and log in',
+        body: schemas.registerBody, responses: { 201: ref('User') }, errors: ['USERNAME_TAKEN']
+    },
+    {
+        method: 'put', path: '/api/current-user/password', tag: 'Accounts', auth: 'user', summary: 'Change the password and log out the other sessions',
+        body: schemas.changePasswordBody, responses: { 200: ref('Message') }, errors: ['WRONG_PASSWORD']
+    },
+    {
+        method: 'delete', path: '/api/current-user', tag: 'Accounts', auth: 'user', summary: 'Delete the account and its games',
+        body: schemas.deleteAccountBody, responses: { 200: ref('Message') }, errors: ['WRONG_PASSWORD']
+    },
+
+    // --- Rule sets and themes ---
+    {
+        method: 'get', path: '/api/rule-sets', tag: 'Catalog', auth: 'none', summary: 'List the rule sets',
+        responses: { 200: listOf(ref('RuleSet')) }
+    },
+    {
+        method: 'get', path: '/api/themes', tag: 'Catalog', auth: 'none', summary: 'List the card decks',
+        responses: { 200: listOf(ref('Theme')) }
+    },
+
+    // --- Games ---
+    {
+        method: 'post', path: '/api/games/start', tag: 'Games', auth: 'user', summary: 'Start a game',
+        body: schemas.startGameBody, responses: { 201: ref('NewGame') },
+        errors: ['RULE_SET_NOT_FOUND', 'THEME_NOT_FOUND', 'NOT_ENOUGH_CARDS']
+    },
+    {
+        method: 'get', path: '/api/games/current', tag: 'Games', auth: 'user', summary: 'Get the game in progress',
+        description: 'Lets a game be resumed after a page refresh.',
+        responses: { 200: ref('GameState') }, errors: ['NO_GAME_IN_PROGRESS']
+    },
+    {
+        method: 'get', path: '/api/games/{gameId}', tag: 'Games', auth: 'user', summary: 'Get an unfinished game',
+        params: schemas.gameIdParams, responses: { 200: ref('GameState') }, errors: ['GAME_NOT_FOUND', 'GAME_ENDED']
+    },
+    {
+        method: 'get', path: '/api/games/{gameId}/replay', tag: 'Games', auth: 'user', summary: 'Replay a finished game',
+        params: schemas.gameIdParams, responses: { 200: ref('Replay') }, errors: ['GAME_NOT_FOUND', 'GAME_NOT_FINISHED']
+    },
+    {
+        method: 'get', path: '/api/games/{gameId}/next-round', tag: 'Games', auth: 'user', summary: 'Deal the next round card',
+        description: 'Starts the round timer. While a round is pending and within its time limit, the same card is returned.',
+        params: schemas.gameIdParams, responses: { 200: ref('RoundCard') }, errors: ['GAME_NOT_FOUND', 'GAME_ENDED', 'NO_CARDS_LEFT']
+    },
+    {
+        method: 'post', path: '/api/games/{gameId}/guess', tag: 'Games', auth: 'user', summary: 'Place the round card',
+        description: 'A guess arriving after the time limit is recorded as a timeout loss (timedOut: true).',
+        params: schemas.gameIdParams, body: schemas.guessBody, responses: { 200: ref('GuessResult') },
+        errors: ['GAME_NOT_FOUND', 'GAME_ENDED', 'CARD_NOT_DEALT']
+    },
+    {
+        method: 'post', path: '/api/games/{gameId}/lose-round', tag: 'Games', auth: 'user', summary: 'Give up the round card',
+        params: schemas.gameIdParams, body: schemas.loseRoundBody, responses: { 200: ref('LoseRoundResult') },
+        errors: ['GAME_NOT_FOUND', 'GAME_ENDED', 'CARD_NOT_DEALT']
+    },
+    {
+        method: 'get', path: '/api/history', tag: 'Games', auth: 'user', summary: 'List finished games, newest first',
+        query: schemas.historyQuery, responses: { 200: ref('HistoryPage') }
+    },
+
+    // --- Statistics ---
+    {
+        method: 'get', path: '/api/leaderboard', tag: 'Statistics', auth: 'none', summary: 'Rank the players',
+        query: schemas.leaderboardQuery, responses: { 200: ref('Leaderboard') }
+    },
+    {
+        method: 'get', path: '/api/users/{id}/stats', tag: 'Statistics', auth: 'user', summary: "Get a player's statistics",
+        params: schemas.userIdParams, responses: { 200: ref('UserStats') }, errors: ['USER_NOT_FOUND']
+    },
+
+    // --- Daily challenge ---
+    {
+        method: 'get', path: '/api/daily-challenge', tag: 'Daily challenge', auth: 'optional', summary: "Describe today's challenge",
+        description: 'For a logged-in user, myGame tells whether they already played it.',
+        responses: { 200: ref('DailyChallenge') }
+    },
+    {
+        method: 'post', path: '/api/daily-challenge/start', tag: 'Daily challenge', auth: 'user', summary: "Start today's challenge",
+        responses: { 201: ref('NewChallengeGame') }, errors: ['CHALLENGE_ALREADY_PLAYED', 'NOT_ENOUGH_CARDS']
+    },
+    {
+        method: 'get', path: '/api/daily-challenge/leaderboard', tag: 'Daily challenge', auth: 'none', summary: "Rank a day's challenge",
+        query: schemas.dailyLeaderboardQuery, responses: { 200: ref('DailyLeaderboard') }
+    },
+
+    // --- Card management ---
+    {
+        method: 'get', path: '/api/admin/cards', tag: 'Card management', auth: 'admin', summary: 'List every card, retired ones included',
+        responses: { 200: listOf(ref('AdminCard')) }
+    },
+    {
+        method: 'post', path: '/api/admin/cards', tag: 'Card management', auth: 'admin', summary: 'Create a card',
+        body: schemas.cardBody, responses: { 201: ref('AdminCard') }, errors: ['CARD_CONFLICT']
+    },
+    {
+        method: 'put', path: '/api/admin/cards/{cardId}', tag: 'Card management', auth: 'admin', summary: 'Edit a card',
+        params: schemas.cardIdParams, body: schemas.cardBody, responses: { 200: ref('EditedCard') }, errors: ['CARD_NOT_FOUND', 'CARD_CONFLICT']
+    },
+    {
+        method: 'put', path: '/api/admin/cards/{cardId}/retired', tag: 'Card management', auth: 'admin', summary: 'Retire or restore a card',
+        params: schemas.cardIdParams, body: schemas.retireCardBody, responses: { 200: ref('CardRetired') }, errors: ['CARD_NOT_FOUND']
+    },
+    {
+        method: 'post', path: '/api/admin/cards/{cardId}/image', tag: 'Card management', auth: 'admin', summary: "Upload a card's image",
+        description: 'The image is resized to the standard card size and served from /uploads.',
+        params: schemas.cardIdParams,
+        upload: shape({ image: { type: 'string', format: 'binary', description: 'A PNG, JPEG, WebP or GIF image of at most 5 MB.' } }),
+        responses: { 200: ref('CardImage') }, errors: ['CARD_NOT_FOUND', 'NO_IMAGE', 'INVALID_IMAGE', 'IMAGE_TOO_LARGE']
+    },
+
+    // --- Practice and demo games ---
+    {
+        method: 'post', path: '/api/practice/start', tag: 'Practice and demo', auth: 'none', summary: 'Start an untimed practice session',
+        description: 'Kept in the session only: practice never counts toward history, statistics or leaderboards.',
+        body: schemas.themeBody, responses: { 200: ref('Practice') }, errors: ['THEME_NOT_FOUND', 'NOT_ENOUGH_CARDS']
+    },
+    {
+        method: 'get', path: '/api/practice/next-round', tag: 'Practice and demo', auth: 'none', summary: 'Deal the next practice card',
+        responses: { 200: ref('PracticeRound') }, errors: ['NO_PRACTICE_SESSION', 'NO_CARDS_LEFT']
+    },
+    {
+        method: 'post', path: '/api/practice/guess', tag: 'Practice and demo', auth: 'none', summary: 'Place the practice card',
+        body: schemas.practiceGuessBody, responses: { 200: ref('PracticeGuessResult') }, errors: ['NO_PRACTICE_SESSION', 'CARD_NOT_DEALT']
+    },
+    {
+        method: 'post', path: '/api/demo-game/start', tag: 'Practice and demo', auth: 'none', summary: 'Start a one-round demo game',
+        body: schemas.themeBody, responses: { 200: ref('DemoGame') }, errors: ['THEME_NOT_FOUND', 'NOT_ENOUGH_CARDS']
+    },
+    {
+        method: 'post', path: '/api/demo-game/guess', tag: 'Practice and demo', auth: 'none', summary: 'Place the demo card',
+        body: schemas.demoGuessBody, responses: { 200: ref('DemoGuessResult') }, errors: ['CARD_NOT_FOUND']
+    },
+
+    // --- Documentation ---
+    {
+        method: 'get', path: '/api/openapi.json', tag: 'Documentation', auth: 'none', summary: 'Get this OpenAPI document',
+        responses: { 200: { type: 'object' } }
+    },
+    {
+        method: 'get', path: '/api/docs', tag: 'Documentation', auth: 'none', summary: 'Browse this document',
+        html: true, responses: { 200: string }
+    }
+];
+
+/**
+ * Lists every error code a route may answer with: its own, plus those implied by its validation and auth.
+ * @param {object} route - An entry of ROUTES.
+ * @returns {Array<string>} The codes, from API_ERRORS.
+ */
+function routeErrors(route) {
+    const codes = [...(route.errors ?? [])];
+    if (route.params || route.query || route.body) codes.push('VALIDATION_FAILED');
+    if (route.body) codes.push('INVALID_JSON');
+    if (route.auth === 'user' || route.auth === 'admin') codes.push('NOT_AUTHENTICATED');
+    if (route.auth === 'admin') codes.push('ADMIN_REQUIRED');
+    codes.push('INTERNAL_ERROR');
+    return codes;
+}
+
+/**
+ * Builds the OpenAPI responses of a route, grouping its error codes by status.
+ * @param {object} route - An entry of ROUTES.
+ * @returns {object} The responses object.
+ */
+function buildResponses(route) {
+    const responses = {};
+    for (const [status, schema] of Object.entries(route.responses)) {
+        const mediaType = route.html ? 'text/html' : 'application/json';
+        responses[status] = { description: status === '201' ? 'Created' : 'OK', content: { [mediaType]: { schema } } };
+    }
+    for (const code of routeErrors(route)) {
+        const { status, message } = API_ERRORS[code];
+        responses[status] ??= { description: '', content: { 'application/json': { schema: ref('Error') } } };
+        responses[status].description += `${responses[status].description ? '\n' : ''}- \`${code}\`: ${message}`;
+        if (code === 'LOGIN_THROTTLED') {
+            responses[status].headers = { 'Retry-After': { description: 'Seconds to wait before trying again.', schema: integer } };
+        }
+    }
+    return responses;
+}
+
+/**
+ * Lists the OpenAPI parameters described by a params or query schema.
+ * @param {object} schema - The object schema, or undefined.
+ * @param {string} location - 'path' or 'query'.
+ * @returns {Array<object>} The parameters.
+ */
+function buildParameters(schema, location) {
+    if (!schema) {
+        return [];
+    }
+    const { properties, required = [] } = toJsonSchema(schema);
+    return Object.entries(properties).map(([name, propSchema]) => ({
+        name, in: location, required: location === 'path' || required.includes(name), schema: propSchema
+    }));
+}
+
+const SECURITY = { none: undefined, optional: [{}, { cookieAuth: [] }], user: [{ cookieAuth: [] }], admin: [{ cookieAuth: [] }] };
+
+/**
+ * Builds the OpenAPI operation of a route.
+ * @param {object} route - An entry of ROUTES.
+ * @returns {object} The operation object.
+ */
+function buildOperation(route) {
+    const operation = {
+        tags: [route.tag],
+        summary: route.summary,
+        ...(route.description && { description: route.description }),
+        'x-auth': route.auth,
+        ...(SECURITY[route.auth] && { security: SECURITY[route.auth] })
+    };
+    if (route.auth === 'admin') {
+        operation.description = [route.description, 'Requires an administrator.'].filter(Boolean).join(' ');
+    }
+    const parameters = [...buildParameters(route.params, 'path'), ...buildParameters(route.query, 'query')];
+    if (parameters.length > 0) {
+        operation.parameters = parameters;
+    }
+    if (route.body) {
+        const schema = toJsonSchema(route.body);
+        operation.requestBody = { required: Boolean(schema.required), content: { 'application/json': { schema } } };
+    }
+    if (route.upload) {
+        operation.requestBody = { required: true, content: { 'multipart/form-data': { schema: route.upload } } };
+    }
+    operation.responses = buildResponses(route);
+    return operation;
+}
+
+/**
+ * Builds the OpenAPI document of the API.
+ * @returns {object} The OpenAPI 3.0 document.
+ */
+export function buildOpenApiSpec() {
+    const paths = {};
+    for (const route of ROUTES) {
+        paths[route.path] ??= {};
+        paths[route.path][route.method] = buildOperation(route);
+    }
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'Stuff Happens API',
+            version: '1.0.0',
+            description: 'Errors are answered with { error, code }: `error` is for people, `code` is for clients to act on.'
+        },
+        servers: [{ url: '/' }],
+        tags: [...new Set(ROUTES.map(route => route.tag))].map(name => ({ name })),
+        paths,
+        components: {
+            securitySchemes: {
+                cookieAuth: { type: 'apiKey', in: 'cookie', name: SESSION_COOKIE, description: 'The session cookie set by POST /api/login.' }
+            },
+            schemas: RESPONSE_SCHEMAS
+        }
+    };
+}
+
+/**
+ * Lists the /api routes registered on an app, with their middleware.
+ * @param {object} app - The Express application.
+ * @returns {Array<object>} { method, path (in OpenAPI form, e.g. /api/games/{gameId}), handlers }
+ */
+function listApiRoutes(app) {
+    const routes = [];
+    for (const layer of app._router.stack) {
+        if (!layer.route || !layer.route.path.startsWith('/api/')) {
+            continue;
+        }
+        const path = layer.route.path.replace(/:(\w+)/g, '{$1}');
+        const handlers = layer.route.stack.map(routeLayer => routeLayer.handle);
+        for (const method of Object.keys(layer.route.methods).filter(method => method !== '_all')) {
+            routes.push({ method, path, handlers });
+        }
+    }
+    return routes;
+}
+
+/**
+ * Rebuilds the object schema of a route's path or query parameters from its OpenAPI operation.
+ * @param {object} operation - The OpenAPI operation.
+ * @param {string} location - 'path' or 'query'.
+ * @returns {object|undefined} The JSON Schema, or undefined if there are no such parameters.
+ */
+function documentedParameters(operation, location) {
+    const parameters = (operation.parameters ?? []).filter(parameter => parameter.in === location);
+    if (parameters.length === 0) {
+        return undefined;
+    }
+    const schema = { type: 'object', properties: Object.fromEntries(parameters.map(parameter => [parameter.name, parameter.schema])) };
+    const required = parameters.filter(parameter => parameter.required).map(parameter => parameter.name);
+    if (required.length > 0) schema.required = required;
+    return schema;
+}
+
+/**
+ * Compares the routes an app serves with an OpenAPI document: every /api route must be documented
+ * and every documented operation served, with the same auth requirement and the same params,
+ * query and body schemas as the route validates.
+ * @param {object} app - The Express application.
+ * @param {object} spec - The OpenAPI document (see buildOpenApiSpec).
+ * @returns {Array<string>} One message per mismatch; empty if the document is accurate.
+ */
+export function checkRoutesAgainstSpec(app, spec) {
+    const problems = [];
+    const served = new Set();
+
+    for (const { method, path, handlers } of listApiRoutes(app)) {
+        const name = `${method.toUpperCase()} ${path}`;
+        served.add(name);
+        const operation = spec.paths[path]?.[method];
+        if (!operation) {
+            problems.push(`${name} is served but not documented.`);
+            continue;
+        }
+
+        const auth = handlers.includes(isAdmin) ? 'admin' : (handlers.includes(isLoggedIn) ? 'user' : 'none');
+        const documentedAuth = operation['x-auth'] === 'optional' ? 'none' : operation['x-auth'];
+        if (auth !== documentedAuth) {
+            problems.push(`${name} requires ${auth} authentication but is documented as ${documentedAuth}.`);
+        }
+
+        const validated = handlers.find(handler => handler.schemas)?.schemas ?? {};
+        const checks = [
+            ['path parameters', validated.params, documentedParameters(operation, 'path')],
+            ['query parameters', validated.query, documentedParameters(operation, 'query')],
+            ['request body', validated.body, operation.requestBody?.content['application/json']?.schema]
+        ];
+        for (const [what, schema, documented] of checks) {
+            if (!util.isDeepStrictEqual(schema && toJsonSchema(schema), documented)) {
+                problems.push(`${name} validates different ${what} than documented.`);
+            }
+        }
+    }
+
+    for (const [path, operations] of Object.entries(spec.paths)) {
+        for (const method of Object.keys(operations)) {
+            const name = `${method.toUpperCase()} ${path}`;
+            if (!served.has(name)) {
+                problems.push(`${name} is documented but not served.`);
+            }
+        }
+    }
+    return problems;
+}
+
+/**
+ * The docs page: Swagger UI, loaded from the swagger-ui-dist assets served next to it.
+ * @returns {string} The HTML.
+ */
+function docsPage() {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>Stuff Happens API</title>
+    <link rel="stylesheet" href="/api/docs/swagger-ui.css">
+</head>
+<body>
+    <div id="swagger-ui"></div>
+    <script src="/api/docs/swagger-ui-bundle.js"></script>
+    <script>
+        window.ui = SwaggerUIBundle({ url: '/api/openapi.json', dom_id: '#swagger-ui', withCredentials: true });
+    </script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Serves the OpenAPI document at /api/openapi.json and the docs page at /api/docs.
+ * Must be registered before the catch-all for unknown /api endpoints.
+ * @param {object} app - The Express application.
+ */
+export function configureApiDocs(app) {
+    const spec = buildOpenApiSpec();
+
+    app.get('/api/openapi.json', (req, res) => {
+        res.json(spec);
+    });
+
+    app.get('/api/docs', (req, res) => {
+        res.type('html').send(docsPage());
+    });
+    app.use('/api/docs', express.static(getSwaggerUiPath(), { index: false }));
+}
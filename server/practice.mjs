@@ -0,0 +1,108 @@
+// server/practice.mjs
+// Practice mode: untimed rounds without end, open to guests and users alike. The whole session
+// lives in the player's HTTP session and is never written to the database, so practice
+// never shows up in the history, the statistics or the leaderboards.
+
+import { isPlacementCorrect, getCorrectIndex } from './game-logic.mjs';
+import { generateSeed, getDeck, dealInitialCards, dealNextCard } from './dealing.mjs';
+
+// Won cards join the hand; past this size a fresh hand is dealt so the rounds can go on forever
+export const PRACTICE_MAX_HAND_SIZE = 10;
+
+/**
+ * Deals a fresh hand from a new shuffle of the deck's current cards.
+ * @param {object} db - The database instance.
+ * @param {object} practice - The practice state; its deck, seed, hand and dealt cards are replaced.
+ * @returns {Promise<boolean>} False if the deck is too small for a hand.
+ */
+async function dealPracticeHand(db, practice) {
+    const deck = await getDeck(db, practice.theme);
+    const seed = generateSeed();
+    const hand = await dealInitialCards(db, deck, seed, practice.handSize);
+    if (hand.length < practice.handSize) {
+        return false;
+    }
+    practice.deck = deck;
+    practice.seed = seed;
+    practice.hand = hand.map(({ id, name, image, bad_luck_index }) => ({ id, name, image, bad_luck_index }));
+    practice.dealtIds = hand.map(c => c.id);
+    practice.pending = null;
+    return true;
+}
+
+/**
+ * Starts a practice session.
+ * @param {object} db - The database instance.
+ * @param {string} theme - The deck to practise with.
+ * @param {number} handSize - Number of cards in the starting hand.
+ * @returns {Promise<object|null>} The practice state, to be kept in the session; null if the deck is too small.
+ */
+export async function startPractice(db, theme, handSize) {
+    const practice = { theme, handSize, round: 0, correct: 0, wrong: 0 };
+    return (await dealPracticeHand(db, practice)) ? practice : null;
+}
+
+/**
+ * Deals the card of the next practice round, or returns the one still waiting for a guess.
+ * When the hand is full or the deck has no cards left, a fresh hand is dealt first.
+ * @param {object} db - The database instance.
+ * @param {object} practice - The practice state, updated in place.
+ * @returns {Promise<{ card: object, newHand: boolean }|null>} The card to place (with its bad_luck_index,
+ * which must not reach the client) and whether the hand was replaced; null if the deck is too small.
+ */
+export async function dealPracticeCard(db, practice) {
+    if (practice.pending) {
+        return { card: practice.pending, newHand: false };
+    }
+
+    let newHand = false;
+    let card = practice.hand.length < PRACTICE_MAX_HAND_SIZE
+        ? await dealNextCard(db, practice.deck, practice.seed, practice.dealtIds)
+        : undefined;
+    if (!card) {
+        if (!(await dealPracticeHand(db, practice))) {
+            return null;
+        }
+        newHand = true;
+        card = await dealNextCard(db, practice.deck, practice.seed, practice.dealtIds);
+        if (!card) {
+            return null;
+        }
+    }
+
+    practice.pending = { id: card.id, name: card.name, image: card.image, bad_luck_index: card.bad_luck_index };
+    practice.dealtIds.push(card.id);
+    practice.round++;
+    return { card: practice.pending, newHand };
+}
+
+/**
+ * Settles the pending practice round. Correctly placed cards join the hand, the others are set aside.
+ * @param {object} practice - The practice state, updated in place; it must have a pending card.
+ * @param {number} placementIndex - Where the player placed the card, between 0 and the hand size.
+ * @returns {object} { isCorrect, card, placementIndex, correctIndex, lowerCard, higherCard }: the cards
+ * around the slot where the card belonged (null at either end of the hand).
+ */
+export function resolvePracticeGuess(practice, placementIndex) {
+    const card = practice.pending;
+    const hand = practice.hand;
+    const isCorrect = isPlacementCorrect(hand, card, placementIndex);
+    const correctIndex = getCorrectIndex(hand, card);
+    const result = {
+        isCorrect,
+        card,
+        placementIndex,
+        correctIndex,
+        lowerCard: hand[correctIndex - 1] ?? null,
+        higherCard: hand[correctIndex] ?? null
+    };
+
+    if (isCorrect) {
+        hand.splice(correctIndex, 0, card);
+        practice.correct++;
+    } else {
+        practice.wrong++;
+    }
+    practice.pending = null;
+    return result;
+}
@@ -1,13 +1,102 @@
 // server/routes.mjs
 
 import passport from 'passport';
-import { isLoggedIn } from './auth.mjs'; // Our custom authentication middleware
-import { getUserByUsername } from './dao-users.mjs'; // For login validation
-import { getRandomCards, getCardById } from './dao-cards.mjs'; // For game logic
+import { isLoggedIn, isAdmin } from './auth.mjs'; // Our custom authentication middleware
+import bcrypt from 'bcrypt';
+import dayjs from 'dayjs';
+import { getUserByUsername, getUserById, createUser, updateUserPassword, deleteUser } from './dao-users.mjs'; // For login and account management
 import {
-    startGame, recordRoundOutcome, endGame,
-    getGameHistory, getGameCards, getWonCardsCount, getLostRoundsCount, getInvolvedCardIds
+    getCardById, getThemes,
+    getAllCards, findConflictingCard, createCard, updateCard, setCardRetired, updateCardImage
+} from './dao-cards.mjs'; // For game logic and deck management
+import { uploadCardImage, describeUploadError, saveCardImage, deleteCardImage } from './images.mjs'; // Card image uploads
+import {
+    startGame, endGame, recordRoundOutcome, dealRoundCard, getPendingRound,
+    getGameHistory, getCompletedGamesCount, getGameCards, getInvolvedCardIds, getGameById,
+    getActiveGame, getChallengeGame, getOrCreateChallengeDeck
 } from './dao-games.mjs'; // For game logic and history
+import { getRuleSets, getRuleSetById, getDefaultRuleSet, getRuleSetForGame } from './dao-rulesets.mjs'; // Game rule presets
+import { getLeaderboard, getUserStats, getDailyLeaderboard } from './dao-stats.mjs'; // Leaderboard and player statistics
+import {
+    isRoundExpired, getSecondsLeft, isPlacementCorrect, getCorrectIndex, settleGameOutcome, getGameState, buildGameReplay
+} from './game-logic.mjs'; // Round timing and win/lose thresholds
+import {
+    DAILY_CHALLENGE_THEME, getChallengeDate, getChallengeSeed
+} from './daily-challenge.mjs'; // Seeded deal shared by every player for a day
+import {
+    generateSeed, getDeck, dealInitialCards, dealNextCard, DEFAULT_DIFFICULTY
+} from './dealing.mjs'; // Seeded deal order of every game, and how round cards are picked
+import { startPractice, dealPracticeCard, resolvePracticeGuess } from './practice.mjs'; // Untimed practice kept in the session
+import { checkLoginThrottle, describeThrottle } from './login-throttle.mjs'; // Backoff and lockout against password guessing
+import { beginLoginAttempt, settleLoginAttempt } from './dao-login-attempts.mjs'; // Audit trail of login attempts
+import { scoreRound, getCurrentStreak } from './scoring.mjs'; // Points for accuracy and speed
+import { sendError } from './api-errors.mjs'; // Error responses with machine-readable codes
+import { validateRequest, sendValidationError } from './validation.mjs'; // Schema checks of params, query and body
+import * as schemas from './schemas.mjs'; // Params, query and body accepted by each route
+
+const LEADERBOARD_WINDOWS = { week: [1, 'week'], month: [1, 'month'], all: null }; // Time windows for the leaderboard
+const LEADERBOARD_SIZE = 50;
+
+/**
+ * Builds the friendly message for a card that clashes with an existing one.
+ * @param {object} conflict - The existing card with the same name or bad_luck_index.
+ * @param {object} card - The card being saved.
+ * @returns {string} The error message.
+ */
+function cardConflictMessage(conflict, card) {
+    if (conflict.bad_luck_index === card.bad_luck_index) {
+        return `Bad luck index ${card.bad_luck_index} is already used by "${conflict.name}". Every card needs a unique index.`;
+    }
+    return `A card named "${conflict.name}" already exists.`;
+}
+
+/**
+ * Middleware that loads the game identified by `:gameId` into `req.game`,
+ * and the rule set it is played with into `req.rules`.
+ * Rejects the request if the game does not exist, belongs to another user,
+ * or has already ended. Must run after isLoggedIn and the validation of `:gameId`.
+ */
+async function isActiveGameOwner(req, res, next) {
+    const gameId = req.params.gameId;
+
+    try {
+        const game = await getGameById(req.db, gameId);
+        if (!game || game.user_id !== req.user.id) {
+            return sendError(res, 'GAME_NOT_FOUND');
+        }
+        if (game.outcome) {
+            return sendError(res, 'GAME_ENDED');
+        }
+        req.game = game;
+        req.rules = await getRuleSetForGame(req.db, gameId);
+        next();
+    } catch (err) {
+        console.error(`Error loading game ${gameId}:`, err);
+        sendError(res, 'INTERNAL_ERROR', { message: 'Failed to load game.' });
+    }
+}
+
+/**
+ * Summary of a practice session sent to the client: the hand and the running score.
+ * @param {object} practice - The practice state kept in the session.
+ * @returns {object} { theme, hand, round, correct, wrong }
+ */
+function describePractice(practice) {
+    const { theme, hand, round, correct, wrong } = practice;
+    return { theme, hand, round, correct, wrong };
+}
+
+/**
+ * Rejects a placement index past the end of the hand; the schemas only know it cannot be negative.
+ * @param {object} res - The Express response.
+ * @param {number} handSize - The number of cards in the hand the card is placed into.
+ * @returns {object} The response.
+ */
+function sendPlacementError(res, handSize) {
+    return sendValidationError(res, {
+        in: 'body', field: 'placementIndex', code: 'TOO_LARGE', message: 'Invalid placement index.', maxAllowed: handSize
+    });
+}
 
 /**
  * Configures all API routes for the Express application.
@@ -23,7 +112,7 @@ function configureRoutes(app, getDb) {
             next();
         } catch (err) {
             console.error("Failed to get database instance in middleware:", err);
-            res.status(500).json({ error: 'Database connection error.' });
+            sendError(res, 'INTERNAL_ERROR', { message: 'Database connection error.' });
         }
     });
 
@@ -33,15 +122,42 @@ function configureRoutes(app, getDb) {
     /**
      * POST /api/login
      * Logs in a user using Passport's local strategy.
+     * Repeated wrong passwords for a username or from an address are throttled: the attempt is refused
+     * with 429 and a Retry-After header, without checking the password, until the wait is over.
+     * Expected body: { username: string, password: string }
+     * Response (429): { error, code: 'LOGIN_THROTTLED', retryAfter: seconds, locked: boolean }
      */
-    app.post('/api/login', (req, res, next) => {
-        passport.authenticate('local', (err, user, info) => {
+    app.post('/api/login', validateRequest({ body: schemas.loginBody }), async (req, res, next) => {
+        const { username } = req.body;
+        const ip = req.ip;
+        let attemptId;
+        try {
+            // Stored before anything is checked, so parallel attempts count each other
+            attemptId = await beginLoginAttempt(req.db, { username, ip });
+            const throttle = await checkLoginThrottle(req.db, username, ip, attemptId);
+            if (throttle.retryAfter > 0) {
+                await settleLoginAttempt(req.db, attemptId, { succeeded: false, reason: 'throttled' });
+                res.set('Retry-After', String(throttle.retryAfter));
+                return sendError(res, 'LOGIN_THROTTLED', { message: describeThrottle(throttle), retryAfter: throttle.retryAfter, locked: throttle.locked });
+            }
+        } catch (err) {
+            return next(err);
+        }
+
+        passport.authenticate('local', async (err, user, info) => {
+            try {
+                // A server error says nothing about the password, so it is not counted as a failure
+                const reason = err ? 'error' : (user ? null : 'invalid-credentials');
+                await settleLoginAttempt(req.db, attemptId, { succeeded: Boolean(user) && !err, reason });
+            } catch (settleErr) {
+                return next(err ?? settleErr);
+            }
             if (err) {
                 return next(err); // Server error
             }
             if (!user) {
                 // Authentication failed (incorrect username/password)
-                return res.status(401).json({ error: info.message });
+                return sendError(res, 'INVALID_CREDENTIALS', { message: info.message });
             }
             // Authentication successful, log in the user
             req.login(user, (err) => {
@@ -50,7 +166,7 @@ function configureRoutes(app, getDb) {
                 }
                 console.log('User successfully logged in via req.login:', user.username);
                 // Do not send password or salt to the client
-                return res.json({ id: user.id, username: user.username });
+                return res.json({ id: user.id, username: user.username, isAdmin: Boolean(user.is_admin) });
             });
         })(req, res, next);
     });
@@ -62,7 +178,7 @@ function configureRoutes(app, getDb) {
     app.get('/api/logout', isLoggedIn, (req, res) => {
         req.logout((err) => {
             if (err) {
-                return res.status(500).json({ error: 'Logout failed.' });
+                return sendError(res, 'INTERNAL_ERROR', { message: 'Logout failed.' });
             }
             req.session.destroy(() => { // Destroy the session on logout
                 res.status(200).json({ message: 'Logged out successfully.' });
@@ -77,7 +193,136 @@ function configureRoutes(app, getDb) {
      */
     app.get('/api/current-user', isLoggedIn, (req, res) => {
         // req.user is populated by passport.deserializeUser
-        res.json({ id: req.user.id, username: req.user.username });
+        res.json({ id: req.user.id, username: req.user.username, isAdmin: Boolean(req.user.is_admin) });
+    });
+
+    /**
+     * POST /api/register
+     * Creates a new user account and logs the new user in.
+     * Expected body: { username: string, password: string }
+     * Username: 3-30 letters, digits or underscores. Password: 8-72 characters.
+     */
+    app.post('/api/register', validateRequest({ body: schemas.registerBody }), async (req, res, next) => {
+        const { username, password } = req.body;
+
+        try {
+            if (await getUserByUsername(req.db, username)) {
+                return sendError(res, 'USERNAME_TAKEN');
+            }
+
+            let user;
+            try {
+                user = await createUser(req.db, username, password);
+            } catch (err) {
+                // Another registration took the name since the check above; the unique index let only one through
+                if (err.code === 'SQLITE_CONSTRAINT') {
+                    return sendError(res, 'USERNAME_TAKEN');
+                }
+                throw err;
+            }
+            req.login(user, (err) => {
+                if (err) {
+                    console.error('req.login error after registration:', err); return next(err);
+                }
+                console.log('User registered and logged in:', user.username);
+                return res.status(201).json({ id: user.id, username: user.username, isAdmin: false });
+            });
+        } catch (err) {
+            console.error("Error registering user:", err);
+            sendError(res, 'INTERNAL_ERROR', { message: 'Failed to register user.' });
+        }
+    });
+
+    /**
+     * PUT /api/current-user/password
+     * Changes the logged-in user's password after checking the old one, and logs the user out
+     * of every other session. Requires authentication.
+     * Expected body: { oldPassword: string, newPassword: string }
+     */
+    app.put('/api/current-user/password', isLoggedIn, validateRequest({ body: schemas.changePasswordBody }), async (req, res) => {
+        const { oldPassword, newPassword } = req.body;
+
+        try {
+            const isPasswordValid = await bcrypt.compare(oldPassword, req.user.password);
+            if (!isPasswordValid) {
+                return sendError(res, 'WRONG_PASSWORD', { message: 'Current password is incorrect.' });
+            }
+
+            await updateUserPassword(req.db, req.user.id, newPassword);
+            await req.sessionStore.destroyUserSessions(req.user.id, req.sessionID);
+            res.status(200).json({ message: 'Password changed successfully.' });
+        } catch (err) {
+            console.error("Error changing password:", err);
+            sendError(res, 'INTERNAL_ERROR', { message: 'Failed to change password.' });
+        }
+    });
+
+    /**
+     * DELETE /api/current-user
+     * Deletes the logged-in user's account together with all of their games, then logs out everywhere.
+     * Requires authentication.
+     * Expected body: { password: string } - the current password, as confirmation.
+     */
+    app.delete('/api/current-user', isLoggedIn, validateRequest({ body: schemas.deleteAccountBody }), async (req, res) => {
+        const { password } = req.body;
+
+        try {
+            const isPasswordValid = await bcrypt.compare(password, req.user.password);
+            if (!isPasswordValid) {
+                return sendError(res, 'WRONG_PASSWORD');
+            }
+
+            await deleteUser(req.db, req.user.id);
+            await req.sessionStore.destroyUserSessions(req.user.id);
+            req.logout((err) => {
+                if (err) {
+                    return sendError(res, 'INTERNAL_ERROR', { message: 'Account deleted, but logout failed.' });
+                }
+                req.session.destroy(() => {
+                    res.status(200).json({ message: 'Account deleted successfully.' });
+                });
+            });
+        } catch (err) {
+            console.error("Error deleting account:", err);
+            sendError(res, 'INTERNAL_ERROR', { message: 'Failed to delete account.' });
+        }
+    });
+
+
+    // --- Rule Set Routes ---
+
+    /**
+     * GET /api/rule-sets
+     * Lists the rule presets a game can be started with (hand size, win/lose thresholds, timer length).
+     * Does not require authentication.
+     */
+    app.get('/api/rule-sets', async (req, res) => {
+        try {
+            const ruleSets = await getRuleSets(req.db);
+            res.json(ruleSets);
+        } catch (err) {
+            console.error("Error fetching rule sets:", err);
+            sendError(res, 'INTERNAL_ERROR', { message: 'Failed to retrieve rule sets.' });
+        }
+    });
+
+
+    // --- Theme Routes ---
+
+    /**
+     * GET /api/themes
+     * Lists the card decks a game can be dealt from, with the number of cards in each.
+     * Does not require authentication.
+     * Response: Array<{ name, cardCount }>
+     */
+    app.get('/api/themes', async (req, res) => {
+        try {
+            const themes = await getThemes(req.db);
+            res.json(themes);
+        } catch (err) {
+            console.error("Error fetching themes:", err);
+            sendError(res, 'INTERNAL_ERROR', { message: 'Failed to retrieve themes.' });
+        }
     });
 
 
@@ -87,216 +332,706 @@ function configureRoutes(app, getDb) {
      * POST /api/games/start
      * Starts a new game for the logged-in user.
      * Requires authentication.
+     * Expected body (optional): { ruleSetId: number, theme: string, difficulty: string }
+     * ruleSetId defaults to the Classic rules, theme to the University Life deck,
+     * difficulty ('easy', 'normal', 'hard' or 'adaptive') to normal.
+     * Response: { gameId, initialCards, rules, theme, difficulty }
      */
-    app.post('/api/games/start', isLoggedIn, async (req, res) => {
+    app.post('/api/games/start', isLoggedIn, validateRequest({ body: schemas.startGameBody }), async (req, res) => {
+        const { ruleSetId, theme, difficulty } = req.body;
+
         try {
-            const initialCards = await getRandomCards(req.db, 3);
-            if (initialCards.length < 3) {
-                return res.status(500).json({ error: "Not enough cards to start a game." });
+            const rules = ruleSetId === undefined ? await getDefaultRuleSet(req.db) : await getRuleSetById(req.db, ruleSetId);
+            if (!rules) {
+                return sendError(res, 'RULE_SET_NOT_FOUND');
+            }
+            const themes = await getThemes(req.db);
+            if (!themes.some(t => t.name === theme)) {
+                return sendError(res, 'THEME_NOT_FOUND');
             }
 
-            // Sort initial cards by bad_luck_index for the client
-            initialCards.sort((a, b) => a.bad_luck_index - b.bad_luck_index);
+            // The deck and the seed fix the whole deal; they stay on the server so the next cards cannot be predicted
+            const deck = await getDeck(req.db, theme);
+            const seed = generateSeed();
+            const initialCards = await dealInitialCards(req.db, deck, seed, rules.hand_size); // Sorted by bad_luck_index
+            if (initialCards.length < rules.hand_size) {
+                return sendError(res, 'NOT_ENOUGH_CARDS');
+            }
 
-            const gameId = await startGame(req.db, req.user.id, initialCards);
+            const gameId = await startGame(req.db, req.user.id, initialCards, rules.id, theme, seed, deck, null, difficulty);
 
-            // For the initial response, we send full card details for the 3 initial cards
+            // For the initial response, we send full card details for the initial cards
             // but the bad_luck_index is only visible client-side for these initial cards.
-            res.status(201).json({ gameId, initialCards });
+            res.status(201).json({ gameId, initialCards, rules, theme, difficulty });
         } catch (err) {
             console.error("Error starting new game:", err);
-            res.status(500).json({ error: 'Failed to start game.' });
+            sendError(res, 'INTERNAL_ERROR', { message: 'Failed to start game.' });
         }
     });
 
     /**
-     * GET /api/games/:gameId/next-round
-     * Provides a new random card for the current round, excluding cards already in play.
+     * GET /api/games/current
+     * Retrieves the state of the logged-in user's unfinished game, so it can be resumed
+     * after a page refresh. Responds 404 if the user has no game in progress.
      * Requires authentication.
+     * Response: { gameId, rules, difficulty, gameOutcome, score, playerCards, roundNumber, cardsWonCount, cardsLostCount, pendingCard }
      */
-    app.get('/api/games/:gameId/next-round', isLoggedIn, async (req, res) => {
-        const gameId = parseInt(req.params.gameId);
-        if (isNaN(gameId)) {
-            return res.status(400).json({ error: 'Invalid game ID.' });
+    app.get('/api/games/current', isLoggedIn, async (req, res) => {
+        try {
+            const game = await getActiveGame(req.db, req.user.id);
+            if (!game) {
+                return sendError(res, 'NO_GAME_IN_PROGRESS');
+            }
+
+            const rules = await getRuleSetForGame(req.db, game.id);
+            const state = await getGameState(req.db, game.id, rules);
+            if (state.gameOutcome) {
+                // A timed-out round just ended the game, so there is nothing left to resume
+                return sendError(res, 'NO_GAME_IN_PROGRESS', { gameOutcome: state.gameOutcome });
+            }
+            res.json(state);
+        } catch (err) {
+            console.error("Error fetching current game:", err);
+            sendError(res, 'INTERNAL_ERROR', { message: 'Failed to retrieve current game.' });
+        }
+    });
+
+    /**
+     * GET /api/games/:gameId
+     * Retrieves the state of a specific unfinished game (same shape as /api/games/current).
+     * Requires authentication, and the game must belong to the user and still be in progress.
+     */
+    app.get('/api/games/:gameId', isLoggedIn, validateRequest({ params: schemas.gameIdParams }), isActiveGameOwner, async (req, res) => {
+        try {
+            const state = await getGameState(req.db, req.game.id, req.rules);
+            res.json(state);
+        } catch (err) {
+            console.error(`Error fetching state of game ${req.game.id}:`, err);
+            sendError(res, 'INTERNAL_ERROR', { message: 'Failed to retrieve game.' });
+        }
+    });
+
+    /**
+     * GET /api/games/:gameId/replay
+     * Retrieves a finished game as an ordered event log: the initial deal, every dealt card
+     * with the placement chosen and its result, and the final outcome.
+     * Requires authentication, and the game must belong to the user. Unfinished games cannot
+     * be replayed (409), since that would reveal the pending card.
+     * Response: { gameId, theme, rules, challengeDate, difficulty, events }
+     */
+    app.get('/api/games/:gameId/replay', isLoggedIn, validateRequest({ params: schemas.gameIdParams }), async (req, res) => {
+        const { gameId } = req.params;
+
+        try {
+            const game = await getGameById(req.db, gameId);
+            if (!game || game.user_id !== req.user.id) {
+                return sendError(res, 'GAME_NOT_FOUND');
+            }
+            if (!game.outcome) {
+                return sendError(res, 'GAME_NOT_FINISHED');
+            }
+
+            const rules = await getRuleSetForGame(req.db, gameId);
+            const events = buildGameReplay(game, await getGameCards(req.db, gameId));
+            res.json({ gameId, theme: game.theme, rules, challengeDate: game.challenge_date, difficulty: game.difficulty, events });
+        } catch (err) {
+            console.error(`Error building replay of game ${gameId}:`, err);
+            sendError(res, 'INTERNAL_ERROR', { message: 'Failed to retrieve game replay.' });
         }
+    });
+
+    /**
+     * GET /api/games/:gameId/next-round
+     * Deals the card for the next round, excluding cards already in play and following
+     * the game's difficulty (see dealNextCard), and starts the round timer server-side. If a round is already pending and still
+     * within its time limit, the same card is returned with the remaining time. If the deck runs out first,
+     * the game ends as lost (NO_CARDS_LEFT with gameOutcome).
+     * Requires authentication, and the game must belong to the user and still be in progress.
+     */
+    app.get('/api/games/:gameId/next-round', isLoggedIn, validateRequest({ params: schemas.gameIdParams }), isActiveGameOwner, async (req, res) => {
+        const gameId = req.game.id;
 
         try {
-            // Get all card IDs already involved in this game (initial, won, lost, discarded)
-            const involvedCardIds = await getInvolvedCardIds(req.db, gameId);
+            let pending = await getPendingRound(req.db, gameId);
+            if (pending && isRoundExpired(pending.deal_time, req.rules.round_time_limit)) {
+                // The previous card was never answered in time: it counts as a lost round
+                await recordRoundOutcome(req.db, gameId, pending.id, 'discarded', false);
+                const { gameOutcome } = await settleGameOutcome(req.db, gameId, req.rules);
+                if (gameOutcome) {
+                    return sendError(res, 'GAME_ENDED', { gameOutcome });
+                }
+                pending = null;
+            }
+
+            if (!pending) {
+                // Get all card IDs already involved in this game (initial, won, lost, discarded)
+                const involvedCardIds = await getInvolvedCardIds(req.db, gameId);
 
-            // Get a new random card, excluding the ones already involved
-            const newCards = await getRandomCards(req.db, 1, involvedCardIds);
+                // Take the next card of the game's seeded deal order, skipping the ones already involved;
+                // above the normal difficulty the pick also depends on the hand
+                const gameCards = await getGameCards(req.db, gameId);
+                const newCard = await dealNextCard(req.db, req.game.deck_card_ids, req.game.seed, involvedCardIds, {
+                    difficulty: req.game.difficulty,
+                    hand: gameCards.filter(c => ['initial', 'won'].includes(c.status)),
+                    cardsWon: gameCards.filter(c => c.status === 'won').length
+                });
 
-            if (newCards.length === 0) {
-                // This could happen if almost all cards have been used in many rounds
-                return res.status(404).json({ error: 'No more unique cards available for this game.' });
+                if (!newCard) {
+                    // The deck ran out before a threshold was reached: the game ends as lost, so it is not offered for resume again
+                    const hand = gameCards.filter(c => ['initial', 'won'].includes(c.status));
+                    await endGame(req.db, gameId, 'Lost', hand.length);
+                    return sendError(res, 'NO_CARDS_LEFT', { gameOutcome: 'Lost' });
+                }
+
+                const { round, deal_time } = await dealRoundCard(req.db, gameId, newCard.id);
+                pending = { ...newCard, round, deal_time };
             }
 
-            const newCard = newCards[0];
             // IMPORTANT: Do NOT send bad_luck_index for the new card!
-            res.json({ id: newCard.id, name: newCard.name, image: newCard.image });
+            res.json({
+                id: pending.id,
+                name: pending.name,
+                image: pending.image,
+                round: pending.round,
+                timeLimit: req.rules.round_time_limit,
+                secondsLeft: getSecondsLeft(pending.deal_time, req.rules.round_time_limit)
+            });
         } catch (err) {
             console.error(`Error getting next round card for game ${gameId}:`, err);
-            res.status(500).json({ error: 'Failed to get next round card.' });
+            sendError(res, 'INTERNAL_ERROR', { message: 'Failed to get next round card.' });
         }
     });
 
     /**
      * POST /api/games/:gameId/guess
      * Handles the player's guess for card placement.
-     * Requires authentication.
+     * Requires authentication, and the game must belong to the user and still be in progress.
      *
-     * Expected body: { cardId: number, playerHand: Array<{ id: number, bad_luck_index: number }>, placementIndex: number, roundNumber: number }
-     * playerHand: The player's current cards, ordered by bad_luck_index, including the initial ones and previously won ones.
-     * placementIndex: The index where the new card was placed in the client-side sorted hand.
+     * Expected body: { cardId: number, placementIndex: number }
+     * cardId: Must be the card currently pending, as dealt by next-round.
+     * placementIndex: The index where the new card was placed in the sorted hand.
+     * The hand itself is rebuilt from game_cards, never taken from the client.
+     * A guess arriving after the time limit is recorded as a timeout loss (timedOut: true).
+     * Correct placements score points (see scoring.mjs), added to the game's score.
      */
-    app.post('/api/games/:gameId/guess', isLoggedIn, async (req, res) => {
-        const gameId = parseInt(req.params.gameId);
-        const { cardId, playerHand, placementIndex, roundNumber } = req.body;
-
-        if (isNaN(gameId) || isNaN(cardId) || !Array.isArray(playerHand) || isNaN(placementIndex) || isNaN(roundNumber)) {
-            return res.status(400).json({ error: 'Invalid input for guess.' });
-        }
+    app.post('/api/games/:gameId/guess', isLoggedIn, validateRequest({ params: schemas.gameIdParams, body: schemas.guessBody }), isActiveGameOwner, async (req, res) => {
+        const gameId = req.game.id;
+        const { cardId, placementIndex } = req.body;
 
         try {
-            const newCardDetails = await getCardById(req.db, cardId);
-            if (!newCardDetails) {
-                return res.status(404).json({ error: 'New card not found.' });
+            const pending = await getPendingRound(req.db, gameId);
+            if (!pending || pending.id !== cardId) {
+                return sendError(res, 'CARD_NOT_DEALT');
             }
 
-            let isCorrect = false;
-            // Create a temporary array to simulate the placement
-            const tempHand = [...playerHand]; // playerHand comes already sorted from client
-
-            // Insert the new card's bad_luck_index at the proposed placementIndex
-            tempHand.splice(placementIndex, 0, { id: newCardDetails.id, bad_luck_index: newCardDetails.bad_luck_index });
-
-            // Check if the temporary hand is still sorted correctly
-            // A hand is sorted if each element is less than or equal to the next
-            isCorrect = true;
-            for (let i = 0; i < tempHand.length - 1; i++) {
-                if (tempHand[i].bad_luck_index > tempHand[i+1].bad_luck_index) {
-                    isCorrect = false;
-                    break;
-                }
+            // Rebuild the player's hand from the cards they actually own in this game (already sorted)
+            const playerHand = (await getGameCards(req.db, gameId)).filter(c => ['initial', 'won'].includes(c.status));
+            if (placementIndex > playerHand.length) {
+                return sendPlacementError(res, playerHand.length);
             }
 
-            let status = isCorrect ? 'won' : 'lost';
-            await recordRoundOutcome(req.db, gameId, cardId, status, roundNumber, isCorrect);
-
-            let currentCards = await getGameCards(req.db, gameId); // Get updated cards in hand (includes newly won)
-            // Filter out 'discarded' or 'lost' cards to only return cards in possession
-            currentCards = currentCards.filter(c => ['initial', 'won'].includes(c.status));
+            const timedOut = isRoundExpired(pending.deal_time, req.rules.round_time_limit);
+            let isCorrect = false;
+            if (!timedOut) {
+                // The guess is correct if the new card fits between its neighbours at the proposed index
+                isCorrect = isPlacementCorrect(playerHand, pending, placementIndex);
+            }
 
-            const cardsWonCount = await getWonCardsCount(req.db, gameId);
-            const cardsLostCount = await getLostRoundsCount(req.db, gameId);
+            // Points for a correct placement, scaled by the time left and with streak and narrow-gap bonuses
+            const points = scoreRound({
+                isCorrect,
+                hand: playerHand,
+                card: pending,
+                elapsedMs: dayjs().diff(dayjs(pending.deal_time)),
+                timeLimit: req.rules.round_time_limit,
+                streak: getCurrentStreak(await getGameCards(req.db, gameId))
+            });
 
-            let gameOutcome = null;
-            if (cardsWonCount >= 3) { // 3 initial + 3 won = 6
-                gameOutcome = 'Won';
-                await endGame(req.db, gameId, gameOutcome, currentCards.length);
-            } else if (cardsLostCount >= 3) {
-                gameOutcome = 'Lost';
-                await endGame(req.db, gameId, gameOutcome, currentCards.length);
+            const status = timedOut ? 'discarded' : (isCorrect ? 'won' : 'lost');
+            const recorded = await recordRoundOutcome(req.db, gameId, cardId, status, isCorrect, {
+                placementIndex,
+                correctIndex: getCorrectIndex(playerHand, pending),
+                handCardIds: playerHand.map(c => c.id)
+            }, points.total);
+            if (!recorded) {
+                // Another guess for the same round was stored first; only that one counts
+                return sendError(res, 'CARD_NOT_DEALT');
             }
 
+            const { gameOutcome, currentCards, cardsWonCount, cardsLostCount } = await settleGameOutcome(req.db, gameId, req.rules);
+            const { round, deal_time, ...cardDetails } = pending;
+
             res.json({
                 isCorrect,
-                badLuckIndex: newCardDetails.bad_luck_index,
-                wonCard: isCorrect ? newCardDetails : null,
+                timedOut,
+                badLuckIndex: pending.bad_luck_index,
+                wonCard: isCorrect ? cardDetails : null,
                 currentCards, // Updated hand including the new card if won
                 gameOutcome, // 'Won' or 'Lost' if game ended, otherwise null
                 cardsWonCount,
-                cardsLostCount
+                cardsLostCount,
+                points, // { total, timePoints, streakBonus, gapBonus } earned this round
+                score: req.game.score + points.total // The game's score so far
             });
 
         } catch (err) {
             console.error(`Error processing guess for game ${gameId}, card ${cardId}:`, err);
-            res.status(500).json({ error: 'Failed to process guess.' });
+            sendError(res, 'INTERNAL_ERROR', { message: 'Failed to process guess.' });
         }
     });
 
     /**
      * POST /api/games/:gameId/lose-round
-     * Marks a card as lost/discarded if the timer expires or player forfeits.
-     * Requires authentication.
-     * Expected body: { cardId: number, roundNumber: number }
+     * Marks the pending card as discarded if the timer expires or player forfeits.
+     * Abandoned rounds are also discarded by the server on its own once their time runs out.
+     * Requires authentication, and the game must belong to the user and still be in progress.
+     * Expected body: { cardId: number }
      */
-    app.post('/api/games/:gameId/lose-round', isLoggedIn, async (req, res) => {
-        const gameId = parseInt(req.params.gameId);
-        const { cardId, roundNumber } = req.body;
-
-        if (isNaN(gameId) || isNaN(cardId) || isNaN(roundNumber)) {
-            return res.status(400).json({ error: 'Invalid input for losing round.' });
-        }
+    app.post('/api/games/:gameId/lose-round', isLoggedIn, validateRequest({ params: schemas.gameIdParams, body: schemas.loseRoundBody }), isActiveGameOwner, async (req, res) => {
+        const gameId = req.game.id;
+        const { cardId } = req.body;
 
         try {
-            // Record status as 'discarded' (or 'lost' if that distinction is preferred)
-            await recordRoundOutcome(req.db, gameId, cardId, 'discarded', roundNumber, false); // Not a correct guess
-
-            const cardsLostCount = await getLostRoundsCount(req.db, gameId);
-            let gameOutcome = null;
+            const pending = await getPendingRound(req.db, gameId);
+            if (!pending || pending.id !== cardId) {
+                return sendError(res, 'CARD_NOT_DEALT');
+            }
 
-            if (cardsLostCount >= 3) {
-                gameOutcome = 'Lost';
-                const currentCardsCount = (await getGameCards(req.db, gameId)).filter(c => ['initial', 'won'].includes(c.status)).length;
-                await endGame(req.db, gameId, gameOutcome, currentCardsCount);
+            if (!(await recordRoundOutcome(req.db, gameId, cardId, 'discarded', false))) { // Not a correct guess
+                return sendError(res, 'CARD_NOT_DEALT'); // A guess settled the round first
             }
+            const { gameOutcome, cardsLostCount } = await settleGameOutcome(req.db, gameId, req.rules);
 
             res.status(200).json({ message: 'Round lost/card discarded.', gameOutcome, cardsLostCount });
         } catch (err) {
             console.error(`Error losing round for game ${gameId}, card ${cardId}:`, err);
-            res.status(500).json({ error: 'Failed to record lost round.' });
+            sendError(res, 'INTERNAL_ERROR', { message: 'Failed to record lost round.' });
         }
     });
 
     /**
      * GET /api/history
-     * Retrieves the game history for the logged-in user.
+     * Retrieves one page of completed games for the logged-in user, newest first,
+     * each with all of its cards (initial and per-round). Answered rounds include
+     * placement_index, correct_index and hand_snapshot (card IDs of the hand at guess time).
      * Requires authentication.
+     * Query: ?page=number (default 1) &pageSize=number (default 10, max 50)
+     * Response: { games, page, pageSize, totalGames }
      */
-    app.get('/api/history', isLoggedIn, async (req, res) => {
+    app.get('/api/history', isLoggedIn, validateRequest({ query: schemas.historyQuery }), async (req, res) => {
+        const { page, pageSize } = req.query;
+
         try {
-            const history = await getGameHistory(req.db, req.user.id);
-            res.json(history);
+            const games = await getGameHistory(req.db, req.user.id, pageSize, (page - 1) * pageSize);
+            const totalGames = await getCompletedGamesCount(req.db, req.user.id);
+            res.json({ games, page, pageSize, totalGames });
         } catch (err) {
             console.error("Error fetching game history:", err);
-            res.status(500).json({ error: 'Failed to retrieve game history.' });
+            sendError(res, 'INTERNAL_ERROR', { message: 'Failed to retrieve game history.' });
+        }
+    });
+
+
+    // --- Leaderboard and Statistics Routes ---
+
+    /**
+     * GET /api/leaderboard
+     * Ranks players by their completed games within a time window.
+     * Does not require authentication.
+     * Query: ?period=week|month|all (default all) &sortBy=wins|winRate|fastestWin|longestStreak (default wins)
+     * Response: { period, sortBy, players: Array<{ rank, userId, username, gamesPlayed, wins, winRate, fastestWinSeconds, longestStreak }> }
+     */
+    app.get('/api/leaderboard', validateRequest({ query: schemas.leaderboardQuery }), async (req, res) => {
+        const { period, sortBy } = req.query;
+
+        try {
+            const timeWindow = LEADERBOARD_WINDOWS[period];
+            const since = timeWindow ? dayjs().subtract(...timeWindow).toISOString() : '';
+            const players = await getLeaderboard(req.db, since, sortBy, LEADERBOARD_SIZE);
+            res.json({ period, sortBy, players });
+        } catch (err) {
+            console.error("Error fetching leaderboard:", err);
+            sendError(res, 'INTERNAL_ERROR', { message: 'Failed to retrieve leaderboard.' });
+        }
+    });
+
+    /**
+     * GET /api/users/:id/stats
+     * Retrieves lifetime statistics for a user: games played, win rate, average cards collected,
+     * average response time (deal to guess), fastest win, longest winning streak, and whether
+     * the player tends to place cards too low or too high (placement).
+     * Requires authentication.
+     */
+    app.get('/api/users/:id/stats', isLoggedIn, validateRequest({ params: schemas.userIdParams }), async (req, res) => {
+        const userId = req.params.id;
+
+        try {
+            const user = await getUserById(req.db, userId);
+            if (!user) {
+                return sendError(res, 'USER_NOT_FOUND');
+            }
+
+            const stats = await getUserStats(req.db, userId);
+            res.json({ userId: user.id, username: user.username, ...stats });
+        } catch (err) {
+            console.error(`Error fetching stats for user ${userId}:`, err);
+            sendError(res, 'INTERNAL_ERROR', { message: 'Failed to retrieve user statistics.' });
+        }
+    });
+
+
+    // --- Daily Challenge Routes ---
+
+    /**
+     * GET /api/daily-challenge
+     * Describes today's challenge. For a logged-in user, also tells whether they already played it:
+     * myGame is null if not, otherwise { gameId, outcome, cardsCollected, rank }
+     * (outcome is '' and rank null while the game is still in progress).
+     * Response: { date, theme, rules, playerCount, myGame }
+     */
+    app.get('/api/daily-challenge', async (req, res) => {
+        const date = getChallengeDate();
+
+        try {
+            const rules = await getDefaultRuleSet(req.db);
+            const leaderboard = await getDailyLeaderboard(req.db, date);
+
+            let myGame = null;
+            if (req.isAuthenticated()) {
+                const game = await getChallengeGame(req.db, req.user.id, date);
+                if (game) {
+                    myGame = {
+                        gameId: game.id,
+                        outcome: game.outcome,
+                        cardsCollected: game.cards_collected,
+                        rank: leaderboard.find(row => row.gameId === game.id)?.rank ?? null
+                    };
+                }
+            }
+
+            res.json({ date, theme: DAILY_CHALLENGE_THEME, rules, playerCount: leaderboard.length, myGame });
+        } catch (err) {
+            console.error("Error fetching daily challenge:", err);
+            sendError(res, 'INTERNAL_ERROR', { message: 'Failed to retrieve daily challenge.' });
+        }
+    });
+
+    /**
+     * POST /api/daily-challenge/start
+     * Starts today's challenge: the initial cards and every round card are the same for all players.
+     * Requires authentication. Each user may start a given day's challenge only once (409 otherwise).
+     * Response: same as POST /api/games/start, plus challengeDate.
+     */
+    app.post('/api/daily-challenge/start', isLoggedIn, async (req, res) => {
+        const date = getChallengeDate();
+
+        try {
+            if (await getChallengeGame(req.db, req.user.id, date)) {
+                return sendError(res, 'CHALLENGE_ALREADY_PLAYED');
+            }
+
+            const rules = await getDefaultRuleSet(req.db);
+            // The day's first start fixes its deck, so later changes to the cards do not change the challenge
+            const deck = await getOrCreateChallengeDeck(req.db, date, await getDeck(req.db, DAILY_CHALLENGE_THEME));
+            const seed = getChallengeSeed(date);
+            const initialCards = await dealInitialCards(req.db, deck, seed, rules.hand_size);
+            if (initialCards.length < rules.hand_size) {
+                return sendError(res, 'NOT_ENOUGH_CARDS');
+            }
+
+            // Always the normal difficulty, so every player is dealt the same cards
+            const gameId = await startGame(req.db, req.user.id, initialCards, rules.id, DAILY_CHALLENGE_THEME, seed, deck, date, DEFAULT_DIFFICULTY);
+            res.status(201).json({ gameId, initialCards, rules, theme: DAILY_CHALLENGE_THEME, challengeDate: date, difficulty: DEFAULT_DIFFICULTY });
+        } catch (err) {
+            if (err.code === 'SQLITE_CONSTRAINT') {
+                // Two starts raced each other; the unique index let only one through
+                return sendError(res, 'CHALLENGE_ALREADY_PLAYED');
+            }
+            console.error("Error starting daily challenge:", err);
+            sendError(res, 'INTERNAL_ERROR', { message: 'Failed to start daily challenge.' });
+        }
+    });
+
+    /**
+     * GET /api/daily-challenge/leaderboard
+     * Ranks the completed games of a daily challenge: wins first, then most cards collected, then fastest.
+     * Query: ?date=YYYY-MM-DD (default today)
+     * Response: { date, players: Array<{ rank, gameId, userId, username, outcome, cardsCollected, durationSeconds }> }
+     */
+    app.get('/api/daily-challenge/leaderboard', validateRequest({ query: schemas.dailyLeaderboardQuery }), async (req, res) => {
+        const date = req.query.date ?? getChallengeDate();
+
+        try {
+            const players = await getDailyLeaderboard(req.db, date);
+            res.json({ date, players });
+        } catch (err) {
+            console.error(`Error fetching daily leaderboard for ${date}:`, err);
+            sendError(res, 'INTERNAL_ERROR', { message: 'Failed to retrieve daily leaderboard.' });
+        }
+    });
+
+
+    // --- Admin Card Management Routes ---
+
+    /**
+     * GET /api/admin/cards
+     * Lists every card, including retired ones.
+     * Requires an administrator.
+     */
+    app.get('/api/admin/cards', isLoggedIn, isAdmin, async (req, res) => {
+        try {
+            const cards = await getAllCards(req.db);
+            res.json(cards);
+        } catch (err) {
+            console.error("Error fetching cards for admin:", err);
+            sendError(res, 'INTERNAL_ERROR', { message: 'Failed to retrieve cards.' });
+        }
+    });
+
+    /**
+     * POST /api/admin/cards
+     * Creates a new card.
+     * Requires an administrator.
+     * Expected body: { name: string, image: string, bad_luck_index: number (1-100), theme: string }
+     * Responds 409 if the name or bad_luck_index is already used by another card.
+     */
+    app.post('/api/admin/cards', isLoggedIn, isAdmin, validateRequest({ body: schemas.cardBody }), async (req, res) => {
+        const card = req.body;
+
+        try {
+            const conflict = await findConflictingCard(req.db, card.name, card.bad_luck_index);
+            if (conflict) {
+                return sendError(res, 'CARD_CONFLICT', { message: cardConflictMessage(conflict, card) });
+            }
+
+            const cardId = await createCard(req.db, card);
+            res.status(201).json({ id: cardId, ...card, retired: 0 });
+        } catch (err) {
+            console.error("Error creating card:", err);
+            sendError(res, 'INTERNAL_ERROR', { message: 'Failed to create card.' });
+        }
+    });
+
+    /**
+     * PUT /api/admin/cards/:cardId
+     * Edits a card's name, image, bad_luck_index and theme.
+     * Requires an administrator.
+     * Expected body: same as POST /api/admin/cards.
+     */
+    app.put('/api/admin/cards/:cardId', isLoggedIn, isAdmin, validateRequest({ params: schemas.cardIdParams, body: schemas.cardBody }), async (req, res) => {
+        const { cardId } = req.params;
+        const card = req.body;
+
+        try {
+            const conflict = await findConflictingCard(req.db, card.name, card.bad_luck_index, cardId);
+            if (conflict) {
+                return sendError(res, 'CARD_CONFLICT', { message: cardConflictMessage(conflict, card) });
+            }
+
+            const updated = await updateCard(req.db, cardId, card);
+            if (!updated) {
+                return sendError(res, 'CARD_NOT_FOUND');
+            }
+            res.json({ id: cardId, ...card });
+        } catch (err) {
+            console.error(`Error updating card ${cardId}:`, err);
+            sendError(res, 'INTERNAL_ERROR', { message: 'Failed to update card.' });
+        }
+    });
+
+    /**
+     * PUT /api/admin/cards/:cardId/retired
+     * Retires a card so it is no longer dealt, or restores it. Past games keep showing it.
+     * Requires an administrator.
+     * Expected body: { retired: boolean }
+     */
+    app.put('/api/admin/cards/:cardId/retired', isLoggedIn, isAdmin, validateRequest({ params: schemas.cardIdParams, body: schemas.retireCardBody }), async (req, res) => {
+        const { cardId } = req.params;
+        const { retired } = req.body;
+
+        try {
+            const updated = await setCardRetired(req.db, cardId, retired);
+            if (!updated) {
+                return sendError(res, 'CARD_NOT_FOUND');
+            }
+            res.json({ id: cardId, retired: retired ? 1 : 0 });
+        } catch (err) {
+            console.error(`Error retiring card ${cardId}:`, err);
+            sendError(res, 'INTERNAL_ERROR', { message: 'Failed to retire card.' });
+        }
+    });
+
+
+    /**
+     * POST /api/admin/cards/:cardId/image
+     * Uploads a new image for a card. The image is resized to the standard card size,
+     * stored on disk and served from /uploads; the card's image path is updated.
+     * Requires an administrator.
+     * Expected body: multipart/form-data with a single PNG, JPEG, WebP or GIF file in the `image` field (max 5 MB).
+     */
+    app.post('/api/admin/cards/:cardId/image', isLoggedIn, isAdmin, validateRequest({ params: schemas.cardIdParams }), (req, res) => {
+        const { cardId } = req.params;
+
+        uploadCardImage(req, res, async (uploadErr) => {
+            if (uploadErr) {
+                const { code, message } = describeUploadError(uploadErr);
+                return sendError(res, code, { message });
+            }
+            if (!req.file) {
+                return sendError(res, 'NO_IMAGE');
+            }
+
+            try {
+                const card = await getCardById(req.db, cardId);
+                if (!card) {
+                    return sendError(res, 'CARD_NOT_FOUND');
+                }
+
+                let image;
+                try {
+                    image = await saveCardImage(req.file.buffer, cardId);
+                } catch (err) {
+                    console.error(`Rejected image upload for card ${cardId}:`, err.message);
+                    return sendError(res, 'INVALID_IMAGE');
+                }
+
+                await updateCardImage(req.db, cardId, image);
+                await deleteCardImage(card.image); // Remove the image it replaces, if it was uploaded
+                res.json({ id: cardId, image });
+            } catch (err) {
+                console.error(`Error uploading image for card ${cardId}:`, err);
+                sendError(res, 'INTERNAL_ERROR', { message: 'Failed to upload image.' });
+            }
+        });
+    });
+
+
+    // --- Practice Routes (Guests and Users) ---
+
+    /**
+     * POST /api/practice/start
+     * Starts an untimed practice session with unlimited rounds, replacing any previous one.
+     * Open to guests and logged-in users; nothing is saved to the database, so practice never
+     * counts toward history, statistics or leaderboards.
+     * Expected body (optional): { theme: string } - defaults to the University Life deck.
+     */
+    app.post('/api/practice/start', validateRequest({ body: schemas.themeBody }), async (req, res) => {
+        const { theme } = req.body;
+
+        try {
+            const themes = await getThemes(req.db);
+            if (!themes.some(t => t.name === theme)) {
+                return sendError(res, 'THEME_NOT_FOUND');
+            }
+
+            const rules = await getDefaultRuleSet(req.db);
+            const practice = await startPractice(req.db, theme, rules.hand_size);
+            if (!practice) {
+                return sendError(res, 'NOT_ENOUGH_CARDS', { message: 'Not enough cards to practise with this deck.' });
+            }
+            req.session.practice = practice;
+            res.json(describePractice(practice));
+        } catch (err) {
+            console.error("Error starting practice:", err);
+            sendError(res, 'INTERNAL_ERROR', { message: 'Failed to start practice.' });
+        }
+    });
+
+    /**
+     * GET /api/practice/next-round
+     * Deals the card of the next practice round; if a card is still waiting for a guess, the same one is returned.
+     * When the hand is full or the deck runs out, a fresh hand is dealt (newHand: true).
+     * There is no time limit.
+     */
+    app.get('/api/practice/next-round', async (req, res) => {
+        const practice = req.session.practice;
+        if (!practice) {
+            return sendError(res, 'NO_PRACTICE_SESSION');
+        }
+
+        try {
+            const dealt = await dealPracticeCard(req.db, practice);
+            if (!dealt) {
+                return sendError(res, 'NO_CARDS_LEFT', { message: 'Not enough cards left to practise with this deck.' });
+            }
+            // IMPORTANT: Do NOT send bad_luck_index for the new card!
+            const { id, name, image } = dealt.card;
+            res.json({ card: { id, name, image }, newHand: dealt.newHand, ...describePractice(practice) });
+        } catch (err) {
+            console.error("Error dealing practice round:", err);
+            sendError(res, 'INTERNAL_ERROR', { message: 'Failed to deal practice round.' });
         }
     });
 
+    /**
+     * POST /api/practice/guess
+     * Settles the pending practice round. Besides the result, the response tells where the card
+     * belonged (correctIndex) and which cards of the hand surround that slot (lowerCard, higherCard),
+     * so the client can explain the mistake.
+     * Expected body: { cardId: number, placementIndex: number }
+     */
+    app.post('/api/practice/guess', validateRequest({ body: schemas.practiceGuessBody }), (req, res) => {
+        const practice = req.session.practice;
+        const { cardId, placementIndex } = req.body;
+
+        if (!practice) {
+            return sendError(res, 'NO_PRACTICE_SESSION');
+        }
+        if (!practice.pending || practice.pending.id !== cardId) {
+            return sendError(res, 'CARD_NOT_DEALT');
+        }
+        if (placementIndex > practice.hand.length) {
+            return sendPlacementError(res, practice.hand.length);
+        }
+
+        const result = resolvePracticeGuess(practice, placementIndex);
+        res.json({ ...result, badLuckIndex: result.card.bad_luck_index, ...describePractice(practice) });
+    });
+
 
     // --- Demo Game Routes (Anonymous Users) ---
 
     /**
      * POST /api/demo-game/start
-     * Starts a single-round demo game for anonymous users.
+     * Starts a single-round demo game for anonymous users, using the Classic rules.
      * Does not require authentication, and no game state is saved.
+     * Expected body (optional): { theme: string } - defaults to the University Life deck.
      */
-    app.post('/api/demo-game/start', async (req, res) => {
+    app.post('/api/demo-game/start', validateRequest({ body: schemas.themeBody }), async (req, res) => {
+        const { theme } = req.body;
+
         try {
-            const initialCards = await getRandomCards(req.db, 3);
-            if (initialCards.length < 3) {
-                return res.status(500).json({ error: "Not enough cards for demo game." });
+            const themes = await getThemes(req.db);
+            if (!themes.some(t => t.name === theme)) {
+                return sendError(res, 'THEME_NOT_FOUND');
+            }
+
+            const rules = await getDefaultRuleSet(req.db);
+            // Demo games are not stored, so their seed is only used for this deal
+            const deck = await getDeck(req.db, theme);
+            const seed = generateSeed();
+            const initialCards = await dealInitialCards(req.db, deck, seed, rules.hand_size);
+            if (initialCards.length < rules.hand_size) {
+                return sendError(res, 'NOT_ENOUGH_CARDS', { message: 'Not enough cards for demo game.' });
             }
-            initialCards.sort((a, b) => a.bad_luck_index - b.bad_luck_index);
 
-            // Get one new card for the demo round, excluding the initial 3
+            // Get one new card for the demo round, excluding the initial ones
             const initialCardIds = initialCards.map(c => c.id);
-            const newCards = await getRandomCards(req.db, 1, initialCardIds);
-            if (newCards.length === 0) {
-                 return res.status(500).json({ error: "Not enough unique cards for demo game." });
+            const newCard = await dealNextCard(req.db, deck, seed, initialCardIds);
+            if (!newCard) {
+                 return sendError(res, 'NOT_ENOUGH_CARDS', { message: 'Not enough unique cards for demo game.' });
             }
-            const newCard = newCards[0];
 
             // IMPORTANT: Do NOT send bad_luck_index for the new card!
             res.status(200).json({
                 initialCards: initialCards, // Full details for initial cards
-                newCard: { id: newCard.id, name: newCard.name, image: newCard.image } // Limited details for the card to guess
+                newCard: { id: newCard.id, name: newCard.name, image: newCard.image }, // Limited details for the card to guess
+                rules,
+                theme
             });
         } catch (err) {
             console.error("Error starting demo game:", err);
-            res.status(500).json({ error: 'Failed to start demo game.' });
+            sendError(res, 'INTERNAL_ERROR', { message: 'Failed to start demo game.' });
         }
     });
 
@@ -307,17 +1042,17 @@ function configureRoutes(app, getDb) {
      *
      * Expected body: { initialCards: Array<{ id, name, image, bad_luck_index }>, newCardId: number, placementIndex: number }
      */
-    app.post('/api/demo-game/guess', async (req, res) => {
+    app.post('/api/demo-game/guess', validateRequest({ body: schemas.demoGuessBody }), async (req, res) => {
         const { initialCards, newCardId, placementIndex } = req.body;
 
-        if (!Array.isArray(initialCards) || isNaN(newCardId) || isNaN(placementIndex)) {
-            return res.status(400).json({ error: 'Invalid input for demo guess.' });
+        if (placementIndex > initialCards.length) {
+            return sendPlacementError(res, initialCards.length);
         }
 
         try {
             const newCardDetails = await getCardById(req.db, newCardId);
             if (!newCardDetails) {
-                return res.status(404).json({ error: 'New card not found for demo game.' });
+                return sendError(res, 'CARD_NOT_FOUND', { message: 'New card not found for demo game.' });
             }
 
             // Combine initial cards with the new card for evaluation, sort by bad_luck_index
@@ -343,7 +1078,7 @@ function configureRoutes(app, getDb) {
 
         } catch (err) {
             console.error("Error processing demo game guess:", err);
-            res.status(500).json({ error: 'Failed to process demo guess.' });
+            sendError(res, 'INTERNAL_ERROR', { message: 'Failed to process demo guess.' });
         }
     });
 }
@@ -0,0 +1,124 @@
+// server/schemas.mjs
+// The schemas of the params, query strings and bodies accepted by the API routes (see validation.mjs).
+
+import { integer, number, string, boolean, array, object, optional } from './validation.mjs';
+import { DEFAULT_THEME } from './db.mjs';
+import { DIFFICULTY_LEVELS, DEFAULT_DIFFICULTY } from './dealing.mjs';
+import { CHALLENGE_DATE_PATTERN } from './daily-challenge.mjs';
+import { MIN_BAD_LUCK_INDEX, MAX_BAD_LUCK_INDEX } from './card-decks.mjs';
+
+export const USERNAME_PATTERN = /^[A-Za-z0-9_]{3,30}$/; // Letters, digits and underscores, 3 to 30 characters
+export const MIN_PASSWORD_LENGTH = 8;
+export const MAX_PASSWORD_LENGTH = 72; // bcrypt ignores anything past 72 bytes
+export const LEADERBOARD_PERIODS = ['week', 'month', 'all'];
+export const LEADERBOARD_SORTS = ['wins', 'winRate', 'fastestWin', 'longestStreak'];
+export const MAX_PAGE_SIZE = 50;
+const MAX_CREDENTIAL_LENGTH = 200; // Only to bound the work done on a login attempt
+const MAX_CARD_NAME_LENGTH = 200;
+
+const id = (message) => integer({ min: 1, message });
+const newPassword = string({
+    minLength: MIN_PASSWORD_LENGTH,
+    maxLength: MAX_PASSWORD_LENGTH,
+    message: `Password must be between ${MIN_PASSWORD_LENGTH} and ${MAX_PASSWORD_LENGTH} characters.`
+});
+const theme = optional(string({ minLength: 1, message: 'Invalid theme.' }), DEFAULT_THEME);
+const placementIndex = integer({ min: 0, message: 'Invalid placement index.' });
+
+// --- Accounts ---
+
+export const loginBody = object({
+    username: string({ minLength: 1, maxLength: MAX_CREDENTIAL_LENGTH, message: 'Username and password are required.' }),
+    password: string({ minLength: 1, maxLength: MAX_CREDENTIAL_LENGTH, message: 'Username and password are required.' })
+});
+
+export const registerBody = object({
+    username: string({ pattern: USERNAME_PATTERN, message: 'Username must be 3 to 30 letters, digits or underscores.' }),
+    password: newPassword
+});
+
+export const changePasswordBody = object({
+    oldPassword: string({ message: 'Current password is required.' }),
+    newPassword
+});
+
+export const deleteAccountBody = object({
+    password: string({ message: 'Password is required to delete the account.' })
+});
+
+export const userIdParams = object({
+    id: id('Invalid user ID.')
+});
+
+// --- Games ---
+
+export const startGameBody = object({
+    ruleSetId: optional(id('Invalid rule set ID.')),
+    theme,
+    difficulty: optional(string({ values: DIFFICULTY_LEVELS, message: `Difficulty must be one of: ${DIFFICULTY_LEVELS.join(', ')}.` }), DEFAULT_DIFFICULTY)
+});
+
+export const gameIdParams = object({
+    gameId: id('Invalid game ID.')
+});
+
+export const guessBody = object({
+    cardId: id('Invalid card ID.'),
+    placementIndex
+});
+
+export const loseRoundBody = object({
+    cardId: id('Invalid card ID.')
+});
+
+export const historyQuery = object({
+    page: optional(integer({ min: 1, message: 'Invalid pagination parameters.' }), 1),
+    pageSize: optional(integer({ min: 1, max: MAX_PAGE_SIZE, message: 'Invalid pagination parameters.' }), 10)
+});
+
+export const leaderboardQuery = object({
+    period: optional(string({ values: LEADERBOARD_PERIODS, message: 'Invalid leaderboard period or sort order.' }), 'all'),
+    sortBy: optional(string({ values: LEADERBOARD_SORTS, message: 'Invalid leaderboard period or sort order.' }), 'wins')
+});
+
+export const dailyLeaderboardQuery = object({
+    date: optional(string({ pattern: CHALLENGE_DATE_PATTERN, message: 'Invalid date, expected YYYY-MM-DD.' })) // Defaults to today
+});
+
+// --- Card management ---
+
+export const cardIdParams = object({
+    cardId: id('Invalid card ID.')
+});
+
+export const cardBody = object({
+    name: string({ trim: true, minLength: 1, maxLength: MAX_CARD_NAME_LENGTH, message: `Card name must be between 1 and ${MAX_CARD_NAME_LENGTH} characters.` }),
+    image: string({ trim: true, minLength: 1, message: 'Card image path is required.' }),
+    bad_luck_index: number({
+        min: MIN_BAD_LUCK_INDEX,
+        max: MAX_BAD_LUCK_INDEX,
+        message: `Bad luck index must be a number between ${MIN_BAD_LUCK_INDEX} and ${MAX_BAD_LUCK_INDEX}.`
+    }),
+    theme: string({ trim: true, minLength: 1, message: 'Card theme is required.' })
+});
+
+export const retireCardBody = object({
+    retired: boolean({ message: 'Invalid input for retiring card.' })
+});
+
+// --- Practice and demo games ---
+
+export const themeBody = object({
+    theme
+});
+
+export const practiceGuessBody = guessBody;
+
+export const demoGuessBody = object({
+    initialCards: array(object({
+        id: id(),
+        bad_luck_index: number()
+    }), { message: 'Invalid input for demo guess.' }),
+    newCardId: id('Invalid input for demo guess.'),
+    placementIndex
+});
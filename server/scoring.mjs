@@ -0,0 +1,67 @@
+// server/scoring.mjs
+// Points for each round of a game. Only correct placements score: a base amount scaled by the
+// time left on the round clock, plus bonuses for a streak of correct placements and for cards
+// that had to squeeze into a narrow gap between their neighbours' bad_luck_index values.
+
+import { getCorrectIndex } from './game-logic.mjs';
+import { MIN_BAD_LUCK_INDEX, MAX_BAD_LUCK_INDEX } from './card-decks.mjs';
+
+export const BASE_POINTS = 100; // For an instant correct placement
+export const MIN_TIME_SHARE = 0.2; // Share of BASE_POINTS still earned with no time left
+export const STREAK_BONUS = 20; // Per correct placement in a row just before this one
+export const MAX_STREAK_BONUS = 100;
+export const NARROW_GAP = 10; // Gaps (in bad_luck_index points) narrower than this earn a bonus
+export const MAX_GAP_BONUS = 50; // For a gap of zero width
+
+/**
+ * How many rounds in a row, counting back from the last settled one, were placed correctly.
+ * @param {Array<object>} gameCards - The game's cards (see getGameCards).
+ * @returns {number} The current streak.
+ */
+export function getCurrentStreak(gameCards) {
+    const settled = gameCards
+        .filter(c => c.round !== null && c.status !== 'pending')
+        .sort((a, b) => b.round - a.round);
+    let streak = 0;
+    while (streak < settled.length && settled[streak].status === 'won') {
+        streak++;
+    }
+    return streak;
+}
+
+/**
+ * Width of the bad_luck_index gap a card belongs in: between its two neighbours in the hand,
+ * or between a neighbour and the end of the index range when it belongs at either end.
+ * @param {Array<object>} hand - The hand, sorted by bad_luck_index.
+ * @param {object} card - The card being placed.
+ * @returns {number} The gap width.
+ */
+export function getSlotGap(hand, card) {
+    const correctIndex = getCorrectIndex(hand, card);
+    const lower = hand[correctIndex - 1]?.bad_luck_index ?? MIN_BAD_LUCK_INDEX;
+    const upper = hand[correctIndex]?.bad_luck_index ?? MAX_BAD_LUCK_INDEX;
+    return upper - lower;
+}
+
+/**
+ * Scores one round.
+ * @param {object} round
+ * @param {boolean} round.isCorrect - Whether the card was placed correctly in time.
+ * @param {Array<object>} round.hand - The hand the card was placed into, sorted by bad_luck_index.
+ * @param {object} round.card - The card placed.
+ * @param {number} round.elapsedMs - Time from the deal to the guess.
+ * @param {number} round.timeLimit - Seconds allowed per round.
+ * @param {number} round.streak - Correct placements in a row before this round.
+ * @returns {{ total: number, timePoints: number, streakBonus: number, gapBonus: number }} The points, all 0 for a miss.
+ */
+export function scoreRound({ isCorrect, hand, card, elapsedMs, timeLimit, streak }) {
+    if (!isCorrect) {
+        return { total: 0, timePoints: 0, streakBonus: 0, gapBonus: 0 };
+    }
+    const timeShare = Math.min(Math.max(1 - elapsedMs / (timeLimit * 1000), 0), 1);
+    const timePoints = Math.round(BASE_POINTS * (MIN_TIME_SHARE + (1 - MIN_TIME_SHARE) * timeShare));
+    const streakBonus = Math.min(streak * STREAK_BONUS, MAX_STREAK_BONUS);
+    const gap = getSlotGap(hand, card);
+    const gapBonus = gap < NARROW_GAP ? Math.round(MAX_GAP_BONUS * (NARROW_GAP - gap) / NARROW_GAP) : 0;
+    return { total: timePoints + streakBonus + gapBonus, timePoints, streakBonus, gapBonus };
+}
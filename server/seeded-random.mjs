@@ -0,0 +1,48 @@
+// server/seeded-random.mjs
+// Small deterministic pseudo-random helpers: the same seed always produces the same sequence,
+// which lets every player be dealt exactly the same cards.
+
+/**
+ * Hashes a string into a 32-bit unsigned integer seed (FNV-1a).
+ * @param {string} text - Any string, e.g. 'daily:2024-06-01'.
+ * @returns {number} The seed.
+ */
+export function hashSeed(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Creates a seeded generator of numbers in [0, 1) (mulberry32).
+ * @param {number} seed - A 32-bit integer seed.
+ * @returns {function(): number} A function returning the next number of the sequence.
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return function next() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Returns a shuffled copy of an array (Fisher-Yates), driven by the given generator.
+ * @param {Array} items - The items to shuffle; left untouched.
+ * @param {function(): number} random - Generator created by createRandom.
+ * @returns {Array} A new array with the same items in shuffled order.
+ */
+export function shuffle(items, random) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
@@ -0,0 +1,72 @@
+// server/session-store.mjs
+// An express-session store keeping the sessions in the game's SQLite database, so players stay
+// logged in (and keep their practice session) across server restarts.
+
+import session from 'express-session';
+import dayjs from 'dayjs';
+import { getSession, saveSession, touchSession, deleteSession, deleteUserSessions, deleteExpiredSessions } from './dao-sessions.mjs';
+
+// Sessions whose cookie has no expiry (browser-session cookies) are kept this long in the database
+const DEFAULT_SESSION_AGE = 24 * 60 * 60 * 1000;
+
+/**
+ * When a session expires, from its cookie.
+ * @param {object} sess - The session data.
+ * @returns {string} The expiry as an ISO timestamp.
+ */
+function getExpiry(sess) {
+    const expires = sess.cookie?.expires;
+    return expires ? dayjs(expires).toISOString() : dayjs().add(DEFAULT_SESSION_AGE, 'millisecond').toISOString();
+}
+
+export class SqliteSessionStore extends session.Store {
+    /**
+     * @param {function} getDb - Function to get the database instance.
+     */
+    constructor(getDb) {
+        super();
+        this.getDb = getDb;
+    }
+
+    get(sid, cb) {
+        this.getDb()
+            .then(db => getSession(db, sid, dayjs().toISOString()))
+            .then(sess => cb(null, sess ?? null), cb);
+    }
+
+    set(sid, sess, cb) {
+        this.getDb()
+            .then(db => saveSession(db, sid, sess, getExpiry(sess)))
+            .then(() => cb?.(null), err => cb?.(err));
+    }
+
+    touch(sid, sess, cb) {
+        this.getDb()
+            .then(db => touchSession(db, sid, getExpiry(sess)))
+            .then(() => cb?.(null), err => cb?.(err));
+    }
+
+    destroy(sid, cb) {
+        this.getDb()
+            .then(db => deleteSession(db, sid))
+            .then(() => cb?.(null), err => cb?.(err));
+    }
+
+    /**
+     * Deletes every session of a user, e.g. after a password change or when the account is deleted.
+     * @param {number} userId - The ID of the user.
+     * @param {string|null} [exceptSid=null] - A session to keep.
+     * @returns {Promise<number>} The number of sessions deleted.
+     */
+    async destroyUserSessions(userId, exceptSid = null) {
+        return deleteUserSessions(await this.getDb(), userId, exceptSid);
+    }
+
+    /**
+     * Deletes the expired sessions; express-session never asks the store to.
+     * @returns {Promise<number>} The number of sessions deleted.
+     */
+    async prune() {
+        return deleteExpiredSessions(await this.getDb(), dayjs().toISOString());
+    }
+}
@@ -0,0 +1,91 @@
+// server/test/auth.test.mjs
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { getDb } from '../db.mjs';
+import { setupTestApp, teardownTestApp, loginAgent } from './helpers.mjs';
+
+describe('authentication', () => {
+    let app;
+    before(async () => { app = await setupTestApp(); });
+    after(teardownTestApp);
+
+    it('logs in with valid credentials without exposing the password', async () => {
+        const res = await request(app).post('/api/login').send({ username: 'player1', password: 'password123' }).expect(200);
+        assert.equal(res.body.username, 'player1');
+        assert.equal(res.body.isAdmin, true);
+        assert.equal(res.body.password, undefined);
+        assert.equal(res.body.salt, undefined);
+    });
+
+    it('rejects a wrong password', async () => {
+        const res = await request(app).post('/api/login').send({ username: 'player1', password: 'wrong-password' }).expect(401);
+        assert.equal(res.body.error, 'Incorrect username or password.');
+    });
+
+    it('rejects an unknown user', async () => {
+        await request(app).post('/api/login').send({ username: 'nobody', password: 'password123' }).expect(401);
+    });
+
+    it('keeps the session until logout', async () => {
+        const agent = await loginAgent(app, 'player2');
+        const res = await agent.get('/api/current-user').expect(200);
+        assert.equal(res.body.username, 'player2');
+
+        await agent.get('/api/logout').expect(200);
+        await agent.get('/api/current-user').expect(401);
+    });
+
+    it('refuses logout and current-user without a session', async () => {
+        await request(app).get('/api/logout').expect(401);
+        await request(app).get('/api/current-user').expect(401);
+    });
+});
+
+describe('accounts', () => {
+    let app;
+    before(async () => { app = await setupTestApp(); });
+    after(teardownTestApp);
+
+    // Registers a user and returns two agents logged in as them, as if on two devices
+    const registerTwice = async (username, password) => {
+        const first = request.agent(app);
+        await first.post('/api/register').send({ username, password }).expect(201);
+        const second = request.agent(app);
+        await second.post('/api/login').send({ username, password }).expect(200);
+        return [first, second];
+    };
+
+    it('lets only one of parallel registrations take a username', async () => {
+        const attempts = await Promise.all([1, 2, 3].map(() =>
+            request(app).post('/api/register').send({ username: 'racer', password: 'racing-pass' })));
+        const statuses = attempts.map(res => res.status).sort();
+        assert.deepEqual(statuses, [201, 409, 409]);
+        for (const res of attempts.filter(res => res.status === 409)) {
+            assert.equal(res.body.code, 'USERNAME_TAKEN');
+        }
+    });
+
+    it('logs out every other session when the password changes', async () => {
+        const [current, other] = await registerTwice('changer', 'old-password');
+        await current.put('/api/current-user/password').send({ oldPassword: 'old-password', newPassword: 'new-password' }).expect(200);
+
+        await current.get('/api/current-user').expect(200);
+        await other.get('/api/current-user').expect(401);
+        await request(app).post('/api/login').send({ username: 'changer', password: 'new-password' }).expect(200);
+    });
+
+    it('logs out every session when the account is deleted', async () => {
+        const [current, other] = await registerTwice('leaver', 'leaving-pass');
+        const { body: user } = await current.get('/api/current-user').expect(200);
+        await current.delete('/api/current-user').send({ password: 'leaving-pass' }).expect(200);
+
+        // Checked before the other session is used again, which would also drop the vanished user from it
+        const db = await getDb();
+        const { count } = await db.get(`SELECT COUNT(*) AS count FROM sessions WHERE json_extract(sess, '$.passport.user') = ?`, [user.id]);
+        assert.equal(count, 0);
+        await current.get('/api/current-user').expect(401);
+        await other.get('/api/current-user').expect(401);
+    });
+});
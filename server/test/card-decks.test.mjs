@@ -0,0 +1,100 @@
+// server/test/card-decks.test.mjs
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { initializeDatabase, closeDatabase, getDb } from '../db.mjs';
+import { getAllCards, upsertCardsByName } from '../dao-cards.mjs';
+import { normalizeDeck, validateDeck, diffDeck, toCsv, parseCsv, cardImageExists } from '../card-decks.mjs';
+
+const imageExists = () => true;
+
+describe('deck validation', () => {
+    it('accepts a valid deck with an existing image', () => {
+        const cards = normalizeDeck([{ name: 'Lost keys', image: '/images/no_id.png', bad_luck_index: 12 }], 'Test');
+        assert.deepEqual(validateDeck(cards), []);
+        assert.equal(cardImageExists('/images/no_id.png'), true);
+    });
+
+    it('reports duplicate names and indexes, out of range indexes, missing images and themes', () => {
+        const cards = normalizeDeck([
+            { name: 'A', image: '/images/a.png', bad_luck_index: 10 },
+            { name: 'A', image: '/images/b.png', bad_luck_index: 10 },
+            { name: 'B', image: '/images/missing.png', bad_luck_index: 101 },
+            { name: 'C', image: '', bad_luck_index: 'high' }
+        ]);
+        const errors = validateDeck(cards, { imageExists: image => image !== '/images/missing.png' });
+        assert.deepEqual(errors, [
+            'Card 2 ("A"): name already used by card 1.',
+            'Card 2 ("A"): bad_luck_index 10 already used by card 1.',
+            'Card 3 ("B"): bad_luck_index must be a number between 1 and 100.',
+            'Card 3 ("B"): image /images/missing.png does not exist.',
+            'Card 4 ("C"): bad_luck_index must be a number between 1 and 100.',
+            'Card 4 ("C"): image path is required.',
+            '4 card(s) have no theme: set it in the file or with --theme.'
+        ]);
+    });
+
+    it('rejects indexes used by cards of other decks, but not by the cards being updated', () => {
+        const existingCards = [
+            { name: 'Old', image: '/images/a.png', bad_luck_index: 20, theme: 'Other' },
+            { name: 'Kept', image: '/images/a.png', bad_luck_index: 30, theme: 'Test' }
+        ];
+        const cards = normalizeDeck([
+            { name: 'New', image: '/images/a.png', bad_luck_index: 20 },
+            { name: 'Kept', image: '/images/a.png', bad_luck_index: 30 }
+        ], 'Test');
+        assert.deepEqual(validateDeck(cards, { existingCards, imageExists }), [
+            'Card 1 ("New"): bad_luck_index 20 already used by "Old" (Other).'
+        ]);
+    });
+});
+
+describe('deck diff and CSV', () => {
+    it('lists added, updated, unchanged and untouched cards', () => {
+        const existingCards = [
+            { name: 'Same', image: '/images/a.png', bad_luck_index: 1, theme: 'Test' },
+            { name: 'Moved', image: '/images/a.png', bad_luck_index: 2, theme: 'Test' },
+            { name: 'Absent', image: '/images/a.png', bad_luck_index: 3, theme: 'Test' },
+            { name: 'Elsewhere', image: '/images/a.png', bad_luck_index: 4, theme: 'Other' }
+        ];
+        const diff = diffDeck(existingCards, normalizeDeck([
+            { name: 'Same', image: '/images/a.png', bad_luck_index: 1 },
+            { name: 'Moved', image: '/images/a.png', bad_luck_index: 5 },
+            { name: 'Added', image: '/images/b.png', bad_luck_index: 6 }
+        ], 'Test'));
+        assert.deepEqual(diff.added.map(c => c.name), ['Added']);
+        assert.deepEqual(diff.updated.map(u => u.changes), [{ bad_luck_index: { from: 2, to: 5 } }]);
+        assert.deepEqual(diff.unchanged.map(c => c.name), ['Same']);
+        assert.deepEqual(diff.untouched.map(c => c.name), ['Absent']);
+    });
+
+    it('round-trips cards through CSV, quotes included', () => {
+        const cards = [
+            { name: 'Plain', image: '/images/a.png', bad_luck_index: 1.5, theme: 'Test' },
+            { name: 'Comma, and "quotes"', image: '/images/b.png', bad_luck_index: 2, theme: 'Test' }
+        ];
+        assert.deepEqual(normalizeDeck(parseCsv(toCsv(cards))), cards);
+    });
+});
+
+describe('deck import', () => {
+    before(async () => { await initializeDatabase(':memory:', { migrate: true }); });
+    after(closeDatabase);
+
+    it('upserts by name, keeping card IDs, even when two cards swap indexes', async () => {
+        const db = await getDb();
+        const [first, second] = (await getAllCards(db)).filter(c => c.theme === 'University Life');
+
+        const result = await upsertCardsByName(db, [
+            { ...first, bad_luck_index: second.bad_luck_index },
+            { ...second, bad_luck_index: first.bad_luck_index, image: '/images/no_id.png' },
+            { name: 'Brand new card', image: '/images/no_id.png', bad_luck_index: 99.99, theme: 'University Life' }
+        ]);
+        assert.deepEqual(result, { inserted: 1, updated: 2 });
+
+        const cards = await getAllCards(db);
+        assert.equal(cards.find(c => c.id === first.id).bad_luck_index, second.bad_luck_index);
+        assert.equal(cards.find(c => c.id === second.id).bad_luck_index, first.bad_luck_index);
+        assert.ok(cards.some(c => c.name === 'Brand new card'));
+    });
+});
@@ -0,0 +1,117 @@
+// server/test/config.test.mjs
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import request from 'supertest';
+import { getDb } from '../db.mjs';
+import { createApp } from '../app.mjs';
+import { loadConfig, ConfigError, DEV_SESSION_SECRET } from '../config.mjs';
+import { setupTestApp, teardownTestApp, PASSWORDS } from './helpers.mjs';
+
+const SECRET = 'a-test-secret-that-is-long-enough-0123456789';
+
+describe('server configuration', () => {
+    let dir;
+    before(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stuffhappens-config-')); });
+    after(() => { fs.rmSync(dir, { recursive: true, force: true }); });
+
+    const writeConfigFile = (settings) => {
+        const file = path.join(dir, 'config.json');
+        fs.writeFileSync(file, typeof settings === 'string' ? settings : JSON.stringify(settings));
+        return file;
+    };
+
+    it('falls back to the development defaults', () => {
+        const config = loadConfig({ env: {}, file: null });
+        assert.deepEqual(config, {
+            sessionSecret: DEV_SESSION_SECRET,
+            port: 3001,
+            dbFile: './stuffhappens.db',
+            cookieSecure: false,
+            allowedOrigins: ['http://localhost:5173'],
+            trustProxy: false
+        });
+    });
+
+    it('reads environment variables over the config file', () => {
+        const file = writeConfigFile({ port: 4000, dbFile: '/data/game.db', allowedOrigins: ['https://game.example.com'] });
+        const config = loadConfig({
+            env: { SESSION_SECRET: SECRET, PORT: '8080', COOKIE_SECURE: 'true', ALLOWED_ORIGINS: 'https://a.example.com, https://b.example.com' },
+            file
+        });
+        assert.equal(config.sessionSecret, SECRET);
+        assert.equal(config.port, 8080);
+        assert.equal(config.dbFile, '/data/game.db');
+        assert.equal(config.cookieSecure, true);
+        assert.deepEqual(config.allowedOrigins, ['https://a.example.com', 'https://b.example.com']);
+    });
+
+    it('finds the config file through CONFIG_FILE', () => {
+        const file = writeConfigFile({ port: 4000 });
+        assert.equal(loadConfig({ env: { CONFIG_FILE: file } }).port, 4000);
+    });
+
+    it('reports every invalid setting at once', () => {
+        const env = { PORT: 'eighty', COOKIE_SECURE: 'yes', ALLOWED_ORIGINS: 'localhost:5173,https://ok.example.com/path', SESSION_SECRET: 'short' };
+        assert.throws(() => loadConfig({ env, file: null }), (err) => {
+            assert.ok(err instanceof ConfigError);
+            assert.equal(err.problems.length, 5);
+            assert.match(err.message, /PORT/);
+            assert.match(err.message, /COOKIE_SECURE/);
+            assert.match(err.message, /"localhost:5173"/);
+            assert.match(err.message, /"https:\/\/ok.example.com\/path"/);
+            assert.match(err.message, /at least 32 characters/);
+            return true;
+        });
+    });
+
+    it('requires a real secret in production', () => {
+        assert.throws(() => loadConfig({ env: { NODE_ENV: 'production' }, file: null }), /must be set in production/);
+        assert.equal(loadConfig({ env: { NODE_ENV: 'production', SESSION_SECRET: SECRET }, file: null }).sessionSecret, SECRET);
+    });
+
+    it('rejects a broken or unknown config file', () => {
+        assert.throws(() => loadConfig({ env: {}, file: writeConfigFile('{ port: ') }), /Cannot read config file/);
+        assert.throws(() => loadConfig({ env: {}, file: writeConfigFile({ prot: 3001 }) }), /unknown settings: prot/);
+        assert.throws(() => loadConfig({ env: {}, file: path.join(dir, 'missing.json') }), /Cannot read config file/);
+    });
+});
+
+describe('persistent sessions', () => {
+    let app;
+    before(async () => { app = await setupTestApp(); });
+    after(teardownTestApp);
+
+    it('keeps a login across an app restart', async () => {
+        const login = await request(app).post('/api/login').send({ username: 'player1', password: PASSWORDS.player1 }).expect(200);
+        const cookie = login.headers['set-cookie'];
+
+        // A new app on the same database stands for the server after a restart
+        const restarted = createApp(loadConfig({ env: {}, file: null })).app;
+        const res = await request(restarted).get('/api/current-user').set('Cookie', cookie).expect(200);
+        assert.equal(res.body.username, 'player1');
+    });
+
+    it('deletes the session on logout', async () => {
+        const agent = request.agent(app);
+        await agent.post('/api/login').send({ username: 'player2', password: PASSWORDS.player2 }).expect(200);
+        const db = await getDb();
+        const before = (await db.get('SELECT COUNT(*) AS count FROM sessions')).count;
+        await agent.get('/api/logout').expect(200);
+        assert.equal((await db.get('SELECT COUNT(*) AS count FROM sessions')).count, before - 1);
+    });
+
+    it('ignores and prunes expired sessions', async () => {
+        const login = await request(app).post('/api/login').send({ username: 'player2', password: PASSWORDS.player2 }).expect(200);
+        const db = await getDb();
+        await db.run(`UPDATE sessions SET expires_at = '2000-01-01T00:00:00.000Z'`);
+        await request(app).get('/api/current-user').set('Cookie', login.headers['set-cookie']).expect(401);
+
+        const { sessionStore } = createApp(loadConfig({ env: {}, file: null }));
+        assert.ok(await sessionStore.prune() >= 1);
+        assert.equal((await db.get('SELECT COUNT(*) AS count FROM sessions')).count, 0);
+    });
+});
@@ -0,0 +1,146 @@
+// server/test/dealing.test.mjs
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { getDb, DEFAULT_THEME } from '../db.mjs';
+import { setupTestApp, teardownTestApp, loginAgent } from './helpers.mjs';
+import { getDeck, dealInitialCards, dealNextCard, getDealOrder, getHardness } from '../dealing.mjs';
+import { getSlotGap } from '../scoring.mjs';
+
+const SEED = 42;
+
+describe('difficulty-aware dealing', () => {
+    let db;
+    let deck;
+    let hand;
+    let involvedCardIds;
+    before(async () => {
+        await setupTestApp(SEED);
+        db = await getDb();
+        deck = await getDeck(db, DEFAULT_THEME);
+        hand = await dealInitialCards(db, deck, SEED, 3);
+        involvedCardIds = hand.map(c => c.id);
+    });
+    after(teardownTestApp);
+
+    const deal = (difficulty, cardsWon = 0) => dealNextCard(db, deck, SEED, involvedCardIds, { difficulty, hand, cardsWon });
+
+    it('deals in plain deal order at the normal difficulty', async () => {
+        const order = await getDealOrder(db, deck, SEED);
+        const card = await deal('normal');
+        assert.equal(card.id, order.find(c => !involvedCardIds.includes(c.id)).id);
+    });
+
+    it('deals cards with narrower slots as the difficulty rises', async () => {
+        const easy = getSlotGap(hand, await deal('easy'));
+        const hard = getSlotGap(hand, await deal('hard'));
+        assert.ok(hard < easy, `hard gap ${hard} should be narrower than easy gap ${easy}`);
+    });
+
+    it('makes the adaptive mode harder with every card won', async () => {
+        assert.equal(getHardness('adaptive', 0), 0);
+        assert.ok(getHardness('adaptive', 2) > getHardness('adaptive', 1));
+        assert.equal(getHardness('adaptive', 50), 1);
+        assert.equal((await deal('adaptive', 0)).id, (await deal('easy')).id);
+        assert.equal((await deal('adaptive', 50)).id, (await deal('hard')).id);
+    });
+
+    it('is reproducible for the same seed and hand', async () => {
+        assert.equal((await deal('hard')).id, (await deal('hard')).id);
+    });
+});
+
+describe('game difficulty', () => {
+    let app;
+    let player1;
+    before(async () => {
+        app = await setupTestApp(SEED);
+        player1 = await loginAgent(app, 'player1');
+    });
+    after(teardownTestApp);
+
+    it('records the difficulty chosen at start and deals accordingly', async () => {
+        const { body: game } = await player1.post('/api/games/start').send({ difficulty: 'hard' }).expect(201);
+        assert.equal(game.difficulty, 'hard');
+
+        const { body: card } = await player1.get(`/api/games/${game.gameId}/next-round`).expect(200);
+        const db = await getDb();
+        const expected = await dealNextCard(db, await getDeck(db, DEFAULT_THEME), SEED, game.initialCards.map(c => c.id),
+            { difficulty: 'hard', hand: game.initialCards });
+        assert.equal(card.id, expected.id);
+
+        const { body: state } = await player1.get(`/api/games/${game.gameId}`).expect(200);
+        assert.equal(state.difficulty, 'hard');
+    });
+
+    it('defaults to normal and rejects unknown levels', async () => {
+        await player1.post('/api/games/start').send({ difficulty: 'nightmare' }).expect(400);
+        const { body: game } = await player1.post('/api/games/start').send({}).expect(201);
+        assert.equal(game.difficulty, 'normal');
+    });
+});
+
+describe('deck snapshots', () => {
+    let app;
+    let db;
+    before(async () => {
+        app = await setupTestApp(SEED);
+        db = await getDb();
+    });
+    after(teardownTestApp);
+
+    // Retires the given cards and adds a new one to the deck, as an admin or a deck import could mid-game
+    const changeDeck = async (retiredIds) => {
+        await db.run(`UPDATE cards SET retired = 1 WHERE id IN (${retiredIds.join(', ')})`);
+        await db.run(`INSERT INTO cards (name, image, bad_luck_index, theme) VALUES ('Lost the deck', 'lost.png', 0.5, ?)`, [DEFAULT_THEME]);
+    };
+    const restoreDeck = async () => {
+        await db.run(`DELETE FROM cards WHERE name = 'Lost the deck'`);
+        await db.run(`UPDATE cards SET retired = 0`);
+    };
+
+    it('keeps dealing a game in progress from the cards it started with', async () => {
+        const player1 = await loginAgent(app, 'player1');
+        const { body: game } = await player1.post('/api/games/start').send({}).expect(201);
+        const order = await getDealOrder(db, await getDeck(db, DEFAULT_THEME), SEED);
+        const upcoming = order.find(c => !game.initialCards.some(i => i.id === c.id));
+
+        await changeDeck([upcoming.id, order.at(-1).id]);
+        try {
+            const { body: card } = await player1.get(`/api/games/${game.gameId}/next-round`).expect(200);
+            assert.equal(card.id, upcoming.id);
+        } finally {
+            await restoreDeck();
+        }
+    });
+
+    it('deals the same daily challenge all day, whatever changes in the deck', async () => {
+        const player1 = await loginAgent(app, 'player1');
+        const player2 = await loginAgent(app, 'player2');
+        const { body: first } = await player1.post('/api/daily-challenge/start').expect(201);
+        const { body: firstCard } = await player1.get(`/api/games/${first.gameId}/next-round`).expect(200);
+
+        await changeDeck([first.initialCards[0].id, firstCard.id]);
+        try {
+            const { body: second } = await player2.post('/api/daily-challenge/start').expect(201);
+            assert.deepEqual(second.initialCards, first.initialCards);
+            const { body: secondCard } = await player2.get(`/api/games/${second.gameId}/next-round`).expect(200);
+            assert.equal(secondCard.id, firstCard.id);
+        } finally {
+            await restoreDeck();
+        }
+    });
+
+    it('starts new games from the deck as it is now', async () => {
+        const player1 = await loginAgent(app, 'player1');
+        const original = await getDeck(db, DEFAULT_THEME);
+        await changeDeck([original[0]]);
+        try {
+            const { body: game } = await player1.post('/api/games/start').send({}).expect(201);
+            const expected = await dealInitialCards(db, await getDeck(db, DEFAULT_THEME), SEED, game.rules.hand_size);
+            assert.deepEqual(game.initialCards.map(c => c.id), expected.map(c => c.id));
+        } finally {
+            await restoreDeck();
+        }
+    });
+});
@@ -0,0 +1,58 @@
+// server/test/demo.test.mjs
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { setupTestApp, teardownTestApp, getBadLuckIndex, correctPlacement, wrongPlacement } from './helpers.mjs';
+
+describe('demo game', () => {
+    let app;
+    before(async () => { app = await setupTestApp(); });
+    after(teardownTestApp);
+
+    it('starts without authentication and hides the index of the card to guess', async () => {
+        const res = await request(app).post('/api/demo-game/start').send({}).expect(200);
+        const { initialCards, newCard, rules } = res.body;
+
+        assert.equal(initialCards.length, rules.hand_size);
+        const indexes = initialCards.map(c => c.bad_luck_index);
+        assert.deepEqual(indexes, [...indexes].sort((a, b) => a - b));
+        assert.equal(newCard.bad_luck_index, undefined);
+        assert.ok(!initialCards.some(c => c.id === newCard.id));
+    });
+
+    it('deals the same demo for the same seed', async () => {
+        const first = await request(app).post('/api/demo-game/start').send({}).expect(200);
+        const second = await request(app).post('/api/demo-game/start').send({}).expect(200);
+        assert.deepEqual(first.body, second.body);
+    });
+
+    it('accepts a correct placement and returns the won card', async () => {
+        const { body: { initialCards, newCard } } = await request(app).post('/api/demo-game/start').send({}).expect(200);
+        const badLuckIndex = await getBadLuckIndex(newCard.id);
+
+        const res = await request(app).post('/api/demo-game/guess')
+            .send({ initialCards, newCardId: newCard.id, placementIndex: correctPlacement(initialCards, badLuckIndex) })
+            .expect(200);
+        assert.equal(res.body.isCorrect, true);
+        assert.equal(res.body.badLuckIndex, badLuckIndex);
+        assert.equal(res.body.wonCard.id, newCard.id);
+    });
+
+    it('rejects a wrong placement', async () => {
+        const { body: { initialCards, newCard } } = await request(app).post('/api/demo-game/start').send({}).expect(200);
+        const badLuckIndex = await getBadLuckIndex(newCard.id);
+
+        const res = await request(app).post('/api/demo-game/guess')
+            .send({ initialCards, newCardId: newCard.id, placementIndex: wrongPlacement(initialCards, badLuckIndex) })
+            .expect(200);
+        assert.equal(res.body.isCorrect, false);
+        assert.equal(res.body.wonCard, null);
+    });
+
+    it('validates its input', async () => {
+        await request(app).post('/api/demo-game/start').send({ theme: 'No Such Deck' }).expect(404);
+        await request(app).post('/api/demo-game/guess').send({ newCardId: 1, placementIndex: 0 }).expect(400);
+        await request(app).post('/api/demo-game/guess').send({ initialCards: [], newCardId: 99999, placementIndex: 0 }).expect(404);
+    });
+});
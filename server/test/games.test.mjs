@@ -0,0 +1,220 @@
+// server/test/games.test.mjs
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { getDb } from '../db.mjs';
+import { setupTestApp, teardownTestApp, loginAgent, playRound, getBadLuckIndex, correctPlacement, wrongPlacement } from './helpers.mjs';
+
+describe('full games', () => {
+    let app;
+    let player1;
+    let player2;
+
+    before(async () => {
+        app = await setupTestApp();
+        player1 = await loginAgent(app, 'player1');
+        player2 = await loginAgent(app, 'player2');
+    });
+    after(teardownTestApp);
+
+    // Starts a Classic game for player1 and returns the start response body
+    const startGame = async (body = {}) => (await player1.post('/api/games/start').send(body).expect(201)).body;
+
+    describe('without a session', () => {
+        it('refuses every game route', async () => {
+            await request(app).post('/api/games/start').send({}).expect(401);
+            await request(app).get('/api/games/1/next-round').expect(401);
+            await request(app).post('/api/games/1/guess').send({ cardId: 1, placementIndex: 0 }).expect(401);
+            await request(app).post('/api/games/1/lose-round').send({ cardId: 1 }).expect(401);
+            await request(app).get('/api/history').expect(401);
+        });
+    });
+
+    describe('POST /api/games/start', () => {
+        it('deals a sorted hand of the rule set size', async () => {
+            const { gameId, initialCards, rules } = await startGame();
+            assert.ok(Number.isInteger(gameId));
+            assert.equal(rules.name, 'Classic');
+            assert.equal(initialCards.length, rules.hand_size);
+            const indexes = initialCards.map(c => c.bad_luck_index);
+            assert.deepEqual(indexes, [...indexes].sort((a, b) => a - b));
+        });
+
+        it('deals the same cards for the same seed', async () => {
+            const first = await startGame();
+            const second = await startGame();
+            assert.deepEqual(first.initialCards, second.initialCards);
+        });
+
+        it('rejects unknown rule sets and themes', async () => {
+            await player1.post('/api/games/start').send({ ruleSetId: 999 }).expect(404);
+            await player1.post('/api/games/start').send({ theme: 'No Such Deck' }).expect(404);
+            await player1.post('/api/games/start').send({ ruleSetId: 'classic' }).expect(400);
+        });
+    });
+
+    describe('GET /api/games/:gameId/next-round', () => {
+        it('keeps dealing the same pending card and hides its index', async () => {
+            const { gameId, initialCards } = await startGame();
+            const first = await player1.get(`/api/games/${gameId}/next-round`).expect(200);
+            const second = await player1.get(`/api/games/${gameId}/next-round`).expect(200);
+
+            assert.equal(first.body.id, second.body.id);
+            assert.equal(first.body.round, 1);
+            assert.equal(first.body.bad_luck_index, undefined);
+            assert.equal(first.body.timeLimit, 30);
+            assert.ok(!initialCards.some(c => c.id === first.body.id));
+        });
+
+        it("hides other players' games", async () => {
+            const { gameId } = await startGame();
+            await player2.get(`/api/games/${gameId}/next-round`).expect(404);
+            await player2.post(`/api/games/${gameId}/lose-round`).send({ cardId: 1 }).expect(404);
+        });
+
+        it('ends the game as lost when the deck runs out of cards', async () => {
+            // Leave only five active cards in one deck: three for the hand, two for rounds
+            const db = await getDb();
+            await db.run(`UPDATE cards SET retired = 1 WHERE theme = 'Travel Mishaps'
+                          AND id NOT IN (SELECT id FROM cards WHERE theme = 'Travel Mishaps' ORDER BY id LIMIT 5)`);
+            // A new player, so no game left unfinished by another test is offered for resume afterwards
+            const player = request.agent(app);
+            await player.post('/api/register').send({ username: 'deckrunner', password: 'runs-out-of-cards' }).expect(201);
+            try {
+                let { gameId, initialCards: hand } = (await player.post('/api/games/start').send({ theme: 'Travel Mishaps' }).expect(201)).body;
+                for (let i = 0; i < 2; i++) {
+                    const result = await playRound(player, gameId, hand, true);
+                    assert.equal(result.gameOutcome, null);
+                    hand = result.currentCards;
+                }
+                const res = await player.get(`/api/games/${gameId}/next-round`).expect(404);
+                assert.equal(res.body.error, 'No more unique cards available for this game.');
+                assert.equal(res.body.code, 'NO_CARDS_LEFT');
+                assert.equal(res.body.gameOutcome, 'Lost');
+
+                // The game is over, so it is no longer offered for resume and shows up in the history
+                const current = await player.get('/api/games/current').expect(404);
+                assert.equal(current.body.code, 'NO_GAME_IN_PROGRESS');
+                const { body: history } = await player.get('/api/history').expect(200);
+                assert.ok(history.games.some(game => game.id === gameId && game.outcome === 'Lost'));
+            } finally {
+                await db.run(`UPDATE cards SET retired = 0 WHERE theme = 'Travel Mishaps'`);
+            }
+        });
+    });
+
+    describe('POST /api/games/:gameId/guess', () => {
+        it('wins after placing cards_to_win cards correctly', async () => {
+            let { gameId, initialCards: hand, rules } = await startGame();
+            let result;
+            for (let i = 0; i < rules.cards_to_win; i++) {
+                result = await playRound(player1, gameId, hand, true);
+                assert.equal(result.isCorrect, true);
+                assert.equal(result.timedOut, false);
+                hand = result.currentCards;
+            }
+
+            assert.equal(result.gameOutcome, 'Won');
+            assert.equal(result.cardsWonCount, rules.cards_to_win);
+            assert.equal(hand.length, rules.hand_size + rules.cards_to_win);
+            await player1.get(`/api/games/${gameId}/next-round`).expect(409);
+        });
+
+        it('counts only one of two guesses sent at the same time', async () => {
+            const { gameId, initialCards: hand } = await startGame();
+            const { body: card } = await player1.get(`/api/games/${gameId}/next-round`).expect(200);
+            const badLuckIndex = await getBadLuckIndex(card.id);
+            const guesses = await Promise.all([correctPlacement, wrongPlacement].map(placement =>
+                player1.post(`/api/games/${gameId}/guess`).send({ cardId: card.id, placementIndex: placement(hand, badLuckIndex) })));
+
+            const accepted = guesses.filter(res => res.status === 200);
+            const refused = guesses.filter(res => res.status === 409);
+            assert.equal(accepted.length, 1);
+            assert.equal(refused.length, 1);
+            assert.equal(refused[0].body.code, 'CARD_NOT_DEALT');
+
+            // The answer sent back is the one the game recorded
+            const { body: state } = await player1.get(`/api/games/${gameId}`).expect(200);
+            assert.equal(state.score, accepted[0].body.score);
+            assert.equal(state.cardsLostCount, accepted[0].body.isCorrect ? 0 : 1);
+            assert.equal(state.playerCards.length, hand.length + (accepted[0].body.isCorrect ? 1 : 0));
+        });
+
+        it('loses after rounds_to_lose wrong placements', async () => {
+            const { gameId, initialCards: hand, rules } = await startGame();
+            let result;
+            for (let i = 0; i < rules.rounds_to_lose; i++) {
+                result = await playRound(player1, gameId, hand, false);
+                assert.equal(result.isCorrect, false);
+                assert.equal(result.wonCard, null);
+                assert.deepEqual(result.currentCards.map(c => c.id), hand.map(c => c.id));
+            }
+
+            assert.equal(result.gameOutcome, 'Lost');
+            assert.equal(result.cardsLostCount, rules.rounds_to_lose);
+            await player1.post(`/api/games/${gameId}/guess`).send({ cardId: 1, placementIndex: 0 }).expect(409);
+        });
+
+        it('rejects cards that were not dealt and invalid placements', async () => {
+            const { gameId, initialCards } = await startGame();
+            const { body: card } = await player1.get(`/api/games/${gameId}/next-round`).expect(200);
+
+            await player1.post(`/api/games/${gameId}/guess`).send({ cardId: initialCards[0].id, placementIndex: 0 }).expect(409);
+            await player1.post(`/api/games/${gameId}/guess`).send({ cardId: card.id, placementIndex: 99 }).expect(400);
+            await player1.post(`/api/games/${gameId}/guess`).send({ cardId: card.id }).expect(400);
+        });
+    });
+
+    describe('POST /api/games/:gameId/lose-round', () => {
+        it('discards the pending card as a lost round', async () => {
+            const { gameId } = await startGame();
+            const { body: card } = await player1.get(`/api/games/${gameId}/next-round`).expect(200);
+
+            const res = await player1.post(`/api/games/${gameId}/lose-round`).send({ cardId: card.id }).expect(200);
+            assert.equal(res.body.cardsLostCount, 1);
+            assert.equal(res.body.gameOutcome, null);
+
+            // The round is over, so the card can no longer be guessed and a new one is dealt
+            await player1.post(`/api/games/${gameId}/guess`).send({ cardId: card.id, placementIndex: 0 }).expect(409);
+            const next = await player1.get(`/api/games/${gameId}/next-round`).expect(200);
+            assert.notEqual(next.body.id, card.id);
+            assert.equal(next.body.round, 2);
+        });
+
+        it('rejects a card that is not pending', async () => {
+            const { gameId } = await startGame();
+            await player1.post(`/api/games/${gameId}/lose-round`).send({ cardId: 1 }).expect(409);
+            await player1.post(`/api/games/${gameId}/lose-round`).send({}).expect(400);
+        });
+    });
+
+    describe('GET /api/history', () => {
+        it('lists only finished games, newest first, with their rounds', async () => {
+            const { gameId, initialCards: hand, rules } = await startGame();
+            for (let i = 0; i < rules.rounds_to_lose; i++) {
+                await playRound(player1, gameId, hand, false);
+            }
+
+            const res = await player1.get('/api/history?pageSize=50').expect(200);
+            assert.ok(res.body.games.every(g => g.outcome === 'Won' || g.outcome === 'Lost'));
+            assert.equal(res.body.totalGames, res.body.games.length);
+            assert.equal(res.body.games[0].id, gameId);
+
+            const rounds = res.body.games[0].gameCards.filter(c => c.round !== null);
+            assert.equal(rounds.length, rules.rounds_to_lose);
+            assert.ok(rounds.every(c => c.status === 'lost' && c.placement_index !== null));
+        });
+
+        it("does not include other players' games", async () => {
+            const res = await player2.get('/api/history').expect(200);
+            assert.equal(res.body.totalGames, 0);
+            assert.deepEqual(res.body.games, []);
+        });
+
+        it('validates pagination', async () => {
+            await player1.get('/api/history?page=0').expect(400);
+            await player1.get('/api/history?pageSize=500').expect(400);
+        });
+    });
+});
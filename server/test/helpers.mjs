@@ -0,0 +1,91 @@
+// server/test/helpers.mjs
+// Shared setup for the API tests: every test file runs in its own process against a fresh
+// in-memory database, with a fixed dealing seed so the cards dealt are always the same.
+
+import request from 'supertest';
+import { initializeDatabase, closeDatabase, getDb } from '../db.mjs';
+import { createApp } from '../app.mjs';
+import { loadConfig } from '../config.mjs';
+import { setSeedSource } from '../dealing.mjs';
+
+// The accounts preloaded by initializeDatabase
+export const PASSWORDS = { player1: 'password123', player2: 'securepass' };
+
+/**
+ * Migrates a fresh in-memory database and builds the app on top of it.
+ * @param {number} [seed=42] - Seed used to deal every game started during the test.
+ * @returns {Promise<object>} The Express app, ready for supertest.
+ */
+export async function setupTestApp(seed = 42) {
+    await initializeDatabase(':memory:', { migrate: true });
+    setSeedSource(() => seed);
+    // The development defaults, whatever the environment or a local config.json say
+    return createApp(loadConfig({ env: {}, file: null })).app;
+}
+
+/**
+ * Restores random seeds and drops the in-memory database.
+ */
+export async function teardownTestApp() {
+    setSeedSource(null);
+    await closeDatabase();
+}
+
+/**
+ * Creates a supertest agent (which keeps the session cookie) logged in as a preloaded user.
+ * @param {object} app - The Express app.
+ * @param {string} username - 'player1' or 'player2'.
+ * @returns {Promise<object>} The logged-in agent.
+ */
+export async function loginAgent(app, username) {
+    const agent = request.agent(app);
+    await agent.post('/api/login').send({ username, password: PASSWORDS[username] }).expect(200);
+    return agent;
+}
+
+/**
+ * Looks up the secret bad_luck_index of a card, as the client never receives it before guessing.
+ * @param {number} cardId - The card ID.
+ * @returns {Promise<number>} The card's bad_luck_index.
+ */
+export async function getBadLuckIndex(cardId) {
+    const db = await getDb();
+    const { bad_luck_index } = await db.get('SELECT bad_luck_index FROM cards WHERE id = ?', [cardId]);
+    return bad_luck_index;
+}
+
+/**
+ * Where a card with the given index belongs in a sorted hand.
+ * @param {Array<object>} hand - Cards sorted by bad_luck_index.
+ * @param {number} badLuckIndex - The index of the card being placed.
+ * @returns {number} The correct placement index.
+ */
+export function correctPlacement(hand, badLuckIndex) {
+    return hand.filter(c => c.bad_luck_index < badLuckIndex).length;
+}
+
+/**
+ * A placement that is certainly wrong for a card with the given index.
+ * @param {Array<object>} hand - Cards sorted by bad_luck_index.
+ * @param {number} badLuckIndex - The index of the card being placed.
+ * @returns {number} A wrong placement index.
+ */
+export function wrongPlacement(hand, badLuckIndex) {
+    return correctPlacement(hand, badLuckIndex) === 0 ? hand.length : 0;
+}
+
+/**
+ * Deals the next round of a game and places the card correctly or not.
+ * @param {object} agent - Logged-in supertest agent owning the game.
+ * @param {number} gameId - The game.
+ * @param {Array<object>} hand - The player's current hand, sorted.
+ * @param {boolean} correct - Whether to place the card where it belongs.
+ * @returns {Promise<object>} The body of the guess response.
+ */
+export async function playRound(agent, gameId, hand, correct) {
+    const { body: card } = await agent.get(`/api/games/${gameId}/next-round`).expect(200);
+    const badLuckIndex = await getBadLuckIndex(card.id);
+    const placementIndex = correct ? correctPlacement(hand, badLuckIndex) : wrongPlacement(hand, badLuckIndex);
+    const { body } = await agent.post(`/api/games/${gameId}/guess`).send({ cardId: card.id, placementIndex }).expect(200);
+    return body;
+}
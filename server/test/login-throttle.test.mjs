@@ -0,0 +1,128 @@
+// server/test/login-throttle.test.mjs
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import dayjs from 'dayjs';
+import { getDb } from '../db.mjs';
+import {
+    getRetryDelay, USERNAME_POLICY, IP_POLICY, BASE_DELAY_SECONDS, MAX_DELAY_SECONDS, LOCKOUT_MINUTES
+} from '../login-throttle.mjs';
+import { setupTestApp, teardownTestApp, PASSWORDS } from './helpers.mjs';
+
+describe('login retry delay', () => {
+    const now = dayjs('2025-01-01T12:00:00Z');
+    const failures = (count, secondsAgo = 0) => ({ count, lastFailureAt: now.subtract(secondsAgo, 'second').toISOString() });
+
+    it('lets the free attempts through without a wait', () => {
+        assert.deepEqual(getRetryDelay({ count: 0, lastFailureAt: null }, USERNAME_POLICY, now), { retryAfter: 0, locked: false });
+        assert.equal(getRetryDelay(failures(USERNAME_POLICY.freeAttempts - 1), USERNAME_POLICY, now).retryAfter, 0);
+    });
+
+    it('doubles the wait with each failure past the free attempts, up to the maximum', () => {
+        const free = IP_POLICY.freeAttempts;
+        assert.equal(getRetryDelay(failures(free), IP_POLICY, now).retryAfter, BASE_DELAY_SECONDS);
+        assert.equal(getRetryDelay(failures(free + 1), IP_POLICY, now).retryAfter, BASE_DELAY_SECONDS * 2);
+        assert.equal(getRetryDelay(failures(free + 2), IP_POLICY, now).retryAfter, BASE_DELAY_SECONDS * 4);
+        assert.equal(getRetryDelay(failures(free + 19), IP_POLICY, now).retryAfter, MAX_DELAY_SECONDS);
+    });
+
+    it('counts the wait from the last failure', () => {
+        const count = USERNAME_POLICY.freeAttempts + 2; // A wait of 4 * BASE_DELAY_SECONDS
+        assert.equal(getRetryDelay(failures(count, 1), USERNAME_POLICY, now).retryAfter, BASE_DELAY_SECONDS * 4 - 1);
+        assert.equal(getRetryDelay(failures(count, 3600), USERNAME_POLICY, now).retryAfter, 0);
+    });
+
+    it('locks out after the threshold until the lockout has run out', () => {
+        const locked = getRetryDelay(failures(USERNAME_POLICY.lockoutAfter, 60), USERNAME_POLICY, now);
+        assert.deepEqual(locked, { retryAfter: LOCKOUT_MINUTES * 60 - 60, locked: true });
+        assert.deepEqual(getRetryDelay(failures(USERNAME_POLICY.lockoutAfter, LOCKOUT_MINUTES * 60), USERNAME_POLICY, now),
+            { retryAfter: 0, locked: false });
+    });
+});
+
+describe('login throttling', () => {
+    let app;
+    before(async () => { app = await setupTestApp(); });
+    after(teardownTestApp);
+    beforeEach(async () => { await (await getDb()).run('DELETE FROM login_attempts'); });
+
+    const login = (username, password) => request(app).post('/api/login').send({ username, password });
+
+    // Moves every recorded attempt back in time, as if the client had waited
+    const wait = async (seconds) => {
+        const db = await getDb();
+        const attempts = await db.all('SELECT id, attempted_at FROM login_attempts');
+        for (const a of attempts) {
+            await db.run('UPDATE login_attempts SET attempted_at = ? WHERE id = ?',
+                [dayjs(a.attempted_at).subtract(seconds, 'second').toISOString(), a.id]);
+        }
+    };
+
+    it('answers 429 with Retry-After once the free attempts are used up, even with the right password', async () => {
+        for (let i = 0; i < USERNAME_POLICY.freeAttempts; i++) {
+            await login('player1', 'wrong-password').expect(401);
+        }
+        const res = await login('player1', PASSWORDS.player1).expect(429);
+        assert.equal(res.headers['retry-after'], String(res.body.retryAfter));
+        assert.ok(res.body.retryAfter > 0 && res.body.retryAfter <= BASE_DELAY_SECONDS);
+        assert.equal(res.body.locked, false);
+        assert.match(res.body.error, /Too many failed login attempts/);
+
+        // Other accounts from the same address are not held up yet
+        await login('player2', PASSWORDS.player2).expect(200);
+    });
+
+    it('lets the user in after the wait, and a success resets the count', async () => {
+        for (let i = 0; i < USERNAME_POLICY.freeAttempts; i++) {
+            await login('player1', 'wrong-password').expect(401);
+        }
+        await wait(BASE_DELAY_SECONDS);
+        await login('player1', PASSWORDS.player1).expect(200);
+        await login('player1', 'wrong-password').expect(401);
+        await login('player1', PASSWORDS.player1).expect(200);
+    });
+
+    it('locks the account after repeated failures', async () => {
+        for (let i = 0; i < USERNAME_POLICY.lockoutAfter; i++) {
+            await wait(MAX_DELAY_SECONDS);
+            await login('player2', 'wrong-password').expect(401);
+        }
+        const res = await login('player2', PASSWORDS.player2).expect(429);
+        assert.equal(res.body.locked, true);
+        assert.match(res.body.error, /account is temporarily locked/);
+        assert.ok(res.body.retryAfter > (LOCKOUT_MINUTES - 5) * 60);
+    });
+
+    it('throttles an address guessing many usernames', async () => {
+        for (let i = 0; i < IP_POLICY.freeAttempts; i++) {
+            await login(`nobody-${i}`, 'guess').expect(401);
+        }
+        const res = await login('player1', PASSWORDS.player1).expect(429);
+        assert.equal(res.body.locked, false);
+    });
+
+    it('throttles parallel guesses instead of checking them all at once', async () => {
+        const attempts = USERNAME_POLICY.freeAttempts + 3;
+        const responses = await Promise.all(Array.from({ length: attempts }, () => login('player1', 'wrong-password')));
+        const statuses = responses.map(res => res.status);
+        assert.deepEqual(statuses.filter(status => status === 401).length, USERNAME_POLICY.freeAttempts);
+        assert.deepEqual(statuses.slice(USERNAME_POLICY.freeAttempts), Array(attempts - USERNAME_POLICY.freeAttempts).fill(429));
+
+        const db = await getDb();
+        const pending = await db.get(`SELECT COUNT(*) AS count FROM login_attempts WHERE reason = 'pending'`);
+        assert.equal(pending.count, 0);
+    });
+
+    it('keeps an audit of every attempt', async () => {
+        await login('player1', 'wrong-password').expect(401);
+        await login('player1', PASSWORDS.player1).expect(200);
+        const db = await getDb();
+        const attempts = await db.all('SELECT username, ip, succeeded, reason FROM login_attempts ORDER BY id');
+        assert.deepEqual(attempts.map(({ username, succeeded, reason }) => ({ username, succeeded, reason })), [
+            { username: 'player1', succeeded: 0, reason: 'invalid-credentials' },
+            { username: 'player1', succeeded: 1, reason: null }
+        ]);
+        assert.ok(attempts.every(a => a.ip));
+    });
+});
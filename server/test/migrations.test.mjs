@@ -0,0 +1,122 @@
+// server/test/migrations.test.mjs
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { initializeDatabase, closeDatabase } from '../db.mjs';
+import { migrate, rollback, getSchemaVersion, getMigrationStatus, LATEST_VERSION } from '../migrator.mjs';
+
+async function listTables(db) {
+    const rows = await db.all(`SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name`);
+    return rows.map(r => r.name);
+}
+
+async function listColumns(db, table) {
+    const rows = await db.all(`PRAGMA table_info(${table})`);
+    return rows.map(r => r.name);
+}
+
+describe('schema migrations', () => {
+    let db;
+    beforeEach(async () => {
+        db = await open({ filename: ':memory:', driver: sqlite3.Database });
+        await db.run('PRAGMA foreign_keys = ON;');
+    });
+    afterEach(async () => { await db.close(); });
+
+    it('migrates an empty database to the latest version', async () => {
+        assert.equal(await getSchemaVersion(db), 0);
+        const applied = await migrate(db);
+        assert.equal(applied.length, LATEST_VERSION);
+        assert.equal(await getSchemaVersion(db), LATEST_VERSION);
+        assert.deepEqual(await listTables(db), ['cards', 'daily_challenges', 'game_cards', 'games', 'login_attempts', 'rule_sets', 'schema_version', 'sessions', 'users']);
+        const ruleSets = await db.all('SELECT name FROM rule_sets ORDER BY id');
+        assert.deepEqual(ruleSets.map(r => r.name), ['Classic', 'Sudden Death', 'Marathon']);
+        assert.ok((await getMigrationStatus(db)).every(m => m.appliedAt !== null));
+        assert.equal((await migrate(db)).length, 0);
+    });
+
+    it('rolls back one step at a time and all the way down', async () => {
+        await migrate(db);
+        await rollback(db);
+        assert.equal(await getSchemaVersion(db), LATEST_VERSION - 1);
+        assert.equal((await getMigrationStatus(db)).at(-1).appliedAt, null);
+
+        await rollback(db, 0);
+        assert.equal(await getSchemaVersion(db), 0);
+        assert.deepEqual(await listTables(db), ['schema_version']);
+
+        await migrate(db);
+        assert.equal(await getSchemaVersion(db), LATEST_VERSION);
+    });
+
+    it('migrates up to a given version only', async () => {
+        await migrate(db, 3);
+        assert.equal(await getSchemaVersion(db), 3);
+        assert.ok((await listColumns(db, 'games')).includes('rule_set_id'));
+        assert.ok(!(await listColumns(db, 'games')).includes('theme'));
+        await assert.rejects(migrate(db, LATEST_VERSION + 1), /Unknown schema version/);
+        await assert.rejects(rollback(db, 5), /Cannot roll back/);
+    });
+
+    it('adopts a database created before migrations and keeps its games', async () => {
+        // The schema of the first release, with a game already played
+        await db.exec(`
+            CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, username TEXT UNIQUE NOT NULL, password TEXT NOT NULL, salt TEXT NOT NULL);
+            CREATE TABLE cards (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT UNIQUE NOT NULL, image TEXT NOT NULL, bad_luck_index REAL UNIQUE NOT NULL, theme TEXT NOT NULL);
+            CREATE TABLE games (id INTEGER PRIMARY KEY AUTOINCREMENT, user_id INTEGER NOT NULL, start_time TEXT NOT NULL, end_time TEXT NOT NULL, outcome TEXT NOT NULL, cards_collected INTEGER NOT NULL, FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE);
+            CREATE TABLE game_cards (id INTEGER PRIMARY KEY AUTOINCREMENT, game_id INTEGER NOT NULL, card_id INTEGER NOT NULL, status TEXT NOT NULL, round INTEGER, guess_time TEXT, is_correct_guess INTEGER, FOREIGN KEY (game_id) REFERENCES games(id) ON DELETE CASCADE, FOREIGN KEY (card_id) REFERENCES cards(id) ON DELETE CASCADE, UNIQUE (game_id, card_id));
+            INSERT INTO users (username, password, salt) VALUES ('player1', 'hash', 'salt');
+            INSERT INTO cards (name, image, bad_luck_index, theme) VALUES ('Lost keys', 'keys.png', 10, 'University Life'), ('Missed bus', 'bus.png', 20, 'University Life');
+            INSERT INTO games (user_id, start_time, end_time, outcome, cards_collected) VALUES (1, '2025-01-01T10:00:00Z', '2025-01-01T10:05:00Z', 'won', 6);
+        `);
+
+        const applied = await migrate(db);
+        assert.equal(applied[0].version, 2);
+        assert.equal(await getSchemaVersion(db), LATEST_VERSION);
+
+        const game = await db.get('SELECT g.theme, g.seed, g.deck_card_ids, r.name AS rules FROM games g JOIN rule_sets r ON r.id = g.rule_set_id');
+        assert.equal(game.theme, 'University Life');
+        assert.deepEqual(JSON.parse(game.deck_card_ids), [1, 2]);
+        assert.equal(game.rules, 'Classic');
+        assert.notEqual(game.seed, null);
+        const user = await db.get('SELECT is_admin FROM users WHERE username = ?', ['player1']);
+        assert.equal(user.is_admin, 1);
+    });
+
+    it('gives every earlier game and daily challenge the cards it could have been dealt', async () => {
+        await migrate(db, 12);
+        await db.exec(`
+            INSERT INTO users (username, password, salt) VALUES ('player1', 'hash', 'salt');
+            INSERT INTO cards (name, image, bad_luck_index, theme, retired) VALUES
+                ('Lost keys', 'keys.png', 10, 'University Life', 0), ('Missed bus', 'bus.png', 20, 'University Life', 1),
+                ('Lost luggage', 'luggage.png', 30, 'Old Trips', 1), ('Missed flight', 'flight.png', 40, 'Old Trips', 1);
+            INSERT INTO games (user_id, start_time, end_time, outcome, cards_collected, rule_set_id, theme, seed, challenge_date) VALUES
+                (1, '2025-01-01T10:00:00Z', '', '', 0, 1, 'Old Trips', 7, NULL),
+                (1, '2025-01-02T10:00:00Z', '', '', 0, 1, 'University Life', 8, '2025-01-02');
+            INSERT INTO game_cards (game_id, card_id, status) VALUES (1, 3, 'initial'), (2, 2, 'initial');
+        `);
+
+        await migrate(db);
+        const decks = await db.all('SELECT theme, deck_card_ids FROM games ORDER BY id');
+        assert.deepEqual(decks.map(g => [g.theme, JSON.parse(g.deck_card_ids)]), [
+            ['Old Trips', [3, 4]], // Every card of the theme is retired
+            ['University Life', [1, 2]]
+        ]);
+        const challenge = await db.get('SELECT challenge_date, deck_card_ids FROM daily_challenges');
+        assert.deepEqual([challenge.challenge_date, JSON.parse(challenge.deck_card_ids)], ['2025-01-02', [1, 2]]);
+    });
+});
+
+describe('server startup', () => {
+    afterEach(closeDatabase);
+
+    it('refuses to run against an unmigrated database', async () => {
+        await assert.rejects(initializeDatabase(':memory:'), /Run "npm run migrate" first/);
+    });
+
+    it('starts once the database is migrated', async () => {
+        await initializeDatabase(':memory:', { migrate: true });
+    });
+});
@@ -0,0 +1,192 @@
+// server/test/multiplayer.test.mjs
+
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import request from 'supertest';
+import WebSocket from 'ws';
+import { getDb } from '../db.mjs';
+import { createApp } from '../app.mjs';
+import { loadConfig } from '../config.mjs';
+import { configureMultiplayer, MULTIPLAYER_PATH, MIN_PLAYERS } from '../multiplayer.mjs';
+import { setupTestApp, teardownTestApp, PASSWORDS, getBadLuckIndex, correctPlacement, wrongPlacement } from './helpers.mjs';
+
+const MESSAGE_TIMEOUT = 2000; // ms to wait for an expected message
+
+describe('multiplayer matches', () => {
+    let app;
+    let server;
+    let url;
+    const connected = [];
+
+    before(async () => {
+        await setupTestApp();
+        const config = loadConfig({ env: {}, file: null });
+        const created = createApp(config);
+        app = created.app;
+        server = http.createServer(app);
+        configureMultiplayer(server, created.sessionMiddleware, getDb, config.allowedOrigins);
+        await new Promise(resolve => server.listen(0, resolve));
+        url = `ws://localhost:${server.address().port}${MULTIPLAYER_PATH}`;
+        await request(app).post('/api/register').send({ username: 'observer', password: PASSWORDS.player1 }).expect(201);
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        await teardownTestApp();
+    });
+
+    // Every test starts with nobody connected, so no lobby outlives its test
+    afterEach(async () => {
+        await Promise.all(connected.splice(0).map(player => player.close()));
+    });
+
+    /**
+     * Logs in and opens a socket with the session cookie.
+     * @param {string} username - A preloaded user, or 'observer'.
+     * @returns {Promise<object>} { user, send(message), next(type, matches), close() }; next resolves with the
+     * next message of that type for which matches returns true, skipping the others.
+     */
+    const connect = async (username) => {
+        const login = await request(app).post('/api/login').send({ username, password: PASSWORDS[username] ?? PASSWORDS.player1 }).expect(200);
+        const cookie = login.headers['set-cookie'].map(c => c.split(';')[0]).join('; ');
+        const socket = new WebSocket(url, { headers: { Cookie: cookie, Origin: 'http://localhost:5173' } });
+
+        const received = [];
+        let notify = () => {};
+        socket.on('message', (data) => {
+            received.push(JSON.parse(data));
+            notify();
+        });
+        const next = (type, matches = () => true) => new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(`${username} got no "${type}" message.`)), MESSAGE_TIMEOUT);
+            const check = () => {
+                const index = received.findIndex(message => message.type === type && matches(message));
+                if (index === -1) {
+                    notify = check;
+                    return;
+                }
+                clearTimeout(timer);
+                notify = () => {};
+                resolve(received.splice(0, index + 1).pop());
+            };
+            check();
+        });
+        const player = {
+            user: login.body,
+            send: (message) => socket.send(JSON.stringify(message)),
+            next,
+            close: () => new Promise(resolve => {
+                if (socket.readyState === WebSocket.CLOSED) return resolve();
+                socket.once('close', resolve);
+                socket.close();
+            })
+        };
+        connected.push(player);
+        await next('welcome');
+        return player;
+    };
+
+    // Two players in one lobby, hosted by player1
+    const gather = async () => {
+        const host = await connect('player1');
+        const guest = await connect('player2');
+        host.send({ type: 'create-lobby' });
+        const { lobby } = await host.next('lobby');
+        guest.send({ type: 'join-lobby', lobbyId: lobby.id });
+        const joined = await host.next('lobby');
+        assert.deepEqual(joined.lobby.players.map(p => p.username), ['player1', 'player2']);
+        return { host, guest, lobbyId: lobby.id };
+    };
+
+    const startMatch = async (host, guest) => {
+        host.send({ type: 'start-match' });
+        const hands = { host: (await host.next('hand')).cards, guest: (await guest.next('hand')).cards };
+        const round = await host.next('round');
+        await guest.next('round');
+        return { hands, round };
+    };
+
+    it('lists a new lobby and lets other players join it', async () => {
+        const host = await connect('player1');
+        const guest = await connect('player2');
+        host.send({ type: 'create-lobby' });
+        const { lobby } = await host.next('lobby');
+        assert.equal(lobby.status, 'waiting');
+        assert.equal(lobby.hostId, host.user.id);
+
+        const { lobbies } = await guest.next('lobbies', message => message.lobbies.length > 0);
+        assert.deepEqual(lobbies.map(l => l.id), [lobby.id]);
+        guest.send({ type: 'join-lobby', lobbyId: lobby.id });
+        const joined = await guest.next('lobby');
+        assert.deepEqual(joined.lobby.players.map(p => p.username), ['player1', 'player2']);
+    });
+
+    it('only lets the host start, and deals every player a hand and the same round card', async () => {
+        const { host, guest } = await gather();
+        guest.send({ type: 'start-match' });
+        assert.match((await guest.next('error')).error, /Only the host/);
+
+        const { hands, round } = await startMatch(host, guest);
+        assert.equal(hands.host.length, 3);
+        assert.equal(hands.guest.length, 3);
+        const dealt = [...hands.host, ...hands.guest, round.card].map(card => card.id);
+        assert.equal(new Set(dealt).size, dealt.length); // No card is dealt twice
+        assert.equal(round.round, 1);
+        assert.equal(round.card.bad_luck_index, undefined);
+    });
+
+    it('decides a round once every player has answered', async () => {
+        const { host, guest } = await gather();
+        const { hands, round } = await startMatch(host, guest);
+        const badLuckIndex = await getBadLuckIndex(round.card.id);
+
+        host.send({ type: 'guess', cardId: round.card.id, placementIndex: correctPlacement(hands.host, badLuckIndex) });
+        const hostResult = await host.next('guess-result');
+        assert.equal(hostResult.isCorrect, true);
+        assert.equal(hostResult.currentCards.length, 4);
+
+        guest.send({ type: 'guess', cardId: round.card.id, placementIndex: wrongPlacement(hands.guest, badLuckIndex) });
+        assert.equal((await guest.next('guess-result')).isCorrect, false);
+
+        const end = await host.next('round-end');
+        assert.equal(end.card.bad_luck_index, badLuckIndex);
+        assert.deepEqual(end.players.map(({ username, cardsWon, cardsLost }) => ({ username, cardsWon, cardsLost })), [
+            { username: 'player1', cardsWon: 1, cardsLost: 0 },
+            { username: 'player2', cardsWon: 0, cardsLost: 1 }
+        ]);
+    });
+
+    it('gives the match to the remaining player when the other disconnects', async () => {
+        const { host, guest } = await gather();
+        const { round } = await startMatch(host, guest);
+        host.send({ type: 'guess', cardId: round.card.id, placementIndex: 0 });
+        await host.next('guess-result');
+
+        await guest.close();
+        const end = await host.next('match-end');
+        assert.deepEqual(end.winners.map(w => w.username), ['player1']);
+        assert.equal(end.players.find(p => p.username === 'player2').eliminated, true);
+    });
+
+    it('does not start a match that a player left while it was being dealt', async () => {
+        const observer = await connect('observer');
+        const { host, guest, lobbyId } = await gather();
+
+        // Keep the database busy so the deal is still being fetched when the guest leaves
+        const db = await getDb();
+        const busy = db.get('WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < 2000000) SELECT COUNT(*) FROM n');
+        host.send({ type: 'start-match' });
+        const isListed = (message) => message.lobbies.some(l => l.id === lobbyId);
+        await observer.next('lobbies', message => message.lobbies.some(l => l.id === lobbyId && l.players.length === 2));
+        await observer.next('lobbies', message => !isListed(message)); // No longer open: the match is starting
+        guest.send({ type: 'leave-lobby' });
+        await busy;
+
+        assert.match((await host.next('error')).error, new RegExp(`at least ${MIN_PLAYERS} players`));
+        const { lobby } = await host.next('lobby');
+        assert.equal(lobby.status, 'waiting');
+        assert.deepEqual(lobby.players.map(p => p.username), ['player1']);
+        await observer.next('lobbies', isListed); // Open again
+    });
+});
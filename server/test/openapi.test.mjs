@@ -0,0 +1,202 @@
+// server/test/openapi.test.mjs
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { createApp } from '../app.mjs';
+import { loadConfig } from '../config.mjs';
+import { buildOpenApiSpec, checkRoutesAgainstSpec } from '../openapi.mjs';
+import { API_ERRORS } from '../api-errors.mjs';
+import { validateRequest } from '../validation.mjs';
+import { isLoggedIn } from '../auth.mjs';
+import * as schemas from '../schemas.mjs';
+import { setupTestApp, teardownTestApp, loginAgent } from './helpers.mjs';
+
+describe('OpenAPI document', () => {
+    let app;
+    const spec = buildOpenApiSpec();
+    before(async () => { app = await setupTestApp(); });
+    after(teardownTestApp);
+
+    // Resolves a $ref to the component schema, and merges the parts of an allOf
+    const resolve = (schema) => {
+        if (schema.$ref) {
+            return resolve({ ...spec.components.schemas[schema.$ref.split('/').pop()], nullable: schema.nullable });
+        }
+        if (!schema.allOf) {
+            return schema;
+        }
+        const parts = schema.allOf.map(resolve);
+        return {
+            type: 'object',
+            nullable: schema.nullable,
+            properties: Object.assign({}, ...parts.map(part => part.properties)),
+            required: parts.flatMap(part => part.required ?? [])
+        };
+    };
+
+    /**
+     * Compares a value with the schema documenting it.
+     * @returns {Array<string>} One message per mismatch: wrong type, unexpected null, value outside the enum,
+     * missing required field, or field the document does not list.
+     */
+    const checkValue = (schema, value, path) => {
+        schema = resolve(schema);
+        if (value === null) {
+            return schema.nullable ? [] : [`${path} is null but not nullable`];
+        }
+        const types = {
+            integer: Number.isInteger, number: v => typeof v === 'number', string: v => typeof v === 'string',
+            boolean: v => typeof v === 'boolean', array: Array.isArray, object: v => typeof v === 'object' && !Array.isArray(v)
+        };
+        if (!types[schema.type](value)) {
+            return [`${path} should be ${schema.type}: ${JSON.stringify(value)}`];
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            return [`${path} is not one of ${schema.enum.join(', ')}: ${JSON.stringify(value)}`];
+        }
+        if (schema.type === 'array') {
+            return value.flatMap((item, i) => checkValue(schema.items, item, `${path}[${i}]`));
+        }
+        if (schema.type !== 'object' || !schema.properties) {
+            return [];
+        }
+        return [
+            ...(schema.required ?? []).filter(key => value[key] === undefined).map(key => `${path}.${key} is missing`),
+            ...Object.keys(value).filter(key => !schema.properties[key]).map(key => `${path}.${key} is not documented`),
+            ...Object.entries(value).filter(([key]) => schema.properties[key])
+                .flatMap(([key, item]) => checkValue(schema.properties[key], item, `${path}.${key}`))
+        ];
+    };
+
+    // Asserts a JSON response matches what the document says the route answers with that status
+    const assertDocumented = (method, path, res) => {
+        const response = spec.paths[path][method].responses[res.status];
+        assert.ok(response, `${method.toUpperCase()} ${path} answered an undocumented ${res.status}`);
+        assert.deepEqual(checkValue(response.content['application/json'].schema, res.body, 'body'), [],
+            `${method.toUpperCase()} ${path} (${res.status})`);
+    };
+
+    it('matches the routes the app serves', () => {
+        assert.deepEqual(checkRoutesAgainstSpec(app, spec), []);
+    });
+
+    it('reports routes that drifted from the document', () => {
+        const paths = structuredClone(spec.paths);
+        delete paths['/api/themes'];
+        paths['/api/history'].get['x-auth'] = 'none';
+        paths['/api/leaderboard'].get.parameters.pop();
+        paths['/api/no-such-route'] = { get: paths['/api/rule-sets'].get };
+        assert.deepEqual(checkRoutesAgainstSpec(app, { ...spec, paths }), [
+            'GET /api/themes is served but not documented.',
+            'GET /api/history requires user authentication but is documented as none.',
+            'GET /api/leaderboard validates different query parameters than documented.',
+            'GET /api/no-such-route is documented but not served.'
+        ]);
+    });
+
+    it('notices a route validating a schema the document does not show', () => {
+        const other = createApp(loadConfig({ env: {}, file: null })).app;
+        other.post('/api/extra/:gameId', isLoggedIn, validateRequest({ params: schemas.gameIdParams, body: schemas.guessBody }), () => {});
+        const problems = checkRoutesAgainstSpec(other, spec);
+        assert.deepEqual(problems, ['POST /api/extra/{gameId} is served but not documented.']);
+
+        const paths = structuredClone(spec.paths);
+        paths['/api/extra/{gameId}'] = { post: { ...paths['/api/games/{gameId}/lose-round'].post } };
+        assert.deepEqual(checkRoutesAgainstSpec(other, { ...spec, paths }), [
+            'POST /api/extra/{gameId} validates different request body than documented.'
+        ]);
+    });
+
+    it('resolves every reference and only uses error codes from the catalog', () => {
+        const json = JSON.stringify(spec);
+        for (const [, name] of json.matchAll(/"#\/components\/schemas\/([^"]+)"/g)) {
+            assert.ok(spec.components.schemas[name], `Missing schema ${name}`);
+        }
+        assert.deepEqual(spec.components.schemas.Error.properties.code.enum, Object.keys(API_ERRORS));
+        for (const operations of Object.values(spec.paths)) {
+            for (const operation of Object.values(operations)) {
+                const statuses = Object.keys(operation.responses);
+                assert.ok(statuses.some(status => status.startsWith('2')), operation.summary);
+                if (operation['x-auth'] === 'user' || operation['x-auth'] === 'admin') {
+                    assert.ok(statuses.includes('401'), operation.summary);
+                    assert.deepEqual(operation.security, [{ cookieAuth: [] }]);
+                }
+            }
+        }
+    });
+
+    it('notices a response that does not match its schema', () => {
+        const user = { $ref: '#/components/schemas/User' };
+        assert.deepEqual(checkValue(user, { id: 1, username: 'a', isAdmin: false }, 'body'), []);
+        assert.deepEqual(checkValue(user, { id: '1', username: null, extra: 1 }, 'body'), [
+            'body.isAdmin is missing',
+            'body.extra is not documented',
+            'body.id should be integer: "1"',
+            'body.username is null but not nullable'
+        ]);
+    });
+
+    it('describes the responses the routes actually send', async () => {
+        const player1 = await loginAgent(app, 'player1');
+        const player2 = await loginAgent(app, 'player2');
+        const guest = request.agent(app);
+
+        assertDocumented('get', '/api/current-user', await player1.get('/api/current-user'));
+        assertDocumented('get', '/api/rule-sets', await request(app).get('/api/rule-sets'));
+        assertDocumented('get', '/api/themes', await request(app).get('/api/themes'));
+        assertDocumented('get', '/api/daily-challenge', await player1.get('/api/daily-challenge'));
+        assertDocumented('get', '/api/current-user', await request(app).get('/api/current-user')); // 401
+
+        // A player without a finished game has no averages yet
+        const player2Id = (await player2.get('/api/current-user')).body.id;
+        const noGames = await player2.get(`/api/users/${player2Id}/stats`);
+        assertDocumented('get', '/api/users/{id}/stats', noGames);
+        assert.equal(noGames.body.averageCardsCollected, null);
+
+        // A whole game, lost by missing every round
+        const start = await player2.post('/api/games/start').send({});
+        assertDocumented('post', '/api/games/start', start);
+        const { gameId } = start.body;
+        assertDocumented('get', '/api/games/current', await player2.get('/api/games/current'));
+        let outcome = null;
+        while (!outcome) {
+            const round = await player2.get(`/api/games/${gameId}/next-round`);
+            assertDocumented('get', '/api/games/{gameId}/next-round', round);
+            assertDocumented('get', '/api/games/{gameId}', await player2.get(`/api/games/${gameId}`));
+            const guess = await player2.post(`/api/games/${gameId}/guess`).send({ cardId: round.body.id, placementIndex: 0 });
+            assertDocumented('post', '/api/games/{gameId}/guess', guess);
+            outcome = guess.body.gameOutcome;
+        }
+        assertDocumented('get', '/api/games/{gameId}/replay', await player2.get(`/api/games/${gameId}/replay`));
+        assertDocumented('get', '/api/history', await player2.get('/api/history'));
+        assertDocumented('get', '/api/users/{id}/stats', await player1.get(`/api/users/${player2Id}/stats`));
+        assertDocumented('get', '/api/leaderboard', await request(app).get('/api/leaderboard'));
+        assertDocumented('get', '/api/games/{gameId}', await player2.get(`/api/games/${gameId}`)); // 409, the game has ended
+
+        const practice = await guest.post('/api/practice/start').send({});
+        assertDocumented('post', '/api/practice/start', practice);
+        const practiceRound = await guest.get('/api/practice/next-round');
+        assertDocumented('get', '/api/practice/next-round', practiceRound);
+        assertDocumented('post', '/api/practice/guess',
+            await guest.post('/api/practice/guess').send({ cardId: practiceRound.body.card.id, placementIndex: 0 }));
+
+        const demo = await guest.post('/api/demo-game/start').send({});
+        assertDocumented('post', '/api/demo-game/start', demo);
+        assertDocumented('post', '/api/demo-game/guess', await guest.post('/api/demo-game/guess')
+            .send({ initialCards: demo.body.initialCards, newCardId: demo.body.newCard.id, placementIndex: 0 }));
+        assertDocumented('post', '/api/demo-game/guess', await guest.post('/api/demo-game/guess').send({})); // 400
+    });
+
+    it('is served with a docs page', async () => {
+        const res = await request(app).get('/api/openapi.json').expect(200);
+        assert.equal(res.body.openapi, '3.0.3');
+        assert.deepEqual(Object.keys(res.body.paths), Object.keys(spec.paths));
+
+        const page = await request(app).get('/api/docs').expect(200);
+        assert.match(page.headers['content-type'], /text\/html/);
+        assert.match(page.text, /\/api\/openapi\.json/);
+        await request(app).get('/api/docs/swagger-ui-bundle.js').expect(200);
+        await request(app).get('/api/docs/swagger-ui.css').expect(200);
+    });
+});
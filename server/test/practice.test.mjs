@@ -0,0 +1,95 @@
+// server/test/practice.test.mjs
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { setupTestApp, teardownTestApp, loginAgent, getBadLuckIndex, correctPlacement, wrongPlacement } from './helpers.mjs';
+import { PRACTICE_MAX_HAND_SIZE } from '../practice.mjs';
+
+/**
+ * Deals a practice round and places the card correctly or not.
+ * @returns {Promise<object>} The bodies of the next-round and guess responses.
+ */
+async function practiseRound(agent, correct) {
+    const { body: round } = await agent.get('/api/practice/next-round').expect(200);
+    const badLuckIndex = await getBadLuckIndex(round.card.id);
+    const placementIndex = correct ? correctPlacement(round.hand, badLuckIndex) : wrongPlacement(round.hand, badLuckIndex);
+    const { body: result } = await agent.post('/api/practice/guess').send({ cardId: round.card.id, placementIndex }).expect(200);
+    return { round, result };
+}
+
+describe('practice mode', () => {
+    let app;
+    before(async () => { app = await setupTestApp(); });
+    after(teardownTestApp);
+
+    it('is open to guests and hides the index of the card to place', async () => {
+        const guest = request.agent(app);
+        const { body: practice } = await guest.post('/api/practice/start').send({}).expect(200);
+        assert.equal(practice.hand.length, 3);
+        assert.equal(practice.round, 0);
+
+        const { body: first } = await guest.get('/api/practice/next-round').expect(200);
+        assert.equal(first.card.bad_luck_index, undefined);
+        assert.equal(first.round, 1);
+        const { body: again } = await guest.get('/api/practice/next-round').expect(200);
+        assert.equal(again.card.id, first.card.id);
+    });
+
+    it('reveals the correct slot and its neighbours after a wrong guess', async () => {
+        const guest = request.agent(app);
+        await guest.post('/api/practice/start').send({}).expect(200);
+        const { round, result } = await practiseRound(guest, false);
+
+        const badLuckIndex = await getBadLuckIndex(round.card.id);
+        assert.equal(result.isCorrect, false);
+        assert.equal(result.badLuckIndex, badLuckIndex);
+        assert.equal(result.correctIndex, correctPlacement(round.hand, badLuckIndex));
+        assert.deepEqual(result.lowerCard, round.hand[result.correctIndex - 1] ?? null);
+        assert.deepEqual(result.higherCard, round.hand[result.correctIndex] ?? null);
+        assert.deepEqual(result.hand, round.hand);
+        assert.equal(result.wrong, 1);
+    });
+
+    it('adds correctly placed cards to the hand and deals a fresh hand once it is full', async () => {
+        const guest = request.agent(app);
+        await guest.post('/api/practice/start').send({}).expect(200);
+        let round;
+        let result;
+        for (let i = 3; i < PRACTICE_MAX_HAND_SIZE; i++) {
+            ({ round, result } = await practiseRound(guest, true));
+            assert.equal(result.isCorrect, true);
+            assert.equal(result.hand.length, i + 1);
+            assert.equal(round.newHand, false);
+        }
+        ({ round } = await practiseRound(guest, true));
+        assert.equal(round.newHand, true);
+        assert.equal(round.hand.length, 3);
+        assert.equal(round.round, PRACTICE_MAX_HAND_SIZE - 2);
+    });
+
+    it('never records practice in the history or the leaderboard', async () => {
+        const agent = await loginAgent(app, 'player1');
+        await agent.post('/api/practice/start').send({ theme: 'Office Life' }).expect(200);
+        await practiseRound(agent, true);
+        await practiseRound(agent, false);
+
+        const { body: history } = await agent.get('/api/history').expect(200);
+        assert.equal(history.totalGames, 0);
+        const { body: leaderboard } = await request(app).get('/api/leaderboard').expect(200);
+        assert.ok(!leaderboard.players.some(p => p.username === 'player1'));
+    });
+
+    it('validates its input', async () => {
+        const guest = request.agent(app);
+        await guest.get('/api/practice/next-round').expect(409);
+        await guest.post('/api/practice/guess').send({ cardId: 1, placementIndex: 0 }).expect(409);
+        await guest.post('/api/practice/start').send({ theme: 'No Such Deck' }).expect(404);
+
+        await guest.post('/api/practice/start').send({}).expect(200);
+        const { body: round } = await guest.get('/api/practice/next-round').expect(200);
+        await guest.post('/api/practice/guess').send({ cardId: round.card.id, placementIndex: 'first' }).expect(400);
+        await guest.post('/api/practice/guess').send({ cardId: round.card.id, placementIndex: 9 }).expect(400);
+        await guest.post('/api/practice/guess').send({ cardId: round.card.id + 1000, placementIndex: 0 }).expect(409);
+    });
+});
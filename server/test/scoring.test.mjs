@@ -0,0 +1,88 @@
+// server/test/scoring.test.mjs
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestApp, teardownTestApp, loginAgent, playRound } from './helpers.mjs';
+import {
+    scoreRound, getCurrentStreak, getSlotGap, BASE_POINTS, MIN_TIME_SHARE, STREAK_BONUS, MAX_STREAK_BONUS, MAX_GAP_BONUS
+} from '../scoring.mjs';
+
+const hand = [{ bad_luck_index: 20 }, { bad_luck_index: 50 }, { bad_luck_index: 55 }];
+
+describe('round scoring', () => {
+    it('scales the base points by the time left', () => {
+        const round = { isCorrect: true, hand, card: { bad_luck_index: 30 }, timeLimit: 30, streak: 0 };
+        assert.equal(scoreRound({ ...round, elapsedMs: 0 }).timePoints, BASE_POINTS);
+        assert.equal(scoreRound({ ...round, elapsedMs: 15000 }).timePoints, Math.round(BASE_POINTS * (MIN_TIME_SHARE + (1 - MIN_TIME_SHARE) / 2)));
+        assert.equal(scoreRound({ ...round, elapsedMs: 40000 }).timePoints, Math.round(BASE_POINTS * MIN_TIME_SHARE));
+    });
+
+    it('adds a capped streak bonus and a bonus for narrow gaps', () => {
+        const round = { isCorrect: true, hand, elapsedMs: 0, timeLimit: 30 };
+        assert.equal(scoreRound({ ...round, card: { bad_luck_index: 30 }, streak: 2 }).streakBonus, 2 * STREAK_BONUS);
+        assert.equal(scoreRound({ ...round, card: { bad_luck_index: 30 }, streak: 50 }).streakBonus, MAX_STREAK_BONUS);
+
+        assert.equal(getSlotGap(hand, { bad_luck_index: 52 }), 5);
+        assert.equal(getSlotGap(hand, { bad_luck_index: 99 }), 45);
+        assert.equal(scoreRound({ ...round, card: { bad_luck_index: 52 }, streak: 0 }).gapBonus, MAX_GAP_BONUS / 2);
+        assert.equal(scoreRound({ ...round, card: { bad_luck_index: 30 }, streak: 0 }).gapBonus, 0);
+    });
+
+    it('gives nothing for a miss', () => {
+        const points = scoreRound({ isCorrect: false, hand, card: { bad_luck_index: 52 }, elapsedMs: 0, timeLimit: 30, streak: 3 });
+        assert.deepEqual(points, { total: 0, timePoints: 0, streakBonus: 0, gapBonus: 0 });
+    });
+
+    it('counts the streak back from the last settled round', () => {
+        const cards = [
+            { round: null, status: 'initial' },
+            { round: 1, status: 'won' },
+            { round: 2, status: 'lost' },
+            { round: 3, status: 'won' },
+            { round: 4, status: 'won' },
+            { round: 5, status: 'pending' }
+        ];
+        assert.equal(getCurrentStreak(cards), 2);
+        assert.equal(getCurrentStreak(cards.slice(0, 3)), 0);
+    });
+});
+
+describe('game score', () => {
+    let app;
+    let player1;
+    before(async () => {
+        app = await setupTestApp();
+        player1 = await loginAgent(app, 'player1');
+    });
+    after(teardownTestApp);
+
+    it('adds the points of each round to the score, shown in the game state and history', async () => {
+        const { body: { gameId, initialCards } } = await player1.post('/api/games/start').send({}).expect(201);
+
+        const first = await playRound(player1, gameId, initialCards, true);
+        assert.ok(first.points.timePoints > 0);
+        assert.equal(first.points.streakBonus, 0);
+        assert.equal(first.score, first.points.total);
+
+        const second = await playRound(player1, gameId, first.currentCards, true);
+        assert.equal(second.points.streakBonus, STREAK_BONUS);
+        assert.equal(second.score, first.points.total + second.points.total);
+
+        const miss = await playRound(player1, gameId, second.currentCards, false);
+        assert.equal(miss.points.total, 0);
+        assert.equal(miss.score, second.score);
+
+        const { body: state } = await player1.get(`/api/games/${gameId}`).expect(200);
+        assert.equal(state.score, second.score);
+
+        const third = await playRound(player1, gameId, second.currentCards, true);
+        assert.equal(third.points.streakBonus, 0);
+        assert.equal(third.gameOutcome, 'Won');
+
+        const { body: history } = await player1.get('/api/history').expect(200);
+        const game = history.games.find(g => g.id === gameId);
+        assert.equal(game.score, third.score);
+        assert.deepEqual(game.gameCards.filter(c => c.round !== null).sort((a, b) => a.round - b.round).map(c => c.points),
+            [first.points.total, second.points.total, 0, third.points.total]);
+    });
+});
@@ -0,0 +1,111 @@
+// server/test/validation.test.mjs
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { validate, integer, string, boolean, array, object, optional } from '../validation.mjs';
+import { API_ERRORS } from '../api-errors.mjs';
+import { setupTestApp, teardownTestApp, loginAgent } from './helpers.mjs';
+
+describe('schema validation', () => {
+    const schema = object({
+        id: integer({ min: 1 }),
+        name: string({ trim: true, minLength: 1, maxLength: 5 }),
+        kind: optional(string({ values: ['a', 'b'] }), 'a'),
+        flag: optional(boolean()),
+        items: optional(array(object({ n: integer() })))
+    });
+
+    it('cleans a valid value: trims, fills in defaults and drops unknown fields', () => {
+        const { value, errors } = validate(schema, { id: 3, name: '  abc ', extra: true });
+        assert.deepEqual(errors, []);
+        assert.deepEqual(value, { id: 3, name: 'abc', kind: 'a' });
+    });
+
+    it('reports every problem with its field and code', () => {
+        const { errors } = validate(schema, { id: '3', name: 'toolong', kind: 'c', flag: 'yes', items: [{ n: 1 }, { n: 1.5 }] });
+        assert.deepEqual(errors.map(e => [e.field, e.code]), [
+            ['id', 'INVALID_TYPE'],
+            ['name', 'TOO_LONG'],
+            ['kind', 'NOT_ALLOWED'],
+            ['flag', 'INVALID_TYPE'],
+            ['items[1].n', 'INVALID_TYPE']
+        ]);
+        assert.ok(errors.every(e => e.in === 'body' && typeof e.message === 'string'));
+    });
+
+    it('reports missing required fields', () => {
+        const { errors } = validate(schema, { name: '   ' });
+        assert.deepEqual(errors.map(e => [e.field, e.code]), [['id', 'REQUIRED'], ['name', 'REQUIRED']]);
+    });
+
+    it('parses numbers and booleans from the URL, but only whole ones', () => {
+        const urlSchema = object({ page: integer({ min: 1 }), all: optional(boolean()) });
+        assert.deepEqual(validate(urlSchema, { page: '2', all: 'true' }, 'query').value, { page: 2, all: true });
+        assert.equal(validate(urlSchema, { page: '2abc' }, 'query').errors[0].code, 'INVALID_TYPE');
+        assert.equal(validate(urlSchema, { page: '0' }, 'query').errors[0].code, 'TOO_SMALL');
+    });
+
+    it('uses the schema message when there is one', () => {
+        const { errors } = validate(object({ id: integer({ message: 'Invalid ID.' }) }), {});
+        assert.equal(errors[0].message, 'Invalid ID.');
+        assert.equal(errors[0].code, 'REQUIRED');
+    });
+});
+
+describe('API error responses', () => {
+    let app;
+    before(async () => { app = await setupTestApp(); });
+    after(teardownTestApp);
+
+    it('answers invalid requests with VALIDATION_FAILED and the details', async () => {
+        const player1 = await loginAgent(app, 'player1');
+        const res = await player1.post('/api/games/start').send({ ruleSetId: 'classic', difficulty: 'nightmare' }).expect(400);
+        assert.equal(res.body.code, 'VALIDATION_FAILED');
+        assert.equal(res.body.error, 'Invalid rule set ID.');
+        assert.deepEqual(res.body.details.map(d => [d.in, d.field, d.code]), [
+            ['body', 'ruleSetId', 'INVALID_TYPE'],
+            ['body', 'difficulty', 'NOT_ALLOWED']
+        ]);
+    });
+
+    it('rejects malformed IDs in the URL instead of reading their leading digits', async () => {
+        const player1 = await loginAgent(app, 'player1');
+        const res = await player1.get('/api/games/12abc').expect(400);
+        assert.equal(res.body.code, 'VALIDATION_FAILED');
+        assert.deepEqual(res.body.details.map(d => [d.in, d.field]), [['params', 'gameId']]);
+        await player1.get('/api/history?page=1.5').expect(400);
+    });
+
+    it('gives every error a code from the catalog', async () => {
+        const responses = [
+            await request(app).get('/api/current-user').expect(401),
+            await request(app).post('/api/login').send({ username: 'player1', password: 'wrong-password' }).expect(401),
+            await (await loginAgent(app, 'player2')).get('/api/admin/cards').expect(403),
+            await (await loginAgent(app, 'player2')).get('/api/games/999').expect(404),
+            await request(app).post('/api/practice/guess').send({ cardId: 1, placementIndex: 0 }).expect(409)
+        ];
+        assert.deepEqual(responses.map(res => res.body.code),
+            ['NOT_AUTHENTICATED', 'INVALID_CREDENTIALS', 'ADMIN_REQUIRED', 'GAME_NOT_FOUND', 'NO_PRACTICE_SESSION']);
+        for (const res of responses) {
+            assert.equal(API_ERRORS[res.body.code].status, res.status);
+            assert.equal(typeof res.body.error, 'string');
+        }
+    });
+
+    it('answers malformed JSON and unknown endpoints with JSON errors', async () => {
+        const badJson = await request(app).post('/api/login').set('Content-Type', 'application/json').send('{"username": ').expect(400);
+        assert.equal(badJson.body.code, 'INVALID_JSON');
+        const unknown = await request(app).get('/api/no-such-endpoint').expect(404);
+        assert.equal(unknown.body.code, 'NOT_FOUND');
+    });
+
+    it('reports a placement past the end of the hand as a validation error', async () => {
+        const demo = (await request(app).post('/api/demo-game/start').send({}).expect(200)).body;
+        const res = await request(app).post('/api/demo-game/guess')
+            .send({ initialCards: demo.initialCards, newCardId: demo.newCard.id, placementIndex: demo.initialCards.length + 1 })
+            .expect(400);
+        assert.equal(res.body.code, 'VALIDATION_FAILED');
+        assert.equal(res.body.details[0].code, 'TOO_LARGE');
+    });
+});
@@ -0,0 +1,252 @@
+// server/validation.mjs
+// Declarative schemas for request params, query strings and bodies, and the middleware that checks
+// them. A schema is a plain object built with the helpers below, e.g.
+//
+//   object({ cardId: integer({ min: 1 }), theme: optional(string({ minLength: 1 }), DEFAULT_THEME) })
+//
+// Values are checked strictly in JSON bodies. Params and query values always arrive as strings,
+// so there numbers and booleans are parsed first ('12' is the integer 12, '12abc' is rejected).
+// Fields a schema does not list are dropped, and missing optional fields get their default.
+// The same schemas describe the requests in the OpenAPI document (see toJsonSchema and openapi.mjs).
+
+import { sendError } from './api-errors.mjs';
+
+// Machine-readable reasons a value was rejected, found in the details of a VALIDATION_FAILED error
+export const VALIDATION_CODES = ['REQUIRED', 'INVALID_TYPE', 'TOO_SMALL', 'TOO_LARGE', 'TOO_SHORT', 'TOO_LONG', 'INVALID_FORMAT', 'NOT_ALLOWED'];
+
+/**
+ * @param {object} [options] - { min, max, message }; message replaces the generated error messages.
+ * @returns {object} A schema for a whole number.
+ */
+export function integer(options = {}) {
+    return { type: 'integer', ...options };
+}
+
+/**
+ * @param {object} [options] - { min, max, message }
+ * @returns {object} A schema for a finite number.
+ */
+export function number(options = {}) {
+    return { type: 'number', ...options };
+}
+
+/**
+ * @param {object} [options] - { minLength, maxLength, pattern, values (the allowed values), trim, message };
+ * with trim, surrounding spaces are removed before the other checks.
+ * @returns {object} A schema for a string.
+ */
+export function string(options = {}) {
+    return { type: 'string', ...options };
+}
+
+/**
+ * @param {object} [options] - { message }
+ * @returns {object} A schema for true or false.
+ */
+export function boolean(options = {}) {
+    return { type: 'boolean', ...options };
+}
+
+/**
+ * @param {object} items - The schema of every item.
+ * @param {object} [options] - { minLength, maxLength, message }
+ * @returns {object} A schema for an array.
+ */
+export function array(items, options = {}) {
+    return { type: 'array', items, ...options };
+}
+
+/**
+ * @param {object} properties - The schema of each field, by name.
+ * @param {object} [options] - { message }
+ * @returns {object} A schema for an object.
+ */
+export function object(properties, options = {}) {
+    return { type: 'object', properties, ...options };
+}
+
+/**
+ * Marks a field as optional.
+ * @param {object} schema - The schema of the field when present.
+ * @param {*} [defaultValue] - The value used when the field is missing.
+ * @returns {object} The optional schema.
+ */
+export function optional(schema, defaultValue) {
+    return { ...schema, optional: true, default: defaultValue };
+}
+
+/**
+ * Parses a string from the URL into the type a schema expects, leaving it as is if it does not parse.
+ * @param {object} schema - The expected schema.
+ * @param {*} value - The value from the params or query string.
+ * @returns {*} The parsed value.
+ */
+function parseUrlValue(schema, value) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    if ((schema.type === 'integer' || schema.type === 'number') && /^-?\d+(\.\d+)?$/.test(value)) {
+        return Number(value);
+    }
+    if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    return value;
+}
+
+const TYPE_NAMES = {
+    integer: 'an integer', number: 'a number', string: 'a string', boolean: 'true or false', array: 'a list', object: 'an object'
+};
+
+/**
+ * Checks a value against a schema.
+ * @param {object} schema - The schema.
+ * @param {*} value - The value to check.
+ * @param {object} context - { location: 'params'|'query'|'body', field: the path of the value, errors: where problems are pushed }.
+ * @returns {*} The cleaned value (parsed, trimmed, defaults filled in, unknown fields dropped).
+ */
+function checkValue(schema, value, { location, field, errors }) {
+    const fail = (code, message) => {
+        errors.push({ in: location, field, code, message: schema.message ?? message });
+        return value;
+    };
+    const name = field || location;
+
+    if (location !== 'body') {
+        value = parseUrlValue(schema, value);
+    }
+    if (value === undefined || value === null) {
+        return schema.optional ? schema.default : fail('REQUIRED', `${name} is required.`);
+    }
+
+    switch (schema.type) {
+        case 'integer':
+        case 'number': {
+            const valid = schema.type === 'integer' ? Number.isInteger(value) : (typeof value === 'number' && Number.isFinite(value));
+            if (!valid) return fail('INVALID_TYPE', `${name} must be ${TYPE_NAMES[schema.type]}.`);
+            if (schema.min !== undefined && value < schema.min) return fail('TOO_SMALL', `${name} must be at least ${schema.min}.`);
+            if (schema.max !== undefined && value > schema.max) return fail('TOO_LARGE', `${name} must be at most ${schema.max}.`);
+            return value;
+        }
+        case 'string': {
+            if (typeof value !== 'string') return fail('INVALID_TYPE', `${name} must be a string.`);
+            if (schema.trim) value = value.trim();
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                return fail(schema.minLength === 1 ? 'REQUIRED' : 'TOO_SHORT',
+                    schema.minLength === 1 ? `${name} is required.` : `${name} must be at least ${schema.minLength} characters.`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) return fail('TOO_LONG', `${name} must be at most ${schema.maxLength} characters.`);
+            if (schema.pattern && !schema.pattern.test(value)) return fail('INVALID_FORMAT', `${name} has an invalid format.`);
+            if (schema.values && !schema.values.includes(value)) return fail('NOT_ALLOWED', `${name} must be one of: ${schema.values.join(', ')}.`);
+            return value;
+        }
+        case 'boolean':
+            return typeof value === 'boolean' ? value : fail('INVALID_TYPE', `${name} must be true or false.`);
+        case 'array': {
+            if (!Array.isArray(value)) return fail('INVALID_TYPE', `${name} must be a list.`);
+            if (schema.minLength !== undefined && value.length < schema.minLength) return fail('TOO_SHORT', `${name} must have at least ${schema.minLength} item(s).`);
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) return fail('TOO_LONG', `${name} must have at most ${schema.maxLength} item(s).`);
+            return value.map((item, i) => checkValue(schema.items, item, { location, field: `${field}[${i}]`, errors }));
+        }
+        case 'object': {
+            if (typeof value !== 'object' || Array.isArray(value)) return fail('INVALID_TYPE', `${name} must be an object.`);
+            const cleaned = {};
+            for (const [key, propSchema] of Object.entries(schema.properties)) {
+                const propValue = checkValue(propSchema, value[key], { location, field: field ? `${field}.${key}` : key, errors });
+                if (propValue !== undefined) {
+                    cleaned[key] = propValue;
+                }
+            }
+            return cleaned;
+        }
+        default:
+            throw new Error(`Unknown schema type "${schema.type}".`);
+    }
+}
+
+/**
+ * Converts a schema to the JSON Schema used by OpenAPI 3.0 documents.
+ * Messages and trim have no JSON Schema counterpart and are left out; unknown fields are not
+ * listed as forbidden, since they are dropped rather than rejected.
+ * @param {object} schema - The schema.
+ * @returns {object} The JSON Schema.
+ */
+export function toJsonSchema(schema) {
+    const jsonSchema = { type: schema.type };
+    switch (schema.type) {
+        case 'integer':
+        case 'number':
+            if (schema.min !== undefined) jsonSchema.minimum = schema.min;
+            if (schema.max !== undefined) jsonSchema.maximum = schema.max;
+            break;
+        case 'string':
+            if (schema.minLength !== undefined) jsonSchema.minLength = schema.minLength;
+            if (schema.maxLength !== undefined) jsonSchema.maxLength = schema.maxLength;
+            if (schema.pattern) jsonSchema.pattern = schema.pattern.source;
+            if (schema.values) jsonSchema.enum = [...schema.values];
+            break;
+        case 'array':
+            jsonSchema.items = toJsonSchema(schema.items);
+            if (schema.minLength !== undefined) jsonSchema.minItems = schema.minLength;
+            if (schema.maxLength !== undefined) jsonSchema.maxItems = schema.maxLength;
+            break;
+        case 'object': {
+            jsonSchema.properties = Object.fromEntries(
+                Object.entries(schema.properties).map(([key, propSchema]) => [key, toJsonSchema(propSchema)]));
+            const required = Object.keys(schema.properties).filter(key => !schema.properties[key].optional);
+            if (required.length > 0) jsonSchema.required = required;
+            break;
+        }
+    }
+    if (schema.default !== undefined) jsonSchema.default = schema.default;
+    return jsonSchema;
+}
+
+/**
+ * Checks a value against a schema, outside of a request.
+ * @param {object} schema - The schema.
+ * @param {*} value - The value to check.
+ * @param {string} [location='body'] - Where the value comes from; 'params' and 'query' values are parsed from strings.
+ * @returns {{ value: *, errors: Array<object> }} The cleaned value, and one { in, field, code, message } per problem.
+ */
+export function validate(schema, value, location = 'body') {
+    const errors = [];
+    const cleaned = checkValue(schema, value, { location, field: '', errors });
+    return { value: cleaned, errors };
+}
+
+/**
+ * Middleware that validates the request against schemas for its params, query string and body.
+ * Invalid requests are answered with 400 VALIDATION_FAILED, listing every problem in `details`;
+ * the message is that of the first problem. Valid values replace req.params, req.query and req.body.
+ * @param {object} schemas - { params, query, body }, each an object schema (all optional).
+ * @returns {Function} The middleware.
+ */
+export function validateRequest(schemas) {
+    const middleware = (req, res, next) => {
+        const errors = [];
+        const cleaned = {};
+        for (const location of ['params', 'query', 'body']) {
+            if (schemas[location]) {
+                cleaned[location] = checkValue(schemas[location], req[location] ?? {}, { location, field: '', errors });
+            }
+        }
+        if (errors.length > 0) {
+            return sendError(res, 'VALIDATION_FAILED', { message: errors[0].message, details: errors });
+        }
+        Object.assign(req, cleaned);
+        next();
+    };
+    middleware.schemas = schemas; // So the routes can be checked against the OpenAPI document
+    return middleware;
+}
+
+/**
+ * Sends a VALIDATION_FAILED error for a check that needs more than the schema (e.g. an index within the hand).
+ * @param {object} res - The Express response.
+ * @param {object} problem - { in, field, code, message }, as in the details of schema errors.
+ * @returns {object} The response.
+ */
+export function sendValidationError(res, problem) {
+    return sendError(res, 'VALIDATION_FAILED', { message: problem.message, details: [problem] });
+}